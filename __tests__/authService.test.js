@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+const { requireRole, secretsMatch, signToken, ROLES } = require('../authService');
+const { prisma } = require('../serverDb');
+
+jest.mock('../serverDb', () => ({ prisma: { session: { findUnique: jest.fn() } } }));
+
+const session = (fields = {}) => ({
+  id: 'session-1',
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 60000),
+  user: { id: 'user-1', role: ROLES.ANALYST, isActive: true },
+  ...fields
+});
+
+// Runs the middleware with a token issued to an analyst
+async function run(role) {
+  const token = signToken({ sid: 'session-1', sub: 'user-1', role: ROLES.ANALYST }, new Date(Date.now() + 60000));
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+  const next = jest.fn();
+
+  await requireRole(role)(req, res, next);
+  return { req, res, next };
+}
+
+beforeEach(() => {
+  process.env.AUTH_SECRET = 'test-secret';
+});
+
+describe('requireRole', () => {
+  test('lets an active session with the role through', async () => {
+    prisma.session.findUnique.mockResolvedValue(session());
+
+    const { req, next } = await run(ROLES.ANALYST);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.auth).toEqual({ sid: 'session-1', sub: 'user-1', role: ROLES.ANALYST });
+  });
+
+  test('rejects a token whose session was revoked', async () => {
+    prisma.session.findUnique.mockResolvedValue(session({ revokedAt: new Date() }));
+
+    const { res, next } = await run(ROLES.VIEWER);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('uses the current role, not the one in the token', async () => {
+    prisma.session.findUnique.mockResolvedValue(session({ user: { id: 'user-1', role: ROLES.VIEWER, isActive: true } }));
+
+    const { res, next } = await run(ROLES.ANALYST);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('rejects a deactivated user', async () => {
+    prisma.session.findUnique.mockResolvedValue(session({ user: { id: 'user-1', role: ROLES.ANALYST, isActive: false } }));
+
+    const { res } = await run(ROLES.VIEWER);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('secretsMatch', () => {
+  test('matches only equal, non-empty secrets', () => {
+    expect(secretsMatch('cron-secret', 'cron-secret')).toBe(true);
+    expect(secretsMatch('cron-secreT', 'cron-secret')).toBe(false);
+    expect(secretsMatch('cron', 'cron-secret')).toBe(false);
+    expect(secretsMatch('', '')).toBe(false);
+    expect(secretsMatch('cron-secret', undefined)).toBe(false);
+  });
+});
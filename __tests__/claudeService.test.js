@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const vm = require('vm');
+
+// Jest's node environment lacks the web globals the Anthropic SDK calls
+// through; take Node's own from the main context
+const nodeGlobals = vm.runInThisContext('globalThis');
+['fetch', 'Headers', 'Request', 'Response', 'FormData', 'Blob', 'File', 'ReadableStream'].forEach(name => {
+  globalThis[name] = nodeGlobals[name];
+});
+
+// In-memory stand-in for the analysisBatchJob table; it outlives module
+// reloads the way the database outlives a server restart
+const mockJobs = new Map();
+
+jest.mock('../serverDb', () => ({
+  prisma: {
+    analysisBatchJob: {
+      create: async ({ data }) => {
+        const job = { id: `job-${mockJobs.size + 1}`, endedAt: null, processedAt: null, ...data };
+        mockJobs.set(job.batchId, job);
+        return job;
+      },
+      findUnique: async ({ where }) => mockJobs.get(where.batchId) || null,
+      update: async ({ where, data }) => {
+        const job = [...mockJobs.values()].find(stored => stored.id === where.id);
+        Object.assign(job, data);
+        return job;
+      }
+    }
+  }
+}));
+
+let server;
+
+beforeAll(async () => {
+  process.env.MOCK_BATCH_DELAY_MS = '0';
+  const { createMockBatchRouter } = require('../mockClaudeBatchApi');
+  const app = express();
+  app.use(express.json());
+  app.use('/mock/anthropic', createMockBatchRouter());
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  process.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${server.address().port}/mock/anthropic`;
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+// Loads the service as a freshly started server would
+const loadClaudeService = () => {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../claudeService');
+  });
+  return service;
+};
+
+const articles = [
+  { title: 'Missile test reported near the border', content: 'A missile test was reported.', url: 'https://example.com/missile' },
+  { title: 'Trade talks resume', content: 'MOCK_BATCH_ERROR', url: 'https://example.com/trade' }
+];
+
+describe('Claude batches through the server', () => {
+  test('collects a batch submitted before a restart', async () => {
+    const { batchId, requestCount } = await loadClaudeService().submitArticlesBatch(articles, [
+      { title: 'Earlier report', publishedAt: new Date().toISOString(), content: 'not stored' }
+    ]);
+
+    expect(requestCount).toBe(2);
+    expect(mockJobs.get(batchId)).toMatchObject({
+      source: 'server',
+      requestCount: 2,
+      recentArticles: [{ title: 'Earlier report', publishedAt: expect.any(String) }]
+    });
+
+    const result = await loadClaudeService().collectArticlesBatch(batchId);
+
+    expect(result.status).toBe('ended');
+    expect(result.articles).toHaveLength(2);
+    expect(result.articles[0].intelligence.priority).toBe('HIGH');
+    expect(result.articles[1].title).toBe('Trade talks resume');
+    expect(mockJobs.get(batchId)).toMatchObject({ succeededCount: 1, erroredCount: 1, processedAt: expect.any(Date) });
+  });
+
+  test('rejects a batch it has no record of', async () => {
+    await expect(loadClaudeService().collectArticlesBatch('msgbatch_unknown')).rejects.toThrow('Unknown batch');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * @jest-environment node
+ */
+import handler from '../api/process-rss.js';
+
+// The handler imports the engine by its compiled .js paths
+jest.mock('../engine/rssFetcher.js', () => ({ fetchFeed: jest.fn() }), { virtual: true });
+jest.mock('../engine/preFilter.js', () => ({ preFilterBeforeClaude: (articles) => articles }), { virtual: true });
+jest.mock('../engine/claudeClient.js', () => ({ analyzeWithClaude: jest.fn() }), { virtual: true });
+jest.mock('../engine/claudeBatch.js', () => ({
+  submitAnalysisBatch: jest.fn(),
+  pollAnalysisBatches: jest.fn(),
+  MAX_BATCH_REQUESTS: 2
+}), { virtual: true });
+jest.mock('../engine/signalWriter.js', () => ({ storeSignals: jest.fn() }), { virtual: true });
+jest.mock('../engine/feedTracker.js', () => ({
+  filterNewArticles: jest.fn(),
+  markArticlesSeen: jest.fn(),
+  getFeedValidators: jest.fn(),
+  recordFetch: jest.fn(),
+  saveFeedValidators: jest.fn()
+}), { virtual: true });
+jest.mock('../engine/concurrency.js', () => ({
+  createHostThrottle: () => ({ run: (url, task) => task() }),
+  runPool: (items, limit, task) => Promise.all(items.map(task))
+}), { virtual: true });
+jest.mock('../engine/feedRegistry.js', () => ({
+  getActiveFeeds: jest.fn(),
+  recordFeedSuccess: jest.fn(),
+  recordFeedFailure: jest.fn()
+}), { virtual: true });
+jest.mock('../engine/scoringProfiles.js', () => ({ getActiveProfile: jest.fn() }), { virtual: true });
+jest.mock('../engine/dictionary.js', () => ({ loadDictionary: jest.fn() }), { virtual: true });
+jest.mock('../engine/auth.js', () => ({ withAuth: (roles, wrapped) => wrapped, ROLES: {} }), { virtual: true });
+jest.mock('../engine/audit.js', () => ({ withAudit: (options, wrapped) => wrapped }), { virtual: true });
+jest.mock('../src/services/scoring/ingestionScorer.js', () => ({
+  ingestionScorerService: { scoreSignals: (signals) => signals }
+}));
+
+const { fetchFeed } = require('../engine/rssFetcher.js');
+const { analyzeWithClaude } = require('../engine/claudeClient.js');
+const { pollAnalysisBatches } = require('../engine/claudeBatch.js');
+const { storeSignals } = require('../engine/signalWriter.js');
+const feedTracker = require('../engine/feedTracker.js');
+const { getActiveFeeds } = require('../engine/feedRegistry.js');
+
+const feed = { id: 'feed-1', url: 'https://example.com/feed', name: 'Example', credibilityScore: 70, category: 'NEWS' };
+const articles = ['a', 'b'].map(guid => ({ guid, title: `Article ${guid}`, link: `https://example.com/${guid}`, content: '' }));
+const validators = { etag: '"v2"', lastModified: null };
+
+async function run(query = {}) {
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+  await handler({ method: 'POST', query, body: {} }, res);
+  return res.json.mock.calls[0][0];
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  getActiveFeeds.mockResolvedValue([feed]);
+  pollAnalysisBatches.mockResolvedValue([]);
+  feedTracker.getFeedValidators.mockResolvedValue({ etag: '"v1"', lastModified: null });
+  feedTracker.recordFetch.mockResolvedValue({ bytesFetched: 100, bytesSaved: 0 });
+  feedTracker.filterNewArticles.mockImplementation(async (feedId, list) => list);
+  fetchFeed.mockResolvedValue({ notModified: false, articles, validators, bytes: 100 });
+  analyzeWithClaude.mockImplementation(async (list) => ({ signals: list.map(article => ({ title: article.title })), deferred: [] }));
+});
+
+describe('feed validators', () => {
+  test('are saved after the articles are analyzed and marked seen', async () => {
+    const body = await run();
+
+    expect(body.results[0]).toMatchObject({ processed: 2, newArticles: 2, deferred: 0 });
+    expect(feedTracker.markArticlesSeen).toHaveBeenCalledWith('feed-1', articles);
+    expect(feedTracker.saveFeedValidators).toHaveBeenCalledWith('feed-1', validators);
+    expect(feedTracker.saveFeedValidators.mock.invocationCallOrder[0])
+      .toBeGreaterThan(feedTracker.markArticlesSeen.mock.invocationCallOrder[0]);
+  });
+
+  test('are not saved when storing the signals fails', async () => {
+    storeSignals.mockRejectedValue(new Error('database unavailable'));
+
+    const body = await run();
+
+    expect(body.results[0]).toMatchObject({ processed: 0, error: 'database unavailable' });
+    expect(feedTracker.markArticlesSeen).not.toHaveBeenCalled();
+    expect(feedTracker.saveFeedValidators).not.toHaveBeenCalled();
+  });
+
+  test('are not saved on a 304', async () => {
+    fetchFeed.mockResolvedValue({ notModified: true, articles: [], validators: {}, bytes: 0 });
+
+    const body = await run();
+
+    expect(body.results[0]).toMatchObject({ notModified: true });
+    expect(feedTracker.saveFeedValidators).not.toHaveBeenCalled();
+  });
+
+  test('are cleared when the time budget defers an article', async () => {
+    analyzeWithClaude.mockImplementation(async (list) => ({ signals: [{ title: list[0].title }], deferred: list.slice(1) }));
+
+    const body = await run();
+
+    expect(body.results[0]).toMatchObject({ processed: 1, deferred: 1 });
+    expect(feedTracker.markArticlesSeen).toHaveBeenCalledWith('feed-1', [articles[0]]);
+    expect(feedTracker.saveFeedValidators).toHaveBeenCalledWith('feed-1', {});
+  });
+
+  test('are saved in batch mode once the batch is accepted, and cleared when the cap deferred an article', async () => {
+    const { submitAnalysisBatch } = require('../engine/claudeBatch.js');
+    const other = { ...feed, id: 'feed-2', url: 'https://example.org/feed' };
+    getActiveFeeds.mockResolvedValue([feed, other]);
+    submitAnalysisBatch.mockResolvedValue('batch-1');
+
+    const body = await run({ mode: 'batch' });
+
+    // The cap of 2 requests is filled by the first feed
+    expect(body.results.map(result => result.deferred)).toEqual([0, 2]);
+    expect(feedTracker.markArticlesSeen).toHaveBeenCalledWith('feed-1', articles);
+    expect(feedTracker.markArticlesSeen).toHaveBeenCalledWith('feed-2', []);
+    expect(feedTracker.saveFeedValidators).toHaveBeenCalledWith('feed-1', validators);
+    expect(feedTracker.saveFeedValidators).toHaveBeenCalledWith('feed-2', {});
+    expect(feedTracker.saveFeedValidators.mock.invocationCallOrder[0])
+      .toBeGreaterThan(submitAnalysisBatch.mock.invocationCallOrder[0]);
+  });
+});
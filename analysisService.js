@@ -0,0 +1,416 @@
+// Shared Claude Intelligence Analysis for Ghost Brief
+// Single prompt, tool schema and validation used by both the Express server
+// (claudeService.js) and the Vercel api/ functions (engine/claudeClient.ts)
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { validateSchema } = require('./schemaValidator');
+
+// Set ANTHROPIC_BASE_URL to the mock in server.js to run batches offline
+const anthropic = new Anthropic({
+  apiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+const ANALYSIS_MODEL = process.env.CLAUDE_ANALYSIS_MODEL || 'claude-3-haiku-20240307';
+const ANALYSIS_MAX_TOKENS = 2048;
+const ANALYSIS_TEMPERATURE = 0.3; // Lower temperature for consistent analysis
+
+const PRIORITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const CATEGORIES = ['MILITARY', 'TECHNOLOGY', 'CYBERSECURITY', 'GEOPOLITICS', 'FINANCE', 'SCIENCE', 'HEALTH', 'NUCLEAR', 'ESPIONAGE'];
+
+const stringList = (maxItems) => ({ type: 'array', items: { type: 'string' }, maxItems });
+
+/**
+ * Canonical analysis schema. Claude is forced to call this tool, so the
+ * analysis arrives as structured input instead of prose.
+ *
+ * Maps onto the Prisma Signal model (see toSignalRecord):
+ *   summary -> summary, priority -> escalationRisk, credibility -> credibility,
+ *   relevanceScore -> signalScore, categories -> category, regions -> region
+ */
+const ANALYSIS_TOOL = {
+  name: 'record_intelligence_analysis',
+  description: 'Record the structured intelligence assessment of the article',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'Brief 2-3 sentence summary focusing on intelligence value' },
+      relevanceScore: { type: 'number', minimum: 0, maximum: 100 },
+      confidenceLevel: { type: 'number', minimum: 0, maximum: 100 },
+      credibility: { type: 'number', minimum: 0, maximum: 100, description: 'Credibility of the reporting, based on source and content quality' },
+      priority: { type: 'string', enum: PRIORITIES },
+      categories: { type: 'array', maxItems: 3, items: { type: 'string', enum: CATEGORIES } },
+      regions: { ...stringList(5), description: 'Regions/countries the article concerns' },
+      entities: {
+        type: 'object',
+        properties: {
+          countries: stringList(5),
+          organizations: stringList(5),
+          technologies: stringList(5),
+          weapons: stringList(5)
+        },
+        required: ['countries', 'organizations', 'technologies', 'weapons']
+      },
+      tags: stringList(5),
+      isAdvertisement: { type: 'boolean' },
+      isDuplicate: { type: 'boolean' },
+      duplicateOf: { type: ['string', 'null'], description: 'Title of the duplicated article, or null' },
+      isSignificantUpdate: { type: 'boolean' }
+    },
+    required: [
+      'summary', 'relevanceScore', 'confidenceLevel', 'credibility', 'priority', 'categories',
+      'regions', 'entities', 'tags', 'isAdvertisement', 'isDuplicate', 'duplicateOf', 'isSignificantUpdate'
+    ]
+  }
+};
+
+/**
+ * Accepts both article shapes in use: the Express/frontend shape
+ * (url, publishedAt, source.feedName) and the engine's feed items
+ * (link, pubDate, source.name)
+ */
+const normalizeArticle = (article) => ({
+  title: article.title || '',
+  url: article.url || article.link || '',
+  content: article.content || article.summary || '',
+  publishedAt: article.publishedAt || article.pubDate || null,
+  source: {
+    name: article.source?.feedName || article.source?.name || 'Unknown',
+    credibilityScore: article.source?.credibilityScore,
+    category: article.source?.category,
+    tags: article.source?.tags
+  }
+});
+
+/**
+ * Creates a comprehensive analysis prompt for Claude
+ */
+const getAnalysisPrompt = (article, existingArticles = []) => {
+  const { title, content, url, source, publishedAt } = normalizeArticle(article);
+
+  // Create duplicate detection context
+  const recentTitles = existingArticles
+    .filter(a => {
+      const hoursDiff = (Date.now() - new Date(a.publishedAt || Date.now()).getTime()) / (1000 * 60 * 60);
+      return hoursDiff <= 24;
+    })
+    .map(a => a.title)
+    .slice(0, 10);
+
+  return `You are a top-tier intelligence analyst for a professional intelligence briefing system. Analyze the following article and provide structured intelligence assessment.
+
+**ARTICLE TO ANALYZE:**
+Title: "${title}"
+Content: "${content.substring(0, 4000)}"
+URL: "${url}"
+Source: ${source.name} (Credibility: ${source.credibilityScore ?? 'unknown'}/100, Category: ${source.category || 'unknown'})
+Published: ${publishedAt || 'unknown'}
+
+**RECENT ARTICLES FOR DUPLICATE DETECTION:**
+${recentTitles.length > 0 ? recentTitles.map((t, i) => `${i + 1}. "${t}"`).join('\n') : 'None'}
+
+**ANALYSIS REQUIREMENTS:**
+
+1. **SUMMARY**: Write a brief 2-3 sentence summary focusing on intelligence value
+2. **ADVERTISEMENT DETECTION**: Check if this is promotional content, sponsored post, or advertisement
+3. **DUPLICATE DETECTION**: Compare with recent articles to identify if this is a duplicate or significant update
+4. **RELEVANCE SCORING**: Rate intelligence value 0-100 based on:
+   - Military/defense significance
+   - Geopolitical impact
+   - Technology/cybersecurity importance
+   - Economic/trade implications
+   - Health/security threats
+5. **PRIORITY CLASSIFICATION**: Assign CRITICAL/HIGH/MEDIUM/LOW based on:
+   - CRITICAL: Nuclear, major attacks, critical infrastructure, weapons of mass destruction
+   - HIGH: Military deployments, cyber attacks, sanctions, major diplomatic events
+   - MEDIUM: Policy changes, trade disputes, technology developments
+   - LOW: Routine diplomatic activity, minor tech updates
+6. **ENTITY EXTRACTION**: Identify specific:
+   - Countries involved
+   - Organizations (military, government, corporate)
+   - Technologies mentioned
+   - Weapon systems or military equipment
+7. **REGIONS**: List the regions/countries the article concerns
+8. **CATEGORIZATION**: Select up to 3 categories from: ${CATEGORIES.join(', ')}
+9. **TAG GENERATION**: Create 3-5 uppercase keywords for quick scanning
+10. **CREDIBILITY**: Rate the credibility of the reporting 0-100
+11. **CONFIDENCE ASSESSMENT**: Rate your confidence in this analysis 0-100
+
+**OUTPUT FORMAT:**
+Record your assessment by calling the ${ANALYSIS_TOOL.name} tool.`;
+};
+
+/**
+ * Request parameters shared by the synchronous and batch paths
+ */
+const buildAnalysisRequest = (article, existingArticles = []) => ({
+  model: ANALYSIS_MODEL,
+  max_tokens: ANALYSIS_MAX_TOKENS,
+  temperature: ANALYSIS_TEMPERATURE,
+  tools: [ANALYSIS_TOOL],
+  tool_choice: { type: 'tool', name: ANALYSIS_TOOL.name },
+  messages: [{ role: 'user', content: getAnalysisPrompt(article, existingArticles) }]
+});
+
+const findToolUse = (message) =>
+  (message?.content || []).find(block => block.type === 'tool_use' && block.name === ANALYSIS_TOOL.name);
+
+/**
+ * Validates a reply against the tool schema
+ * @returns {string[]} Validation errors, empty when the reply is usable
+ */
+function validateAnalysis(message) {
+  const toolUse = findToolUse(message);
+  if (!toolUse) {
+    return [`no ${ANALYSIS_TOOL.name} tool call in the response`];
+  }
+  return validateSchema(ANALYSIS_TOOL.input_schema, toolUse.input);
+}
+
+// Structured-output outcomes per model since the process started
+const parseStats = new Map();
+let parseOutcomeRecorder = null;
+
+/**
+ * Registers an extra sink for parse outcomes, e.g. the database counters the
+ * serverless functions use since their memory does not outlive a request
+ * @param {Function} recorder - async (model, outcome) => void
+ */
+function setParseOutcomeRecorder(recorder) {
+  parseOutcomeRecorder = recorder;
+}
+
+async function recordParseOutcome(model, outcome) {
+  const stats = parseStats.get(model) || { requests: 0, repaired: 0, failures: 0 };
+  stats.requests++;
+  if (outcome === 'repaired') stats.repaired++;
+  if (outcome === 'failed') stats.failures++;
+  parseStats.set(model, stats);
+
+  if (parseOutcomeRecorder) {
+    await parseOutcomeRecorder(model, outcome);
+  }
+}
+
+/**
+ * Parse-failure and repair rates per model
+ */
+function getParseStats() {
+  return Array.from(parseStats.entries()).map(([model, stats]) => ({
+    model,
+    ...stats,
+    repairRate: stats.requests > 0 ? stats.repaired / stats.requests : 0,
+    failureRate: stats.requests > 0 ? stats.failures / stats.requests : 0
+  }));
+}
+
+/**
+ * Applies the scoring adjustments to a validated analysis
+ */
+function finalizeAnalysis(article, analysis) {
+  const { publishedAt, source } = normalizeArticle(article);
+  const clamp = (value, fallback) => Math.max(0, Math.min(100, value ?? fallback));
+
+  const finalized = {
+    summary: analysis.summary || '',
+    relevanceScore: clamp(analysis.relevanceScore, 0),
+    confidenceLevel: clamp(analysis.confidenceLevel, 50),
+    credibility: clamp(analysis.credibility, 50),
+    priority: PRIORITIES.includes(analysis.priority) ? analysis.priority : 'LOW',
+    categories: (analysis.categories || []).slice(0, 3),
+    regions: (analysis.regions || []).slice(0, 5),
+    entities: {
+      countries: (analysis.entities?.countries || []).slice(0, 5),
+      organizations: (analysis.entities?.organizations || []).slice(0, 5),
+      technologies: (analysis.entities?.technologies || []).slice(0, 5),
+      weapons: (analysis.entities?.weapons || []).slice(0, 5)
+    },
+    tags: (analysis.tags || []).slice(0, 5),
+    isAdvertisement: Boolean(analysis.isAdvertisement),
+    isDuplicate: Boolean(analysis.isDuplicate),
+    duplicateOf: analysis.duplicateOf || null,
+    isSignificantUpdate: Boolean(analysis.isSignificantUpdate)
+  };
+
+  // Apply source credibility adjustments
+  if (source.credibilityScore) {
+    const credibilityMultiplier = source.credibilityScore / 100;
+    finalized.relevanceScore = Math.min(100, finalized.relevanceScore * credibilityMultiplier);
+  }
+
+  // Apply recency boost
+  if (publishedAt) {
+    const hoursAgo = (Date.now() - new Date(publishedAt).getTime()) / (1000 * 60 * 60);
+    if (hoursAgo < 6) finalized.relevanceScore = Math.min(100, finalized.relevanceScore + 10);
+    else if (hoursAgo < 24) finalized.relevanceScore = Math.min(100, finalized.relevanceScore + 5);
+  }
+
+  // Breaking news boost
+  if (article.title?.toLowerCase().includes('breaking') ||
+      article.title?.toLowerCase().includes('urgent') ||
+      article.title?.toLowerCase().includes('alert')) {
+    finalized.relevanceScore = Math.min(100, finalized.relevanceScore + 15);
+  }
+
+  return finalized;
+}
+
+/**
+ * Fallback advertisement detection (simplified version of original logic)
+ */
+function detectAdvertisementFallback(article) {
+  const { url, content: body } = normalizeArticle(article);
+  const content = `${article.title} ${body}`.toLowerCase();
+
+  // URL pattern checks
+  const adPatterns = [
+    /doubleclick\.net/i, /googleadservices\.com/i, /googlesyndication\.com/i,
+    /amazon-adsystem\.com/i, /facebook\.com\/tr/i
+  ];
+
+  if (adPatterns.some(pattern => pattern.test(url) || pattern.test(content))) {
+    return true;
+  }
+
+  // Promotional language check
+  const promotionalWords = ['buy', 'sale', 'discount', 'offer', 'deal', 'shop', 'subscribe'];
+  const words = content.split(/\s+/);
+  const promotionalCount = words.filter(word =>
+    promotionalWords.some(promo => word.includes(promo))
+  ).length;
+
+  return (promotionalCount / words.length) > 0.05;
+}
+
+/**
+ * Fallback analysis to maintain system stability when Claude is unavailable
+ * or its reply cannot be validated
+ */
+function fallbackAnalysis(article) {
+  const { content, source } = normalizeArticle(article);
+
+  return {
+    summary: content ? content.substring(0, 200) + '...' : '',
+    relevanceScore: 20,
+    confidenceLevel: 30,
+    credibility: source.credibilityScore || 50,
+    priority: 'LOW',
+    categories: [source.category || 'GENERAL'],
+    regions: [],
+    entities: { countries: [], organizations: [], technologies: [], weapons: [] },
+    tags: source.tags?.slice(0, 3) || ['UNKNOWN'],
+    isAdvertisement: detectAdvertisementFallback(article),
+    isDuplicate: false,
+    duplicateOf: null,
+    isSignificantUpdate: false,
+    isFallback: true
+  };
+}
+
+/**
+ * Resolves a Claude reply into a canonical analysis. A reply that fails
+ * validation gets one repair retry with the errors sent back as the tool
+ * result; if that fails too the fallback analysis is used.
+ */
+async function resolveAnalysis(article, message, existingArticles = []) {
+  const model = message?.model || ANALYSIS_MODEL;
+  let errors = validateAnalysis(message);
+
+  if (errors.length === 0) {
+    await recordParseOutcome(model, 'valid');
+    return finalizeAnalysis(article, findToolUse(message).input);
+  }
+
+  console.warn(`⚠️ Invalid analysis for: ${article.title.substring(0, 50)}... (${errors.join('; ')}), retrying once`);
+
+  try {
+    const toolUse = findToolUse(message);
+    const feedback = `The analysis did not match the schema: ${errors.join('; ')}. ` +
+      `Call ${ANALYSIS_TOOL.name} again with corrected input.`;
+    const request = buildAnalysisRequest(article, existingArticles);
+
+    const repaired = await anthropic.messages.create({
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: 'assistant', content: message.content },
+        {
+          role: 'user',
+          content: toolUse
+            ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: feedback }]
+            : feedback
+        }
+      ]
+    });
+
+    errors = validateAnalysis(repaired);
+    if (errors.length === 0) {
+      await recordParseOutcome(model, 'repaired');
+      console.log(`🔧 Repaired analysis for: ${article.title.substring(0, 50)}...`);
+      return finalizeAnalysis(article, findToolUse(repaired).input);
+    }
+  } catch (error) {
+    errors = [error.message];
+  }
+
+  await recordParseOutcome(model, 'failed');
+  console.error(`❌ Claude analysis failed validation for: ${article.title} (${errors.join('; ')})`);
+  return fallbackAnalysis(article);
+}
+
+/**
+ * Analyzes one article with Claude. API errors are thrown so each caller can
+ * decide between skipping the article and using fallbackAnalysis.
+ * @returns {Promise<Object>} Canonical analysis
+ */
+async function analyzeArticle(article, existingArticles = []) {
+  console.log(`🤖 Claude analyzing: ${article.title.substring(0, 50)}...`);
+
+  const message = await anthropic.messages.create(buildAnalysisRequest(article, existingArticles));
+  const analysis = await resolveAnalysis(article, message, existingArticles);
+
+  console.log(`✅ Claude analysis complete - Score: ${analysis.relevanceScore}, Priority: ${analysis.priority}, Confidence: ${analysis.confidenceLevel}%`);
+  return analysis;
+}
+
+/**
+ * Maps an article and its canonical analysis onto the Prisma Signal fields.
+ * `entities` is not a column; the signal writer stores it as Entity links.
+ */
+function toSignalRecord(article, analysis, sourceType = 'RSS_FEED') {
+  const { title, url, content } = normalizeArticle(article);
+
+  return {
+    title,
+    summary: analysis.summary || content.substring(0, 200),
+    content,
+    sourceUrl: url,
+    sourceType,
+    escalationRisk: analysis.priority,
+    credibility: analysis.credibility,
+    signalScore: analysis.relevanceScore,
+    category: analysis.categories.length > 0 ? analysis.categories : ['GENERAL'],
+    region: analysis.regions,
+    tags: analysis.tags,
+    confidenceLevel: analysis.confidenceLevel,
+    isAdvertisement: analysis.isAdvertisement,
+    isDuplicate: analysis.isDuplicate,
+    duplicateOf: analysis.duplicateOf,
+    isSignificantUpdate: analysis.isSignificantUpdate,
+    entities: analysis.entities
+  };
+}
+
+module.exports = {
+  anthropic,
+  ANALYSIS_MODEL,
+  ANALYSIS_TOOL,
+  getAnalysisPrompt,
+  buildAnalysisRequest,
+  validateAnalysis,
+  resolveAnalysis,
+  analyzeArticle,
+  fallbackAnalysis,
+  toSignalRecord,
+  getParseStats,
+  setParseOutcomeRecorder
+};
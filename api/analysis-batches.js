@@ -0,0 +1,43 @@
+import { pollAnalysisBatches, getAnalysisBatchJobs } from '../engine/claudeBatch.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import { RSS_CONFIG } from '../src/constants/api.js';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const { limit = 20 } = req.query;
+      const jobs = await getAnalysisBatchJobs(parseInt(limit));
+
+      res.status(200).json({
+        jobs,
+        pending: jobs.filter(job => !job.processedAt).length
+      });
+
+    } else if (req.method === 'POST') {
+      // Collect finished batches without waiting for the next ingestion run
+      const collected = await pollAnalysisBatches({ deadline: Date.now() + RSS_CONFIG.RUN_TIME_BUDGET_MS });
+      req.audit = { action: 'analysis-batch.collect', after: { collected } };
+
+      res.status(200).json({
+        success: true,
+        collected,
+        timestamp: new Date().toISOString()
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Analysis batches API error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.ANALYST },
+  withAudit({ entityType: 'AnalysisBatchJob' }, handler)
+);
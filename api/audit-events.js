@@ -0,0 +1,99 @@
+import { prisma } from '../lib/db.js';
+import {
+  PaginationError,
+  buildKeysetQuery,
+  toPage,
+  parseLimit,
+  parseList,
+  parseDate,
+  buildRange
+} from '../engine/pagination.js';
+import { PAGINATION_CONFIG } from '../src/constants/api.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+
+const AUDIT_SORT = { field: 'createdAt', order: 'desc', type: 'date', nullable: false };
+
+/**
+ * Prisma filter for the history query parameters: actor (id or email),
+ * action, entityType, entityId and from/to on createdAt
+ */
+function buildAuditFilter({ actor, action, entityType, entityId, from, to }) {
+  const where = {};
+  const actions = parseList(action);
+  const entityTypes = parseList(entityType);
+
+  if (actor) {
+    where.OR = [
+      { actorId: actor },
+      { actorEmail: { contains: actor, mode: 'insensitive' } }
+    ];
+  }
+
+  if (actions.length > 0) {
+    where.action = { in: actions };
+  }
+
+  if (entityTypes.length > 0) {
+    where.entityType = { in: entityTypes };
+  }
+
+  if (entityId) {
+    where.entityId = entityId;
+  }
+
+  const createdAt = buildRange(parseDate(from), parseDate(to, { endOfDay: true }));
+  if (createdAt) where.createdAt = createdAt;
+
+  return where;
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const limit = parseLimit(req.query.limit, PAGINATION_CONFIG.AUDIT_PAGE_SIZE, PAGINATION_CONFIG.MAX_PAGE_SIZE);
+      const where = buildAuditFilter(req.query);
+      const keyset = buildKeysetQuery(AUDIT_SORT, req.query.cursor);
+
+      const [rows, total, actions, entityTypes] = await Promise.all([
+        prisma.auditEvent.findMany({
+          where: { AND: [where, keyset.where] },
+          orderBy: keyset.orderBy,
+          take: limit + 1
+        }),
+        prisma.auditEvent.count({ where }),
+        prisma.auditEvent.findMany({ distinct: ['action'], select: { action: true }, orderBy: { action: 'asc' } }),
+        prisma.auditEvent.findMany({ distinct: ['entityType'], select: { entityType: true }, orderBy: { entityType: 'asc' } })
+      ]);
+      const page = toPage(rows, limit, AUDIT_SORT);
+
+      res.status(200).json({
+        success: true,
+        events: page.items,
+        total,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        // Choices for the admin view's filters
+        facets: {
+          actions: actions.map(row => row.action),
+          entityTypes: entityTypes.map(row => row.entityType)
+        }
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: 'Invalid request', message: error.message });
+    }
+
+    console.error('Audit events API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth({ GET: ROLES.ADMIN }, handler);
@@ -0,0 +1,64 @@
+import { prisma } from '../lib/db.js';
+import { login, logout, authenticate } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      // Current user for the session token
+      const user = await authenticate(req);
+      if (!user) {
+        // setupRequired tells the login screen to create the first admin
+        return res.status(401).json({
+          error: 'Authentication required',
+          setupRequired: (await prisma.user.count()) === 0
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        user
+      });
+
+    } else if (req.method === 'POST') {
+      const { email, password } = req.body || {};
+      const session = await login(email, password);
+
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      req.user = session.user;
+      req.audit = { action: 'auth.login', entityId: session.user.id, after: null };
+
+      res.status(200).json({
+        success: true,
+        ...session
+      });
+
+    } else if (req.method === 'DELETE') {
+      req.user = await authenticate(req);
+      await logout(req);
+      req.audit = req.user
+        ? { action: 'auth.logout', entityId: req.user.id, after: null }
+        : { skip: true };
+
+      res.status(200).json({
+        success: true,
+        message: 'Signed out'
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('Auth API error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? 'Authentication unavailable' : 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAudit({ entityType: 'User', actionPrefix: 'auth' }, handler);
@@ -0,0 +1,72 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, workspaceScope, ROLES } from '../engine/auth.js';
+import { ExportError, exportBrief } from '../engine/briefExport.js';
+import { findTemplateInScope } from '../engine/briefingTemplates.js';
+import { briefingTemplateManager } from '../src/services/briefing/templateManager.js';
+
+// Reached as /api/briefs/:id/export (see vercel.json)
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id, format = 'pdf', template: templateKey = 'STANDARD' } = req.query;
+
+    // A built-in template key or the id of a stored briefing template
+    const template = briefingTemplateManager.templates[templateKey]
+      ? templateKey
+      : await findTemplateInScope(templateKey, req.user);
+    if (!template) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `Unknown template "${templateKey}"; expected one of ${Object.keys(briefingTemplateManager.templates).join(', ')} or a saved template id`
+      });
+    }
+
+    const brief = id
+      ? await prisma.brief.findFirst({ where: { AND: [{ id }, workspaceScope(req.user, 'all')] } })
+      : null;
+    if (!brief) {
+      return res.status(404).json({ error: 'Brief not found' });
+    }
+
+    // Compiled briefings cite signals as footnotes, which may go beyond relatedSignalIds
+    const { body: markdown, citations } = briefingTemplateManager.parseCitations(brief.summary || '');
+    const signalIds = [...new Set([...brief.relatedSignalIds, ...citations.map(citation => citation.signalId)])];
+
+    const signals = signalIds.length > 0
+      ? await prisma.signal.findMany({ where: { id: { in: signalIds } } })
+      : [];
+
+    const { body, contentType, filename } = await exportBrief(
+      brief,
+      signals,
+      briefingTemplateManager.getExportTemplate(template),
+      format,
+      {
+        exportedBy: req.user.email,
+        body: markdown,
+        footnotes: citations.map(({ marker, signalId }) => ({ marker, signalId }))
+      }
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).send(body);
+
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(400).json({ error: 'Invalid request', message: error.message });
+    }
+
+    console.error('Brief export API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth({ GET: ROLES.VIEWER }, handler);
@@ -0,0 +1,120 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, workspaceScope, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import {
+  RevisionNotFoundError,
+  listRevisions,
+  diffRevisions,
+  restoreRevision
+} from '../engine/briefRevisions.js';
+import { isEditable, getBriefStatus } from '../engine/briefWorkflow.js';
+
+/**
+ * The brief, if it is visible in the caller's workspace (admins see all)
+ */
+async function findBriefInScope(briefId, user) {
+  if (!briefId) return null;
+
+  return prisma.brief.findFirst({
+    where: { AND: [{ id: briefId }, workspaceScope(user, 'all')] }
+  });
+}
+
+const parseVersion = (value) => {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      // ?briefId=  lists revisions; adding &from=&to= returns their line diff
+      const { briefId, from, to } = req.query;
+      const brief = await findBriefInScope(briefId, req.user);
+      if (!brief) {
+        return res.status(404).json({ error: 'Brief not found' });
+      }
+
+      if (from !== undefined || to !== undefined) {
+        const fromVersion = parseVersion(from);
+        const toVersion = parseVersion(to);
+        if (!fromVersion || !toVersion) {
+          return res.status(400).json({ error: 'Invalid request', message: 'from and to must be revision numbers' });
+        }
+
+        const diff = await diffRevisions(briefId, fromVersion, toVersion);
+        return res.status(200).json({
+          success: true,
+          diff
+        });
+      }
+
+      const revisions = await listRevisions(briefId);
+
+      res.status(200).json({
+        success: true,
+        currentVersion: brief.version,
+        revisions
+      });
+
+    } else if (req.method === 'POST') {
+      // Restore: { briefId, version }
+      const { briefId } = req.body || {};
+      const version = parseVersion(req.body?.version);
+      if (!version) {
+        return res.status(400).json({ error: 'Invalid request', message: 'version must be a revision number' });
+      }
+
+      const before = await findBriefInScope(briefId, req.user);
+      if (!before) {
+        return res.status(404).json({ error: 'Brief not found' });
+      }
+      if (!isEditable(before)) {
+        return res.status(409).json({
+          error: 'Brief locked',
+          message: `A ${getBriefStatus(before)} brief can't be edited; reject or reopen it first`
+        });
+      }
+
+      const brief = await restoreRevision(briefId, version, req.user);
+      req.audit = {
+        action: 'brief.restore',
+        entityId: briefId,
+        before,
+        after: brief,
+        metadata: { restoredFromVersion: version }
+      };
+
+      res.status(200).json({
+        success: true,
+        brief
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    if (error instanceof RevisionNotFoundError) {
+      return res.status(404).json({ error: 'Revision not found', message: error.message });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Edit conflict',
+        message: 'The brief was changed by someone else; reload it and try again'
+      });
+    }
+
+    console.error('Brief revisions API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.ANALYST },
+  withAudit({ entityType: 'Brief' }, handler)
+);
@@ -0,0 +1,98 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, workspaceScope, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import {
+  WorkflowError,
+  getBriefStatus,
+  getAllowedActions,
+  listReviewers,
+  listTransitions,
+  transitionBrief
+} from '../engine/briefWorkflow.js';
+
+const REVIEWER_SELECT = { select: { id: true, email: true, name: true } };
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      // Without briefId: the users who can be assigned as reviewers
+      const { briefId } = req.query;
+      if (!briefId) {
+        const reviewers = await listReviewers(req.user);
+        return res.status(200).json({
+          success: true,
+          reviewers
+        });
+      }
+
+      const brief = await prisma.brief.findFirst({
+        where: { AND: [{ id: briefId }, workspaceScope(req.user, 'all')] },
+        include: { reviewer: REVIEWER_SELECT }
+      });
+      if (!brief) {
+        return res.status(404).json({ error: 'Brief not found' });
+      }
+
+      const transitions = await listTransitions(briefId);
+
+      res.status(200).json({
+        success: true,
+        status: getBriefStatus(brief),
+        reviewer: brief.reviewer,
+        allowedActions: getAllowedActions(brief, req.user),
+        transitions
+      });
+
+    } else if (req.method === 'POST') {
+      // { briefId, action, reviewerId?, comment? }
+      const { briefId, action, reviewerId, comment } = req.body || {};
+
+      const before = await prisma.brief.findFirst({
+        where: { AND: [{ id: briefId || '' }, workspaceScope(req.user, 'all')] }
+      });
+      if (!before) {
+        return res.status(404).json({ error: 'Brief not found' });
+      }
+
+      const result = await transitionBrief(briefId, action, req.user, { reviewerId, comment });
+      req.audit = {
+        action: `brief.${action}`,
+        entityId: briefId,
+        before,
+        after: result.brief,
+        metadata: result.transition.comment ? { comment: result.transition.comment } : undefined
+      };
+
+      res.status(200).json({
+        success: true,
+        ...result
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({ error: 'Invalid transition', message: error.message });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Edit conflict',
+        message: 'The brief was changed by someone else; reload it and try again'
+      });
+    }
+
+    console.error('Brief workflow API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.ANALYST },
+  withAudit({ entityType: 'Brief' }, handler)
+);
@@ -0,0 +1,99 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import {
+  TemplateValidationError,
+  normalizeTemplateInput,
+  listTemplates,
+  findTemplateInScope
+} from '../engine/briefingTemplates.js';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      // Own workspace's templates; admins can pass `workspace` (an id or 'all')
+      const templates = await listTemplates(req.user, req.query.workspace);
+
+      res.status(200).json({
+        success: true,
+        templates
+      });
+
+    } else if (req.method === 'POST') {
+      const workspaceId = req.user.workspace?.id;
+      if (!workspaceId) {
+        return res.status(400).json({ error: 'No workspace for this account' });
+      }
+
+      const template = await prisma.briefingTemplate.create({
+        data: {
+          ...normalizeTemplateInput(req.body),
+          workspaceId,
+          createdById: req.user.id || null
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        template
+      });
+
+    } else if (req.method === 'PUT') {
+      const { id } = req.body || {};
+      const existing = await findTemplateInScope(id, req.user);
+      if (!existing) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const template = await prisma.briefingTemplate.update({
+        where: { id },
+        data: normalizeTemplateInput(req.body)
+      });
+
+      res.status(200).json({
+        success: true,
+        template
+      });
+
+    } else if (req.method === 'DELETE') {
+      const { id } = req.query;
+      const existing = await findTemplateInScope(id, req.user);
+      if (!existing) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      await prisma.briefingTemplate.delete({ where: { id } });
+
+      res.status(200).json({
+        success: true,
+        message: 'Template deleted'
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    if (error instanceof TemplateValidationError) {
+      return res.status(400).json({ error: 'Invalid template', message: error.message });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Duplicate template',
+        message: 'A template with this name already exists in the workspace'
+      });
+    }
+
+    console.error('Briefing templates API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.ANALYST, PUT: ROLES.ANALYST, DELETE: ROLES.ANALYST },
+  withAudit({ entityType: 'BriefingTemplate', model: 'briefingTemplate', responseKey: 'template' }, handler)
+);
@@ -1,42 +1,115 @@
 import { prisma } from '../lib/db.js';
+import {
+  PaginationError,
+  buildKeysetQuery,
+  toPage,
+  parseLimit,
+  parseList,
+  parseDate,
+  buildRange
+} from '../engine/pagination.js';
+import { PAGINATION_CONFIG } from '../src/constants/api.js';
+import { withAuth, workspaceScope, hasRole, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import { createBriefWithRevision, updateBriefWithRevision, WORKFLOW_FIELDS } from '../engine/briefRevisions.js';
+import { INITIAL_STATUS, isEditable, getBriefStatus } from '../engine/briefWorkflow.js';
 
-export default async function handler(req, res) {
+/**
+ * Prisma filter for the list query parameters (status, classification,
+ * keyword, from/to on createdAt). Results are always limited to the caller's
+ * workspace; admins can pass `workspace` (an id or 'all').
+ */
+function buildBriefFilter({ status, classification, keyword, from, to }) {
+  const where = {};
+  const statuses = parseList(status);
+  const classifications = parseList(classification);
+  const keywords = parseList(keyword);
+
+  if (statuses.length > 0) {
+    where.status = { in: statuses };
+  }
+
+  if (classifications.length > 0) {
+    where.classification = { in: classifications };
+  }
+
+  if (keywords.length > 0) {
+    where.keywords = { hasSome: keywords };
+  }
+
+  const createdAt = buildRange(parseDate(from), parseDate(to, { endOfDay: true }));
+  if (createdAt) where.createdAt = createdAt;
+
+  return where;
+}
+
+/**
+ * Sort for the `sort` (createdAt, datePublished, title) and `order` parameters
+ */
+function getBriefSort({ sort = 'createdAt', order }) {
+  const field = PAGINATION_CONFIG.BRIEF_SORTS[sort];
+  if (!field) {
+    throw new PaginationError(`Unknown sort "${sort}"`);
+  }
+
+  return {
+    field,
+    order: order === 'asc' || (!order && field === 'title') ? 'asc' : 'desc',
+    type: field === 'title' ? 'string' : 'date',
+    nullable: field === 'datePublished'
+  };
+}
+
+async function handler(req, res) {
   try {
     if (req.method === 'GET') {
-      const { limit = 20, offset = 0 } = req.query;
-
-      const briefs = await prisma.brief.findMany({
-        orderBy: {
-          createdAt: 'desc'
-        },
-        take: parseInt(limit),
-        skip: parseInt(offset)
-      });
+      const limit = parseLimit(req.query.limit, PAGINATION_CONFIG.BRIEFS_PAGE_SIZE, PAGINATION_CONFIG.MAX_PAGE_SIZE);
+      const where = {
+        AND: [buildBriefFilter(req.query), workspaceScope(req.user, req.query.workspace)]
+      };
+      const sort = getBriefSort(req.query);
+      const keyset = buildKeysetQuery(sort, req.query.cursor);
 
-      const total = await prisma.brief.count();
+      const [rows, total] = await Promise.all([
+        prisma.brief.findMany({
+          where: { AND: [where, keyset.where] },
+          orderBy: keyset.orderBy,
+          take: limit + 1
+        }),
+        prisma.brief.count({ where })
+      ]);
+      const page = toPage(rows, limit, sort);
 
       res.status(200).json({
         success: true,
-        briefs,
+        briefs: page.items,
         total,
-        hasMore: (parseInt(offset) + parseInt(limit)) < total
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
       });
 
     } else if (req.method === 'POST') {
       const briefData = req.body;
       
-      const brief = await prisma.brief.create({
-        data: {
-          title: briefData.title,
-          summary: briefData.summary,
-          status: briefData.status || 'DRAFT',
-          classification: briefData.classification || 'UNCLASSIFIED',
-          keywords: briefData.keywords || [],
-          version: briefData.version || 1,
-          datePublished: briefData.datePublished ? new Date(briefData.datePublished) : null,
-          relatedSignalIds: briefData.relatedSignalIds || []
-        }
-      });
+      const brief = await createBriefWithRevision({
+        title: briefData.title,
+        summary: briefData.summary,
+        // Every brief starts as a draft; /api/brief-workflow moves it on
+        status: INITIAL_STATUS,
+        classification: briefData.classification || 'UNCLASSIFIED',
+        keywords: briefData.keywords || [],
+        datePublished: null,
+        relatedSignalIds: briefData.relatedSignalIds || [],
+        workspaceId: req.user.workspace?.id || null
+      }, req.user);
+
+      // Promotion from a signal is its own action in the audit log
+      if (briefData.promotedFromSignalId) {
+        req.audit = {
+          action: 'signal.promote',
+          metadata: { signalId: briefData.promotedFromSignalId }
+        };
+      }
 
       res.status(201).json({
         success: true,
@@ -44,12 +117,42 @@ export default async function handler(req, res) {
       });
 
     } else if (req.method === 'PUT') {
-      const { id, ...updateData } = req.body;
-      
-      const brief = await prisma.brief.update({
-        where: { id },
-        data: updateData
+      // The version is owned by the revision history and the reviewer by the
+      // workflow, never by the client
+      const { id, workspaceId, version, reviewerId, ...updateData } = req.body;
+
+      // Analysts can only edit briefs in their own workspace
+      const existing = await prisma.brief.findFirst({
+        where: { AND: [{ id }, workspaceScope(req.user, 'all')] },
+        select: { id: true, status: true }
       });
+      if (!existing) {
+        return res.status(404).json({ error: 'Brief not found' });
+      }
+
+      if (updateData.status !== undefined && updateData.status !== existing.status) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'Status changes go through /api/brief-workflow'
+        });
+      }
+      WORKFLOW_FIELDS.forEach(field => delete updateData[field]);
+
+      if (!isEditable(existing)) {
+        return res.status(409).json({
+          error: 'Brief locked',
+          message: `A ${getBriefStatus(existing)} brief can't be edited; reject or reopen it first`
+        });
+      }
+
+      if (workspaceId !== undefined && hasRole(req.user, ROLES.ADMIN)) {
+        updateData.workspaceId = workspaceId;
+      }
+
+      const brief = await updateBriefWithRevision(id, updateData, req.user);
+      if (!brief) {
+        return res.status(404).json({ error: 'Brief not found' });
+      }
 
       res.status(200).json({
         success: true,
@@ -73,10 +176,27 @@ export default async function handler(req, res) {
     }
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: 'Invalid request', message: error.message });
+    }
+
+    // Another edit took this version first (unique briefId + version)
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Edit conflict',
+        message: 'The brief was changed by someone else; reload it and try again'
+      });
+    }
+
     console.error('Briefs API error:', error);
     res.status(500).json({ 
       error: 'Internal server error', 
       message: error.message 
     });
   }
-}
\ No newline at end of file
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.ANALYST, PUT: ROLES.ANALYST, DELETE: ROLES.ADMIN },
+  withAudit({ entityType: 'Brief', model: 'brief', responseKey: 'brief' }, handler)
+);
@@ -0,0 +1,121 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import {
+  DictionaryValidationError,
+  getDictionaryVersion,
+  listTerms,
+  listVersions,
+  seedDictionary,
+  createTerm,
+  updateTerm,
+  deleteTerm
+} from '../engine/dictionary.js';
+import { dictionaryService } from '../src/services/scoring/dictionary.js';
+
+/**
+ * Keyword and entity dictionary. GET lists the stored terms (?kind, ?tier), or
+ * the built-in ones (without ids) until the store is first changed.
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const { kind, tier } = req.query;
+      const [terms, version, versions] = await Promise.all([
+        listTerms({ kind, tier }),
+        getDictionaryVersion(),
+        listVersions()
+      ]);
+      const builtIn = version === 0;
+
+      res.status(200).json({
+        success: true,
+        terms: builtIn
+          ? dictionaryService.getBuiltInTerms().filter(term => (!kind || term.kind === kind) && (!tier || term.tier === tier))
+          : terms,
+        version,
+        builtIn,
+        versions
+      });
+
+    } else if (req.method === 'POST') {
+      // ?seed=true adds the built-in terms the store is missing
+      if (req.query.seed === 'true') {
+        const { added, version } = await seedDictionary(req.user);
+        req.audit = version
+          ? { action: 'dictionary.seed', entityId: null, before: null, after: null, metadata: { added, version } }
+          : { skip: true };
+
+        return res.status(200).json({
+          success: true,
+          added,
+          version
+        });
+      }
+
+      const { term, version } = await createTerm(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        term,
+        version
+      });
+
+    } else if (req.method === 'PUT') {
+      const { id } = req.body || {};
+      const existing = id ? await prisma.dictionaryTerm.findUnique({ where: { id } }) : null;
+      if (!existing) {
+        return res.status(404).json({ error: 'Dictionary term not found' });
+      }
+
+      const { term, version } = await updateTerm(id, req.body, req.user);
+
+      res.status(200).json({
+        success: true,
+        term,
+        version
+      });
+
+    } else if (req.method === 'DELETE') {
+      const { id } = req.query;
+      const existing = id ? await prisma.dictionaryTerm.findUnique({ where: { id } }) : null;
+      if (!existing) {
+        return res.status(404).json({ error: 'Dictionary term not found' });
+      }
+
+      const { version } = await deleteTerm(id, req.user);
+
+      res.status(200).json({
+        success: true,
+        version,
+        message: 'Dictionary term deleted'
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    if (error instanceof DictionaryValidationError) {
+      return res.status(400).json({ error: 'Invalid dictionary term', message: error.message });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Duplicate dictionary term',
+        message: 'The dictionary already has this term in this tier'
+      });
+    }
+
+    console.error('Dictionary API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.ADMIN, PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN },
+  withAudit({ entityType: 'DictionaryTerm', model: 'dictionaryTerm', responseKey: 'term', actionPrefix: 'dictionary' }, handler)
+);
@@ -1,4 +1,6 @@
 import { prisma } from '../lib/db.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
 
 const DEFAULT_FEEDS = [
   {
@@ -59,7 +61,7 @@ const DEFAULT_FEEDS = [
   }
 ];
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     if (req.method === 'GET') {
       const feeds = await prisma.rSSFeed.findMany({
@@ -96,6 +98,11 @@ export default async function handler(req, res) {
             console.error(`Error creating feed ${feedConfig.name}:`, error);
           }
         }
+
+        req.audit = {
+          action: 'feed.initialize',
+          after: { feeds: createdFeeds.map(feed => ({ id: feed.id, name: feed.name, url: feed.url })) }
+        };
         
         res.status(200).json({
           success: true,
@@ -124,6 +131,12 @@ export default async function handler(req, res) {
 
     } else if (req.method === 'PUT') {
       const { id, ...updateData } = req.body;
+
+      // Re-enabling a feed gives it a clean slate so processing picks it up again
+      if (updateData.isActive === true) {
+        updateData.errorCount = 0;
+        updateData.status = 'active';
+      }
       
       const feed = await prisma.rSSFeed.update({
         where: { id },
@@ -158,4 +171,9 @@ export default async function handler(req, res) {
       message: error.message 
     });
   }
-}
\ No newline at end of file
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.ADMIN, PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN },
+  withAudit({ entityType: 'RSSFeed', actionPrefix: 'feed', model: 'rSSFeed', responseKey: 'feed' }, handler)
+);
@@ -1,77 +1,186 @@
-import { fetchArticlesFromFeed } from '../engine/rssFetcher.js';
+import { fetchFeed } from '../engine/rssFetcher.js';
 import { preFilterBeforeClaude } from '../engine/preFilter.js';
 import { analyzeWithClaude } from '../engine/claudeClient.js';
+import { submitAnalysisBatch, pollAnalysisBatches, MAX_BATCH_REQUESTS } from '../engine/claudeBatch.js';
 import { storeSignals } from '../engine/signalWriter.js';
-import { getLastSeenUrl, updateLastSeenUrl } from '../engine/feedTracker.js';
-
-const FEEDS = [
-  { id: 'defense-news', url: 'https://www.defensenews.com/rss/' },
-  { id: 'military-com', url: 'https://www.military.com/rss/news' },
-  { id: 'breaking-defense', url: 'https://breakingdefense.com/feed/' },
-  { id: 'war-on-rocks', url: 'https://warontherocks.com/feed/' },
-  { id: 'defense-one', url: 'https://www.defenseone.com/rss/' },
-  { id: 'ars-technica', url: 'https://feeds.arstechnica.com/arstechnica/index' },
-  { id: 'hacker-news-feed', url: 'https://feeds.feedburner.com/TheHackersNews' },
-  { id: 'mit-tech-review', url: 'https://www.technologyreview.com/feed/' }
-];
-
-async function processFeed(feed) {
+import { filterNewArticles, markArticlesSeen, getFeedValidators, recordFetch, saveFeedValidators } from '../engine/feedTracker.js';
+import { createHostThrottle, runPool } from '../engine/concurrency.js';
+import { getActiveFeeds, recordFeedSuccess, recordFeedFailure } from '../engine/feedRegistry.js';
+import { getActiveProfile } from '../engine/scoringProfiles.js';
+import { loadDictionary } from '../engine/dictionary.js';
+import { RSS_CONFIG } from '../src/constants/api.js';
+import { ingestionScorerService } from '../src/services/scoring/ingestionScorer.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+
+async function processFeed(feed, run) {
+  let fetched = false;
+
   try {
-    const articles = await fetchArticlesFromFeed(feed.url);
-    const lastSeen = await getLastSeenUrl(feed.id);
+    const validators = await getFeedValidators(feed.id);
+    const timeout = Math.max(1000, Math.min(RSS_CONFIG.FETCH_TIMEOUT_MS, run.deadline - Date.now()));
+    const fetchResult = await run.hostThrottle.run(feed.url, () => fetchFeed(feed.url, validators, timeout));
+    fetched = true;
+    await recordFeedSuccess(feed.id);
+    const bandwidth = await recordFetch(feed.id, fetchResult);
 
-    const newArticles = [];
-    for (const article of articles) {
-      if (article.link === lastSeen) break;
-      newArticles.push(article);
+    if (fetchResult.notModified) {
+      return { feedId: feed.id, processed: 0, newArticles: 0, deferred: 0, notModified: true, ...bandwidth };
     }
 
+    const articles = fetchResult.articles;
+    const newArticles = await filterNewArticles(feed.id, articles);
+
     if (newArticles.length === 0) {
-      return { feedId: feed.id, processed: 0, newArticles: 0 };
+      await markArticlesSeen(feed.id, articles);
+      await saveFeedValidators(feed.id, fetchResult.validators);
+      return { feedId: feed.id, processed: 0, newArticles: 0, deferred: 0, ...bandwidth };
     }
 
-    const filtered = preFilterBeforeClaude(newArticles);
-    const analyzed = await analyzeWithClaude(filtered);
-    await storeSignals(analyzed);
+    // Feed details feed into the prompt and the credibility adjustment
+    const source = { name: feed.name, credibilityScore: feed.credibilityScore, category: feed.category };
+    const filtered = preFilterBeforeClaude(newArticles).map(article => ({ ...article, source }));
+
+    // Batch mode: queue the articles for one Message Batch per run and mark
+    // them seen, and save the validators, only once the batch has been accepted.
+    // Articles over the batch cap stay unseen; the validators are then
+    // cleared instead, or the next run would get a 304 and never see them.
+    if (run.batch) {
+      const room = Math.max(0, MAX_BATCH_REQUESTS - run.batch.items.length);
+      const queued = filtered.slice(0, room);
+      const deferredGuids = new Set(filtered.slice(room).map(article => article.guid));
+
+      queued.forEach(article => run.batch.items.push({ feedId: feed.id, article }));
+      run.batch.seen.push({
+        feedId: feed.id,
+        articles: articles.filter(article => !deferredGuids.has(article.guid)),
+        validators: deferredGuids.size === 0 ? fetchResult.validators : {}
+      });
 
-    if (newArticles[0]) {
-      await updateLastSeenUrl(feed.id, newArticles[0].link);
+      return {
+        feedId: feed.id,
+        processed: 0,
+        newArticles: newArticles.length,
+        queued: queued.length,
+        deferred: deferredGuids.size,
+        ...bandwidth
+      };
     }
 
+    const { signals: analyzed, deferred } = await analyzeWithClaude(filtered, { deadline: run.deadline });
+    // Blend Claude's score with the multi-factor score before storing
+    await storeSignals(ingestionScorerService.scoreSignals(analyzed, filtered, run.scoringProfile));
+
+    // Articles cut off by the time budget stay unseen so the next run picks
+    // them up, which needs a full fetch: the validators are cleared rather
+    // than saved when any was deferred, and written last, so a failed run
+    // fetches in full again
+    const deferredGuids = new Set(deferred.map(article => article.guid));
+    await markArticlesSeen(feed.id, articles.filter(article => !deferredGuids.has(article.guid)));
+    await saveFeedValidators(feed.id, deferredGuids.size === 0 ? fetchResult.validators : {});
+
     return { 
       feedId: feed.id, 
-      processed: analyzed.length, 
-      newArticles: newArticles.length 
+      processed: analyzed.length,
+      newArticles: newArticles.length,
+      deferred: deferred.length,
+      ...bandwidth
     };
   } catch (error) {
     console.error(`Error processing feed ${feed.id}:`, error);
-    return { feedId: feed.id, processed: 0, newArticles: 0, error: error.message };
+    // Only fetch and parse failures count against the feed itself
+    const disabled = fetched ? false : await recordFeedFailure(feed.id, RSS_CONFIG.ERROR_THRESHOLD);
+    return { feedId: feed.id, processed: 0, newArticles: 0, deferred: 0, bytesFetched: 0, bytesSaved: 0, error: error.message, disabled };
   }
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    const results = [];
-    
-    for (const feed of FEEDS) {
-      const result = await processFeed(feed);
-      results.push(result);
-      
-      // Rate limiting between feeds
-      await new Promise(resolve => setTimeout(resolve, 2000));
+    const startedAt = Date.now();
+    const batchMode = req.query?.mode === 'batch' || process.env.CLAUDE_BATCH_MODE === 'true';
+    // The pre-filter and the scorers match against the latest dictionary version
+    await loadDictionary();
+    const run = {
+      deadline: startedAt + RSS_CONFIG.RUN_TIME_BUDGET_MS,
+      hostThrottle: createHostThrottle(RSS_CONFIG.HOST_POLITENESS_MS),
+      batch: batchMode ? { items: [], seen: [] } : null,
+      // New signals are scored like the stored ones (see api/signal-rescore.js)
+      scoringProfile: await getActiveProfile()
+    };
+
+    // Collect any batches submitted by earlier runs, whichever mode this run
+    // uses, within a share of the budget; a large batch resumes next run
+    const collectedBatches = await pollAnalysisBatches({
+      deadline: Math.min(run.deadline, startedAt + RSS_CONFIG.BATCH_COLLECT_BUDGET_MS)
+    });
+
+    const feeds = await getActiveFeeds();
+
+    const results = await runPool(
+      feeds,
+      RSS_CONFIG.MAX_CONCURRENT_REQUESTS,
+      feed => processFeed(feed, run),
+      {
+        shouldStop: () => Date.now() >= run.deadline,
+        onSkipped: feed => ({
+          feedId: feed.id,
+          processed: 0,
+          newArticles: 0,
+          deferred: 0,
+          bytesFetched: 0,
+          bytesSaved: 0,
+          skipped: true
+        })
+      }
+    );
+
+    let submittedBatchId = null;
+    if (run.batch) {
+      submittedBatchId = await submitAnalysisBatch(run.batch.items);
+      for (const { feedId, articles, validators } of run.batch.seen) {
+        await markArticlesSeen(feedId, articles);
+        await saveFeedValidators(feedId, validators);
+      }
     }
 
     const totalProcessed = results.reduce((sum, r) => sum + r.processed, 0);
     const totalNewArticles = results.reduce((sum, r) => sum + r.newArticles, 0);
+    const bandwidth = {
+      bytesFetched: results.reduce((sum, r) => sum + r.bytesFetched, 0),
+      bytesSaved: results.reduce((sum, r) => sum + r.bytesSaved, 0),
+      notModifiedFeeds: results.filter(r => r.notModified).length
+    };
+
+    const skippedFeeds = results.filter(r => r.skipped).length;
+    const deferredArticles = results.reduce((sum, r) => sum + r.deferred, 0);
+    const partial = skippedFeeds > 0 || deferredArticles > 0;
+    const disabledFeeds = results.filter(r => r.disabled).map(r => r.feedId);
+
+    req.audit = {
+      action: 'rss.process',
+      after: { totalProcessed, totalNewArticles, skippedFeeds, deferredArticles, disabledFeeds, submittedBatchId },
+      metadata: { mode: batchMode ? 'batch' : 'direct' }
+    };
 
     res.status(200).json({
       success: true,
-      message: `Processed ${totalNewArticles} new articles, found ${totalProcessed} intelligence signals`,
+      partial,
+      message: `Processed ${totalNewArticles} new articles, found ${totalProcessed} intelligence signals` +
+        (partial ? ` (time budget reached: ${skippedFeeds} feeds skipped, ${deferredArticles} articles deferred)` : ''),
       results,
+      batch: {
+        mode: batchMode,
+        submittedBatchId,
+        queuedArticles: run.batch ? run.batch.items.length : 0,
+        collected: collectedBatches
+      },
+      bandwidth,
+      disabledFeeds,
+      durationMs: Date.now() - startedAt,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -81,4 +190,6 @@ export default async function handler(req, res) {
       message: error.message 
     });
   }
-} 
\ No newline at end of file
+}
+
+export default withAuth({ POST: ROLES.ANALYST }, withAudit({ entityType: 'Signal' }, handler), { cronRole: ROLES.ANALYST });
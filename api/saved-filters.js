@@ -0,0 +1,85 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+
+const SCOPES = ['signals', 'briefs'];
+
+async function handler(req, res) {
+  try {
+    // Saved filters always belong to the caller's own workspace
+    const workspaceId = req.user.workspace?.id;
+    if (!workspaceId) {
+      return res.status(400).json({ error: 'No workspace for this account' });
+    }
+
+    if (req.method === 'GET') {
+      const { scope } = req.query;
+
+      const filters = await prisma.savedFilter.findMany({
+        where: {
+          workspaceId,
+          ...(scope ? { scope } : {})
+        },
+        orderBy: { name: 'asc' }
+      });
+
+      res.status(200).json({
+        success: true,
+        filters
+      });
+
+    } else if (req.method === 'POST') {
+      // Saving under an existing name replaces that filter
+      const { name, scope, filters } = req.body || {};
+
+      if (!name || !name.trim() || !SCOPES.includes(scope) || !filters || typeof filters !== 'object') {
+        return res.status(400).json({
+          error: 'Invalid filter',
+          message: `name, scope (${SCOPES.join(' or ')}) and a filters object are required`
+        });
+      }
+
+      const savedFilter = await prisma.savedFilter.upsert({
+        where: { workspaceId_scope_name: { workspaceId, scope, name: name.trim() } },
+        update: { filters },
+        create: { workspaceId, scope, name: name.trim(), filters }
+      });
+
+      res.status(200).json({
+        success: true,
+        filter: savedFilter
+      });
+
+    } else if (req.method === 'DELETE') {
+      const { id } = req.query;
+
+      const { count } = await prisma.savedFilter.deleteMany({
+        where: { id, workspaceId }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved filter deleted'
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('Saved filters API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.VIEWER, DELETE: ROLES.VIEWER },
+  withAudit({ entityType: 'SavedFilter', model: 'savedFilter', responseKey: 'filter' }, handler)
+);
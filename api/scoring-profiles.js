@@ -0,0 +1,144 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import {
+  ProfileValidationError,
+  normalizeProfileInput,
+  listProfiles,
+  findProfile,
+  getActiveProfile,
+  getUserProfile,
+  previewProfile
+} from '../engine/scoringProfiles.js';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      // ?preview=<profile id> compares the latest signals' ranking under that profile
+      const { preview, limit } = req.query;
+      if (preview !== undefined) {
+        const profile = preview ? await findProfile(preview) : await getUserProfile(req.user);
+        if (!profile) {
+          return res.status(404).json({ error: 'Scoring profile not found' });
+        }
+
+        const comparison = await previewProfile(profile, parseInt(limit, 10) || undefined);
+        return res.status(200).json({
+          success: true,
+          ...comparison
+        });
+      }
+
+      const [profiles, active] = await Promise.all([listProfiles(), getActiveProfile()]);
+
+      res.status(200).json({
+        success: true,
+        profiles,
+        activeProfileId: active.id,
+        selectedProfileId: req.user.scoringProfile || null
+      });
+
+    } else if (req.method === 'PATCH') {
+      // { profileId } selects the caller's own profile; null clears it
+      const { profileId = null } = req.body || {};
+      if (profileId !== null && !(await findProfile(profileId))) {
+        return res.status(404).json({ error: 'Scoring profile not found' });
+      }
+
+      await prisma.user.update({
+        where: { id: req.user.id },
+        data: { scoringProfile: profileId }
+      });
+      req.audit = {
+        action: 'scoringProfile.select',
+        entityId: profileId,
+        before: null,
+        after: null,
+        metadata: { previous: req.user.scoringProfile || null }
+      };
+
+      res.status(200).json({
+        success: true,
+        selectedProfileId: profileId
+      });
+
+    } else if (req.method === 'POST') {
+      const profile = await prisma.scoringProfile.create({
+        data: {
+          ...normalizeProfileInput(req.body),
+          createdById: req.user.id || null
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        profile
+      });
+
+    } else if (req.method === 'PUT') {
+      const { id } = req.body || {};
+      const existing = id ? await prisma.scoringProfile.findUnique({ where: { id } }) : null;
+      if (!existing) {
+        return res.status(404).json({ error: 'Scoring profile not found', message: 'Built-in profiles cannot be edited' });
+      }
+
+      const profile = await prisma.scoringProfile.update({
+        where: { id },
+        data: normalizeProfileInput(req.body)
+      });
+
+      res.status(200).json({
+        success: true,
+        profile
+      });
+
+    } else if (req.method === 'DELETE') {
+      const { id } = req.query;
+      const existing = id ? await prisma.scoringProfile.findUnique({ where: { id } }) : null;
+      if (!existing) {
+        return res.status(404).json({ error: 'Scoring profile not found' });
+      }
+
+      const active = await getActiveProfile();
+      if (active.id === id) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'Stored scores use this profile; re-score with another profile before deleting it'
+        });
+      }
+
+      await prisma.scoringProfile.delete({ where: { id } });
+
+      res.status(200).json({
+        success: true,
+        message: 'Scoring profile deleted'
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    if (error instanceof ProfileValidationError) {
+      return res.status(400).json({ error: 'Invalid scoring profile', message: error.message });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Duplicate scoring profile',
+        message: 'A scoring profile with this name already exists'
+      });
+    }
+
+    console.error('Scoring profiles API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, PATCH: ROLES.VIEWER, POST: ROLES.ADMIN, PUT: ROLES.ADMIN, DELETE: ROLES.ADMIN },
+  withAudit({ entityType: 'ScoringProfile', model: 'scoringProfile', responseKey: 'profile' }, handler)
+);
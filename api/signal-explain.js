@@ -0,0 +1,40 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { explainSignalScore } from '../engine/scoreExplanation.js';
+
+// Reached as /api/signals/:id/explain (see vercel.json)
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id } = req.query;
+    const signal = id ? await prisma.signal.findUnique({ where: { id } }) : null;
+    if (!signal) {
+      return res.status(404).json({ error: 'Signal not found' });
+    }
+
+    const explanation = explainSignalScore(signal);
+    if (!explanation) {
+      return res.status(404).json({
+        error: 'Score breakdown not found',
+        message: 'This signal was stored without a factor breakdown'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      explanation
+    });
+
+  } catch (error) {
+    console.error('Signal explain API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth({ GET: ROLES.VIEWER }, handler);
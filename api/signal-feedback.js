@@ -0,0 +1,119 @@
+import { prisma } from '../lib/db.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import { PRIORITY_LEVELS } from '../src/services/scoring/scoreCalibrator.js';
+
+const RATINGS = ['up', 'down'];
+
+/**
+ * Checks a feedback body: a rating, a corrected priority or both
+ * @returns {string|null} What is wrong with it
+ */
+function validateFeedback({ rating = null, correctPriority = null }, signal) {
+  if (rating !== null && !RATINGS.includes(rating)) {
+    return `rating must be one of ${RATINGS.join(', ')} or null`;
+  }
+  if (correctPriority !== null && !PRIORITY_LEVELS.includes(correctPriority)) {
+    return `correctPriority must be one of ${PRIORITY_LEVELS.join(', ')} or null`;
+  }
+  if (rating === null && correctPriority === null) {
+    return 'Send a rating or a correctPriority; DELETE removes feedback';
+  }
+  if (correctPriority !== null && rating === 'up') {
+    return 'A thumbs-up confirms the shown priority and cannot correct it';
+  }
+  if (correctPriority !== null && correctPriority === signal.escalationRisk) {
+    return `The signal is already ${correctPriority}`;
+  }
+  return null;
+}
+
+/**
+ * Thumbs-up/down and priority corrections on a signal's scoring, one per
+ * analyst. Reached as /api/signals/:id/feedback (see vercel.json).
+ */
+async function handler(req, res) {
+  try {
+    const { id } = req.query;
+    const signal = id
+      ? await prisma.signal.findUnique({ where: { id }, select: { id: true, escalationRisk: true, signalScore: true } })
+      : null;
+    if (!signal) {
+      return res.status(404).json({ error: 'Signal not found' });
+    }
+
+    const where = { signalId_userId: { signalId: signal.id, userId: req.user.id } };
+
+    if (req.method === 'GET') {
+      const [feedback, ratings, corrections] = await Promise.all([
+        prisma.signalFeedback.findUnique({ where }),
+        prisma.signalFeedback.groupBy({ by: ['rating'], where: { signalId: signal.id }, _count: true }),
+        prisma.signalFeedback.count({ where: { signalId: signal.id, correctPriority: { not: null } } })
+      ]);
+      const countOf = (rating) => ratings.find(group => group.rating === rating)?._count || 0;
+
+      res.status(200).json({
+        success: true,
+        feedback,
+        counts: { up: countOf('up'), down: countOf('down'), corrections }
+      });
+
+    } else if (req.method === 'PUT') {
+      // { rating: 'up' | 'down' | null, correctPriority: level | null }
+      const body = req.body || {};
+      const message = validateFeedback(body, signal);
+      if (message) {
+        return res.status(400).json({ error: 'Invalid feedback', message });
+      }
+
+      const before = await prisma.signalFeedback.findUnique({ where });
+      const data = {
+        rating: body.rating ?? null,
+        correctPriority: body.correctPriority ?? null,
+        // What the analyst judged, so later re-scoring does not change the label
+        shownPriority: signal.escalationRisk,
+        shownScore: signal.signalScore
+      };
+      const feedback = await prisma.signalFeedback.upsert({
+        where,
+        create: { signalId: signal.id, userId: req.user.id, ...data },
+        update: data
+      });
+      req.audit = { action: 'signal.feedback', entityId: feedback.id, before, after: feedback };
+
+      res.status(200).json({
+        success: true,
+        feedback
+      });
+
+    } else if (req.method === 'DELETE') {
+      const before = await prisma.signalFeedback.findUnique({ where });
+      if (!before) {
+        return res.status(404).json({ error: 'Feedback not found' });
+      }
+
+      await prisma.signalFeedback.delete({ where });
+      req.audit = { action: 'signal.feedback.delete', entityId: before.id, before, after: null };
+
+      res.status(200).json({
+        success: true,
+        message: 'Feedback removed'
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('Signal feedback API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, PUT: ROLES.ANALYST, DELETE: ROLES.ANALYST },
+  withAudit({ entityType: 'SignalFeedback' }, handler)
+);
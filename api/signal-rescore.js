@@ -0,0 +1,54 @@
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+import { findProfile, setActiveProfile, rescoreSignals } from '../engine/scoringProfiles.js';
+
+/**
+ * Re-scores every stored signal under a scoring profile, reusing Claude's
+ * stored scores. Each request works until its time budget runs out; send the
+ * returned nextCursor back until done is true.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // { profileId, cursor? }
+    const { profileId, cursor = null } = req.body || {};
+    const profile = await findProfile(profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Scoring profile not found' });
+    }
+
+    // The first request switches ingestion to the profile so new signals match
+    if (!cursor) {
+      await setActiveProfile(profile, req.user);
+    }
+
+    const result = await rescoreSignals(profile, cursor);
+    req.audit = cursor
+      ? { skip: true }
+      : {
+          action: 'signal.rescore',
+          entityId: null,
+          before: null,
+          after: null,
+          metadata: { profileId: profile.id, profileName: profile.name }
+        };
+
+    res.status(200).json({
+      success: true,
+      profile: { id: profile.id, name: profile.name },
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Signal rescore API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth({ POST: ROLES.ADMIN }, withAudit({ entityType: 'Signal' }, handler));
@@ -1,50 +1,302 @@
 import { prisma } from '../lib/db.js';
+import { buildEntityLinks, groupEntities, normalizeEntityName } from '../engine/entityStore.js';
+import { buildTsQuery, searchSignalIds, getSearchHighlights } from '../engine/signalSearch.js';
+import {
+  PaginationError,
+  buildKeysetQuery,
+  toPage,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  parseLimit,
+  parseList,
+  parseNumber,
+  parseDate,
+  buildRange
+} from '../engine/pagination.js';
+import { RESCORE_SELECT, getUserRankingProfile, scoreUnderProfile } from '../engine/scoringProfiles.js';
+import { loadDictionary } from '../engine/dictionary.js';
+import { SEARCH_CONFIG, PAGINATION_CONFIG, SIGNAL_SCORING_CONFIG } from '../src/constants/api.js';
+import { withAuth, ROLES } from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
 
-export default async function handler(req, res) {
+const ENTITY_INCLUDE = {
+  entities: {
+    include: {
+      entity: { select: { name: true, type: true } }
+    }
+  }
+};
+
+// Lists also load the signed-in user's scoring feedback on each signal
+const listInclude = (userId) => ({
+  ...ENTITY_INCLUDE,
+  feedback: {
+    where: { userId },
+    select: { rating: true, correctPriority: true }
+  }
+});
+
+/**
+ * Adds the `intelligence` object the signal components read, built from the
+ * stored analysis columns and entity links, and the user's `myFeedback`. With
+ * the user's own scoring profile, relevanceScore is the score under it;
+ * signalScore stays the stored one.
+ */
+function withIntelligence(signal, profile = null) {
+  const { entities, feedback, ...fields } = signal;
+
+  return {
+    ...fields,
+    myFeedback: feedback?.[0] || null,
+    intelligence: {
+      relevanceScore: profile ? scoreUnderProfile(signal, profile) : signal.signalScore,
+      confidenceLevel: signal.confidenceLevel,
+      credibility: signal.credibility,
+      priority: signal.escalationRisk,
+      categories: signal.category,
+      regions: signal.region,
+      tags: signal.tags,
+      entities: groupEntities(entities),
+      isAdvertisement: signal.isAdvertisement,
+      isDuplicate: signal.isDuplicate,
+      duplicateOf: signal.duplicateOf,
+      isSignificantUpdate: signal.isSignificantUpdate
+    }
+  };
+}
+
+/**
+ * Prisma filter for the list query parameters. List filters accept repeated
+ * or comma-separated values; ranges are inclusive. Without `scoreRange` the
+ * score range is left to the caller.
+ */
+function buildSignalFilter(query, { scoreRange = true } = {}) {
+  const {
+    category,
+    escalationRisk,
+    region,
+    sourceType,
+    tag,
+    entity,
+    entityType,
+    from,
+    to,
+    minScore,
+    maxScore,
+    minCredibility,
+    maxCredibility
+  } = query;
+
+  const where = {};
+  const categories = parseList(category);
+  const risks = parseList(escalationRisk);
+  const regions = parseList(region);
+  const sourceTypes = parseList(sourceType);
+  const tags = parseList(tag);
+
+  if (categories.length > 0) {
+    where.category = { hasSome: categories };
+  }
+
+  if (risks.length > 0) {
+    where.escalationRisk = { in: risks };
+  }
+
+  if (regions.length > 0) {
+    where.region = { hasSome: regions };
+  }
+
+  if (sourceTypes.length > 0) {
+    where.sourceType = { in: sourceTypes };
+  }
+
+  if (tags.length > 0) {
+    where.tags = { hasEvery: tags };
+  }
+
+  if (entity || entityType) {
+    where.entities = {
+      some: {
+        entity: {
+          ...(entity ? { normalizedName: normalizeEntityName(entity) } : {}),
+          ...(entityType ? { type: entityType.toUpperCase() } : {})
+        }
+      }
+    };
+  }
+
+  const createdAt = buildRange(parseDate(from), parseDate(to, { endOfDay: true }));
+  if (createdAt) where.createdAt = createdAt;
+
+  const signalScore = scoreRange ? buildRange(parseNumber(minScore), parseNumber(maxScore)) : null;
+  if (signalScore) where.signalScore = signalScore;
+
+  const credibility = buildRange(parseNumber(minCredibility), parseNumber(maxCredibility));
+  if (credibility) where.credibility = credibility;
+
+  return where;
+}
+
+/**
+ * Sort for the `sort` (createdAt, score, credibility) and `order` parameters
+ */
+function getSignalSort({ sort = 'createdAt', order = 'desc' }) {
+  const field = PAGINATION_CONFIG.SIGNAL_SORTS[sort];
+  if (!field) {
+    throw new PaginationError(`Unknown sort "${sort}"`);
+  }
+
+  return {
+    field,
+    order: order === 'asc' ? 'asc' : 'desc',
+    type: field === 'createdAt' ? 'date' : 'number',
+    nullable: field !== 'createdAt'
+  };
+}
+
+/**
+ * Full-text search over title, summary and content. Matches are ranked in
+ * Postgres, narrowed by the other filters, then paged in rank order; each
+ * signal gets a `search` object with its rank and highlighted title/snippet.
+ */
+async function searchSignals(search, where, limit, cursor, userId, profile) {
+  const tsQuery = buildTsQuery(search);
+  if (!tsQuery) {
+    return { success: true, signals: [], total: 0, hasMore: false, nextCursor: null, query: null };
+  }
+
+  const offset = decodeOffsetCursor(cursor);
+  const matches = await searchSignalIds(tsQuery, SEARCH_CONFIG.MAX_MATCHES);
+  const rankById = new Map(matches.map(match => [match.id, match.rank]));
+
+  const filtered = await prisma.signal.findMany({
+    where: { ...where, id: { in: matches.map(match => match.id) } },
+    select: { id: true }
+  });
+  const orderedIds = filtered
+    .map(signal => signal.id)
+    .sort((a, b) => rankById.get(b) - rankById.get(a));
+  const pageIds = orderedIds.slice(offset, offset + limit);
+  const hasMore = offset + limit < orderedIds.length;
+
+  const [signals, highlights] = await Promise.all([
+    prisma.signal.findMany({ where: { id: { in: pageIds } }, include: listInclude(userId) }),
+    getSearchHighlights(pageIds, tsQuery, {
+      start: SEARCH_CONFIG.HIGHLIGHT_START,
+      stop: SEARCH_CONFIG.HIGHLIGHT_STOP,
+      maxWords: SEARCH_CONFIG.SNIPPET_MAX_WORDS,
+      minWords: SEARCH_CONFIG.SNIPPET_MIN_WORDS,
+      maxFragments: SEARCH_CONFIG.SNIPPET_MAX_FRAGMENTS
+    })
+  ]);
+  const signalsById = new Map(signals.map(signal => [signal.id, signal]));
+
+  return {
+    success: true,
+    signals: pageIds.filter(id => signalsById.has(id)).map(id => ({
+      ...withIntelligence(signalsById.get(id), profile),
+      search: {
+        rank: rankById.get(id),
+        highlights: highlights[id] || null
+      }
+    })),
+    total: orderedIds.length,
+    hasMore,
+    nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null,
+    query: tsQuery,
+    scoringProfile: profile ? { id: profile.id, name: profile.name } : null
+  };
+}
+
+/**
+ * Signals ordered or filtered by their score under the user's own profile.
+ * Those scores are not stored, so the latest MAX_PROFILE_RANKED_SIGNALS
+ * matches of the other filters are scored in memory, then paged by offset.
+ */
+async function rankSignalsForProfile(query, profile, limit, cursor, userId) {
+  const offset = decodeOffsetCursor(cursor);
+  const { sort = 'createdAt', order = 'desc' } = query;
+  const scoreRange = buildRange(parseNumber(query.minScore), parseNumber(query.maxScore));
+
+  const candidates = await prisma.signal.findMany({
+    where: buildSignalFilter(query, { scoreRange: false }),
+    select: { ...RESCORE_SELECT, credibility: true },
+    orderBy: { createdAt: 'desc' },
+    take: SIGNAL_SCORING_CONFIG.MAX_PROFILE_RANKED_SIGNALS
+  });
+
+  const sortValue = {
+    createdAt: signal => signal.createdAt.getTime(),
+    score: signal => signal.score,
+    credibility: signal => signal.credibility ?? -1
+  }[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  const ranked = candidates
+    .map(signal => ({ ...signal, score: scoreUnderProfile(signal, profile) }))
+    .filter(({ score }) => (scoreRange?.gte === undefined || score >= scoreRange.gte) &&
+      (scoreRange?.lte === undefined || score <= scoreRange.lte))
+    .sort((a, b) => direction * (sortValue(a) - sortValue(b)) || b.createdAt - a.createdAt);
+
+  const pageIds = ranked.slice(offset, offset + limit).map(({ id }) => id);
+  const hasMore = offset + limit < ranked.length;
+  const signals = await prisma.signal.findMany({ where: { id: { in: pageIds } }, include: listInclude(userId) });
+  const signalsById = new Map(signals.map(signal => [signal.id, signal]));
+
+  return {
+    success: true,
+    signals: pageIds.filter(id => signalsById.has(id)).map(id => withIntelligence(signalsById.get(id), profile)),
+    total: ranked.length,
+    hasMore,
+    nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null,
+    scoringProfile: { id: profile.id, name: profile.name },
+    truncated: candidates.length === SIGNAL_SCORING_CONFIG.MAX_PROFILE_RANKED_SIGNALS
+  };
+}
+
+async function handler(req, res) {
   try {
     if (req.method === 'GET') {
-      const { 
-        limit = 50, 
-        offset = 0, 
-        category, 
-        escalationRisk, 
-        minScore = 0 
-      } = req.query;
-
-      const where = {};
-      
-      if (category && category !== 'all') {
-        where.category = {
-          has: category
-        };
+      const { cursor, search } = req.query;
+      const limit = parseLimit(req.query.limit, PAGINATION_CONFIG.SIGNALS_PAGE_SIZE, PAGINATION_CONFIG.MAX_PAGE_SIZE);
+      const where = buildSignalFilter(req.query);
+
+      // Scores follow the caller's own profile when stored ones use another
+      const profile = await getUserRankingProfile(req.user);
+      if (profile) {
+        // Signals stored before factor scores were kept are scored from their text
+        await loadDictionary();
       }
-      
-      if (escalationRisk && escalationRisk !== 'all') {
-        where.escalationRisk = escalationRisk;
+
+      if (search && search.trim()) {
+        return res.status(200).json(await searchSignals(search, where, limit, cursor, req.user.id, profile));
       }
-      
-      if (minScore > 0) {
-        where.signalScore = {
-          gte: parseFloat(minScore)
-        };
+
+      const sort = getSignalSort(req.query);
+      const byScore = req.query.sort === 'score' || req.query.minScore !== undefined || req.query.maxScore !== undefined;
+      if (profile && byScore) {
+        return res.status(200).json(await rankSignalsForProfile(req.query, profile, limit, cursor, req.user.id));
       }
 
-      const signals = await prisma.signal.findMany({
-        where,
-        orderBy: {
-          createdAt: 'desc'
-        },
-        take: parseInt(limit),
-        skip: parseInt(offset)
-      });
+      const keyset = buildKeysetQuery(sort, cursor);
 
-      const total = await prisma.signal.count({ where });
+      const [rows, total] = await Promise.all([
+        prisma.signal.findMany({
+          where: { AND: [where, keyset.where] },
+          orderBy: keyset.orderBy,
+          take: limit + 1,
+          include: listInclude(req.user.id)
+        }),
+        prisma.signal.count({ where })
+      ]);
+      const page = toPage(rows, limit, sort);
 
       res.status(200).json({
         success: true,
-        signals,
+        signals: page.items.map(signal => withIntelligence(signal, profile)),
         total,
-        hasMore: (parseInt(offset) + parseInt(limit)) < total
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        scoringProfile: profile ? { id: profile.id, name: profile.name } : null
       });
 
     } else if (req.method === 'POST') {
@@ -62,13 +314,23 @@ export default async function handler(req, res) {
           credibility: signalData.credibility || 50,
           signalScore: signalData.signalScore || 30,
           category: signalData.category || ['GENERAL'],
-          region: signalData.region || []
-        }
+          region: signalData.region || [],
+          tags: signalData.tags || [],
+          confidenceLevel: signalData.confidenceLevel ?? null,
+          isAdvertisement: Boolean(signalData.isAdvertisement),
+          isDuplicate: Boolean(signalData.isDuplicate),
+          duplicateOf: signalData.duplicateOf || null,
+          isSignificantUpdate: Boolean(signalData.isSignificantUpdate),
+          entities: {
+            create: buildEntityLinks(signalData.entities)
+          }
+        },
+        include: ENTITY_INCLUDE
       });
 
       res.status(201).json({
         success: true,
-        signal
+        signal: withIntelligence(signal)
       });
 
     } else {
@@ -76,10 +338,19 @@ export default async function handler(req, res) {
     }
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: 'Invalid request', message: error.message });
+    }
+
     console.error('Signals API error:', error);
     res.status(500).json({ 
       error: 'Internal server error', 
       message: error.message 
     });
   }
-}
\ No newline at end of file
+}
+
+export default withAuth(
+  { GET: ROLES.VIEWER, POST: ROLES.ANALYST },
+  withAudit({ entityType: 'Signal', model: 'signal', responseKey: 'signal' }, handler)
+);
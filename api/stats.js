@@ -1,6 +1,8 @@
 import { prisma } from '../lib/db.js';
+import { getParseStats } from '../engine/parseStats.js';
+import { withAuth, ROLES } from '../engine/auth.js';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     if (req.method !== 'GET') {
       return res.status(405).json({ error: 'Method not allowed' });
@@ -70,6 +72,7 @@ export default async function handler(req, res) {
     // Get feed health
     const feedHealth = await prisma.rSSFeed.findMany({
       select: {
+        id: true,
         name: true,
         status: true,
         errorCount: true,
@@ -83,6 +86,30 @@ export default async function handler(req, res) {
     const healthyFeeds = feedHealth.filter(feed => feed.status === 'active').length;
     const errorFeeds = feedHealth.filter(feed => feed.status === 'error').length;
 
+    // Get bandwidth saved by conditional fetching
+    const feedTracking = await prisma.feedTracking.findMany({
+      select: {
+        feedId: true,
+        bytesFetched: true,
+        bytesSaved: true,
+        notModifiedCount: true,
+        lastFetchedAt: true
+      }
+    });
+
+    const feedNames = Object.fromEntries(feedHealth.map(feed => [feed.id, feed.name]));
+    const bandwidthFeeds = feedTracking.map(tracking => ({
+      feedId: tracking.feedId,
+      feedName: feedNames[tracking.feedId] || null,
+      bytesFetched: Number(tracking.bytesFetched),
+      bytesSaved: Number(tracking.bytesSaved),
+      notModifiedCount: tracking.notModifiedCount,
+      lastFetchedAt: tracking.lastFetchedAt
+    }));
+
+    // Structured-output parse failures per Claude model
+    const analysisParsing = await getParseStats();
+
     res.status(200).json({
       success: true,
       stats: {
@@ -103,7 +130,13 @@ export default async function handler(req, res) {
           healthy: healthyFeeds,
           errors: errorFeeds,
           total: activeFeeds
-        }
+        },
+        bandwidth: {
+          totalBytesFetched: bandwidthFeeds.reduce((sum, feed) => sum + feed.bytesFetched, 0),
+          totalBytesSaved: bandwidthFeeds.reduce((sum, feed) => sum + feed.bytesSaved, 0),
+          feeds: bandwidthFeeds
+        },
+        analysisParsing
       },
       timestamp: new Date().toISOString()
     });
@@ -115,4 +148,6 @@ export default async function handler(req, res) {
       message: error.message 
     });
   }
-}
\ No newline at end of file
+}
+
+export default withAuth({ GET: ROLES.VIEWER }, handler);
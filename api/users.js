@@ -0,0 +1,165 @@
+import { prisma } from '../lib/db.js';
+import {
+  withAuth,
+  authenticate,
+  createUser,
+  bootstrapAdmin,
+  BootstrapClosedError,
+  hasRole,
+  hashPassword,
+  ROLES
+} from '../engine/auth.js';
+import { withAudit } from '../engine/audit.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const USER_FIELDS = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  lastLoginAt: true,
+  createdAt: true
+};
+
+/**
+ * Validation errors for a user payload; `partial` skips missing fields (updates)
+ */
+function validateUser(data, partial = false) {
+  const errors = [];
+
+  if (!partial || data.email !== undefined) {
+    if (!EMAIL_PATTERN.test(data.email || '')) errors.push('email must be a valid address');
+  }
+  if (!partial || data.password !== undefined) {
+    if ((data.password || '').length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+  if (data.role !== undefined && !Object.values(ROLES).includes(data.role)) {
+    errors.push(`role must be one of ${Object.values(ROLES).join(', ')}`);
+  }
+
+  return errors;
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const users = await prisma.user.findMany({
+        select: USER_FIELDS,
+        orderBy: { createdAt: 'asc' }
+      });
+
+      res.status(200).json({
+        success: true,
+        users
+      });
+
+    } else if (req.method === 'POST') {
+      // The first account bootstraps the deployment as admin; after that only
+      // admins can add users
+      const userCount = await prisma.user.count();
+      if (userCount > 0) {
+        const currentUser = await authenticate(req);
+        if (!currentUser) {
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!hasRole(currentUser, ROLES.ADMIN)) {
+          return res.status(403).json({ error: 'Forbidden', message: `Requires ${ROLES.ADMIN} role` });
+        }
+        req.user = currentUser;
+      } else {
+        req.audit = { action: 'user.bootstrap' };
+      }
+
+      const userData = req.body || {};
+      const errors = validateUser(userData);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', message: errors.join('; ') });
+      }
+
+      const existing = await prisma.user.findUnique({ where: { email: userData.email.trim().toLowerCase() } });
+      if (existing) {
+        return res.status(409).json({ error: 'User already exists' });
+      }
+
+      // Two first sign-ups can both see no users; bootstrapAdmin lets only one through
+      const user = userCount === 0
+        ? await bootstrapAdmin(userData)
+        : await createUser({
+          email: userData.email,
+          password: userData.password,
+          name: userData.name,
+          role: userData.role || ROLES.VIEWER
+        });
+
+      res.status(201).json({
+        success: true,
+        user
+      });
+
+    } else if (req.method === 'PUT') {
+      const { id, name, role, isActive, password } = req.body || {};
+      const errors = validateUser({ role, password }, true);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', message: errors.join('; ') });
+      }
+
+      if (id === req.user.id && ((role !== undefined && role !== ROLES.ADMIN) || isActive === false)) {
+        return res.status(400).json({ error: 'Invalid user', message: 'Admins cannot demote or deactivate themselves' });
+      }
+
+      const data = {};
+      if (name !== undefined) data.name = name;
+      if (role !== undefined) data.role = role;
+      if (isActive !== undefined) data.isActive = Boolean(isActive);
+      if (password !== undefined) data.passwordHash = hashPassword(password);
+
+      const user = await prisma.user.update({
+        where: { id },
+        data,
+        select: USER_FIELDS
+      });
+
+      // Role, status and password changes sign the user out everywhere
+      if (role !== undefined || isActive !== undefined || password !== undefined) {
+        await prisma.session.updateMany({
+          where: { userId: id, revokedAt: null },
+          data: { revokedAt: new Date() }
+        });
+      }
+
+      // The hash itself is never audited, only that it changed
+      if (password !== undefined) {
+        req.audit = { metadata: { passwordChanged: true } };
+      }
+
+      res.status(200).json({
+        success: true,
+        user
+      });
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    if (error instanceof BootstrapClosedError) {
+      return res.status(409).json({ error: 'Bootstrap closed', message: `${error.message}; sign in as an admin to add users` });
+    }
+
+    console.error('Users API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(
+  { GET: ROLES.ADMIN, POST: null, PUT: ROLES.ADMIN },
+  withAudit({ entityType: 'User', model: 'user', responseKey: 'user' }, handler)
+);
@@ -0,0 +1,206 @@
+// Authentication primitives shared by server.js and the api/ handlers
+// Passwords are hashed with scrypt; sessions are carried in HMAC-signed bearer
+// tokens. Both server.js and the api/ handlers also check the Session row on
+// every request, so logouts, deactivations and role changes apply at once.
+
+const crypto = require('crypto');
+
+const ROLES = {
+  VIEWER: 'viewer',
+  ANALYST: 'analyst',
+  ADMIN: 'admin'
+};
+
+// Each role can do everything the roles below it can
+const ROLE_RANK = {
+  [ROLES.VIEWER]: 1,
+  [ROLES.ANALYST]: 2,
+  [ROLES.ADMIN]: 3
+};
+
+const SESSION_TTL_HOURS = parseInt(process.env.AUTH_SESSION_TTL_HOURS || '12', 10);
+
+const SCRYPT_KEY_LENGTH = 64;
+
+class AuthError extends Error {
+  /**
+   * @param {number} status - HTTP status to answer with (401, 403 or 500)
+   * @param {string} message - Error message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Checks whether a user's role includes the required role
+ * @param {Object} user - User (or token claims) with a `role`
+ * @param {string} role - Required role
+ * @returns {boolean} True when the user's role ranks at or above `role`
+ */
+function hasRole(user, role) {
+  return Boolean(user) && (ROLE_RANK[user.role] || 0) >= (ROLE_RANK[role] || Infinity);
+}
+
+/**
+ * Hashes a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {string} "scrypt$<salt>$<hash>" (hex)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {boolean} True when the password matches
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Compares a secret sent by a client with the expected one in constant time
+ * @param {string} actual - Secret from the request
+ * @param {string} expected - Configured secret
+ * @returns {boolean} True when both are non-empty and equal
+ */
+function secretsMatch(actual, expected) {
+  if (!actual || !expected) return false;
+
+  const actualBuffer = Buffer.from(actual);
+  const expectedBuffer = Buffer.from(expected);
+  return actualBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+}
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new AuthError(500, 'AUTH_SECRET is not configured');
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issues a signed bearer token
+ * @param {Object} claims - { sid, sub, role, ws }
+ * @param {Date} expiresAt - Token expiry
+ * @returns {string} Token
+ */
+function signToken(claims, expiresAt) {
+  const payload = Buffer.from(JSON.stringify({ ...claims, exp: expiresAt.getTime() })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifies a bearer token's signature and expiry
+ * @param {string} token - Token from signToken
+ * @returns {Object|null} Claims, or null when the token is invalid or expired
+ */
+function verifyToken(token) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+
+  if (!secretsMatch(signature, sign(payload))) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the bearer token from a request's Authorization header
+ * @param {Object} req - HTTP request
+ * @returns {string|null} Token
+ */
+function getBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Loads the session behind verified token claims together with its user
+ * @param {Object} prisma - Prisma client
+ * @param {Object} claims - Claims from verifyToken
+ * @param {Object} userSelect - User fields to load
+ * @returns {Promise<Object|null>} Session with `user`, or null when it was revoked, has expired or the user is inactive
+ */
+async function findActiveSession(prisma, claims, userSelect) {
+  const session = await prisma.session.findUnique({
+    where: { id: claims.sid },
+    include: { user: { select: userSelect } }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date() || !session.user?.isActive) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Express middleware requiring a signed-in user with at least the given role.
+ * The session and the user's current role are read on every request.
+ * @param {string} role - Required role
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  // Required here rather than at the top so the api/ handlers, which use lib/db, do not create a second client
+  const { prisma } = require('./serverDb');
+
+  return async (req, res, next) => {
+    let session;
+    try {
+      const claims = verifyToken(getBearerToken(req));
+      session = claims ? await findActiveSession(prisma, claims, { id: true, role: true, isActive: true }) : null;
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: 'Authentication unavailable', message: error.message });
+    }
+
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(session.user, role)) {
+      return res.status(403).json({ error: 'Forbidden', message: `Requires ${role} role` });
+    }
+
+    req.auth = { sid: session.id, sub: session.user.id, role: session.user.role };
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_RANK,
+  SESSION_TTL_HOURS,
+  AuthError,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  getBearerToken,
+  secretsMatch,
+  findActiveSession,
+  requireRole
+};
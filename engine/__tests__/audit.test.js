@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+import { withAudit } from '../audit';
+
+jest.mock('../../lib/db', () => ({
+  prisma: {
+    auditEvent: { create: jest.fn() },
+    brief: { findUnique: jest.fn() }
+  }
+}));
+
+const { prisma } = require('../../lib/db');
+
+// Records the order in which the audit write and the response happen
+function setUp() {
+  const calls = [];
+  const json = jest.fn(() => calls.push('response'));
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json
+  };
+  prisma.auditEvent.create.mockImplementation(async () => calls.push('audit'));
+  prisma.brief.findUnique.mockResolvedValue(null);
+  return { calls, res, json };
+}
+
+describe('withAudit', () => {
+  test('writes the audit event before sending the response', async () => {
+    const { calls, res, json } = setUp();
+    const handler = withAudit({ entityType: 'Brief', model: 'brief', responseKey: 'brief' }, async (req, response) =>
+      response.status(201).json({ success: true, brief: { id: 'brief-1', title: 'Weekly' } })
+    );
+
+    await handler({ method: 'POST', body: { title: 'Weekly' }, query: {}, url: '/api/briefs' }, res);
+
+    expect(calls).toEqual(['audit', 'response']);
+    expect(json).toHaveBeenCalledWith({ success: true, brief: { id: 'brief-1', title: 'Weekly' } });
+    expect(prisma.auditEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'brief.create', entityId: 'brief-1', status: 201 })
+    });
+  });
+
+  test('sends error responses without an audit event', async () => {
+    const { calls, res, json } = setUp();
+    const handler = withAudit({ entityType: 'Brief' }, async (req, response) =>
+      response.status(400).json({ error: 'Invalid brief' })
+    );
+
+    await handler({ method: 'PUT', body: {}, query: {}, url: '/api/briefs' }, res);
+
+    expect(calls).toEqual(['response']);
+    expect(json).toHaveBeenCalledWith({ error: 'Invalid brief' });
+  });
+
+  test('still sends the response when the handler throws after answering', async () => {
+    const { res, json } = setUp();
+    const handler = withAudit({ entityType: 'Brief' }, async (req, response) => {
+      response.status(200).json({ success: true });
+      throw new Error('late failure');
+    });
+
+    await expect(handler({ method: 'DELETE', body: {}, query: {}, url: '/api/briefs' }, res)).rejects.toThrow('late failure');
+    expect(json).toHaveBeenCalledWith({ success: true });
+  });
+});
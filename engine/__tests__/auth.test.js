@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+import { bootstrapAdmin, BootstrapClosedError, withAuth, ROLES } from '../auth';
+
+jest.mock('../../lib/db', () => ({
+  prisma: { $transaction: jest.fn(), session: { findUnique: jest.fn() } }
+}));
+
+const { prisma } = require('../../lib/db');
+
+const response = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() });
+
+describe('bootstrapAdmin', () => {
+  const tx = { user: { count: jest.fn(), create: jest.fn() } };
+
+  beforeEach(() => {
+    prisma.$transaction.mockImplementation((work) => work(tx));
+    tx.user.create.mockImplementation(async ({ data }) => ({ email: data.email, role: data.role }));
+  });
+
+  test('creates the first account as admin in a serializable transaction', async () => {
+    tx.user.count.mockResolvedValue(0);
+
+    const user = await bootstrapAdmin({ email: 'Lead@Example.com', password: 'long-enough', name: 'Lead', role: ROLES.VIEWER });
+
+    expect(user).toEqual({ email: 'lead@example.com', role: ROLES.ADMIN });
+    expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'Serializable' });
+  });
+
+  test('refuses once a user exists', async () => {
+    tx.user.count.mockResolvedValue(1);
+
+    await expect(bootstrapAdmin({ email: 'late@example.com', password: 'long-enough' }))
+      .rejects.toBeInstanceOf(BootstrapClosedError);
+    expect(tx.user.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses when a concurrent bootstrap committed first', async () => {
+    prisma.$transaction.mockRejectedValue(Object.assign(new Error('write conflict'), { code: 'P2034' }));
+
+    await expect(bootstrapAdmin({ email: 'late@example.com', password: 'long-enough' }))
+      .rejects.toBeInstanceOf(BootstrapClosedError);
+  });
+});
+
+describe('withAuth cron secret', () => {
+  const handler = jest.fn();
+  const wrapped = withAuth({ POST: ROLES.ANALYST }, handler, { cronRole: ROLES.ANALYST });
+
+  beforeEach(() => {
+    handler.mockImplementation((req, res) => res.status(200).json({ user: req.user }));
+    process.env.CRON_SECRET = 'cron-secret';
+    process.env.AUTH_SECRET = 'test-secret';
+  });
+
+  test('accepts the configured secret as the cron role', async () => {
+    const res = response();
+    await wrapped({ method: 'POST', headers: { authorization: 'Bearer cron-secret' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(handler.mock.calls[0][0].user).toMatchObject({ role: ROLES.ANALYST, isService: true });
+  });
+
+  test('rejects a different secret', async () => {
+    const res = response();
+    await wrapped({ method: 'POST', headers: { authorization: 'Bearer cron-secreT' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
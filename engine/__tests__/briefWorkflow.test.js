@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { transitionBrief, WorkflowError } from '../briefWorkflow';
+import { applyBriefUpdate } from '../briefRevisions';
+
+jest.mock('../../lib/db', () => ({ prisma: { $transaction: jest.fn() } }));
+jest.mock('../briefRevisions', () => ({ applyBriefUpdate: jest.fn() }));
+
+const { prisma } = require('../../lib/db');
+
+const analyst = { id: 'analyst-1', email: 'analyst@example.com', role: 'analyst', isActive: true };
+const colleague = { id: 'analyst-2', email: 'colleague@example.com', role: 'analyst', isActive: true };
+const admin = { id: 'admin-1', email: 'admin@example.com', role: 'admin', isActive: true };
+const users = { [analyst.id]: analyst, [colleague.id]: colleague, [admin.id]: admin };
+
+const tx = {
+  brief: { findUnique: jest.fn() },
+  user: { findUnique: jest.fn() },
+  briefTransition: { create: jest.fn() }
+};
+
+beforeEach(() => {
+  prisma.$transaction.mockImplementation((work) => work(tx));
+  tx.brief.findUnique.mockResolvedValue({ id: 'brief-1', status: 'DRAFT', reviewerId: null });
+  tx.user.findUnique.mockImplementation(async ({ where }) => users[where.id] || null);
+  tx.briefTransition.create.mockImplementation(async ({ data }) => data);
+  applyBriefUpdate.mockImplementation(async (client, current, data) => ({ ...current, ...data }));
+});
+
+describe('transitionBrief submit', () => {
+  test('assigns another analyst as reviewer', async () => {
+    const { brief } = await transitionBrief('brief-1', 'submit', analyst, { reviewerId: colleague.id });
+
+    expect(brief).toMatchObject({ status: 'REVIEW', reviewerId: colleague.id });
+  });
+
+  test('rejects an analyst assigning themselves', async () => {
+    const submit = transitionBrief('brief-1', 'submit', analyst, { reviewerId: analyst.id });
+
+    await expect(submit).rejects.toBeInstanceOf(WorkflowError);
+    await expect(submit).rejects.toMatchObject({ status: 400 });
+    expect(applyBriefUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rejects resubmitting to the submitter kept as reviewer', async () => {
+    tx.brief.findUnique.mockResolvedValue({ id: 'brief-1', status: 'DRAFT', reviewerId: analyst.id });
+
+    await expect(transitionBrief('brief-1', 'submit', analyst)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('lets an admin review their own brief', async () => {
+    const { brief } = await transitionBrief('brief-1', 'submit', admin, { reviewerId: admin.id });
+
+    expect(brief).toMatchObject({ status: 'REVIEW', reviewerId: admin.id });
+  });
+});
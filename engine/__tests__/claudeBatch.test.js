@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+import { pollAnalysisBatches } from '../claudeBatch';
+import { storeSignals } from '../signalWriter';
+import { resolveAnalysis } from '../claudeClient';
+
+jest.mock('../../lib/db', () => ({
+  prisma: {
+    analysisBatchJob: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    },
+    seenFeedItem: { deleteMany: jest.fn() },
+    feedTracking: { upsert: jest.fn() }
+  }
+}));
+jest.mock('../../analysisService', () => ({
+  anthropic: { messages: { batches: { retrieve: jest.fn(), results: jest.fn() } } }
+}));
+jest.mock('../claudeClient', () => ({ buildAnalysisRequest: jest.fn(), resolveAnalysis: jest.fn() }));
+jest.mock('../signalWriter', () => ({ storeSignals: jest.fn() }));
+jest.mock('../scoringProfiles', () => ({ getActiveProfile: jest.fn() }));
+jest.mock('../dictionary', () => ({ loadDictionary: jest.fn() }));
+jest.mock('../../src/services/scoring/ingestionScorer.js', () => ({
+  ingestionScorerService: { scoreSignal: (signal) => signal }
+}));
+
+const { prisma } = require('../../lib/db');
+const { anthropic } = require('../../analysisService');
+
+const items = ['a', 'b', 'c'].map(guid => ({
+  feedId: 'feed-1',
+  article: { guid, title: `Article ${guid}`, link: `https://example.com/${guid}` }
+}));
+
+const job = (fields = {}) => ({
+  id: 'job-1',
+  batchId: 'batch-1',
+  status: 'in_progress',
+  requestCount: items.length,
+  articles: items,
+  collectedCount: 0,
+  processedAt: null,
+  ...fields
+});
+
+const entries = [
+  { custom_id: 'article-0', result: { type: 'succeeded', message: {} } },
+  { custom_id: 'article-1', result: { type: 'errored' } },
+  { custom_id: 'article-2', result: { type: 'succeeded', message: {} } }
+];
+
+async function* stream(list, onEntry = () => {}) {
+  for (const entry of list) {
+    onEntry(entry);
+    yield entry;
+  }
+}
+
+function setUp(storedJob) {
+  jest.clearAllMocks();
+  prisma.analysisBatchJob.findMany.mockResolvedValue([storedJob]);
+  prisma.analysisBatchJob.findUnique.mockResolvedValue(storedJob);
+  prisma.analysisBatchJob.update.mockResolvedValue({ succeededCount: 0, erroredCount: 0 });
+  anthropic.messages.batches.retrieve.mockResolvedValue({ processing_status: 'ended' });
+  resolveAnalysis.mockImplementation(async (article) => ({ title: article.title, sourceUrl: article.link }));
+  prisma.seenFeedItem.deleteMany.mockImplementation(async ({ where }) => ({ count: where.guid.in.length }));
+}
+
+beforeEach(() => setUp(job()));
+
+describe('pollAnalysisBatches', () => {
+  test('skips a batch another run has claimed', async () => {
+    prisma.analysisBatchJob.updateMany.mockResolvedValue({ count: 0 });
+
+    const results = await pollAnalysisBatches();
+
+    expect(prisma.analysisBatchJob.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ id: 'job-1', processedAt: null })
+    }));
+    expect(results).toEqual([{ batchId: 'batch-1', status: 'claimed', succeeded: 0, errored: 0, requeued: 0 }]);
+    expect(anthropic.messages.batches.results).not.toHaveBeenCalled();
+  });
+
+  test('stops at the deadline and resumes at the saved cursor', async () => {
+    const deadline = Date.now() + 60000;
+    const now = jest.spyOn(Date, 'now');
+    prisma.analysisBatchJob.updateMany.mockResolvedValue({ count: 1 });
+
+    // First run: the deadline passes after the first result
+    anthropic.messages.batches.results.mockResolvedValueOnce(stream(entries, (entry) => {
+      if (entry.custom_id === 'article-1') now.mockReturnValue(deadline);
+    }));
+
+    const [first] = await pollAnalysisBatches({ deadline });
+
+    expect(first).toEqual({ batchId: 'batch-1', status: 'collecting', succeeded: 1, errored: 0, requeued: 0 });
+    expect(prisma.analysisBatchJob.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ collectedCount: 1 })
+    }));
+    expect(prisma.analysisBatchJob.update).toHaveBeenLastCalledWith({ where: { id: 'job-1' }, data: { claimedAt: null } });
+    now.mockRestore();
+
+    // Second run: picks up after the stored result
+    setUp(job({ status: 'ended', collectedCount: 1 }));
+    prisma.analysisBatchJob.updateMany.mockResolvedValue({ count: 1 });
+    anthropic.messages.batches.results.mockResolvedValueOnce(stream(entries));
+
+    const [second] = await pollAnalysisBatches({ deadline: Infinity });
+
+    expect(second).toEqual({ batchId: 'batch-1', status: 'ended', succeeded: 1, errored: 1, requeued: 1 });
+    expect(storeSignals).toHaveBeenCalledWith([{ title: 'Article c', sourceUrl: 'https://example.com/c' }]);
+    expect(prisma.seenFeedItem.deleteMany).toHaveBeenCalledWith({ where: { feedId: 'feed-1', guid: { in: ['b'] } } });
+    expect(prisma.analysisBatchJob.update).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ processedAt: expect.any(Date), claimedAt: null })
+    }));
+  });
+
+  test('leaves jobs pending once the deadline has passed', async () => {
+    const results = await pollAnalysisBatches({ deadline: Date.now() - 1 });
+
+    expect(results).toEqual([]);
+    expect(anthropic.messages.batches.retrieve).not.toHaveBeenCalled();
+  });
+
+  test('clears the validators of feeds with requeued articles so the next fetch is unconditional', async () => {
+    prisma.analysisBatchJob.updateMany.mockResolvedValue({ count: 1 });
+    anthropic.messages.batches.results.mockResolvedValueOnce(stream(entries));
+
+    const [result] = await pollAnalysisBatches();
+
+    expect(result).toMatchObject({ status: 'ended', errored: 1, requeued: 1 });
+    expect(prisma.feedTracking.upsert).toHaveBeenCalledWith({
+      where: { feedId: 'feed-1' },
+      update: { etag: null, lastModified: null },
+      create: { feedId: 'feed-1', etag: null, lastModified: null }
+    });
+  });
+});
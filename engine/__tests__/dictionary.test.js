@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import { loadDictionary, updateTerm, deleteTerm, DictionaryValidationError } from '../dictionary';
+import { preFilterBeforeClaude } from '../preFilter';
+import { dictionaryService } from '../../src/services/scoring/dictionary.js';
+
+jest.mock('../../lib/db', () => ({
+  prisma: {
+    $transaction: jest.fn(),
+    dictionaryVersion: { findFirst: jest.fn(), create: jest.fn() },
+    dictionaryTerm: { findMany: jest.fn(), count: jest.fn(), update: jest.fn(), delete: jest.fn() }
+  }
+}));
+jest.mock('@prisma/client', () => ({ Prisma: { DbNull: 'DbNull' } }));
+
+const { prisma } = require('../../lib/db');
+
+const keyword = (id, term, tier, prefilter = false, isActive = true) => ({
+  id, kind: 'keyword', tier, term, aliases: [], variants: null, weight: null, prefilter, isActive
+});
+
+// In-memory dictionary store; a transaction's changes are dropped when it throws
+let store;
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+function setUpStore(terms, version) {
+  store = { terms: terms.map(term => ({ ...term })), versions: version > 0 ? [{ version }] : [] };
+
+  prisma.dictionaryVersion.findFirst.mockImplementation(async () => store.versions[store.versions.length - 1] || null);
+  prisma.dictionaryVersion.create.mockImplementation(async ({ data }) => {
+    const row = { ...data, version: (store.versions[store.versions.length - 1]?.version || 0) + 1 };
+    store.versions.push(row);
+    return row;
+  });
+  prisma.dictionaryTerm.findMany.mockImplementation(async ({ where } = {}) => store.terms.filter(row => matches(row, where)));
+  prisma.dictionaryTerm.count.mockImplementation(async ({ where } = {}) => store.terms.filter(row => matches(row, where)).length);
+  prisma.dictionaryTerm.update.mockImplementation(async ({ where, data }) => {
+    const row = store.terms.find(term => term.id === where.id);
+    Object.assign(row, data);
+    return row;
+  });
+  prisma.dictionaryTerm.delete.mockImplementation(async ({ where }) => {
+    const row = store.terms.find(term => term.id === where.id);
+    store.terms = store.terms.filter(term => term !== row);
+    return row;
+  });
+  prisma.$transaction.mockImplementation(async (run) => {
+    const snapshot = { terms: store.terms.map(term => ({ ...term })), versions: [...store.versions] };
+    try {
+      return await run(prisma);
+    } catch (error) {
+      store = snapshot;
+      throw error;
+    }
+  });
+}
+
+const article = (title, content = 'Short update.') => ({ title, link: `https://example.com/${title}`, pubDate: '', content });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  dictionaryService.setDictionary(dictionaryService.getBuiltInDictionary());
+});
+
+describe('loadDictionary', () => {
+  test('uses the built-in terms until the store is first changed', async () => {
+    setUpStore([], 0);
+
+    expect(await loadDictionary(true)).toBe(0);
+    expect(prisma.dictionaryTerm.findMany).not.toHaveBeenCalled();
+    expect(dictionaryService.getKeywordTerms('CRITICAL').map(term => term.keyword)).toContain('NUCLEAR');
+  });
+
+  test('switches to the active terms of each new version', async () => {
+    setUpStore([
+      keyword('k1', 'DRONE', 'HIGH', true),
+      keyword('k2', 'NUCLEAR', 'CRITICAL', false, false)
+    ], 1);
+
+    expect(await loadDictionary(true)).toBe(1);
+    expect(dictionaryService.getKeywordTerms('HIGH').map(term => term.keyword)).toEqual(['DRONE']);
+    expect(dictionaryService.getKeywordTerms('CRITICAL')).toEqual([]);
+    expect(dictionaryService.getPrefilterKeywords()).toEqual(['drone']);
+    expect(preFilterBeforeClaude([article('Drone sighted'), article('Nuclear talks')]).map(item => item.title))
+      .toEqual(['Drone sighted']);
+
+    store.terms.push(keyword('k3', 'NUCLEAR', 'CRITICAL', true));
+    store.versions.push({ version: 2 });
+
+    expect(await loadDictionary(true)).toBe(2);
+    expect(dictionaryService.getPrefilterKeywords()).toEqual(['drone', 'nuclear']);
+    expect(preFilterBeforeClaude([article('Drone sighted'), article('Nuclear talks')])).toHaveLength(2);
+  });
+
+  test('reads the terms again only when the version changed', async () => {
+    setUpStore([keyword('k1', 'DRONE', 'HIGH', true)], 1);
+
+    await loadDictionary(true);
+    await loadDictionary(true);
+    // Within REFRESH_MS the version is not even checked
+    await loadDictionary();
+
+    expect(prisma.dictionaryTerm.findMany).toHaveBeenCalledTimes(1);
+    expect(prisma.dictionaryVersion.findFirst).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps the loaded version when the database fails', async () => {
+    setUpStore([keyword('k1', 'DRONE', 'HIGH', true)], 1);
+    await loadDictionary(true);
+    prisma.dictionaryVersion.findFirst.mockRejectedValue(new Error('connection lost'));
+
+    expect(await loadDictionary(true)).toBe(1);
+    expect(dictionaryService.getPrefilterKeywords()).toEqual(['drone']);
+  });
+});
+
+describe('pre-filter keywords', () => {
+  test('fall back to the built-in ones when the loaded version marks none', () => {
+    dictionaryService.setDictionary({ version: 3, terms: [keyword('k1', 'DRONE', 'HIGH', false)] });
+
+    expect(dictionaryService.getPrefilterKeywords()).toContain('nuclear');
+    expect(preFilterBeforeClaude([article('Nuclear talks')])).toHaveLength(1);
+  });
+
+  test('cannot all be deleted', async () => {
+    setUpStore([keyword('k1', 'DRONE', 'HIGH', true), keyword('k2', 'NUCLEAR', 'CRITICAL', true)], 1);
+    await loadDictionary(true);
+
+    expect(await deleteTerm('k1', { id: 'admin-1' })).toMatchObject({ version: 2 });
+    await expect(deleteTerm('k2', { id: 'admin-1' })).rejects.toThrow(DictionaryValidationError);
+
+    expect(store.terms.map(term => term.id)).toEqual(['k2']);
+    expect(store.versions.map(row => row.version)).toEqual([1, 2]);
+    expect(dictionaryService.version).toBe(2);
+    expect(dictionaryService.getPrefilterKeywords()).toEqual(['nuclear']);
+  });
+
+  test('cannot all be unmarked or deactivated', async () => {
+    setUpStore([keyword('k1', 'DRONE', 'HIGH', true)], 1);
+    const body = { kind: 'keyword', tier: 'HIGH', term: 'DRONE' };
+
+    await expect(updateTerm('k1', { ...body, prefilter: false }, null)).rejects.toThrow('at least one active pre-filter keyword');
+    await expect(updateTerm('k1', { ...body, prefilter: true, isActive: false }, null)).rejects.toThrow(DictionaryValidationError);
+
+    expect(store.terms[0]).toMatchObject({ prefilter: true, isActive: true });
+    expect(store.versions).toHaveLength(1);
+  });
+});
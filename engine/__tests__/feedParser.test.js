@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { detectFeedFormat, parseFeed } from '../feedParser';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseFeed', () => {
+  test('parses RSS 2.0 items with content, categories and enclosures', async () => {
+    const feed = await parseFeed(fixture('feed.rss.xml'), 'application/rss+xml');
+
+    expect(feed.format).toBe('RSS');
+    expect(feed.title).toBe('Defense Wire');
+    expect(feed.articles).toHaveLength(2);
+    expect(feed.articles[0]).toMatchObject({
+      guid: 'defense-wire-1001',
+      title: 'Carrier group enters contested waters',
+      link: 'https://defense.example.com/carrier-group',
+      pubDate: '2024-02-12T08:30:00.000Z',
+      content: '<p>A carrier strike group moved into the strait.</p>',
+      creator: 'J. Analyst',
+      categories: ['Naval', 'Pacific'],
+      enclosures: [{ url: 'https://defense.example.com/carrier.jpg', type: 'image/jpeg', length: 2048 }]
+    });
+    // No guid: the link identifies the item
+    expect(feed.articles[1].guid).toBe('https://defense.example.com/missile-test');
+  });
+
+  test('parses Atom entries with term categories and enclosure links', async () => {
+    const feed = await parseFeed(fixture('feed.atom.xml'), 'application/atom+xml');
+
+    expect(feed.format).toBe('ATOM');
+    expect(feed.title).toBe('Cyber Watch');
+    expect(feed.articles).toHaveLength(1);
+    expect(feed.articles[0]).toMatchObject({
+      guid: 'urn:example:cyber-watch:42',
+      title: 'Ransomware hits port operator',
+      link: 'https://cyber.example.com/ransomware-port',
+      pubDate: '2024-02-12T09:15:00.000Z',
+      content: 'A ransomware attack halted operations at a major port.',
+      categories: ['Cyber', 'Infrastructure'],
+      enclosures: [{ url: 'https://cyber.example.com/report.pdf', type: 'application/pdf', length: 4096 }]
+    });
+  });
+
+  test('parses RSS 1.0 (RDF) items and keys them by rdf:about', async () => {
+    const feed = await parseFeed(fixture('feed.rdf.xml'), 'application/rdf+xml');
+
+    expect(feed.format).toBe('RDF');
+    expect(feed.title).toBe('Policy Review');
+    expect(feed.articles).toHaveLength(1);
+    expect(feed.articles[0]).toMatchObject({
+      guid: 'https://policy.example.com/items/sanctions-2024',
+      title: 'New sanctions package announced',
+      link: 'https://policy.example.com/sanctions',
+      pubDate: '2024-02-10T12:00:00.000Z',
+      creator: 'Policy Team',
+      categories: ['Sanctions']
+    });
+  });
+
+  test('parses JSON Feed items with tags and attachments', async () => {
+    const feed = await parseFeed(fixture('feed.json'), 'application/feed+json');
+
+    expect(feed.format).toBe('JSON_FEED');
+    expect(feed.title).toBe('Space Desk');
+    expect(feed.articles).toEqual([{
+      guid: 'space-7',
+      title: 'Reconnaissance satellite launched',
+      link: 'https://space.example.com/satellite-launch',
+      pubDate: '2024-02-09T06:45:00.000Z',
+      content: 'A reconnaissance satellite reached orbit.',
+      creator: 'Orbit Team',
+      categories: ['Space', 'ISR'],
+      enclosures: [{ url: 'https://space.example.com/launch.mp4', type: 'video/mp4', length: 8192 }]
+    }]);
+  });
+});
+
+describe('detectFeedFormat', () => {
+  test('detects each format from the body', () => {
+    expect(detectFeedFormat(fixture('feed.rss.xml'))).toBe('RSS');
+    expect(detectFeedFormat(fixture('feed.atom.xml'))).toBe('ATOM');
+    expect(detectFeedFormat(fixture('feed.rdf.xml'))).toBe('RDF');
+    expect(detectFeedFormat(fixture('feed.json'))).toBe('JSON_FEED');
+  });
+
+  test('goes by the body when the content type says JSON', () => {
+    expect(detectFeedFormat(fixture('feed.rss.xml'), 'application/json')).toBe('RSS');
+  });
+
+  test('rejects JSON that is not a JSON Feed', () => {
+    const body = JSON.stringify({ version: '2.0', items: [] });
+
+    expect(() => detectFeedFormat(body, 'application/json')).toThrow('Unrecognized feed format');
+    expect(() => detectFeedFormat(JSON.stringify({ version: 'https://example.com/jsonfeed.org/version/1' })))
+      .toThrow('Unrecognized feed format');
+  });
+});
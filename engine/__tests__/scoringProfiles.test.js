@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import { getUserRankingProfile, scoreUnderProfile, ACTIVE_PROFILE_SETTING } from '../scoringProfiles';
+import { ingestionScorerService } from '../../src/services/scoring/ingestionScorer.js';
+
+jest.mock('../../lib/db', () => ({
+  prisma: {
+    setting: { findUnique: jest.fn() },
+    scoringProfile: { findUnique: jest.fn() }
+  }
+}));
+jest.mock('@prisma/client', () => ({ Prisma: { DbNull: 'DbNull' } }));
+jest.mock('../dictionary', () => ({ loadDictionary: jest.fn() }));
+
+const { prisma } = require('../../lib/db');
+
+const storedProfile = {
+  id: 'profile-1',
+  name: 'Ports desk',
+  description: null,
+  weights: { primary: { keywordRelevance: 1 }, secondary: { contentDepth: 1 }, blend: { llm: 0, deterministic: 1 } },
+  thresholds: null
+};
+
+beforeEach(() => {
+  prisma.setting.findUnique.mockResolvedValue({ key: ACTIVE_PROFILE_SETTING, value: { profileId: 'BALANCED' } });
+  prisma.scoringProfile.findUnique.mockImplementation(async ({ where }) => (where.id === storedProfile.id ? storedProfile : null));
+});
+
+describe('getUserRankingProfile', () => {
+  test('is null without a selection of their own', async () => {
+    expect(await getUserRankingProfile({ id: 'user-1', scoringProfile: null })).toBeNull();
+    expect(await getUserRankingProfile({ id: 'user-1', scoringProfile: 'deleted-profile' })).toBeNull();
+  });
+
+  test('is null when stored scores already use the selected profile', async () => {
+    expect(await getUserRankingProfile({ id: 'user-1', scoringProfile: 'BALANCED' })).toBeNull();
+  });
+
+  test('returns a selected built-in or stored profile that differs from the active one', async () => {
+    expect(await getUserRankingProfile({ id: 'user-1', scoringProfile: 'CYBER' })).toMatchObject({ id: 'CYBER' });
+    expect(await getUserRankingProfile({ id: 'user-1', scoringProfile: 'profile-1' })).toMatchObject({ id: 'profile-1', builtIn: false });
+  });
+});
+
+describe('scoreUnderProfile', () => {
+  const storedSignal = (title, content, llmScore) => {
+    const scored = ingestionScorerService.scoreSignal(
+      { title, content, summary: content, signalScore: llmScore, escalationRisk: 'HIGH' },
+      { title, content, publishedAt: new Date().toISOString() }
+    );
+    return { ...scored, llmScore, createdAt: new Date() };
+  };
+
+  test('recombines the stored factor scores under the profile', async () => {
+    const signal = storedSignal('Ransomware breach at port operator', 'Hackers used malware and a zero-day exploit to encrypt systems.', 40);
+    const profile = await getUserRankingProfile({ id: 'user-1', scoringProfile: 'profile-1' });
+
+    // The profile ignores Claude's score, so the user's score is the multi-factor one
+    const expected = ingestionScorerService.rescoreStoredSignal(signal, profile);
+    expect(scoreUnderProfile(signal, profile)).toBe(expected.signalScore);
+    expect(scoreUnderProfile(signal, profile)).toBe(expected.deterministicScore);
+    expect(scoreUnderProfile(signal, profile)).not.toBe(signal.signalScore);
+  });
+});
@@ -0,0 +1,182 @@
+const { prisma } = require('../lib/db');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Never copied into the audit log
+const REDACTED_FIELDS = ['passwordHash', 'password'];
+
+// Change on every write and would make every diff noisy
+const IGNORED_DIFF_FIELDS = ['updatedAt'];
+
+const DEFAULT_ACTIONS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+export interface AuditOptions {
+  // Prisma model name (or the kind of record acted on), e.g. 'Brief'
+  entityType: string;
+  // Action prefix; defaults to the lower-cased entityType ('brief.update')
+  actionPrefix?: string;
+  // Key of the prisma client delegate, e.g. 'brief' or 'rSSFeed'
+  model?: string;
+  // Key of the created/updated row in the handler's JSON response
+  responseKey?: string;
+}
+
+// Handlers can fill `req.audit` to name the action or add context
+export interface AuditAnnotation {
+  action?: string;
+  entityId?: string | null;
+  before?: any;
+  after?: any;
+  metadata?: any;
+  skip?: boolean;
+}
+
+/**
+ * Plain JSON copy of a row without secrets
+ */
+export function toAuditSnapshot(record) {
+  if (record === null || record === undefined) return null;
+
+  const snapshot = JSON.parse(JSON.stringify(record));
+  if (snapshot && typeof snapshot === 'object' && !Array.isArray(snapshot)) {
+    REDACTED_FIELDS.forEach(field => delete snapshot[field]);
+  }
+  return snapshot;
+}
+
+/**
+ * Field-level diff between two snapshots
+ * @returns {Object|null} { field: { from, to } }, or null when nothing changed
+ */
+export function diffSnapshots(before, after) {
+  const from = before || {};
+  const to = after || {};
+  const diff = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+    if (IGNORED_DIFF_FIELDS.includes(field)) return;
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      diff[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  });
+
+  return Object.keys(diff).length > 0 ? diff : null;
+}
+
+/**
+ * Writes one audit event. Failures are logged, never thrown, so auditing can't
+ * break the request it describes.
+ */
+export async function recordAuditEvent(req, event) {
+  const before = toAuditSnapshot(event.before);
+  const after = toAuditSnapshot(event.after);
+  const actor = req.user || {};
+
+  try {
+    await prisma.auditEvent.create({
+      data: {
+        actorId: actor.id || null,
+        actorEmail: actor.email || (actor.isService ? 'service' : null),
+        actorRole: actor.role || null,
+        action: event.action,
+        entityType: event.entityType,
+        entityId: event.entityId || null,
+        before,
+        after,
+        diff: diffSnapshots(before, after),
+        metadata: event.metadata ?? undefined,
+        method: req.method,
+        path: (req.url || '').split('?')[0],
+        status: event.status
+      }
+    });
+  } catch (error) {
+    console.error('⚠️ Failed to record audit event:', error.message);
+  }
+}
+
+/**
+ * Wraps an api/ handler so every successful mutating request (POST, PUT,
+ * PATCH, DELETE) leaves an AuditEvent. With a `model`, the row named by
+ * `id` in the body or query is loaded before and after the handler runs; new
+ * rows are found through `responseKey` in the JSON response. Handlers can set
+ * `req.audit` (AuditAnnotation) to name the action or add metadata. The JSON
+ * response is sent only after the event has been written.
+ *
+ *   export default withAuth(rules, withAudit({ entityType: 'Brief', model: 'brief', responseKey: 'brief' }, handler));
+ */
+export function withAudit(options: AuditOptions, handler) {
+  const { entityType, model, responseKey } = options;
+  const actionPrefix = options.actionPrefix || entityType.toLowerCase();
+  const delegate = model ? prisma[model] : null;
+  const loadEntity = (id) => (delegate && id ? delegate.findUnique({ where: { id } }) : null);
+
+  const auditResponse = async (req, status: number, responseBody, requestedId, before) => {
+    const annotation: AuditAnnotation = req.audit || {};
+    if (status >= 400 || annotation.skip) return;
+
+    const responseEntity = responseKey ? responseBody?.[responseKey] : null;
+    const entityId = annotation.entityId !== undefined
+      ? annotation.entityId
+      : requestedId || responseEntity?.id || null;
+
+    let after = annotation.after;
+    if (after === undefined && req.method !== 'DELETE') {
+      try {
+        after = (await loadEntity(entityId)) || responseEntity || null;
+      } catch (error) {
+        after = responseEntity || null;
+      }
+    }
+
+    await recordAuditEvent(req, {
+      action: annotation.action || `${actionPrefix}.${DEFAULT_ACTIONS[req.method]}`,
+      entityType,
+      entityId,
+      before: annotation.before !== undefined ? annotation.before : before,
+      after: after || null,
+      metadata: annotation.metadata,
+      status
+    });
+  };
+
+  return async (req, res) => {
+    if (!MUTATING_METHODS.includes(req.method)) {
+      return handler(req, res);
+    }
+
+    const requestedId = req.body?.id || req.query?.id || null;
+    let before = null;
+    try {
+      before = await loadEntity(requestedId);
+    } catch (error) {
+      console.warn(`⚠️ Could not load ${entityType} ${requestedId} for audit:`, error.message);
+    }
+
+    // Hold the JSON response until the event is written: the platform may
+    // freeze the function as soon as the response has been sent
+    let responseBody;
+    let responded = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      responded = true;
+      return res;
+    };
+
+    try {
+      req.audit = {};
+      const result = await handler(req, res);
+      await auditResponse(req, res.statusCode || 200, responseBody, requestedId, before);
+      return result;
+    } finally {
+      res.json = json;
+      if (responded) json(responseBody);
+    }
+  };
+}
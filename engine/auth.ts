@@ -0,0 +1,193 @@
+const authService = require('../authService');
+const { prisma } = require('../lib/db');
+
+export const ROLES = authService.ROLES;
+export const AuthError = authService.AuthError;
+export const hasRole = authService.hasRole;
+export const hashPassword = authService.hashPassword;
+
+// Required role per HTTP method; null makes a method public
+export type RoleRules = Record<string, string | null>;
+
+export interface AuthOptions {
+  // Accept `Authorization: Bearer $CRON_SECRET` from schedulers as this role
+  cronRole?: string;
+}
+
+const USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  lastLoginAt: true,
+  createdAt: true,
+  scoringProfile: true,
+  workspace: { select: { id: true, name: true } }
+};
+
+/**
+ * User fields that are safe to return from the API
+ */
+export function toPublicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...fields } = user;
+  return fields;
+}
+
+export class BootstrapClosedError extends Error {
+  constructor() {
+    super('The first account has already been created');
+    this.name = 'BootstrapClosedError';
+  }
+}
+
+/**
+ * Creates a user together with their workspace
+ * @param {Object} client - Prisma client or transaction to write with
+ */
+export async function createUser({ email, password, name, role = ROLES.VIEWER }, client = prisma) {
+  const user = await client.user.create({
+    data: {
+      email: email.trim().toLowerCase(),
+      name: name || null,
+      passwordHash: hashPassword(password),
+      role,
+      workspace: {
+        create: { name: `${name || email.trim()}'s workspace` }
+      }
+    },
+    select: USER_SELECT
+  });
+
+  return user;
+}
+
+/**
+ * Creates the first account, as admin. The count and the insert run in one
+ * serializable transaction, so of two concurrent sign-ups only one commits.
+ * @throws {BootstrapClosedError} When a user exists or a concurrent bootstrap won
+ */
+export async function bootstrapAdmin({ email, password, name }) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      if (await tx.user.count() > 0) {
+        throw new BootstrapClosedError();
+      }
+      return createUser({ email, password, name, role: ROLES.ADMIN }, tx);
+    }, { isolationLevel: 'Serializable' });
+  } catch (error) {
+    // P2034: the transaction lost a write conflict with another bootstrap
+    if (error.code === 'P2034' || error.code === 'P2002') {
+      throw new BootstrapClosedError();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks credentials and opens a session
+ * @returns {Promise<{token: string, expiresAt: Date, user: Object}|null>} null for bad credentials
+ */
+export async function login(email: string, password: string) {
+  const user = await prisma.user.findUnique({
+    where: { email: (email || '').trim().toLowerCase() },
+    include: { workspace: { select: { id: true, name: true } } }
+  });
+
+  if (!user || !user.isActive || !authService.verifyPassword(password || '', user.passwordHash)) {
+    return null;
+  }
+
+  const expiresAt = new Date(Date.now() + authService.SESSION_TTL_HOURS * 60 * 60 * 1000);
+  const session = await prisma.session.create({
+    data: { userId: user.id, expiresAt }
+  });
+  await prisma.user.update({ where: { id: user.id }, data: { lastLoginAt: new Date() } });
+
+  const token = authService.signToken(
+    { sid: session.id, sub: user.id, role: user.role, ws: user.workspace?.id || null },
+    expiresAt
+  );
+
+  return { token, expiresAt, user: toPublicUser(user) };
+}
+
+/**
+ * Resolves the signed-in user for a request from its bearer token and session
+ * @returns {Promise<Object|null>} User with workspace and sessionId, or null
+ */
+export async function authenticate(req) {
+  const claims = authService.verifyToken(authService.getBearerToken(req));
+  if (!claims) return null;
+
+  const session = await authService.findActiveSession(prisma, claims, USER_SELECT);
+  return session ? { ...session.user, sessionId: session.id } : null;
+}
+
+/**
+ * Revokes the session behind a request's token
+ */
+export async function logout(req) {
+  const claims = authService.verifyToken(authService.getBearerToken(req));
+  if (!claims) return;
+
+  await prisma.session.updateMany({
+    where: { id: claims.sid, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+}
+
+/**
+ * Prisma condition limiting workspace-owned rows (briefs, saved filters) to the
+ * user's workspace. Rows from before workspaces existed have none and stay
+ * visible to everyone. Admins may ask for another workspace id, or 'all'.
+ */
+export function workspaceScope(user, requested?: string) {
+  if (requested && hasRole(user, ROLES.ADMIN)) {
+    return requested === 'all' ? {} : { workspaceId: requested };
+  }
+
+  const workspaceId = user?.workspace?.id;
+  return workspaceId
+    ? { OR: [{ workspaceId }, { workspaceId: null }] }
+    : { workspaceId: null };
+}
+
+/**
+ * Wraps an api/ handler so each method requires a role. Sets `req.user`;
+ * methods without a rule go straight to the handler (which answers 405).
+ *
+ *   export default withAuth({ GET: ROLES.VIEWER, DELETE: ROLES.ADMIN }, handler);
+ */
+export function withAuth(rules: RoleRules, handler, options: AuthOptions = {}) {
+  return async (req, res) => {
+    const required = rules[req.method];
+    if (required === undefined || required === null) {
+      return handler(req, res);
+    }
+
+    try {
+      if (options.cronRole && authService.secretsMatch(authService.getBearerToken(req), process.env.CRON_SECRET)) {
+        req.user = { id: null, role: options.cronRole, workspace: null, isService: true };
+      } else {
+        req.user = await authenticate(req);
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasRole(req.user, required)) {
+        return res.status(403).json({ error: 'Forbidden', message: `Requires ${required} role` });
+      }
+    } catch (error) {
+      console.error('Authentication error:', error);
+      return res.status(error.status || 500).json({
+        error: 'Authentication unavailable',
+        message: error.message
+      });
+    }
+
+    return handler(req, res);
+  };
+}
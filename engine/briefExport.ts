@@ -0,0 +1,587 @@
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+
+export const EXPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+};
+
+export interface ExportTemplate {
+  key: string;
+  name: string;
+  classification: string;
+  sections: string[];
+  // Section key → markdown header, e.g. EXECUTIVE_SUMMARY → '## EXECUTIVE SUMMARY'
+  sectionHeaders: Record<string, string>;
+  accentColor?: string;
+}
+
+export interface InlineRun {
+  text: string;
+  bold?: boolean;
+  italic?: boolean;
+}
+
+export interface ListItem {
+  runs: InlineRun[];
+  // Indented lines under the item ("   - Rationale: ...")
+  details: InlineRun[][];
+}
+
+export type Block =
+  | { type: 'heading'; level: number; runs: InlineRun[] }
+  | { type: 'paragraph'; runs: InlineRun[] }
+  | { type: 'list'; ordered: boolean; items: ListItem[] }
+  | { type: 'rule' };
+
+export interface ExportSource {
+  id: string;
+  title: string;
+  url: string | null;
+  sourceType: string | null;
+  credibility: number | null;
+  date: string | null;
+}
+
+// A numbered footnote of a compiled briefing and the signal it cites
+export interface ExportFootnote {
+  marker: number;
+  signalId: string;
+}
+
+interface ExportOptions {
+  exportedBy?: string;
+  // Briefing markdown without its footnote definitions, and the footnotes
+  body?: string;
+  footnotes?: ExportFootnote[];
+}
+
+export interface ExportDocument {
+  title: string;
+  templateName: string;
+  classification: string;
+  accentColor: string;
+  metadata: Array<[string, string]>;
+  blocks: Block[];
+  sources: ExportSource[];
+}
+
+export class ExportError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+const DEFAULT_ACCENT = '#1f4e79';
+const BANNER_COLOR = '#b00020';
+
+/**
+ * Splits `**bold**` and `*italic*` markers into styled runs
+ */
+export function parseInline(text: string): InlineRun[] {
+  const runs: InlineRun[] = [];
+  const pattern = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*)/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) runs.push({ text: text.slice(lastIndex, match.index) });
+    const token = match[0];
+    runs.push(token.startsWith('**')
+      ? { text: token.slice(2, -2), bold: true }
+      : { text: token.slice(1, -1), italic: true });
+    lastIndex = match.index + token.length;
+  }
+  if (lastIndex < text.length) runs.push({ text: text.slice(lastIndex) });
+
+  return runs.length > 0 ? runs : [{ text: '' }];
+}
+
+/**
+ * Reads the markdown subset the briefing templates produce (headings, lists,
+ * rules, paragraphs, bold/italic) into blocks every renderer can lay out
+ */
+export function parseMarkdown(markdown: string): Block[] {
+  const blocks: Block[] = [];
+  let paragraph: string[] = [];
+  let list: { ordered: boolean; items: ListItem[] } | null = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join(' ')) });
+      paragraph = [];
+    }
+  };
+
+  const flush = () => {
+    flushParagraph();
+    if (list) {
+      blocks.push({ type: 'list', ...list });
+      list = null;
+    }
+  };
+
+  (markdown || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,4})\s+(.*)$/);
+    const bullet = line.match(/^[-*]\s+(.*)$/);
+    const numbered = line.match(/^\d+\.\s+(.*)$/);
+
+    if (!line) {
+      // Compiled briefings put blank lines between numbered items, so a
+      // list stays open until something other than a list item follows
+      flushParagraph();
+    } else if (/^-{3,}$/.test(line)) {
+      flush();
+      blocks.push({ type: 'rule' });
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, runs: parseInline(heading[2]) });
+    } else if ((bullet || numbered) && /^\s/.test(rawLine) && list) {
+      list.items[list.items.length - 1].details.push(parseInline((bullet || numbered)[1]));
+    } else if (bullet || numbered) {
+      const ordered = Boolean(numbered);
+      if (paragraph.length > 0 || (list && list.ordered !== ordered)) flush();
+      if (!list) list = { ordered, items: [] };
+      list.items.push({ runs: parseInline((bullet || numbered)[1]), details: [] });
+    } else {
+      if (list) flush();
+      paragraph.push(line);
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+const runsToText = (runs: InlineRun[]) => runs.map(run => run.text).join('');
+
+/**
+ * Keeps the template's sections, in template order, when the brief is a
+ * compiled briefing with `## SECTION` headings. Free-form briefs are kept whole.
+ */
+export function selectTemplateSections(blocks: Block[], template: ExportTemplate): Block[] {
+  const sectionByTitle = {};
+  Object.entries(template.sectionHeaders || {}).forEach(([key, header]) => {
+    sectionByTitle[header.replace(/^#+\s*/, '').trim().toUpperCase()] = key;
+  });
+
+  const sections = {};
+  let current = null;
+  blocks.forEach(block => {
+    if (block.type === 'heading' && block.level === 2) {
+      current = sectionByTitle[runsToText(block.runs).trim().toUpperCase()] || '__other__';
+    }
+    if (current && current !== '__other__') {
+      (sections[current] = sections[current] || []).push(block);
+    }
+  });
+
+  if (Object.keys(sections).length === 0) return blocks;
+
+  return template.sections.flatMap(key => sections[key] || []);
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+/**
+ * Assembles everything the renderers need from a brief, its source signals
+ * and the chosen template
+ */
+export function buildExportDocument(brief, signals, template: ExportTemplate, { exportedBy, body, footnotes = [] }: ExportOptions = {}): ExportDocument {
+  const metadata: Array<[string, string]> = [
+    ['Template', template.name],
+    ['Brief classification', brief.classification || 'UNCLASSIFIED'],
+    ['Status', brief.status || 'DRAFT'],
+    ['Version', String(brief.version || 1)],
+    ['Published', formatDate(brief.datePublished) || 'Not published'],
+    ['Keywords', (brief.keywords || []).join(', ') || '—'],
+    ['Exported', `${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC${exportedBy ? ` by ${exportedBy}` : ''}`]
+  ];
+
+  // Appendix in the order the brief cites its signals: footnotes first
+  const signalById = new Map<string, any>(signals.map(signal => [signal.id, signal]));
+  const sourceIds = [...new Set([...footnotes.map(footnote => footnote.signalId), ...(brief.relatedSignalIds || [])])]
+    .filter(id => signalById.has(id));
+  const sources = sourceIds
+    .map(id => signalById.get(id))
+    .map(signal => ({
+      id: signal.id,
+      title: signal.title,
+      url: signal.sourceUrl || null,
+      sourceType: signal.sourceType || null,
+      credibility: signal.credibility ?? null,
+      date: formatDate(signal.createdAt)
+    }));
+
+  return {
+    title: brief.title,
+    templateName: template.name,
+    classification: template.classification,
+    accentColor: template.accentColor || DEFAULT_ACCENT,
+    metadata,
+    blocks: selectTemplateSections(parseMarkdown(renumberFootnotes(body ?? brief.summary ?? '', footnotes, sourceIds)), template),
+    sources
+  };
+}
+
+// Footnote markers point at appendix entries: [^n] becomes [k] for the k-th source
+function renumberFootnotes(markdown: string, footnotes: ExportFootnote[], sourceIds: string[]) {
+  const signalByMarker = new Map(footnotes.map(footnote => [footnote.marker, footnote.signalId]));
+
+  return markdown.replace(/\[\^(\d+)\]/g, (marker, number) => {
+    const index = sourceIds.indexOf(signalByMarker.get(Number(number)));
+    return index < 0 ? '' : `[${index + 1}]`;
+  });
+}
+
+const sourceLine = (source: ExportSource) => [
+  source.sourceType,
+  source.credibility !== null ? `credibility ${Math.round(source.credibility)}%` : null,
+  source.date
+].filter(Boolean).join(' · ');
+
+// ---------------------------------------------------------------- HTML
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const runsToHtml = (runs: InlineRun[]) => runs.map(run => {
+  const text = escapeHtml(run.text);
+  if (run.bold) return `<strong>${text}</strong>`;
+  if (run.italic) return `<em>${text}</em>`;
+  return text;
+}).join('');
+
+/**
+ * Standalone HTML page. Banners repeat on every printed page and the print
+ * footer carries page numbers.
+ */
+export function renderHtml(document: ExportDocument): string {
+  const body = document.blocks.map(block => {
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(block.level + 1, 5);
+        return `<h${level}>${runsToHtml(block.runs)}</h${level}>`;
+      }
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${runsToHtml(item.runs)}${
+          item.details.length > 0 ? `<ul>${item.details.map(detail => `<li>${runsToHtml(detail)}</li>`).join('')}</ul>` : ''
+        }</li>`).join('')}</${tag}>`;
+      }
+      case 'rule':
+        return '<hr>';
+      default:
+        return `<p>${runsToHtml(block.runs)}</p>`;
+    }
+  }).join('\n');
+
+  const sources = document.sources.length > 0
+    ? `<ol class="sources">${document.sources.map(source => `<li>${
+      source.url ? `<a href="${escapeHtml(source.url)}">${escapeHtml(source.title)}</a>` : escapeHtml(source.title)
+    }<div class="source-meta">${escapeHtml(sourceLine(source))}</div></li>`).join('')}</ol>`
+    : '<p>No source signals are linked to this brief.</p>';
+
+  const banner = escapeHtml(document.classification);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+<style>
+  @page { margin: 25mm 20mm; @bottom-right { content: "Page " counter(page) " of " counter(pages); font: 9pt Helvetica, Arial, sans-serif; } }
+  body { font: 11pt/1.5 Georgia, 'Times New Roman', serif; color: #1a1a1a; max-width: 800px; margin: 0 auto; padding: 48px 24px; }
+  .banner { position: fixed; left: 0; right: 0; text-align: center; font: bold 10pt Helvetica, Arial, sans-serif; letter-spacing: 0.1em; color: #fff; background: ${BANNER_COLOR}; padding: 4px 0; }
+  .banner.top { top: 0; }
+  .banner.bottom { bottom: 0; }
+  h1 { font-family: Helvetica, Arial, sans-serif; color: ${document.accentColor}; border-bottom: 3px solid ${document.accentColor}; padding-bottom: 8px; }
+  h2, h3, h4, h5 { font-family: Helvetica, Arial, sans-serif; color: ${document.accentColor}; }
+  table.meta { border-collapse: collapse; font: 9pt Helvetica, Arial, sans-serif; margin-bottom: 24px; }
+  table.meta th { text-align: left; padding: 2px 16px 2px 0; color: #555; }
+  .sources { font-size: 10pt; }
+  .source-meta { color: #666; font-size: 9pt; }
+  .appendix { page-break-before: always; }
+  @media print { .banner { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<div class="banner top">${banner}</div>
+<div class="banner bottom">${banner}</div>
+<h1>${escapeHtml(document.title)}</h1>
+<table class="meta">${document.metadata.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+${body}
+<section class="appendix">
+<h2>Appendix: Source Signals</h2>
+${sources}
+</section>
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------------- PDF
+
+// The built-in PDF fonts only cover Latin-1
+const toPdfText = (text: string) => String(text ?? '')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/…/g, '...')
+  .replace(/→/g, '->')
+  .replace(/[^\x09\x0A\x0D\x20-\xFF]/g, '');
+
+const PDF_FONTS = {
+  regular: 'Times-Roman',
+  bold: 'Times-Bold',
+  italic: 'Times-Italic',
+  heading: 'Helvetica-Bold',
+  label: 'Helvetica'
+};
+
+function writePdfRuns(pdf, runs: InlineRun[], options = {}) {
+  runs.forEach((run, index) => {
+    pdf.font(run.bold ? PDF_FONTS.bold : run.italic ? PDF_FONTS.italic : PDF_FONTS.regular)
+      .text(toPdfText(run.text), { ...options, continued: index < runs.length - 1 });
+  });
+}
+
+/**
+ * Letter-size PDF with classification banners and "Page X of Y" on every page
+ */
+export function renderPdf(document: ExportDocument): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'LETTER',
+      margins: { top: 72, bottom: 72, left: 72, right: 72 },
+      bufferPages: true,
+      info: { Title: toPdfText(document.title), Subject: toPdfText(document.templateName) }
+    });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.font(PDF_FONTS.heading).fontSize(20).fillColor(document.accentColor).text(toPdfText(document.title));
+    pdf.moveDown(0.5);
+    pdf.fontSize(9).fillColor('#444444');
+    document.metadata.forEach(([label, value]) => {
+      pdf.font(PDF_FONTS.heading).text(`${toPdfText(label)}: `, { continued: true })
+        .font(PDF_FONTS.label).text(toPdfText(value));
+    });
+    pdf.moveDown();
+
+    document.blocks.forEach(block => {
+      if (block.type === 'heading') {
+        pdf.moveDown(0.5).font(PDF_FONTS.heading).fontSize(Math.max(11, 17 - block.level * 2))
+          .fillColor(document.accentColor).text(toPdfText(runsToText(block.runs)));
+        pdf.moveDown(0.3);
+      } else if (block.type === 'list') {
+        pdf.fontSize(11).fillColor('#1a1a1a');
+        block.items.forEach((item, index) => {
+          pdf.font(PDF_FONTS.regular).text(block.ordered ? `${index + 1}. ` : '•  ', { indent: 12, continued: true });
+          writePdfRuns(pdf, item.runs);
+          item.details.forEach(detail => {
+            pdf.font(PDF_FONTS.regular).text('-  ', { indent: 30, continued: true });
+            writePdfRuns(pdf, detail);
+          });
+        });
+        pdf.moveDown(0.5);
+      } else if (block.type === 'rule') {
+        const y = pdf.y + 4;
+        pdf.moveTo(pdf.page.margins.left, y).lineTo(pdf.page.width - pdf.page.margins.right, y)
+          .strokeColor('#cccccc').stroke();
+        pdf.moveDown();
+      } else {
+        pdf.fontSize(11).fillColor('#1a1a1a');
+        writePdfRuns(pdf, block.runs, { align: 'justify' });
+        pdf.moveDown(0.5);
+      }
+    });
+
+    pdf.addPage();
+    pdf.font(PDF_FONTS.heading).fontSize(14).fillColor(document.accentColor).text('Appendix: Source Signals');
+    pdf.moveDown(0.5);
+    if (document.sources.length === 0) {
+      pdf.font(PDF_FONTS.regular).fontSize(10).fillColor('#1a1a1a').text('No source signals are linked to this brief.');
+    }
+    document.sources.forEach((source, index) => {
+      pdf.font(PDF_FONTS.bold).fontSize(10).fillColor('#1a1a1a')
+        .text(`${index + 1}. ${toPdfText(source.title)}`, source.url ? { link: source.url } : {});
+      pdf.font(PDF_FONTS.label).fontSize(8).fillColor('#666666')
+        .text(toPdfText([sourceLine(source), source.url].filter(Boolean).join(' · ')), { indent: 14 });
+      pdf.moveDown(0.4);
+    });
+
+    // Banners and page numbers go on once the page count is known
+    const { start, count } = pdf.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+      pdf.switchToPage(index);
+      const { width, height, margins } = pdf.page;
+      const bottomMargin = margins.bottom;
+      margins.bottom = 0;
+
+      pdf.rect(0, 24, width, 18).fill(BANNER_COLOR);
+      pdf.rect(0, height - 42, width, 18).fill(BANNER_COLOR);
+      pdf.font(PDF_FONTS.heading).fontSize(9).fillColor('#ffffff');
+      pdf.text(toPdfText(document.classification), 0, 29, { width, align: 'center', lineBreak: false });
+      pdf.text(toPdfText(document.classification), 0, height - 37, { width, align: 'center', lineBreak: false });
+      pdf.font(PDF_FONTS.label).fontSize(8).fillColor('#666666')
+        .text(`Page ${index - start + 1} of ${count}`, margins.left, height - 58, {
+          width: width - margins.left - margins.right,
+          align: 'right',
+          lineBreak: false
+        });
+
+      margins.bottom = bottomMargin;
+    }
+
+    pdf.end();
+  });
+}
+
+// ---------------------------------------------------------------- DOCX
+
+const toDocxRuns = (runs: InlineRun[], style = {}) =>
+  runs.map(run => new docx.TextRun({ text: run.text, bold: run.bold, italics: run.italic, ...style }));
+
+const HEADING_LEVELS = [
+  docx.HeadingLevel.HEADING_1,
+  docx.HeadingLevel.HEADING_2,
+  docx.HeadingLevel.HEADING_3,
+  docx.HeadingLevel.HEADING_4
+];
+
+function bannerParagraph(text: string) {
+  return new docx.Paragraph({
+    alignment: docx.AlignmentType.CENTER,
+    shading: { type: docx.ShadingType.CLEAR, fill: BANNER_COLOR.slice(1), color: 'auto' },
+    children: [new docx.TextRun({ text, bold: true, color: 'FFFFFF', size: 18 })]
+  });
+}
+
+/**
+ * Word document with classification banners in the page header and footer
+ * and page number fields in the footer
+ */
+export async function renderDocx(document: ExportDocument): Promise<Buffer> {
+  const accent = document.accentColor.replace('#', '');
+  const children = [
+    new docx.Paragraph({
+      heading: docx.HeadingLevel.TITLE,
+      children: [new docx.TextRun({ text: document.title, color: accent })]
+    }),
+    ...document.metadata.map(([label, value]) => new docx.Paragraph({
+      children: [
+        new docx.TextRun({ text: `${label}: `, bold: true, size: 18, color: '444444' }),
+        new docx.TextRun({ text: value, size: 18, color: '444444' })
+      ]
+    })),
+    new docx.Paragraph({ text: '' })
+  ];
+
+  document.blocks.forEach(block => {
+    if (block.type === 'heading') {
+      children.push(new docx.Paragraph({
+        heading: HEADING_LEVELS[Math.min(block.level, HEADING_LEVELS.length) - 1],
+        children: toDocxRuns(block.runs, { color: accent })
+      }));
+    } else if (block.type === 'list') {
+      block.items.forEach((item, index) => {
+        children.push(block.ordered
+          ? new docx.Paragraph({ indent: { left: 360 }, children: [new docx.TextRun(`${index + 1}. `), ...toDocxRuns(item.runs)] })
+          : new docx.Paragraph({ bullet: { level: 0 }, children: toDocxRuns(item.runs) }));
+        item.details.forEach(detail => {
+          children.push(new docx.Paragraph({ bullet: { level: 1 }, children: toDocxRuns(detail) }));
+        });
+      });
+    } else if (block.type === 'rule') {
+      children.push(new docx.Paragraph({
+        border: { bottom: { color: 'CCCCCC', style: docx.BorderStyle.SINGLE, size: 6, space: 1 } },
+        children: []
+      }));
+    } else {
+      children.push(new docx.Paragraph({ alignment: docx.AlignmentType.JUSTIFIED, children: toDocxRuns(block.runs) }));
+    }
+  });
+
+  children.push(new docx.Paragraph({
+    heading: docx.HeadingLevel.HEADING_1,
+    pageBreakBefore: true,
+    children: [new docx.TextRun({ text: 'Appendix: Source Signals', color: accent })]
+  }));
+  if (document.sources.length === 0) {
+    children.push(new docx.Paragraph({ text: 'No source signals are linked to this brief.' }));
+  }
+  document.sources.forEach((source, index) => {
+    const title = new docx.TextRun({ text: source.title, bold: true, style: source.url ? 'Hyperlink' : undefined });
+    children.push(new docx.Paragraph({
+      children: [
+        new docx.TextRun(`${index + 1}. `),
+        source.url ? new docx.ExternalHyperlink({ link: source.url, children: [title] }) : title
+      ]
+    }));
+    children.push(new docx.Paragraph({
+      indent: { left: 360 },
+      children: [new docx.TextRun({ text: sourceLine(source), size: 16, color: '666666' })]
+    }));
+  });
+
+  const file = new docx.Document({
+    title: document.title,
+    subject: document.templateName,
+    sections: [{
+      headers: { default: new docx.Header({ children: [bannerParagraph(document.classification)] }) },
+      footers: {
+        default: new docx.Footer({
+          children: [
+            new docx.Paragraph({
+              alignment: docx.AlignmentType.RIGHT,
+              children: [new docx.TextRun({
+                children: ['Page ', docx.PageNumber.CURRENT, ' of ', docx.PageNumber.TOTAL_PAGES],
+                size: 16,
+                color: '666666'
+              })]
+            }),
+            bannerParagraph(document.classification)
+          ]
+        })
+      },
+      children
+    }]
+  });
+
+  return docx.Packer.toBuffer(file);
+}
+
+/**
+ * Renders a brief in one of EXPORT_FORMATS
+ * @returns {Promise<{body: string|Buffer, contentType: string, filename: string}>}
+ */
+export async function exportBrief(brief, signals, template: ExportTemplate, format: string, options: ExportOptions = {}) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new ExportError(`Unknown format "${format}"; expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const document = buildExportDocument(brief, signals, template, options);
+  const body = format === 'html'
+    ? renderHtml(document)
+    : format === 'pdf'
+      ? await renderPdf(document)
+      : await renderDocx(document);
+
+  const slug = (brief.title || 'brief').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'brief';
+
+  return {
+    body,
+    contentType: target.contentType,
+    filename: `${slug}-v${brief.version || 1}-${template.key.toLowerCase()}.${target.extension}`
+  };
+}
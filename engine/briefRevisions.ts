@@ -0,0 +1,229 @@
+const { prisma } = require('../lib/db');
+
+// Brief fields captured in each revision
+export const VERSIONED_FIELDS = [
+  'title',
+  'summary',
+  'status',
+  'classification',
+  'keywords',
+  'datePublished',
+  'relatedSignalIds'
+];
+
+// Owned by the lifecycle workflow (briefWorkflow.ts): recorded in revisions but
+// never changed by a content edit or restore
+export const WORKFLOW_FIELDS = ['status', 'datePublished'];
+
+// Above this many lines per side the diff falls back to remove-all/add-all
+const MAX_DIFF_LINES = 2000;
+
+export interface RevisionAuthor {
+  id?: string | null;
+  email?: string | null;
+}
+
+export interface DiffLine {
+  type: 'equal' | 'added' | 'removed';
+  text: string;
+}
+
+export class RevisionNotFoundError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RevisionNotFoundError';
+  }
+}
+
+function pickVersionedFields(record) {
+  const fields = {};
+  VERSIONED_FIELDS.forEach(field => {
+    fields[field] = record[field] ?? (field === 'keywords' || field === 'relatedSignalIds' ? [] : null);
+  });
+  return fields as any;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Versioned fields whose values differ between two briefs or revisions
+ */
+export function getChangedFields(previous, next): string[] {
+  if (!previous) return [];
+  return VERSIONED_FIELDS.filter(field => !sameValue(previous[field], next[field]));
+}
+
+function toRevisionData(brief, version: number, author: RevisionAuthor | null, changedFields: string[], restoredFromVersion?: number) {
+  return {
+    briefId: brief.id,
+    version,
+    ...pickVersionedFields(brief),
+    changedFields,
+    authorId: author?.id || null,
+    authorEmail: author?.email || null,
+    restoredFromVersion: restoredFromVersion ?? null
+  };
+}
+
+/**
+ * Creates a brief at version 1 together with its first revision
+ */
+export async function createBriefWithRevision(data, author: RevisionAuthor | null) {
+  return prisma.brief.create({
+    data: {
+      ...data,
+      version: 1,
+      revisions: {
+        create: {
+          version: 1,
+          ...pickVersionedFields(data),
+          changedFields: [],
+          authorId: author?.id || null,
+          authorEmail: author?.email || null
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Applies an edit to an already-loaded brief inside a transaction, bumping its
+ * version and recording the new revision. Two edits racing for the same
+ * version fail with Prisma's P2002 on the revision's (briefId, version) key.
+ */
+export async function applyBriefUpdate(tx, current, data, author: RevisionAuthor | null, options: { restoredFromVersion?: number } = {}) {
+  // Briefs written before revisions existed get their current content as
+  // the base revision, so the first edit can still be diffed and undone
+  const previous = await tx.briefRevision.findFirst({
+    where: { briefId: current.id },
+    orderBy: { version: 'desc' }
+  }) || await tx.briefRevision.create({
+    data: toRevisionData(current, current.version || 1, null, [])
+  });
+
+  const brief = await tx.brief.update({
+    where: { id: current.id },
+    data: { ...data, version: previous.version + 1 }
+  });
+
+  await tx.briefRevision.create({
+    data: toRevisionData(brief, brief.version, author, getChangedFields(previous, brief), options.restoredFromVersion)
+  });
+
+  return brief;
+}
+
+/**
+ * Applies an edit and records its revision in one transaction
+ * @returns {Promise<Object|null>} Updated brief, or null if it doesn't exist
+ */
+export async function updateBriefWithRevision(id: string, data, author: RevisionAuthor | null, options: { restoredFromVersion?: number } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const current = await tx.brief.findUnique({ where: { id } });
+    if (!current) return null;
+
+    return applyBriefUpdate(tx, current, data, author, options);
+  });
+}
+
+/**
+ * Revisions of a brief, newest first
+ */
+export async function listRevisions(briefId: string) {
+  return prisma.briefRevision.findMany({
+    where: { briefId },
+    orderBy: { version: 'desc' }
+  });
+}
+
+async function getRevision(briefId: string, version: number) {
+  const revision = await prisma.briefRevision.findUnique({
+    where: { briefId_version: { briefId, version } }
+  });
+  if (!revision) {
+    throw new RevisionNotFoundError(`Revision ${version} not found`);
+  }
+  return revision;
+}
+
+/**
+ * Line-level diff (longest common subsequence)
+ */
+export function diffLines(before: string[], after: string[]): DiffLine[] {
+  if (before.length > MAX_DIFF_LINES || after.length > MAX_DIFF_LINES) {
+    return [
+      ...before.map(text => ({ type: 'removed' as const, text })),
+      ...after.map(text => ({ type: 'added' as const, text }))
+    ];
+  }
+
+  // lcs[i][j] = common subsequence length of before[i..] and after[j..]
+  const lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      lines.push({ type: 'equal', text: before[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: before[i++] });
+    } else {
+      lines.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < before.length) lines.push({ type: 'removed', text: before[i++] });
+  while (j < after.length) lines.push({ type: 'added', text: after[j++] });
+
+  return lines;
+}
+
+function toLines(value): string[] {
+  if (value === null || value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  if (value instanceof Date) return [value.toISOString()];
+  return String(value).split(/\r?\n/);
+}
+
+/**
+ * Line-level diff of every versioned field between two revisions
+ */
+export async function diffRevisions(briefId: string, fromVersion: number, toVersion: number) {
+  const [from, to] = await Promise.all([
+    getRevision(briefId, fromVersion),
+    getRevision(briefId, toVersion)
+  ]);
+
+  return {
+    from: { version: from.version, authorEmail: from.authorEmail, createdAt: from.createdAt },
+    to: { version: to.version, authorEmail: to.authorEmail, createdAt: to.createdAt },
+    fields: VERSIONED_FIELDS.map(field => ({
+      field,
+      changed: !sameValue(from[field], to[field]),
+      lines: diffLines(toLines(from[field]), toLines(to[field]))
+    }))
+  };
+}
+
+/**
+ * Puts an earlier revision's content back as a new revision; history is
+ * never rewritten and the lifecycle status stays where it is
+ */
+export async function restoreRevision(briefId: string, version: number, author: RevisionAuthor | null) {
+  const revision = await getRevision(briefId, version);
+  const content = pickVersionedFields(revision);
+  WORKFLOW_FIELDS.forEach(field => delete content[field]);
+
+  return updateBriefWithRevision(briefId, content, author, { restoredFromVersion: version });
+}
@@ -0,0 +1,159 @@
+const { prisma } = require('../lib/db');
+import { hasRole, ROLES } from './auth';
+import { applyBriefUpdate } from './briefRevisions';
+
+export const BRIEF_STATUSES = ['DRAFT', 'REVIEW', 'APPROVED', 'PUBLISHED', 'ARCHIVED'];
+export const INITIAL_STATUS = 'DRAFT';
+
+// Content can only change before a brief is approved
+export const EDITABLE_STATUSES = ['DRAFT', 'REVIEW'];
+
+export interface Transition {
+  from: string[];
+  to: string;
+  // Only the assigned reviewer (or an admin) may take this action
+  reviewerOnly?: boolean;
+  requiresReviewer?: boolean;
+  requiresComment?: boolean;
+}
+
+export const TRANSITIONS: Record<string, Transition> = {
+  submit: { from: ['DRAFT'], to: 'REVIEW', requiresReviewer: true },
+  approve: { from: ['REVIEW'], to: 'APPROVED', reviewerOnly: true },
+  reject: { from: ['REVIEW', 'APPROVED'], to: 'DRAFT', reviewerOnly: true, requiresComment: true },
+  publish: { from: ['APPROVED'], to: 'PUBLISHED' },
+  archive: { from: ['DRAFT', 'PUBLISHED'], to: 'ARCHIVED' },
+  reopen: { from: ['ARCHIVED'], to: 'DRAFT' }
+};
+
+export class WorkflowError extends Error {
+  status: number;
+
+  /**
+   * @param {number} status - HTTP status to answer with (400, 403, 404 or 409)
+   * @param {string} message - Error message
+   */
+  constructor(status: number, message: string) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+  }
+}
+
+/**
+ * Lifecycle status of a brief; rows from before the workflow may have none
+ */
+export function getBriefStatus(brief): string {
+  return BRIEF_STATUSES.includes(brief?.status) ? brief.status : INITIAL_STATUS;
+}
+
+export function isEditable(brief): boolean {
+  return EDITABLE_STATUSES.includes(getBriefStatus(brief));
+}
+
+/**
+ * Actions the user may take on the brief in its current status
+ */
+export function getAllowedActions(brief, user): string[] {
+  if (!hasRole(user, ROLES.ANALYST)) return [];
+
+  const status = getBriefStatus(brief);
+  return Object.entries(TRANSITIONS)
+    .filter(([, transition]) => transition.from.includes(status))
+    .filter(([, transition]) => !transition.reviewerOnly || brief.reviewerId === user.id || hasRole(user, ROLES.ADMIN))
+    .map(([action]) => action);
+}
+
+/**
+ * Users who can be assigned as reviewers (active analysts and admins). Only
+ * admins may review their own briefs, so others are not offered themselves.
+ */
+export async function listReviewers(user) {
+  return prisma.user.findMany({
+    where: {
+      isActive: true,
+      role: { in: [ROLES.ANALYST, ROLES.ADMIN] },
+      ...(user?.id && !hasRole(user, ROLES.ADMIN) ? { id: { not: user.id } } : {})
+    },
+    select: { id: true, email: true, name: true, role: true },
+    orderBy: { email: 'asc' }
+  });
+}
+
+/**
+ * Lifecycle history of a brief, oldest first
+ */
+export async function listTransitions(briefId: string) {
+  return prisma.briefTransition.findMany({
+    where: { briefId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Moves a brief through the lifecycle. The status change is recorded both as
+ * a BriefTransition (with any review comment) and as a brief revision.
+ * @throws {WorkflowError} When the action isn't allowed from the current status or for this user
+ */
+export async function transitionBrief(briefId: string, action: string, user, { reviewerId, comment }: { reviewerId?: string; comment?: string } = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new WorkflowError(400, `Unknown action "${action}"; expected one of ${Object.keys(TRANSITIONS).join(', ')}`);
+  }
+
+  const trimmedComment = (comment || '').trim() || null;
+  if (transition.requiresComment && !trimmedComment) {
+    throw new WorkflowError(400, `A review comment is required to ${action} a brief`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const current = await tx.brief.findUnique({ where: { id: briefId } });
+    if (!current) {
+      throw new WorkflowError(404, 'Brief not found');
+    }
+
+    const fromStatus = getBriefStatus(current);
+    if (!transition.from.includes(fromStatus)) {
+      throw new WorkflowError(409, `Cannot ${action} a brief in ${fromStatus}`);
+    }
+    if (!getAllowedActions(current, user).includes(action)) {
+      throw new WorkflowError(403, `Only the assigned reviewer or an admin can ${action} this brief`);
+    }
+
+    const data: Record<string, any> = { status: transition.to };
+
+    if (transition.requiresReviewer) {
+      const assignedId = reviewerId || current.reviewerId;
+      const reviewer = assignedId
+        ? await tx.user.findUnique({ where: { id: assignedId } })
+        : null;
+      if (!reviewer || !reviewer.isActive || !hasRole(reviewer, ROLES.ANALYST)) {
+        throw new WorkflowError(400, 'Assign an active analyst or admin as reviewer');
+      }
+      // Briefs have no author column; whoever submits is the author under review
+      if (reviewer.id === user.id && !hasRole(user, ROLES.ADMIN)) {
+        throw new WorkflowError(400, 'Assign someone else as reviewer; only admins can review their own briefs');
+      }
+      data.reviewerId = reviewer.id;
+    }
+
+    if (transition.to === 'PUBLISHED') {
+      data.datePublished = new Date();
+    }
+
+    const brief = await applyBriefUpdate(tx, current, data, user);
+    const record = await tx.briefTransition.create({
+      data: {
+        briefId,
+        action,
+        fromStatus,
+        toStatus: transition.to,
+        comment: trimmedComment,
+        actorId: user.id || null,
+        actorEmail: user.email || null
+      }
+    });
+
+    return { brief, transition: record };
+  });
+}
@@ -0,0 +1,125 @@
+const { prisma } = require('../lib/db');
+import { workspaceScope } from './auth';
+
+export const MAX_TEMPLATE_SECTIONS = 20;
+
+// Lowest first; a section's minPriority keeps signals at or above it
+export const PRIORITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Section types are keys of the section registry in
+// src/services/briefing/sectionGenerators.js. The registry can be extended on
+// the client, so only the key format is checked here; the generator reports
+// types it doesn't know as failed sections.
+const SECTION_TYPE_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+export interface SectionFilters {
+  categories: string[];
+  regions: string[];
+  minPriority: string | null;
+}
+
+export interface TemplateSection {
+  type: string;
+  title: string | null;
+  filters: SectionFilters;
+}
+
+export class TemplateValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TemplateValidationError';
+  }
+}
+
+const trimmedOrNull = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+function toUpperList(value, field: string): string[] {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new TemplateValidationError(`${field} must be a list`);
+  }
+  return [...new Set(value.map(item => String(item).trim().toUpperCase()).filter(Boolean))];
+}
+
+function normalizeSection(section, index: number): TemplateSection {
+  const position = `Section ${index + 1}`;
+  if (!section || typeof section !== 'object') {
+    throw new TemplateValidationError(`${position} must be an object`);
+  }
+
+  const type = String(section.type || '').trim().toUpperCase();
+  if (!SECTION_TYPE_PATTERN.test(type)) {
+    throw new TemplateValidationError(`${position} needs a section type such as EXECUTIVE_SUMMARY`);
+  }
+
+  const filters = section.filters || {};
+  const minPriority = trimmedOrNull(filters.minPriority)?.toUpperCase() || null;
+  if (minPriority && !PRIORITY_ORDER.includes(minPriority)) {
+    throw new TemplateValidationError(`${position}: minPriority must be one of ${PRIORITY_ORDER.join(', ')}`);
+  }
+
+  return {
+    type,
+    title: trimmedOrNull(section.title),
+    filters: {
+      categories: toUpperList(filters.categories, `${position} categories`),
+      regions: toUpperList(filters.regions, `${position} regions`),
+      minPriority
+    }
+  };
+}
+
+/**
+ * Checks a template sent by the editor and returns the columns to store
+ * @throws {TemplateValidationError} When a field is missing or malformed
+ */
+export function normalizeTemplateInput(body) {
+  const { name, header, classification, accentColor, sections } = body || {};
+
+  if (!trimmedOrNull(name)) {
+    throw new TemplateValidationError('name is required');
+  }
+  if (!trimmedOrNull(classification)) {
+    throw new TemplateValidationError('classification is required');
+  }
+  if (accentColor && !COLOR_PATTERN.test(accentColor)) {
+    throw new TemplateValidationError('accentColor must be a hex colour such as #1f4e79');
+  }
+  if (!Array.isArray(sections) || sections.length === 0) {
+    throw new TemplateValidationError('At least one section is required');
+  }
+  if (sections.length > MAX_TEMPLATE_SECTIONS) {
+    throw new TemplateValidationError(`A template can have at most ${MAX_TEMPLATE_SECTIONS} sections`);
+  }
+
+  return {
+    name: name.trim(),
+    header: trimmedOrNull(header),
+    classification: classification.trim().toUpperCase(),
+    accentColor: accentColor || null,
+    sections: sections.map(normalizeSection)
+  };
+}
+
+/**
+ * Templates visible to the user: their own workspace's, or for admins the
+ * requested workspace ('all' for every workspace)
+ */
+export async function listTemplates(user, requestedWorkspace?: string) {
+  return prisma.briefingTemplate.findMany({
+    where: workspaceScope(user, requestedWorkspace),
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * The template, if the user may see it (admins see every workspace's)
+ */
+export async function findTemplateInScope(id: string, user) {
+  if (!id) return null;
+
+  return prisma.briefingTemplate.findFirst({
+    where: { AND: [{ id }, workspaceScope(user, 'all')] }
+  });
+}
@@ -0,0 +1,286 @@
+const { anthropic } = require('../analysisService');
+const { prisma } = require('../lib/db');
+import { Article, AnalyzedSignal, buildAnalysisRequest, resolveAnalysis } from './claudeClient';
+import { storeSignals } from './signalWriter';
+import { forgetArticles } from './feedTracker';
+import { getActiveProfile } from './scoringProfiles';
+import { loadDictionary } from './dictionary';
+import { ingestionScorerService } from '../src/services/scoring/ingestionScorer.js';
+import { RSS_CONFIG } from '../src/constants/api.js';
+
+export interface BatchItem {
+  feedId: string;
+  article: Article;
+}
+
+export interface BatchPollResult {
+  batchId: string;
+  status: string;
+  succeeded: number;
+  errored: number;
+  requeued: number;
+}
+
+// Anthropic caps a batch at 100,000 requests; stay well below that per cycle
+export const MAX_BATCH_REQUESTS = 10000;
+
+/**
+ * Submits one ingestion cycle as a single Message Batch and records the job so
+ * a later run can collect the results
+ * @returns {Promise<string|null>} The Anthropic batch ID, or null if there was nothing to submit
+ */
+export async function submitAnalysisBatch(items: BatchItem[]): Promise<string | null> {
+  if (items.length === 0) return null;
+  if (items.length > MAX_BATCH_REQUESTS) {
+    throw new Error(`Batch too large: ${items.length} articles (max ${MAX_BATCH_REQUESTS})`);
+  }
+
+  try {
+    console.log(`📦 Submitting Claude batch with ${items.length} articles...`);
+
+    const batch = await anthropic.messages.batches.create({
+      requests: items.map((item, index) => ({
+        custom_id: `article-${index}`,
+        params: buildAnalysisRequest(item.article)
+      }))
+    });
+
+    await prisma.analysisBatchJob.create({
+      data: {
+        batchId: batch.id,
+        status: batch.processing_status,
+        requestCount: items.length,
+        articles: items
+      }
+    });
+
+    console.log(`✅ Submitted Claude batch ${batch.id}`);
+    return batch.id;
+
+  } catch (error) {
+    console.error('❌ Error submitting Claude batch:', error);
+    throw error;
+  }
+}
+
+/**
+ * Checks every batch whose results have not been collected yet. Finished
+ * batches have their results written as signals; articles whose request
+ * errored or expired are removed from the seen set so they get retried.
+ *
+ * A run first claims a finished batch so overlapping runs never collect the
+ * same one, and stores its results in chunks, saving a cursor after each. At
+ * the deadline it stops and releases the claim; the next run resumes at the
+ * cursor.
+ * @param {Object} options - { deadline } timestamp after which no new results are collected
+ */
+export async function pollAnalysisBatches({ deadline = Infinity }: { deadline?: number } = {}): Promise<BatchPollResult[]> {
+  // Batches submitted through server.js are collected by the client that submitted them
+  const jobs = await prisma.analysisBatchJob.findMany({
+    where: { source: 'ingestion', processedAt: null },
+    orderBy: { submittedAt: 'asc' }
+  });
+
+  const results: BatchPollResult[] = [];
+
+  for (const job of jobs) {
+    // Jobs not reached stay pending for the next run
+    if (Date.now() >= deadline) break;
+
+    try {
+      const batch = await anthropic.messages.batches.retrieve(job.batchId);
+
+      if (batch.processing_status !== 'ended') {
+        if (batch.processing_status !== job.status) {
+          await prisma.analysisBatchJob.update({
+            where: { id: job.id },
+            data: { status: batch.processing_status }
+          });
+        }
+        results.push({ batchId: job.batchId, status: batch.processing_status, succeeded: 0, errored: 0, requeued: 0 });
+        continue;
+      }
+
+      const claimed = await claimBatchJob(job.id);
+      if (!claimed) {
+        results.push({ batchId: job.batchId, status: 'claimed', succeeded: 0, errored: 0, requeued: 0 });
+        continue;
+      }
+
+      results.push(await collectBatchResults(claimed, deadline));
+
+    } catch (error) {
+      console.error(`❌ Error polling Claude batch ${job.batchId}:`, error);
+      await prisma.analysisBatchJob.update({
+        where: { id: job.id },
+        data: { error: error.message, claimedAt: null }
+      });
+      results.push({ batchId: job.batchId, status: 'error', succeeded: 0, errored: 0, requeued: 0 });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Marks an ended batch as being collected by this run. The conditional update
+ * only matches when no other run holds a live claim.
+ * @returns {Promise<Object|null>} The job as stored after the claim, or null if another run has it
+ */
+async function claimBatchJob(id: string) {
+  const now = new Date();
+  const { count } = await prisma.analysisBatchJob.updateMany({
+    where: {
+      id,
+      processedAt: null,
+      OR: [
+        { claimedAt: null },
+        { claimedAt: { lt: new Date(now.getTime() - RSS_CONFIG.BATCH_CLAIM_TTL_MS) } }
+      ]
+    },
+    data: { status: 'ended', claimedAt: now }
+  });
+
+  return count === 1 ? prisma.analysisBatchJob.findUnique({ where: { id } }) : null;
+}
+
+async function collectBatchResults(job, deadline: number): Promise<BatchPollResult> {
+  const items: BatchItem[] = job.articles;
+  const answered = new Set<number>();
+  const scoringProfile = await getActiveProfile();
+  await loadDictionary();
+
+  let position = 0;
+  let succeeded = 0;
+  let errored = 0;
+  let requeued = 0;
+  let finished = true;
+  let signals: AnalyzedSignal[] = [];
+  let failed: BatchItem[] = [];
+
+  // Stores the pending chunk, then moves the cursor past it
+  const saveChunk = async () => {
+    await storeSignals(signals);
+    requeued += await requeueItems(failed);
+    succeeded += signals.length;
+    errored += failed.length;
+
+    await prisma.analysisBatchJob.update({
+      where: { id: job.id },
+      data: {
+        collectedCount: position,
+        succeededCount: { increment: signals.length },
+        erroredCount: { increment: failed.length },
+        claimedAt: new Date()
+      }
+    });
+    signals = [];
+    failed = [];
+  };
+
+  const decoder = await anthropic.messages.batches.results(job.batchId);
+  for await (const entry of decoder) {
+    const index = parseInt(entry.custom_id.replace('article-', ''), 10);
+
+    // Stored by an earlier run
+    if (position < job.collectedCount) {
+      answered.add(index);
+      position++;
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      finished = false;
+      break;
+    }
+
+    position++;
+    const item = items[index];
+    if (!item) continue;
+    answered.add(index);
+
+    if (entry.result.type === 'succeeded') {
+      const signal = await resolveAnalysis(item.article, entry.result.message);
+      signals.push(ingestionScorerService.scoreSignal(signal, item.article, scoringProfile));
+    } else {
+      console.warn(`⚠️ Batch request ${entry.custom_id} ${entry.result.type}: ${item.article.title}`);
+      failed.push(item);
+    }
+
+    if (signals.length + failed.length >= RSS_CONFIG.BATCH_COLLECT_CHUNK) {
+      await saveChunk();
+    }
+  }
+
+  await saveChunk();
+
+  if (!finished) {
+    await prisma.analysisBatchJob.update({ where: { id: job.id }, data: { claimedAt: null } });
+    console.log(`⏸️ Collected ${position} of ${items.length} results of Claude batch ${job.batchId}; resuming next run`);
+    return { batchId: job.batchId, status: 'collecting', succeeded, errored, requeued };
+  }
+
+  // Requests missing from the results file are treated like failures
+  const missing = items.filter((item, index) => !answered.has(index));
+  requeued += await requeueItems(missing);
+  errored += missing.length;
+
+  const stored = await prisma.analysisBatchJob.update({
+    where: { id: job.id },
+    data: {
+      status: 'ended',
+      erroredCount: { increment: missing.length },
+      error: null,
+      endedAt: new Date(),
+      claimedAt: null,
+      processedAt: new Date()
+    }
+  });
+
+  console.log(`🏁 Collected Claude batch ${job.batchId}: ${stored.succeededCount} signals, ${stored.erroredCount} failed`);
+
+  return {
+    batchId: job.batchId,
+    status: 'ended',
+    succeeded,
+    errored,
+    requeued
+  };
+}
+
+// Removes failed articles from the seen set, and their feeds' validators, so
+// a later run fetches and analyzes them again
+async function requeueItems(failed: BatchItem[]): Promise<number> {
+  const guidsByFeed = new Map<string, string[]>();
+  failed.forEach(item => {
+    guidsByFeed.set(item.feedId, [...(guidsByFeed.get(item.feedId) || []), item.article.guid]);
+  });
+
+  let requeued = 0;
+  for (const [feedId, guids] of guidsByFeed) {
+    requeued += await forgetArticles(feedId, guids.filter(Boolean));
+  }
+  return requeued;
+}
+
+/**
+ * Lists recent batch jobs for the status endpoint
+ */
+export async function getAnalysisBatchJobs(limit: number = 20) {
+  return prisma.analysisBatchJob.findMany({
+    select: {
+      batchId: true,
+      source: true,
+      status: true,
+      requestCount: true,
+      succeededCount: true,
+      erroredCount: true,
+      error: true,
+      submittedAt: true,
+      collectedCount: true,
+      endedAt: true,
+      processedAt: true
+    },
+    orderBy: { submittedAt: 'desc' },
+    take: limit
+  });
+}
@@ -1,15 +1,25 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const analysisService = require('../analysisService');
+const { toSignalRecord, setParseOutcomeRecorder } = analysisService;
+import { createLimiter } from './concurrency';
+import { recordParseOutcome } from './parseStats';
+import { SignalEntities } from './entityStore';
 
-interface Article {
+export interface Article {
+  guid?: string;
   title: string;
   link: string;
   pubDate: string;
   content: string;
   creator?: string;
   categories?: string[];
+  source?: {
+    name: string;
+    credibilityScore?: number;
+    category?: string;
+  };
 }
 
-interface AnalyzedSignal {
+export interface AnalyzedSignal {
   title: string;
   summary: string;
   content: string;
@@ -20,97 +30,74 @@ interface AnalyzedSignal {
   signalScore: number;
   category: string[];
   region: string[];
+  tags: string[];
+  confidenceLevel: number;
+  isAdvertisement: boolean;
+  isDuplicate: boolean;
+  duplicateOf: string | null;
+  isSignificantUpdate: boolean;
+  entities: SignalEntities;
 }
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+interface AnalysisOptions {
+  deadline?: number;
+}
+
+interface AnalysisBatch {
+  signals: AnalyzedSignal[];
+  deferred: Article[];
+}
 
-const ANALYSIS_PROMPT = `You are an intelligence analyst. Analyze this article and extract key intelligence information.
+// Global cap on in-flight Claude calls, shared by every feed in a run
+const CLAUDE_MAX_CONCURRENCY = parseInt(process.env.CLAUDE_MAX_CONCURRENCY || '3', 10);
+const claudeLimiter = createLimiter(CLAUDE_MAX_CONCURRENCY);
 
-Return a JSON object with:
-- summary: Brief 2-3 sentence summary focusing on intelligence value
-- escalationRisk: "LOW", "MEDIUM", "HIGH", or "CRITICAL"
-- credibility: Number 0-100 based on source and content quality
-- signalScore: Number 0-100 representing intelligence value
-- category: Array of relevant categories from: ["MILITARY", "TECHNOLOGY", "CYBERSECURITY", "GEOPOLITICS", "FINANCE", "HEALTH", "SCIENCE"]
-- region: Array of relevant regions/countries mentioned
+// Serverless memory does not outlive a request, so keep the counters in the database
+setParseOutcomeRecorder(recordParseOutcome);
+
+export function buildAnalysisRequest(article: Article) {
+  return analysisService.buildAnalysisRequest(article);
+}
 
-Article:
-Title: {title}
-Content: {content}
+/**
+ * Turns a Claude reply (synchronous or from a batch) into a signal, using the
+ * shared validation, repair retry and fallback
+ */
+export async function resolveAnalysis(article: Article, message): Promise<AnalyzedSignal> {
+  const analysis = await analysisService.resolveAnalysis(article, message);
+  return toSignalRecord(article, analysis);
+}
 
-Respond only with valid JSON.`;
+async function analyzeArticle(article: Article): Promise<AnalyzedSignal | null> {
+  try {
+    const analysis = await analysisService.analyzeArticle(article);
+    return toSignalRecord(article, analysis);
+    
+  } catch (error) {
+    console.error(`❌ Claude API error for: ${article.title}`, error);
+    return null;
+  }
+}
 
-export async function analyzeWithClaude(articles: Article[]): Promise<AnalyzedSignal[]> {
-  const signals: AnalyzedSignal[] = [];
+/**
+ * Analyzes articles through the shared Claude limiter. Articles still queued
+ * when `options.deadline` passes are not sent and come back as `deferred`.
+ */
+export async function analyzeWithClaude(articles: Article[], options: AnalysisOptions = {}): Promise<AnalysisBatch> {
+  const deferred: Article[] = [];
   
-  for (const article of articles) {
-    try {
-      console.log(`🤖 Analyzing with Claude: ${article.title}`);
-      
-      const prompt = ANALYSIS_PROMPT
-        .replace('{title}', article.title)
-        .replace('{content}', article.content.substring(0, 3000)); // Limit content length
-      
-      const response = await anthropic.messages.create({
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 1000,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      });
-      
-      const analysisText = response.content[0]?.text || '{}';
-      
-      try {
-        const analysis = JSON.parse(analysisText);
-        
-        const signal: AnalyzedSignal = {
-          title: article.title,
-          summary: analysis.summary || 'No summary available',
-          content: article.content,
-          sourceUrl: article.link,
-          sourceType: 'RSS_FEED',
-          escalationRisk: analysis.escalationRisk || 'LOW',
-          credibility: analysis.credibility || 50,
-          signalScore: analysis.signalScore || 30,
-          category: Array.isArray(analysis.category) ? analysis.category : ['GENERAL'],
-          region: Array.isArray(analysis.region) ? analysis.region : []
-        };
-        
-        signals.push(signal);
-        console.log(`✅ Successfully analyzed: ${article.title} (Score: ${signal.signalScore})`);
-        
-      } catch (parseError) {
-        console.error(`❌ Failed to parse Claude response for: ${article.title}`, parseError);
-        
-        // Fallback signal with basic analysis
-        signals.push({
-          title: article.title,
-          summary: article.content.substring(0, 200) + '...',
-          content: article.content,
-          sourceUrl: article.link,
-          sourceType: 'RSS_FEED',
-          escalationRisk: 'LOW',
-          credibility: 50,
-          signalScore: 30,
-          category: ['GENERAL'],
-          region: []
-        });
+  const results = await Promise.all(articles.map(article =>
+    claudeLimiter.run(async () => {
+      if (options.deadline && Date.now() >= options.deadline) {
+        deferred.push(article);
+        return null;
       }
-      
-      // Rate limiting for Claude API
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-    } catch (error) {
-      console.error(`❌ Claude API error for: ${article.title}`, error);
-      continue;
-    }
-  }
+      return analyzeArticle(article);
+    })
+  ));
   
-  return signals;
-}
\ No newline at end of file
+  return {
+    signals: results.filter(Boolean),
+    deferred
+  };
+}
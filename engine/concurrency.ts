@@ -0,0 +1,114 @@
+export interface Limiter {
+  run<T>(task: () => Promise<T>): Promise<T>;
+  activeCount(): number;
+  pendingCount(): number;
+}
+
+/**
+ * Creates a limiter that runs at most `maxConcurrent` tasks at a time and
+ * queues the rest in FIFO order
+ */
+export function createLimiter(maxConcurrent: number): Limiter {
+  let active = 0;
+  const queue: Array<() => void> = [];
+
+  const next = () => {
+    if (active >= maxConcurrent || queue.length === 0) return;
+    active++;
+    queue.shift()();
+  };
+
+  return {
+    run<T>(task: () => Promise<T>): Promise<T> {
+      return new Promise<T>((resolve, reject) => {
+        queue.push(() => {
+          task()
+            .then(resolve, reject)
+            .finally(() => {
+              active--;
+              next();
+            });
+        });
+        next();
+      });
+    },
+    activeCount: () => active,
+    pendingCount: () => queue.length
+  };
+}
+
+/**
+ * Per-host politeness: one request at a time per host, with at least
+ * `minIntervalMs` between the end of one request and the start of the next
+ */
+export function createHostThrottle(minIntervalMs: number) {
+  const hosts = new Map<string, { limiter: Limiter; lastFinishedAt: number }>();
+
+  const hostOf = (url: string): string => {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return url;
+    }
+  };
+
+  return {
+    run<T>(url: string, task: () => Promise<T>): Promise<T> {
+      const host = hostOf(url);
+      if (!hosts.has(host)) {
+        hosts.set(host, { limiter: createLimiter(1), lastFinishedAt: 0 });
+      }
+      const state = hosts.get(host);
+
+      return state.limiter.run(async () => {
+        const wait = state.lastFinishedAt + minIntervalMs - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        try {
+          return await task();
+        } finally {
+          state.lastFinishedAt = Date.now();
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Processes items with a fixed number of workers. Results keep the input
+ * order. Workers stop taking new items once `shouldStop` returns true; items
+ * that were never started are reported through `onSkipped`.
+ */
+export async function runPool<T, R>(
+  items: T[],
+  concurrency: number,
+  worker: (item: T) => Promise<R>,
+  options: { shouldStop?: () => boolean; onSkipped?: (item: T) => R } = {}
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+
+      if (options.shouldStop && options.shouldStop()) {
+        results[index] = options.onSkipped ? options.onSkipped(item) : undefined;
+        continue;
+      }
+
+      results[index] = await worker(item);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
@@ -0,0 +1,192 @@
+const { prisma } = require('../lib/db');
+const { Prisma } = require('@prisma/client');
+import { dictionaryService } from '../src/services/scoring/dictionary.js';
+import { DICTIONARY_CONFIG } from '../src/constants/api.js';
+
+export interface DictionaryTermInput {
+  kind: string;
+  tier: string;
+  term: string;
+  aliases?: string[];
+  variants?: Record<string, string[]> | null;
+  weight?: number | null;
+  prefilter?: boolean;
+  isActive?: boolean;
+}
+
+export class DictionaryValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DictionaryValidationError';
+  }
+}
+
+// When this instance last compared its dictionary with the stored version
+let lastCheckedAt = 0;
+
+const describeTerm = (row) => `${row.kind}/${row.tier}/${row.term}`;
+
+/**
+ * Checks a term sent by the management screen and returns the columns to store
+ * @throws {DictionaryValidationError} When the kind, tier, term or a form is invalid
+ */
+export function normalizeTermInput(body): DictionaryTermInput {
+  const errors = dictionaryService.validateTerm(body);
+  if (errors.length > 0) {
+    throw new DictionaryValidationError(errors.join('; '));
+  }
+
+  const term = dictionaryService.normalizeTerm(body);
+  // DbNull clears the column: Prisma rejects a plain null for Json
+  return { ...term, variants: term.variants || Prisma.DbNull };
+}
+
+/**
+ * Latest dictionary version; 0 until the stored dictionary is first changed
+ */
+export async function getDictionaryVersion(): Promise<number> {
+  const latest = await prisma.dictionaryVersion.findFirst({
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+  return latest?.version ?? 0;
+}
+
+/**
+ * Brings the scorers' dictionary up to the stored version. The version is
+ * checked at most every REFRESH_MS unless forced, and terms are only read
+ * again when it changed. Until the first change the built-in terms apply; on
+ * a database error the loaded dictionary is kept.
+ * @returns {number} Version in use
+ */
+export async function loadDictionary(force: boolean = false): Promise<number> {
+  if (!force && Date.now() - lastCheckedAt < DICTIONARY_CONFIG.REFRESH_MS) {
+    return dictionaryService.version;
+  }
+  lastCheckedAt = Date.now();
+
+  try {
+    const version = await getDictionaryVersion();
+    if (version !== dictionaryService.version) {
+      const terms = version > 0
+        ? await prisma.dictionaryTerm.findMany({ where: { isActive: true } })
+        : dictionaryService.getBuiltInTerms();
+      dictionaryService.setDictionary({ version, terms });
+      console.log(`📖 Loaded dictionary version ${version} (${terms.length} terms)`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not load the dictionary, keeping version ${dictionaryService.version}:`, error.message);
+  }
+
+  return dictionaryService.version;
+}
+
+/**
+ * Stored terms, optionally of one kind and tier
+ */
+export async function listTerms({ kind = null, tier = null }: { kind?: string | null; tier?: string | null } = {}) {
+  return prisma.dictionaryTerm.findMany({
+    where: { ...(kind ? { kind } : {}), ...(tier ? { tier } : {}) },
+    orderBy: [{ kind: 'asc' }, { tier: 'asc' }, { term: 'asc' }]
+  });
+}
+
+export async function listVersions(limit: number = DICTIONARY_CONFIG.VERSION_HISTORY) {
+  return prisma.dictionaryVersion.findMany({ orderBy: { version: 'desc' }, take: limit });
+}
+
+async function recordVersion(tx, action: string, changed, user): Promise<number> {
+  const { version } = await tx.dictionaryVersion.create({
+    data: {
+      action,
+      term: changed ? describeTerm(changed) : null,
+      termCount: await tx.dictionaryTerm.count(),
+      createdById: user?.id || null
+    }
+  });
+  return version;
+}
+
+/**
+ * @throws {DictionaryValidationError} When no active keyword is marked for the
+ * pre-filter, which would drop every short article
+ */
+async function checkPrefilterKeywords(tx) {
+  const count = await tx.dictionaryTerm.count({ where: { kind: 'keyword', prefilter: true, isActive: true } });
+  if (count === 0) {
+    throw new DictionaryValidationError('The dictionary needs at least one active pre-filter keyword; mark another keyword for the pre-filter first');
+  }
+}
+
+/**
+ * Runs a change to one term and records the dictionary version it creates,
+ * then reloads this instance's dictionary; other instances pick it up within
+ * REFRESH_MS. A change that leaves no pre-filter keyword is rolled back.
+ * @returns {Object} { term, version }
+ */
+async function recordChange(action: string, user, change: (tx) => Promise<any>) {
+  const result = await prisma.$transaction(async (tx) => {
+    const term = await change(tx);
+    await checkPrefilterKeywords(tx);
+    return { term, version: await recordVersion(tx, action, term, user) };
+  });
+
+  await loadDictionary(true);
+  return result;
+}
+
+async function insertBuiltInTerms(tx, user): Promise<number> {
+  const { count } = await tx.dictionaryTerm.createMany({
+    data: dictionaryService.getBuiltInTerms().map(term => ({
+      ...term,
+      variants: Prisma.DbNull,
+      updatedById: user?.id || null
+    })),
+    skipDuplicates: true
+  });
+  return count;
+}
+
+/**
+ * Adds the built-in terms the store does not have yet, e.g. ones added to
+ * constants/dictionary.js after the store was first seeded
+ * @returns {Object} { added, version }; version is null when nothing was added
+ */
+export async function seedDictionary(user) {
+  const result = await prisma.$transaction(async (tx) => {
+    const added = await insertBuiltInTerms(tx, user);
+    return { added, version: added > 0 ? await recordVersion(tx, 'seed', null, user) : null };
+  });
+
+  if (result.version) {
+    await loadDictionary(true);
+  }
+  return result;
+}
+
+/**
+ * Adds a term. The first term added to an empty store brings the built-in
+ * terms with it, so the dictionary does not shrink to that one term.
+ */
+export async function createTerm(body, user) {
+  const data = normalizeTermInput(body);
+
+  return recordChange('create', user, async (tx) => {
+    if (await tx.dictionaryTerm.count() === 0) {
+      await insertBuiltInTerms(tx, user);
+    }
+    return tx.dictionaryTerm.create({ data: { ...data, updatedById: user?.id || null } });
+  });
+}
+
+export async function updateTerm(id: string, body, user) {
+  const data = normalizeTermInput(body);
+
+  return recordChange('update', user, (tx) =>
+    tx.dictionaryTerm.update({ where: { id }, data: { ...data, updatedById: user?.id || null } })
+  );
+}
+
+export async function deleteTerm(id: string, user) {
+  return recordChange('delete', user, (tx) => tx.dictionaryTerm.delete({ where: { id } }));
+}
@@ -0,0 +1,70 @@
+export interface SignalEntities {
+  countries?: string[];
+  organizations?: string[];
+  technologies?: string[];
+  weapons?: string[];
+  locations?: string[];
+}
+
+// Analysis entity groups and the Entity.type they are stored under
+export const ENTITY_TYPES = {
+  countries: 'COUNTRY',
+  organizations: 'ORGANIZATION',
+  technologies: 'TECHNOLOGY',
+  weapons: 'WEAPON',
+  locations: 'LOCATION'
+};
+
+/**
+ * Lookup key for an entity name, so "U.S. Navy " and "u.s. navy" share a row
+ */
+export function normalizeEntityName(name: string): string {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Nested Prisma input linking a new signal to its entities, creating Entity
+ * rows that do not exist yet
+ */
+export function buildEntityLinks(entities: SignalEntities = {}) {
+  const seen = new Set<string>();
+  const links = [];
+
+  Object.entries(ENTITY_TYPES).forEach(([group, type]) => {
+    (entities[group] || []).forEach(name => {
+      if (typeof name !== 'string' || !name.trim()) return;
+
+      const normalizedName = normalizeEntityName(name);
+      const key = `${type}:${normalizedName}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      links.push({
+        entity: {
+          connectOrCreate: {
+            where: { type_normalizedName: { type, normalizedName } },
+            create: { type, name: name.trim().replace(/\s+/g, ' '), normalizedName }
+          }
+        }
+      });
+    });
+  });
+
+  return links;
+}
+
+/**
+ * Groups a signal's linked entities back into the analysis shape
+ */
+export function groupEntities(links: Array<{ entity: { name: string; type: string } }> = []): SignalEntities {
+  const grouped = {};
+  Object.keys(ENTITY_TYPES).forEach(group => { grouped[group] = []; });
+
+  const groupByType = Object.fromEntries(Object.entries(ENTITY_TYPES).map(([group, type]) => [type, group]));
+  links.forEach(({ entity }) => {
+    const group = groupByType[entity.type];
+    if (group) grouped[group].push(entity.name);
+  });
+
+  return grouped;
+}
@@ -0,0 +1,255 @@
+const Parser = require('rss-parser');
+const crypto = require('crypto');
+
+export type FeedFormat = 'RSS' | 'ATOM' | 'RDF' | 'JSON_FEED';
+
+export interface Enclosure {
+  url: string;
+  type?: string;
+  length?: number;
+}
+
+export interface Article {
+  guid: string;
+  title: string;
+  link: string;
+  pubDate: string;
+  content: string;
+  creator?: string;
+  categories?: string[];
+  enclosures?: Enclosure[];
+}
+
+export interface ParsedFeed {
+  format: FeedFormat;
+  title: string;
+  articles: Article[];
+}
+
+// JSON Feed documents name their spec version as a URL under this prefix
+const JSON_FEED_VERSION_PREFIX = 'https://jsonfeed.org/version/';
+
+// rss-parser drops repeated elements it does not know about, so keep the raw
+// arrays for the fields that carry categories and attachments in Atom and RDF
+const parser = new Parser({
+  customFields: {
+    item: [
+      'content:encoded',
+      'dc:creator',
+      ['category', 'atomCategories', { keepArray: true }],
+      ['link', 'atomLinks', { keepArray: true }],
+      ['dc:subject', 'dcSubjects', { keepArray: true }],
+      ['media:content', 'mediaContent', { keepArray: true }]
+    ]
+  }
+});
+
+/**
+ * Detects the syndication format of a raw feed document. The body decides:
+ * servers often label XML feeds as JSON and JSON Feeds as text, and only a
+ * jsonfeed.org version marks a JSON document as a feed.
+ * @param {string} body - Raw response body
+ * @param {string} contentType - Response Content-Type header, if known (reported on failure)
+ * @returns {FeedFormat} Detected format
+ */
+export function detectFeedFormat(body: string, contentType: string = ''): FeedFormat {
+  const head = body.replace(/^\uFEFF/, '').trimStart().substring(0, 2048);
+
+  if (head.startsWith('{') && isJsonFeed(body)) {
+    return 'JSON_FEED';
+  }
+  if (/<rdf:RDF[\s>]/.test(head)) {
+    return 'RDF';
+  }
+  if (/<feed[\s>]/.test(head)) {
+    return 'ATOM';
+  }
+  if (/<rss[\s>]/.test(head)) {
+    return 'RSS';
+  }
+
+  throw new Error(`Unrecognized feed format${contentType ? ` (Content-Type ${contentType})` : ''}`);
+}
+
+function isJsonFeed(body: string): boolean {
+  try {
+    const version = JSON.parse(body.replace(/^\uFEFF/, ''))?.version;
+    return typeof version === 'string' && version.startsWith(JSON_FEED_VERSION_PREFIX);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parses a raw feed document in any supported format into normalized articles
+ * @param {string} body - Raw response body
+ * @param {string} contentType - Response Content-Type header, if known
+ * @returns {Promise<ParsedFeed>} Detected format, feed title and articles
+ */
+export async function parseFeed(body: string, contentType: string = ''): Promise<ParsedFeed> {
+  const format = detectFeedFormat(body, contentType);
+
+  if (format === 'JSON_FEED') {
+    return parseJsonFeed(body);
+  }
+
+  const feed = await parser.parseString(body.replace(/^\uFEFF/, ''));
+
+  return {
+    format,
+    title: feed.title || '',
+    articles: (feed.items || []).map(item => normalizeXmlItem(item, format))
+  };
+}
+
+function parseJsonFeed(body: string): ParsedFeed {
+  let feed;
+  try {
+    feed = JSON.parse(body.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON Feed: ${error.message}`);
+  }
+
+  if (!feed || typeof feed.version !== 'string' || !feed.version.startsWith(JSON_FEED_VERSION_PREFIX)) {
+    throw new Error(`Invalid JSON Feed: version must start with ${JSON_FEED_VERSION_PREFIX}`);
+  }
+
+  const feedAuthor = firstAuthorName(feed.authors || (feed.author ? [feed.author] : []));
+
+  const articles: Article[] = (feed.items || []).map(item => {
+    // JSON Feed 1.1 uses an authors array, 1.0 a single author object
+    const itemAuthor = firstAuthorName(item.authors || (item.author ? [item.author] : []));
+    const link = item.url || item.external_url || '';
+    const pubDate = toIsoDate(item.date_published || item.date_modified);
+
+    return {
+      guid: stableGuid(item.id !== undefined ? String(item.id) : '', link, item.title, pubDate),
+      title: item.title || 'Untitled',
+      link,
+      pubDate: pubDate || new Date().toISOString(),
+      content: item.content_text || stripHtml(item.content_html || '') || item.summary || '',
+      creator: itemAuthor || feedAuthor,
+      categories: Array.isArray(item.tags) ? item.tags.map(String) : [],
+      enclosures: (item.attachments || [])
+        .filter(attachment => attachment && attachment.url)
+        .map(attachment => ({
+          url: attachment.url,
+          type: attachment.mime_type,
+          length: toNumber(attachment.size_in_bytes)
+        }))
+    };
+  });
+
+  return {
+    format: 'JSON_FEED',
+    title: feed.title || '',
+    articles
+  };
+}
+
+function normalizeXmlItem(item, format: FeedFormat): Article {
+  const link = item.link || '';
+  const pubDate = toIsoDate(item.isoDate || item.pubDate || item.date);
+
+  return {
+    // RSS 1.0 items carry their identity in the rdf:about attribute, which
+    // rss-parser copies onto the item (custom fields only map child elements)
+    guid: stableGuid(item.guid || item.id || item['rdf:about'] || '', link, item.title, pubDate),
+    title: item.title || 'Untitled',
+    link,
+    pubDate: pubDate || new Date().toISOString(),
+    content: item['content:encoded'] || item.contentSnippet || item.content || item.summary || '',
+    creator: item['dc:creator'] || item.creator || item.author,
+    categories: extractCategories(item, format),
+    enclosures: extractEnclosures(item, format)
+  };
+}
+
+function extractCategories(item, format: FeedFormat): string[] {
+  let raw = [];
+
+  if (format === 'ATOM') {
+    // <category term="..." label="..."/>
+    raw = (item.atomCategories || []).map(category => category?.$?.label || category?.$?.term);
+  } else {
+    raw = [...(item.categories || []), ...(item.dcSubjects || [])];
+  }
+
+  const categories = raw
+    .map(category => (typeof category === 'object' && category !== null ? category._ : category))
+    .filter(category => typeof category === 'string')
+    .map(category => category.trim())
+    .filter(Boolean);
+
+  return [...new Set(categories)];
+}
+
+function extractEnclosures(item, format: FeedFormat): Enclosure[] {
+  const enclosures: Enclosure[] = [];
+
+  if (format === 'ATOM') {
+    (item.atomLinks || [])
+      .filter(link => link?.$?.rel === 'enclosure' && link.$.href)
+      .forEach(link => enclosures.push({
+        url: link.$.href,
+        type: link.$.type,
+        length: toNumber(link.$.length)
+      }));
+  } else if (item.enclosure?.url) {
+    enclosures.push({
+      url: item.enclosure.url,
+      type: item.enclosure.type,
+      length: toNumber(item.enclosure.length)
+    });
+  }
+
+  (item.mediaContent || [])
+    .filter(media => media?.$?.url)
+    .forEach(media => enclosures.push({
+      url: media.$.url,
+      type: media.$.type,
+      length: toNumber(media.$.fileSize)
+    }));
+
+  // The same file is often listed both as an enclosure and as media:content
+  return enclosures.filter((enclosure, index) =>
+    enclosures.findIndex(other => other.url === enclosure.url) === index
+  );
+}
+
+/**
+ * Picks a GUID that stays the same across fetches of the same item. Publisher
+ * IDs win; items without one fall back to the link, and items without either
+ * are hashed from title and date.
+ */
+function stableGuid(id: string, link: string, title: string, pubDate: string): string {
+  const publisherId = typeof id === 'string' ? id.trim() : '';
+  if (publisherId) return publisherId;
+  if (link) return link.trim();
+
+  return 'sha1:' + crypto
+    .createHash('sha1')
+    .update(`${title || ''}|${pubDate || ''}`)
+    .digest('hex');
+}
+
+function firstAuthorName(authors): string | undefined {
+  if (!Array.isArray(authors)) return undefined;
+  const author = authors.find(a => a && a.name);
+  return author ? author.name : undefined;
+}
+
+function toIsoDate(value): string {
+  if (!value) return '';
+  const date = new Date(typeof value === 'string' ? value.trim() : value);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+function toNumber(value): number | undefined {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? undefined : parsed;
+}
+
+function stripHtml(html: string): string {
+  return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,83 @@
+const { prisma } = require('../lib/db');
+
+export interface FeedSource {
+  id: string;
+  name: string;
+  url: string;
+  category: string;
+  credibilityScore: number;
+  errorCount: number;
+}
+
+/**
+ * Loads the feeds marked active in the RSS Management UI
+ */
+export async function getActiveFeeds(): Promise<FeedSource[]> {
+  return prisma.rSSFeed.findMany({
+    where: { isActive: true },
+    select: {
+      id: true,
+      name: true,
+      url: true,
+      category: true,
+      credibilityScore: true,
+      errorCount: true
+    },
+    orderBy: { addedAt: 'asc' }
+  });
+}
+
+/**
+ * Marks a feed healthy after a successful fetch (including a 304)
+ */
+export async function recordFeedSuccess(feedId: string): Promise<void> {
+  try {
+    await prisma.rSSFeed.update({
+      where: { id: feedId },
+      data: {
+        lastFetched: new Date(),
+        status: 'active',
+        errorCount: 0
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Error updating status for feed ${feedId}:`, error);
+  }
+}
+
+/**
+ * Counts a consecutive failure and disables the feed once it reaches
+ * `errorThreshold`
+ * @returns {Promise<boolean>} True if the feed was disabled
+ */
+export async function recordFeedFailure(feedId: string, errorThreshold: number): Promise<boolean> {
+  try {
+    const feed = await prisma.rSSFeed.update({
+      where: { id: feedId },
+      data: {
+        lastFetched: new Date(),
+        status: 'error',
+        errorCount: { increment: 1 }
+      }
+    });
+
+    if (feed.errorCount >= errorThreshold) {
+      await prisma.rSSFeed.update({
+        where: { id: feedId },
+        data: {
+          status: 'disabled',
+          isActive: false
+        }
+      });
+
+      console.warn(`⛔ Disabled feed ${feed.name} after ${feed.errorCount} consecutive failures`);
+      return true;
+    }
+
+    return false;
+
+  } catch (error) {
+    console.error(`❌ Error recording failure for feed ${feedId}:`, error);
+    return false;
+  }
+}
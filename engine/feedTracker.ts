@@ -1,38 +1,254 @@
 const { prisma } = require('../lib/db');
+const crypto = require('crypto');
+import { Article } from './feedParser';
+import { FeedFetchResult, FeedValidators } from './rssFetcher';
+
+// Rolling window of seen items kept per feed
+const SEEN_RETENTION_DAYS = 30;
+const MAX_SEEN_PER_FEED = 1000;
+
+/**
+ * Hashes the normalized title and content so a republished item with a new
+ * GUID is still recognized
+ */
+export function contentHash(article: Article): string {
+  const normalized = `${article.title || ''}\n${article.content || ''}`
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Returns the articles that have not been seen on this feed before, matched by
+ * GUID or content hash. Feed ordering does not matter.
+ */
+export async function filterNewArticles(feedId: string, articles: Article[]): Promise<Article[]> {
+  if (articles.length === 0) return [];
 
-export async function getLastSeenUrl(feedId: string): Promise<string | null> {
+  try {
+    const hashes = articles.map(contentHash);
+
+    const seen = await prisma.seenFeedItem.findMany({
+      where: {
+        feedId,
+        OR: [
+          { guid: { in: articles.map(article => article.guid) } },
+          { contentHash: { in: hashes } }
+        ]
+      },
+      select: { guid: true, contentHash: true }
+    });
+
+    const seenGuids = new Set(seen.map(item => item.guid));
+    const seenHashes = new Set(seen.map(item => item.contentHash));
+
+    return articles.filter((article, index) => {
+      const hash = hashes[index];
+      if (seenGuids.has(article.guid) || seenHashes.has(hash)) {
+        return false;
+      }
+
+      // Also drop repeats within the same fetch
+      seenGuids.add(article.guid);
+      seenHashes.add(hash);
+      return true;
+    });
+
+  } catch (error) {
+    console.error(`❌ Error checking seen items for feed ${feedId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Records every article currently in the feed as seen, refreshes the window for
+ * items that are still listed and prunes stale entries
+ */
+export async function markArticlesSeen(feedId: string, articles: Article[]): Promise<void> {
+  try {
+    const now = new Date();
+    const guids = articles.map(article => article.guid);
+
+    if (articles.length > 0) {
+      // Items still present in the feed must not age out of the window,
+      // otherwise they would come back as new after pruning
+      await prisma.seenFeedItem.updateMany({
+        where: { feedId, guid: { in: guids } },
+        data: { seenAt: now }
+      });
+
+      await prisma.seenFeedItem.createMany({
+        data: articles.map(article => ({
+          feedId,
+          guid: article.guid,
+          contentHash: contentHash(article),
+          seenAt: now
+        })),
+        skipDuplicates: true
+      });
+
+      await prisma.feedTracking.upsert({
+        where: { feedId },
+        update: {
+          lastSeenUrl: articles[0].link,
+          lastFetchedAt: now
+        },
+        create: {
+          feedId,
+          lastSeenUrl: articles[0].link,
+          lastFetchedAt: now
+        }
+      });
+    }
+
+    const pruned = await pruneSeenItems(feedId);
+
+    console.log(`📅 Marked ${articles.length} items seen for feed ${feedId}${pruned ? `, pruned ${pruned}` : ''}`);
+
+  } catch (error) {
+    console.error(`❌ Error marking items seen for feed ${feedId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Drops entries older than the retention window and keeps at most
+ * MAX_SEEN_PER_FEED of the most recent ones
+ */
+export async function pruneSeenItems(feedId: string): Promise<number> {
+  const cutoff = new Date(Date.now() - SEEN_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const expired = await prisma.seenFeedItem.deleteMany({
+    where: { feedId, seenAt: { lt: cutoff } }
+  });
+
+  const overflow = await prisma.seenFeedItem.findMany({
+    where: { feedId },
+    orderBy: { seenAt: 'desc' },
+    skip: MAX_SEEN_PER_FEED,
+    select: { id: true }
+  });
+
+  let trimmed = 0;
+  if (overflow.length > 0) {
+    const result = await prisma.seenFeedItem.deleteMany({
+      where: { id: { in: overflow.map(item => item.id) } }
+    });
+    trimmed = result.count;
+  }
+
+  return expired.count + trimmed;
+}
+
+/**
+ * Returns the ETag / Last-Modified validators saved from the last full fetch
+ */
+export async function getFeedValidators(feedId: string): Promise<FeedValidators> {
   try {
     const tracking = await prisma.feedTracking.findUnique({
-      where: { feedId }
+      where: { feedId },
+      select: { etag: true, lastModified: true }
     });
-    
-    return tracking?.lastSeenUrl || null;
-    
+
+    return {
+      etag: tracking?.etag || null,
+      lastModified: tracking?.lastModified || null
+    };
+
   } catch (error) {
-    console.error(`❌ Error getting last seen URL for feed ${feedId}:`, error);
-    return null;
+    console.error(`❌ Error getting validators for feed ${feedId}:`, error);
+    return {};
   }
 }
 
-export async function updateLastSeenUrl(feedId: string, url: string): Promise<void> {
+/**
+ * Updates the bandwidth counters for a fetch. A 304 is credited with the size
+ * of the last full response. The validators are saved separately, by
+ * saveFeedValidators, once the fetched articles have been handled.
+ * @returns {Promise<{bytesFetched: number, bytesSaved: number}>} Bandwidth for this fetch
+ */
+export async function recordFetch(feedId: string, result: FeedFetchResult): Promise<{ bytesFetched: number; bytesSaved: number }> {
   try {
+    const tracking = await prisma.feedTracking.findUnique({
+      where: { feedId },
+      select: { lastContentLength: true }
+    });
+
+    const bytesFetched = result.notModified ? 0 : result.bytes;
+    const bytesSaved = result.notModified ? (tracking?.lastContentLength || 0) : 0;
+
+    const data = result.notModified
+      ? {
+          lastFetchedAt: new Date(),
+          bytesSaved: { increment: bytesSaved },
+          notModifiedCount: { increment: 1 }
+        }
+      : {
+          lastFetchedAt: new Date(),
+          lastContentLength: result.bytes,
+          bytesFetched: { increment: bytesFetched }
+        };
+
     await prisma.feedTracking.upsert({
       where: { feedId },
-      update: {
-        lastSeenUrl: url,
-        lastFetchedAt: new Date()
-      },
+      update: data,
       create: {
         feedId,
-        lastSeenUrl: url,
-        lastFetchedAt: new Date()
+        lastContentLength: result.bytes,
+        bytesFetched
       }
     });
-    
-    console.log(`📅 Updated last seen URL for feed ${feedId}: ${url}`);
-    
+
+    return { bytesFetched, bytesSaved };
+
   } catch (error) {
-    console.error(`❌ Error updating last seen URL for feed ${feedId}:`, error);
-    throw error;
+    console.error(`❌ Error recording fetch for feed ${feedId}:`, error);
+    return { bytesFetched: result.bytes, bytesSaved: 0 };
+  }
+}
+
+/**
+ * Stores the ETag / Last-Modified of a full fetch for the next conditional
+ * request. Only call this once the fetched articles are marked seen: after it
+ * the feed answers 304 until it changes, so anything left unhandled would
+ * not be fetched again. Empty validators clear them, forcing a full fetch.
+ * A failure only costs a full fetch next run.
+ */
+export async function saveFeedValidators(feedId: string, validators: FeedValidators): Promise<void> {
+  const data = { etag: validators.etag || null, lastModified: validators.lastModified || null };
+
+  try {
+    await prisma.feedTracking.upsert({
+      where: { feedId },
+      update: data,
+      create: { feedId, ...data }
+    });
+
+  } catch (error) {
+    console.error(`❌ Error saving validators for feed ${feedId}:`, error);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Removes items from the seen set so the next run picks them up again, e.g.
+ * when their batch analysis failed after they were marked seen. The feed's
+ * validators are cleared too: a conditional fetch would get a 304 and never
+ * list the items again.
+ */
+export async function forgetArticles(feedId: string, guids: string[]): Promise<number> {
+  if (guids.length === 0) return 0;
+
+  try {
+    const result = await prisma.seenFeedItem.deleteMany({
+      where: { feedId, guid: { in: guids } }
+    });
+    await saveFeedValidators(feedId, {});
+    return result.count;
+
+  } catch (error) {
+    console.error(`❌ Error forgetting seen items for feed ${feedId}:`, error);
+    return 0;
+  }
+}
@@ -0,0 +1,181 @@
+export interface SortSpec {
+  field: string;
+  order: 'asc' | 'desc';
+  type: 'date' | 'number' | 'string';
+  nullable: boolean;
+}
+
+export interface Page<T> {
+  items: T[];
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
+/**
+ * Thrown for malformed cursors, cursors issued for a different sort, and
+ * unknown sort keys; handlers answer these with a 400
+ */
+export class PaginationError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'PaginationError';
+  }
+}
+
+/**
+ * Opaque cursor pointing just after the given row in the given sort
+ */
+export function encodeCursor(sort: SortSpec, row: Record<string, any>): string {
+  const value = row[sort.field];
+  const payload = {
+    f: sort.field,
+    o: sort.order,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    id: row.id
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Reads a cursor back into the sort value and id it was issued for
+ */
+export function decodeCursor(sort: SortSpec, cursor: string): { value: any; id: string } {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new PaginationError();
+  }
+
+  if (!payload || typeof payload.id !== 'string' || !('v' in payload)) {
+    throw new PaginationError();
+  }
+  if (payload.f !== sort.field || payload.o !== sort.order) {
+    throw new PaginationError('Cursor was issued for a different sort order');
+  }
+
+  let value = payload.v;
+  if (value !== null && sort.type === 'date') {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) throw new PaginationError();
+  }
+
+  return { value, id: payload.id };
+}
+
+/**
+ * Prisma orderBy and cursor condition for keyset pagination. The row id breaks
+ * ties so rows inserted during paging are never skipped or repeated; nulls in
+ * nullable sort columns always come last.
+ */
+export function buildKeysetQuery(sort: SortSpec, cursor?: string) {
+  const { field, order, nullable } = sort;
+
+  const orderBy = [
+    { [field]: nullable ? { sort: order, nulls: 'last' } : order },
+    { id: order }
+  ];
+
+  if (!cursor) return { orderBy, where: {} };
+
+  const { value, id } = decodeCursor(sort, cursor);
+  const after = order === 'desc' ? 'lt' : 'gt';
+
+  const where = value === null
+    ? { [field]: null, id: { [after]: id } }
+    : {
+        OR: [
+          { [field]: { [after]: value } },
+          { [field]: value, id: { [after]: id } },
+          ...(nullable ? [{ [field]: null }] : [])
+        ]
+      };
+
+  return { orderBy, where };
+}
+
+/**
+ * Turns a query that fetched `limit + 1` rows into a page and its next cursor
+ */
+export function toPage<T extends Record<string, any>>(rows: T[], limit: number, sort: SortSpec): Page<T> {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(sort, items[items.length - 1]) : null,
+    hasMore
+  };
+}
+
+/**
+ * Opaque cursor for lists paged by position, such as ranked search results
+ */
+export function encodeOffsetCursor(offset: number): string {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+export function decodeOffsetCursor(cursor?: string): number {
+  if (!cursor) return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch {
+    // fall through
+  }
+  throw new PaginationError();
+}
+
+/**
+ * Page size from a query parameter, clamped to 1..max
+ */
+export function parseLimit(value: any, fallback: number, max: number): number {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return fallback;
+  return Math.min(limit, max);
+}
+
+/**
+ * Multi-value filter from a query parameter: repeated (?a=x&a=y) or
+ * comma-separated (?a=x,y). "all" means no filter.
+ */
+export function parseList(value: any): string[] {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : []))
+    .map(item => item.trim())
+    .filter(item => item && item !== 'all');
+}
+
+/**
+ * Number from a query parameter, or undefined when missing or unparseable
+ */
+export function parseNumber(value: any): number | undefined {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Date from a query parameter, or undefined when missing or unparseable.
+ * With `endOfDay`, a bare YYYY-MM-DD covers the whole day (for inclusive upper bounds).
+ */
+export function parseDate(value: any, { endOfDay = false } = {}): Date | undefined {
+  if (!value || typeof value !== 'string') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Prisma range condition from optional bounds, or undefined when both are missing
+ */
+export function buildRange<T>(min?: T, max?: T) {
+  if (min === undefined && max === undefined) return undefined;
+  return {
+    ...(min !== undefined ? { gte: min } : {}),
+    ...(max !== undefined ? { lte: max } : {})
+  };
+}
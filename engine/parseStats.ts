@@ -0,0 +1,49 @@
+const { prisma } = require('../lib/db');
+
+export type ParseOutcome = 'valid' | 'repaired' | 'failed';
+
+/**
+ * Counts how a Claude analysis reply turned out, per model: valid first time,
+ * valid after the repair retry, or failed and replaced by the fallback
+ */
+export async function recordParseOutcome(model: string, outcome: ParseOutcome): Promise<void> {
+  const counters = {
+    requests: { increment: 1 },
+    repaired: { increment: outcome === 'repaired' ? 1 : 0 },
+    failures: { increment: outcome === 'failed' ? 1 : 0 }
+  };
+
+  try {
+    await prisma.analysisParseStat.upsert({
+      where: { model },
+      update: counters,
+      create: {
+        model,
+        requests: 1,
+        repaired: outcome === 'repaired' ? 1 : 0,
+        failures: outcome === 'failed' ? 1 : 0
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Error recording parse outcome for ${model}:`, error);
+  }
+}
+
+/**
+ * Parse-failure and repair rates per model
+ */
+export async function getParseStats() {
+  const stats = await prisma.analysisParseStat.findMany({
+    orderBy: { model: 'asc' }
+  });
+
+  return stats.map(stat => ({
+    model: stat.model,
+    requests: stat.requests,
+    repaired: stat.repaired,
+    failures: stat.failures,
+    repairRate: stat.requests > 0 ? stat.repaired / stat.requests : 0,
+    failureRate: stat.requests > 0 ? stat.failures / stat.requests : 0,
+    updatedAt: stat.updatedAt
+  }));
+}
@@ -1,3 +1,5 @@
+import { dictionaryService } from '../src/services/scoring/dictionary.js';
+
 interface Article {
   title: string;
   link: string;
@@ -7,27 +9,19 @@ interface Article {
   categories?: string[];
 }
 
-// Intelligence keywords for pre-filtering
-const INTELLIGENCE_KEYWORDS = [
-  // Critical
-  'nuclear', 'weapon', 'attack', 'cyber', 'breach', 'classified', 'military', 'bioweapon',
-  // High Priority
-  'sanctions', 'deployment', 'missile', 'surveillance', 'intelligence', 'espionage',
-  // Geopolitical
-  'china', 'russia', 'iran', 'north korea', 'taiwan', 'ukraine', 'syria',
-  // Technology
-  'artificial intelligence', 'quantum', 'hypersonic', 'satellite', 'blockchain',
-  // Health/Bio
-  'outbreak', 'pandemic', 'vaccine', 'virus', 'epidemic'
-];
-
 // Filter out advertisements and low-quality content
 const AD_INDICATORS = [
   'sponsored', 'advertisement', 'promo', 'deal', 'discount', 'sale',
   'affiliate', 'partner content', 'sponsored content'
 ];
 
+/**
+ * Drops advertisements and articles without a pre-filter keyword from the
+ * loaded dictionary (call loadDictionary first) unless they are long
+ */
 export function preFilterBeforeClaude(articles: Article[]): Article[] {
+  const keywords = dictionaryService.getPrefilterKeywords();
+
   return articles.filter(article => {
     // Filter out advertisements
     const titleLower = article.title.toLowerCase();
@@ -43,7 +37,7 @@ export function preFilterBeforeClaude(articles: Article[]): Article[] {
     }
     
     // Check for intelligence relevance
-    const hasIntelligenceKeywords = INTELLIGENCE_KEYWORDS.some(keyword =>
+    const hasIntelligenceKeywords = keywords.some(keyword =>
       titleLower.includes(keyword) || contentLower.includes(keyword)
     );
     
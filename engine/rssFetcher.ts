@@ -1,40 +1,80 @@
-const Parser = require('rss-parser');
-
-interface Article {
-  title: string;
-  link: string;
-  pubDate: string;
-  content: string;
-  creator?: string;
-  categories?: string[];
+const fetch = require('node-fetch');
+import { parseFeed, Article } from './feedParser';
+
+export type { Article, Enclosure, FeedFormat } from './feedParser';
+
+export interface FeedValidators {
+  etag?: string | null;
+  lastModified?: string | null;
 }
 
-const parser = new Parser({
-  customFields: {
-    item: ['content:encoded', 'dc:creator']
-  }
-});
+export interface FeedFetchResult {
+  notModified: boolean;
+  articles: Article[];
+  validators: FeedValidators;
+  bytes: number;
+}
 
-export async function fetchArticlesFromFeed(feedUrl: string): Promise<Article[]> {
+const FEED_ACCEPT = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/rdf+xml',
+  'application/feed+json',
+  'application/json',
+  'application/xml',
+  'text/xml',
+  '*/*'
+].join(', ');
+
+/**
+ * Fetches a feed, sending If-None-Match / If-Modified-Since when validators
+ * from a previous fetch are known. A 304 comes back with no articles and the
+ * validators unchanged.
+ */
+export async function fetchFeed(feedUrl: string, validators: FeedValidators = {}, timeoutMs: number = 30000): Promise<FeedFetchResult> {
   try {
     console.log(`🌐 Fetching RSS feed: ${feedUrl}`);
-    
-    const feed = await parser.parseURL(feedUrl);
-    
-    const articles: Article[] = feed.items.map(item => ({
-      title: item.title || 'Untitled',
-      link: item.link || '',
-      pubDate: item.pubDate || new Date().toISOString(),
-      content: item['content:encoded'] || item.contentSnippet || item.content || '',
-      creator: item['dc:creator'] || item.creator,
-      categories: item.categories || []
-    }));
-
-    console.log(`📰 Fetched ${articles.length} articles from ${feedUrl}`);
-    return articles;
-    
+
+    const headers = {
+      'User-Agent': 'Ghost Brief Intelligence Aggregator 1.0',
+      'Accept': FEED_ACCEPT
+    };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const response = await fetch(feedUrl, { headers, timeout: timeoutMs });
+
+    if (response.status === 304) {
+      console.log(`♻️ Feed not modified: ${feedUrl}`);
+      return { notModified: true, articles: [], validators, bytes: 0 };
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const body = await response.text();
+    const { format, articles } = await parseFeed(body, response.headers.get('content-type') || '');
+
+    console.log(`📰 Fetched ${articles.length} articles from ${feedUrl} (${format})`);
+
+    return {
+      notModified: false,
+      articles,
+      validators: {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      },
+      bytes: Buffer.byteLength(body)
+    };
+
   } catch (error) {
     console.error(`❌ Error fetching RSS feed ${feedUrl}:`, error);
     throw new Error(`Failed to fetch RSS feed: ${error.message}`);
   }
-}
\ No newline at end of file
+}
+
+export async function fetchArticlesFromFeed(feedUrl: string): Promise<Article[]> {
+  const { articles } = await fetchFeed(feedUrl);
+  return articles;
+}
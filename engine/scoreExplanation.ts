@@ -0,0 +1,94 @@
+// Explains a stored signal score as a waterfall: Claude's weighted relevance
+// score, then the weighted points each multi-factor scoring factor added, end
+// on the stored signalScore. Built from Signal.scoreBreakdown (see
+// src/services/scoring/ingestionScorer.js).
+
+export interface WaterfallStep {
+  key: string;
+  label: string;
+  value: number;
+  start: number;
+  end: number;
+}
+
+export interface ScoreExplanation {
+  signalId: string;
+  score: number;
+  llmScore: number | null;
+  deterministicScore: number;
+  weights: { llm: number; deterministic: number };
+  profile: { id: string; name: string } | null;
+  priority: { llm: string | null; deterministic: string };
+  confidence: { llm: number | null; deterministic: number };
+  contributions: Record<string, number>;
+  quality: Record<string, any> | null;
+  waterfall: WaterfallStep[];
+  algorithm: string;
+  scoredAt: string;
+}
+
+// Waterfall order of the stored factor contributions
+const FACTOR_LABELS: Record<string, string> = {
+  keyword: 'Keyword relevance',
+  entity: 'Entity significance',
+  temporal: 'Temporal relevance',
+  source: 'Source credibility',
+  threat: 'Threat level',
+  crossReference: 'Cross-reference',
+  geopolitical: 'Geopolitical context',
+  otherSecondary: 'Content and language',
+  context: 'Context adjustment'
+};
+
+const round = (value: number) => Math.round(value * 10) / 10;
+
+/**
+ * The score explanation of a signal, or null when it was stored without a
+ * factor breakdown (scored before contributions were recorded, or scoring failed)
+ */
+export function explainSignalScore(signal): ScoreExplanation | null {
+  const breakdown = signal.scoreBreakdown;
+  const contributions = breakdown?.deterministic?.contributions;
+  if (!contributions) return null;
+
+  const llmScore = typeof breakdown.llm?.score === 'number' ? breakdown.llm.score : null;
+  // Without an LLM score the stored score is the multi-factor score alone
+  const weights = llmScore === null
+    ? { llm: 0, deterministic: 1 }
+    : { llm: breakdown.weights.llm, deterministic: breakdown.weights.deterministic };
+  const score = typeof signal.signalScore === 'number' ? signal.signalScore : breakdown.score;
+
+  const waterfall: WaterfallStep[] = [];
+  let running = 0;
+  const addStep = (key: string, label: string, value: number) => {
+    const rounded = round(value);
+    if (rounded === 0) return;
+    waterfall.push({ key, label, value: rounded, start: round(running), end: round(running + value) });
+    running += value;
+  };
+
+  if (llmScore !== null) {
+    addStep('llm', 'Claude relevance', llmScore * weights.llm);
+  }
+  Object.entries(FACTOR_LABELS).forEach(([key, label]) => {
+    addStep(key, label, (contributions[key] || 0) * weights.deterministic);
+  });
+  // Whatever rounding of the stored scores left over
+  addStep('rounding', 'Rounding', score - running);
+
+  return {
+    signalId: signal.id,
+    score,
+    llmScore,
+    deterministicScore: breakdown.deterministic.score,
+    weights,
+    profile: breakdown.profile || null,
+    priority: { llm: breakdown.llm?.priority ?? null, deterministic: breakdown.deterministic.priority },
+    confidence: { llm: breakdown.llm?.confidence ?? null, deterministic: breakdown.deterministic.confidence },
+    contributions,
+    quality: breakdown.deterministic.quality || null,
+    waterfall,
+    algorithm: breakdown.algorithm,
+    scoredAt: breakdown.scoredAt
+  };
+}
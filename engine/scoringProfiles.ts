@@ -0,0 +1,241 @@
+const { prisma } = require('../lib/db');
+const { Prisma } = require('@prisma/client');
+import { scoringProfileService } from '../src/services/scoring/scoringProfiles.js';
+import { ingestionScorerService } from '../src/services/scoring/ingestionScorer.js';
+import { loadDictionary } from './dictionary';
+import { SIGNAL_SCORING_CONFIG } from '../src/constants/api.js';
+
+// Setting holding the profile stored signal scores are computed with
+export const ACTIVE_PROFILE_SETTING = 'scoring.activeProfile';
+
+export interface ScoringProfile {
+  id: string;
+  name: string;
+  description: string | null;
+  weights: Record<string, Record<string, number>>;
+  thresholds: Record<string, number> | null;
+  builtIn: boolean;
+}
+
+export interface RescoreResult {
+  processed: number;
+  nextCursor: string | null;
+  done: boolean;
+}
+
+export class ProfileValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ProfileValidationError';
+  }
+}
+
+// Columns the scorers read when re-scoring, previewing or ranking for a user
+export const RESCORE_SELECT = {
+  id: true,
+  title: true,
+  summary: true,
+  content: true,
+  sourceUrl: true,
+  escalationRisk: true,
+  confidenceLevel: true,
+  signalScore: true,
+  llmScore: true,
+  deterministicScore: true,
+  scoreBreakdown: true,
+  createdAt: true
+};
+
+const toProfile = (row): ScoringProfile => ({
+  id: row.id,
+  name: row.name,
+  description: row.description || null,
+  weights: row.weights,
+  thresholds: row.thresholds || null,
+  builtIn: false
+});
+
+/**
+ * Checks a profile sent by the editor and returns the columns to store;
+ * missing weights take the default profile's, and each group is scaled to 1
+ * @throws {ProfileValidationError} When the name, a weight or a threshold is invalid
+ */
+export function normalizeProfileInput(body) {
+  const { name, description, weights, thresholds = null } = body || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new ProfileValidationError('name is required');
+  }
+  if (scoringProfileService.getBuiltInProfile(name.trim().toUpperCase())) {
+    throw new ProfileValidationError(`"${name.trim()}" is the key of a built-in profile`);
+  }
+
+  const errors = [
+    ...scoringProfileService.validateWeights(weights),
+    ...scoringProfileService.validateThresholds(thresholds)
+  ];
+  if (errors.length > 0) {
+    throw new ProfileValidationError(errors.join('; '));
+  }
+
+  return {
+    name: name.trim(),
+    description: typeof description === 'string' && description.trim() ? description.trim() : null,
+    weights: scoringProfileService.normalizeWeights(weights),
+    // DbNull clears the column: Prisma rejects a plain null for Json
+    thresholds: thresholds && Object.keys(thresholds).length > 0 ? thresholds : Prisma.DbNull
+  };
+}
+
+/**
+ * Built-in profiles followed by the stored ones
+ */
+export async function listProfiles(): Promise<ScoringProfile[]> {
+  const stored = await prisma.scoringProfile.findMany({ orderBy: { name: 'asc' } });
+  return [...scoringProfileService.listBuiltInProfiles(), ...stored.map(toProfile)];
+}
+
+/**
+ * A built-in profile by key or a stored one by id
+ */
+export async function findProfile(id: string): Promise<ScoringProfile | null> {
+  if (!id) return null;
+
+  const builtIn = scoringProfileService.getBuiltInProfile(id);
+  if (builtIn) return builtIn;
+
+  const row = await prisma.scoringProfile.findUnique({ where: { id } });
+  return row ? toProfile(row) : null;
+}
+
+/**
+ * The profile stored scores are computed with; the default profile until a
+ * re-score selects another (or when the selected one was deleted)
+ */
+export async function getActiveProfile(): Promise<ScoringProfile> {
+  const setting = await prisma.setting.findUnique({ where: { key: ACTIVE_PROFILE_SETTING } });
+  const profile = await findProfile(setting?.value?.profileId);
+  return profile || scoringProfileService.getDefaultProfile();
+}
+
+export async function setActiveProfile(profile: ScoringProfile, user) {
+  const value = { profileId: profile.id, name: profile.name, appliedAt: new Date().toISOString() };
+
+  return prisma.setting.upsert({
+    where: { key: ACTIVE_PROFILE_SETTING },
+    create: { key: ACTIVE_PROFILE_SETTING, value, updatedById: user?.id || null },
+    update: { value, updatedById: user?.id || null }
+  });
+}
+
+/**
+ * The user's own profile, falling back to the active one
+ */
+export async function getUserProfile(user): Promise<ScoringProfile> {
+  return (await findProfile(user?.scoringProfile)) || getActiveProfile();
+}
+
+/**
+ * The user's own profile when stored scores were computed with another one;
+ * null when the stored scores already are theirs
+ */
+export async function getUserRankingProfile(user): Promise<ScoringProfile | null> {
+  const selected = await findProfile(user?.scoringProfile);
+  if (!selected) return null;
+
+  const active = await getActiveProfile();
+  return selected.id === active.id ? null : selected;
+}
+
+/**
+ * A stored signal's score under a profile, from its stored factor scores
+ */
+export function scoreUnderProfile(signal, profile: ScoringProfile): number {
+  return ingestionScorerService.rescoreStoredSignal(signal, profile).signalScore ?? 0;
+}
+
+/**
+ * Recomputes stored signal scores under a profile in id order until the time
+ * budget runs out. Claude is not called again: its stored score is reused.
+ * @param {string} cursor - Id of the last signal of the previous request
+ */
+export async function rescoreSignals(profile: ScoringProfile, cursor: string | null = null): Promise<RescoreResult> {
+  const deadline = Date.now() + SIGNAL_SCORING_CONFIG.RESCORE_TIME_BUDGET_MS;
+  // Signals without stored factor scores are scored again from their text
+  await loadDictionary();
+  let processed = 0;
+  let lastId = cursor;
+
+  while (Date.now() < deadline) {
+    const batch = await prisma.signal.findMany({
+      select: RESCORE_SELECT,
+      orderBy: { id: 'asc' },
+      take: SIGNAL_SCORING_CONFIG.RESCORE_BATCH_SIZE,
+      ...(lastId ? { cursor: { id: lastId }, skip: 1 } : {})
+    });
+
+    await prisma.$transaction(batch.map(signal => {
+      const scores = ingestionScorerService.rescoreStoredSignal(signal, profile);
+      return prisma.signal.update({
+        where: { id: signal.id },
+        data: {
+          signalScore: scores.signalScore,
+          llmScore: scores.llmScore,
+          deterministicScore: scores.deterministicScore,
+          scoreBreakdown: scores.scoreBreakdown ?? undefined
+        }
+      });
+    }));
+
+    processed += batch.length;
+    if (batch.length < SIGNAL_SCORING_CONFIG.RESCORE_BATCH_SIZE) {
+      return { processed, nextCursor: null, done: true };
+    }
+    lastId = batch[batch.length - 1].id;
+  }
+
+  return { processed, nextCursor: lastId, done: false };
+}
+
+/**
+ * How the ranking of the latest signals would change under a profile: each
+ * signal's current score and rank next to its score and rank under the profile
+ */
+export async function previewProfile(profile: ScoringProfile, limit: number = SIGNAL_SCORING_CONFIG.PREVIEW_SIGNALS) {
+  await loadDictionary();
+  const signals = await prisma.signal.findMany({
+    where: { isAdvertisement: false, isDuplicate: false },
+    select: RESCORE_SELECT,
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(Math.max(limit, 1), SIGNAL_SCORING_CONFIG.MAX_PREVIEW_SIGNALS)
+  });
+
+  const rows = signals.map(signal => ({
+    id: signal.id,
+    title: signal.title,
+    priority: signal.escalationRisk,
+    currentScore: signal.signalScore ?? 0,
+    previewScore: ingestionScorerService.rescoreStoredSignal(signal, profile).signalScore ?? 0
+  }));
+
+  const rankBy = (key: string) => new Map(
+    [...rows].sort((a, b) => b[key] - a[key]).map((row, index) => [row.id, index + 1])
+  );
+  const currentRanks = rankBy('currentScore');
+  const previewRanks = rankBy('previewScore');
+
+  const ranked = rows
+    .map(row => ({
+      ...row,
+      currentRank: currentRanks.get(row.id),
+      previewRank: previewRanks.get(row.id),
+      rankChange: currentRanks.get(row.id) - previewRanks.get(row.id)
+    }))
+    .sort((a, b) => a.currentRank - b.currentRank);
+
+  return {
+    profile: { id: profile.id, name: profile.name },
+    signals: ranked,
+    moved: ranked.filter(row => row.rankChange !== 0).length
+  };
+}
@@ -0,0 +1,137 @@
+const { prisma } = require('../lib/db');
+const { Prisma } = require('@prisma/client');
+
+export interface SearchMatch {
+  id: string;
+  rank: number;
+}
+
+export interface SearchHighlight {
+  title: string;
+  snippet: string;
+}
+
+export interface HighlightOptions {
+  start: string;
+  stop: string;
+  maxWords: number;
+  minWords: number;
+  maxFragments: number;
+}
+
+// Weighted document searched for signals: title > summary > content. Must stay
+// identical to the expression indexed in prisma/sql/signal_search.sql.
+const SEARCH_DOCUMENT = Prisma.raw(
+  `setweight(to_tsvector('english', coalesce("title", '')), 'A') || ` +
+  `setweight(to_tsvector('english', coalesce("summary", '')), 'B') || ` +
+  `setweight(to_tsvector('english', coalesce("content", '')), 'C')`
+);
+
+const lexemes = (text: string): string[] =>
+  text.split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(word => word.toLowerCase());
+
+/**
+ * Converts a search box query into a to_tsquery expression.
+ *
+ *   nuclear iran      both terms
+ *   "missile test"    phrase (words adjacent, in order)
+ *   hyperson*         prefix
+ *   china OR russia   either term
+ *   -exercise         exclude
+ *
+ * @returns {string|null} tsquery text, or null when nothing searchable remains
+ */
+export function buildTsQuery(input: string): string | null {
+  // Terms joined by OR share a group; groups are ANDed together
+  const groups: string[][] = [];
+  let joinPrevious = false;
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(input || '')) !== null) {
+    if (match[3] === 'OR') {
+      joinPrevious = groups.length > 0;
+      continue;
+    }
+
+    let negate = match[1] === '-';
+    let text = match[2];
+    let prefix = false;
+
+    if (text === undefined) {
+      text = match[3];
+      if (text.startsWith('-')) {
+        negate = true;
+        text = text.slice(1);
+      }
+      if (text.endsWith('*')) {
+        prefix = true;
+        text = text.replace(/\*+$/, '');
+      }
+    }
+
+    const words = lexemes(text);
+    if (words.length === 0) continue;
+
+    // Words split by punctuation ("u.s.") are matched as a phrase as well
+    let term = words.join(' <-> ');
+    if (prefix) term += ':*';
+    if (words.length > 1) term = `(${term})`;
+    if (negate) term = `!${term}`;
+
+    if (joinPrevious) {
+      groups[groups.length - 1].push(term);
+    } else {
+      groups.push([term]);
+    }
+    joinPrevious = false;
+  }
+
+  if (groups.length === 0) return null;
+  return groups
+    .map(group => (group.length > 1 ? `(${group.join(' | ')})` : group[0]))
+    .join(' & ');
+}
+
+/**
+ * Ranked IDs of the signals matching a tsquery, best first
+ */
+export async function searchSignalIds(tsQuery: string, maxMatches: number): Promise<SearchMatch[]> {
+  const rows = await prisma.$queryRaw`
+    SELECT "id", ts_rank_cd(${SEARCH_DOCUMENT}, query) AS rank
+    FROM "Signal", to_tsquery('english', ${tsQuery}) query
+    WHERE ${SEARCH_DOCUMENT} @@ query
+    ORDER BY rank DESC, "createdAt" DESC
+    LIMIT ${maxMatches}
+  `;
+
+  return rows.map(row => ({ id: row.id, rank: Number(row.rank) }));
+}
+
+/**
+ * Highlighted title and snippet for each signal, with matches wrapped in the
+ * start/stop markers. HTML tags from feed content are stripped first.
+ */
+export async function getSearchHighlights(ids: string[], tsQuery: string, options: HighlightOptions): Promise<Record<string, SearchHighlight>> {
+  if (ids.length === 0) return {};
+
+  const titleOptions = `StartSel=${options.start}, StopSel=${options.stop}, HighlightAll=true`;
+  const snippetOptions = `StartSel=${options.start}, StopSel=${options.stop}, ` +
+    `MaxWords=${options.maxWords}, MinWords=${options.minWords}, ` +
+    `MaxFragments=${options.maxFragments}, FragmentDelimiter=" … "`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT "id",
+      ts_headline('english', coalesce("title", ''), query, ${titleOptions}) AS title,
+      ts_headline(
+        'english',
+        regexp_replace(coalesce("summary", '') || ' ' || coalesce("content", ''), '<[^>]+>', ' ', 'g'),
+        query,
+        ${snippetOptions}
+      ) AS snippet
+    FROM "Signal", to_tsquery('english', ${tsQuery}) query
+    WHERE "id" IN (${Prisma.join(ids)})
+  `;
+
+  return Object.fromEntries(rows.map(row => [row.id, { title: row.title, snippet: row.snippet }]));
+}
@@ -1,4 +1,5 @@
 const { prisma } = require('../lib/db');
+import { buildEntityLinks, SignalEntities } from './entityStore';
 
 interface AnalyzedSignal {
   title: string;
@@ -11,6 +12,45 @@ interface AnalyzedSignal {
   signalScore: number;
   category: string[];
   region: string[];
+  tags?: string[];
+  confidenceLevel?: number;
+  isAdvertisement?: boolean;
+  isDuplicate?: boolean;
+  duplicateOf?: string | null;
+  isSignificantUpdate?: boolean;
+  llmScore?: number | null;
+  deterministicScore?: number | null;
+  scoreBreakdown?: Record<string, any> | null;
+  entities?: SignalEntities;
+}
+
+function createSignal(signal: AnalyzedSignal) {
+  return prisma.signal.create({
+    data: {
+      title: signal.title,
+      summary: signal.summary,
+      content: signal.content,
+      sourceUrl: signal.sourceUrl,
+      sourceType: signal.sourceType,
+      escalationRisk: signal.escalationRisk,
+      credibility: signal.credibility,
+      signalScore: signal.signalScore,
+      category: signal.category,
+      region: signal.region,
+      tags: signal.tags || [],
+      confidenceLevel: signal.confidenceLevel ?? null,
+      isAdvertisement: Boolean(signal.isAdvertisement),
+      isDuplicate: Boolean(signal.isDuplicate),
+      duplicateOf: signal.duplicateOf || null,
+      isSignificantUpdate: Boolean(signal.isSignificantUpdate),
+      llmScore: signal.llmScore ?? null,
+      deterministicScore: signal.deterministicScore ?? null,
+      scoreBreakdown: signal.scoreBreakdown ?? undefined,
+      entities: {
+        create: buildEntityLinks(signal.entities)
+      }
+    }
+  });
 }
 
 export async function storeSignals(signals: AnalyzedSignal[]): Promise<void> {
@@ -29,21 +69,14 @@ export async function storeSignals(signals: AnalyzedSignal[]): Promise<void> {
           continue;
         }
         
-        // Create new signal
-        await prisma.signal.create({
-          data: {
-            title: signal.title,
-            summary: signal.summary,
-            content: signal.content,
-            sourceUrl: signal.sourceUrl,
-            sourceType: signal.sourceType,
-            escalationRisk: signal.escalationRisk,
-            credibility: signal.credibility,
-            signalScore: signal.signalScore,
-            category: signal.category,
-            region: signal.region
-          }
-        });
+        // Create new signal with its entity links
+        try {
+          await createSignal(signal);
+        } catch (error) {
+          // Another feed created one of the same entities concurrently; it exists now
+          if (error.code !== 'P2002' || error.meta?.target?.includes('sourceUrl')) throw error;
+          await createSignal(signal);
+        }
         
         console.log(`✅ Stored signal: ${signal.title}`);
         
@@ -0,0 +1,189 @@
+// Local mock of the Anthropic Message Batches API
+// Lets batch mode run offline: start the server with MOCK_CLAUDE_BATCH_API=true
+// and point ANTHROPIC_BASE_URL at http://localhost:3001/mock/anthropic
+
+const crypto = require('crypto');
+const express = require('express');
+
+// How long a mock batch stays "in_progress" before it ends
+const MOCK_BATCH_DELAY_MS = parseInt(process.env.MOCK_BATCH_DELAY_MS || '2000', 10);
+
+// Any request whose prompt contains this marker comes back errored
+const MOCK_ERROR_MARKER = 'MOCK_BATCH_ERROR';
+
+const MOCK_KEYWORDS = {
+  CRITICAL: ['nuclear', 'bioweapon', 'attack'],
+  HIGH: ['missile', 'sanctions', 'cyber', 'breach', 'military'],
+  MEDIUM: ['policy', 'trade', 'satellite', 'quantum']
+};
+
+const MOCK_CATEGORIES = {
+  MILITARY: ['military', 'missile', 'weapon', 'deployment'],
+  CYBERSECURITY: ['cyber', 'breach', 'hack', 'ransomware'],
+  GEOPOLITICS: ['sanctions', 'china', 'russia', 'iran', 'taiwan', 'ukraine'],
+  TECHNOLOGY: ['quantum', 'satellite', 'artificial intelligence'],
+  HEALTH: ['outbreak', 'pandemic', 'virus']
+};
+
+/**
+ * Produces a deterministic analysis from keyword hits in the prompt
+ * @param {string} prompt - The user prompt sent in the batch request
+ * @returns {Object} Tool input in the canonical analysis shape
+ */
+function mockAnalysis(prompt) {
+  // Only score the article itself, not the instructions around it
+  const articleStart = prompt.indexOf('ARTICLE TO ANALYZE');
+  const articleEnd = prompt.indexOf('RECENT ARTICLES FOR DUPLICATE DETECTION');
+  const text = prompt
+    .slice(Math.max(0, articleStart), articleEnd > articleStart ? articleEnd : undefined)
+    .toLowerCase();
+  const priority = Object.keys(MOCK_KEYWORDS).find(level =>
+    MOCK_KEYWORDS[level].some(keyword => text.includes(keyword))
+  ) || 'LOW';
+  const score = { CRITICAL: 90, HIGH: 70, MEDIUM: 50, LOW: 25 }[priority];
+  const categories = Object.keys(MOCK_CATEGORIES).filter(category =>
+    MOCK_CATEGORIES[category].some(keyword => text.includes(keyword))
+  );
+
+  return {
+    summary: 'Mock batch analysis.',
+    relevanceScore: score,
+    confidenceLevel: 80,
+    credibility: 70,
+    priority,
+    categories: categories.slice(0, 3),
+    regions: [],
+    entities: { countries: [], organizations: [], technologies: [], weapons: [] },
+    tags: [priority, ...categories].slice(0, 5),
+    isAdvertisement: false,
+    isDuplicate: false,
+    duplicateOf: null,
+    isSignificantUpdate: false
+  };
+}
+
+function promptOf(request) {
+  const message = request.params?.messages?.[0];
+  if (!message) return '';
+  return typeof message.content === 'string'
+    ? message.content
+    : message.content.map(block => block.text || '').join('\n');
+}
+
+/**
+ * Creates an Express router that implements the subset of the Message Batches
+ * API the app uses: create, retrieve and results
+ * @returns {express.Router} Router to mount under /mock/anthropic
+ */
+function createMockBatchRouter() {
+  const router = express.Router();
+  const batches = new Map();
+
+  const toMessageBatch = (batch, req) => {
+    const ended = Date.now() - batch.createdAt >= MOCK_BATCH_DELAY_MS;
+    const errored = batch.requests.filter(request => promptOf(request).includes(MOCK_ERROR_MARKER)).length;
+
+    return {
+      id: batch.id,
+      type: 'message_batch',
+      processing_status: ended ? 'ended' : 'in_progress',
+      request_counts: {
+        processing: ended ? 0 : batch.requests.length,
+        succeeded: ended ? batch.requests.length - errored : 0,
+        errored: ended ? errored : 0,
+        canceled: 0,
+        expired: 0
+      },
+      created_at: new Date(batch.createdAt).toISOString(),
+      ended_at: ended ? new Date(batch.createdAt + MOCK_BATCH_DELAY_MS).toISOString() : null,
+      expires_at: new Date(batch.createdAt + 24 * 60 * 60 * 1000).toISOString(),
+      archived_at: null,
+      cancel_initiated_at: null,
+      results_url: ended
+        ? `${req.protocol}://${req.get('host')}${req.baseUrl}/v1/messages/batches/${batch.id}/results`
+        : null
+    };
+  };
+
+  router.post('/v1/messages/batches', (req, res) => {
+    const { requests } = req.body || {};
+
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return res.status(400).json({
+        type: 'error',
+        error: { type: 'invalid_request_error', message: 'requests: must be a non-empty array' }
+      });
+    }
+
+    const batch = {
+      id: `msgbatch_mock_${crypto.randomBytes(8).toString('hex')}`,
+      createdAt: Date.now(),
+      requests
+    };
+    batches.set(batch.id, batch);
+
+    console.log(`🧪 Mock batch ${batch.id} created with ${requests.length} requests`);
+    res.json(toMessageBatch(batch, req));
+  });
+
+  router.get('/v1/messages/batches/:id', (req, res) => {
+    const batch = batches.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ type: 'error', error: { type: 'not_found_error', message: 'Batch not found' } });
+    }
+
+    res.json(toMessageBatch(batch, req));
+  });
+
+  router.get('/v1/messages/batches/:id/results', (req, res) => {
+    const batch = batches.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ type: 'error', error: { type: 'not_found_error', message: 'Batch not found' } });
+    }
+
+    if (toMessageBatch(batch, req).processing_status !== 'ended') {
+      return res.status(400).json({ type: 'error', error: { type: 'invalid_request_error', message: 'Batch is still processing' } });
+    }
+
+    const lines = batch.requests.map(request => {
+      const prompt = promptOf(request);
+
+      if (prompt.includes(MOCK_ERROR_MARKER)) {
+        return {
+          custom_id: request.custom_id,
+          result: { type: 'errored', error: { type: 'api_error', message: 'Mock failure' } }
+        };
+      }
+
+      const toolName = request.params.tool_choice?.name || request.params.tools?.[0]?.name;
+      const input = mockAnalysis(prompt);
+      return {
+        custom_id: request.custom_id,
+        result: {
+          type: 'succeeded',
+          message: {
+            id: `msg_mock_${crypto.randomBytes(8).toString('hex')}`,
+            type: 'message',
+            role: 'assistant',
+            model: request.params.model,
+            content: [{
+              type: 'tool_use',
+              id: `toolu_mock_${crypto.randomBytes(8).toString('hex')}`,
+              name: toolName,
+              input
+            }],
+            stop_reason: 'tool_use',
+            stop_sequence: null,
+            usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(JSON.stringify(input).length / 4) }
+          }
+        }
+      };
+    });
+
+    res.type('application/binary').send(lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+  });
+
+  return router;
+}
+
+module.exports = { createMockBatchRouter };
@@ -0,0 +1,180 @@
+// Briefing Narrative Writer for Ghost Brief
+// Turns one briefing section's signals and patterns into prose with Claude.
+// Every claim cites the signals it rests on as [signal:<id>].
+
+const { anthropic } = require('./analysisService');
+
+const NARRATIVE_MODEL = process.env.CLAUDE_NARRATIVE_MODEL || 'claude-3-haiku-20240307';
+const NARRATIVE_TEMPERATURE = 0.4;
+const DEFAULT_SECTION_TOKENS = 500;
+const MAX_SECTION_TOKENS = 1500; // Ceiling on any section's output budget
+const MIN_SECTION_TOKENS = 100;
+const MAX_SECTION_SIGNALS = 25;
+const SIGNAL_SUMMARY_CHARS = 400;
+const CITATION_PATTERN = /\[signal:([^\]\s]+)\]/g;
+
+// What each built-in section's narrative should cover; other types get the default
+const SECTION_GUIDANCE = {
+  EXECUTIVE_SUMMARY: 'Write a bottom-line-up-front summary for senior decision makers: the overall picture first, then the two or three developments that matter most and why.',
+  PRIORITY_DEVELOPMENTS: 'Walk through the priority developments in order of importance, explaining what happened and why each one matters.',
+  THREAT_ASSESSMENT: 'Assess the current threat picture: which threat types are active, how severe and imminent they are, and what is emerging.',
+  REGIONAL_ANALYSIS: 'Describe the situation region by region, focusing on stability, the main actors and links between regions.',
+  TECHNOLOGY_INTELLIGENCE: 'Assess technology developments with security implications, including cyber activity and emerging capabilities.',
+  STRATEGIC_IMPLICATIONS: 'Explain the strategic implications over the immediate, short and long term, including risks and opportunities.',
+  RECOMMENDATIONS: 'Recommend concrete collection and analysis actions, most urgent first, each tied to the developments that justify it.'
+};
+const DEFAULT_GUIDANCE = 'Write a concise analytic narrative of these developments and their significance.';
+
+class NarrativeRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NarrativeRequestError';
+  }
+}
+
+/**
+ * Validates a narrative request and trims it to the prompt limits
+ * @returns {Object} { sectionType, title, signals, patterns, maxTokens }
+ */
+function normalizeNarrativeRequest(body = {}) {
+  const { sectionType, title, signals, patterns = {}, maxTokens = DEFAULT_SECTION_TOKENS } = body;
+
+  if (typeof sectionType !== 'string' || !sectionType.trim()) {
+    throw new NarrativeRequestError('sectionType is required');
+  }
+  if (!Array.isArray(signals) || signals.length === 0) {
+    throw new NarrativeRequestError('signals must be a non-empty array');
+  }
+  if (!Number.isInteger(maxTokens) || maxTokens < MIN_SECTION_TOKENS) {
+    throw new NarrativeRequestError(`maxTokens must be an integer of at least ${MIN_SECTION_TOKENS}`);
+  }
+
+  const usable = signals.filter(signal => signal && signal.id && signal.title);
+  if (usable.length === 0) {
+    throw new NarrativeRequestError('Every signal needs an id and a title');
+  }
+
+  return {
+    sectionType: sectionType.trim(),
+    title: typeof title === 'string' && title.trim() ? title.trim() : sectionType.trim(),
+    signals: usable.slice(0, MAX_SECTION_SIGNALS).map(signal => ({
+      id: String(signal.id),
+      title: String(signal.title),
+      summary: String(signal.summary || '').substring(0, SIGNAL_SUMMARY_CHARS),
+      priority: signal.priority || 'UNKNOWN',
+      categories: Array.isArray(signal.categories) ? signal.categories : [],
+      countries: Array.isArray(signal.countries) ? signal.countries : [],
+      source: signal.source || 'Unknown',
+      publishedAt: signal.publishedAt || null
+    })),
+    patterns,
+    maxTokens: Math.min(maxTokens, MAX_SECTION_TOKENS)
+  };
+}
+
+function buildNarrativePrompt(request) {
+  const signalLines = request.signals.map(signal => [
+    `[signal:${signal.id}] ${signal.title}`,
+    `  Priority: ${signal.priority} | Categories: ${signal.categories.join(', ') || 'none'} | Countries: ${signal.countries.join(', ') || 'none'}`,
+    `  Source: ${signal.source}${signal.publishedAt ? ` | Published: ${signal.publishedAt}` : ''}`,
+    signal.summary ? `  Summary: ${signal.summary}` : null
+  ].filter(Boolean).join('\n'));
+
+  return `Write the "${request.title}" section of today's intelligence briefing.
+
+TASK:
+${SECTION_GUIDANCE[request.sectionType] || DEFAULT_GUIDANCE}
+
+SIGNALS:
+${signalLines.join('\n\n')}
+
+PATTERNS ACROSS ALL SIGNALS:
+${JSON.stringify(request.patterns, null, 2)}
+
+RULES:
+- Use only the signals and patterns above; do not add outside facts.
+- After every sentence that relies on a signal, cite it as [signal:<id>] using the ids above exactly. Cite several signals as [signal:a][signal:b].
+- Write plain paragraphs of prose: no headings, bullet lists or preamble.
+- Stay within about ${Math.round(request.maxTokens * 0.7)} words' worth of tokens; finish your last sentence.`;
+}
+
+// A reply cut off by the token budget ends at its last complete sentence
+function trimToLastSentence(text) {
+  const end = Math.max(text.lastIndexOf('. '), text.lastIndexOf('.\n'), text.lastIndexOf('.['));
+  if (end <= 0) return text;
+
+  // Keep the citations that follow the final full stop
+  const rest = text.substring(end + 1).match(/^(\[signal:[^\]\s]+\])*/)[0];
+  return text.substring(0, end + 1) + rest;
+}
+
+/**
+ * Drops citations of ids that were not in the request and lists the rest in
+ * order of first use
+ */
+function resolveCitations(text, signalIds) {
+  const known = new Set(signalIds);
+  const citations = [];
+
+  const narrative = text.replace(CITATION_PATTERN, (marker, id) => {
+    if (!known.has(id)) return '';
+    if (!citations.includes(id)) citations.push(id);
+    return marker;
+  });
+
+  return { narrative: narrative.replace(/[ \t]+([.,;:])/g, '$1').trim(), citations };
+}
+
+/**
+ * Writes one section's narrative within its token budget. API errors are
+ * thrown so the client keeps its template output.
+ * @returns {Promise<Object>} { narrative, citations, truncated, usage, model }
+ */
+async function writeSectionNarrative(body) {
+  const request = normalizeNarrativeRequest(body);
+  console.log(`🖋️ Writing ${request.sectionType} narrative from ${request.signals.length} signals (budget ${request.maxTokens} tokens)`);
+
+  const message = await anthropic.messages.create({
+    model: NARRATIVE_MODEL,
+    max_tokens: request.maxTokens,
+    temperature: NARRATIVE_TEMPERATURE,
+    system: 'You are a senior intelligence analyst writing one section of a daily briefing. You write precise, neutral prose and cite your sources.',
+    messages: [{ role: 'user', content: buildNarrativePrompt(request) }]
+  });
+
+  const text = message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('')
+    .trim();
+  if (!text) {
+    throw new Error('Claude returned an empty narrative');
+  }
+
+  const truncated = message.stop_reason === 'max_tokens';
+  const { narrative, citations } = resolveCitations(
+    truncated ? trimToLastSentence(text) : text,
+    request.signals.map(signal => signal.id)
+  );
+
+  return {
+    narrative,
+    citations,
+    truncated,
+    usage: {
+      inputTokens: message.usage?.input_tokens || 0,
+      outputTokens: message.usage?.output_tokens || 0,
+      budget: request.maxTokens
+    },
+    model: message.model || NARRATIVE_MODEL
+  };
+}
+
+module.exports = {
+  NarrativeRequestError,
+  MAX_SECTION_TOKENS,
+  normalizeNarrativeRequest,
+  buildNarrativePrompt,
+  resolveCitations,
+  writeSectionNarrative
+};
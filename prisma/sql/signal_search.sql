@@ -0,0 +1,8 @@
+-- Full-text search index for signals (api/signals.js?search=)
+-- The expression must match SEARCH_DOCUMENT in engine/signalSearch.ts, otherwise
+-- Postgres will not use the index. Safe to re-run; applied by `npm run db:search-index`.
+CREATE INDEX IF NOT EXISTS "Signal_search_idx" ON "Signal" USING GIN ((
+  setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce("summary", '')), 'B') ||
+  setweight(to_tsvector('english', coalesce("content", '')), 'C')
+));
@@ -0,0 +1,159 @@
+// Offline scoring calibration: fits the score combiner's factor weights and
+// the priority thresholds to analyst feedback (SignalFeedback) and reports
+// precision and recall per priority level before and after.
+//
+//   npm run scoring:calibrate -- [--profile <id>] [--since <date>] [--save "<name>"]
+//
+// --profile  Profile to start from; the active one (stored scores) by default
+// --since    Only use feedback given on or after this date
+// --save     Store the fitted weights and thresholds as a new scoring profile,
+//            to preview and re-score with from the Scoring tab
+//
+// Needs Node 20.19 or later, which loads the ES modules under src/ without a
+// "type" field in package.json (see "engines")
+
+import prismaClient from '@prisma/client';
+import { scoreCalibratorService, CalibrationDataError, PRIORITY_LEVELS } from '../src/services/scoring/scoreCalibrator.js';
+import { scoringProfileService, WEIGHT_GROUPS, THRESHOLD_LEVELS } from '../src/services/scoring/scoringProfiles.js';
+
+// Same key as ACTIVE_PROFILE_SETTING in engine/scoringProfiles.ts
+const ACTIVE_PROFILE_SETTING = 'scoring.activeProfile';
+
+// Node cannot import @prisma/client's named exports the way lib/db.js does
+// under the bundler
+const prisma = new prismaClient.PrismaClient();
+
+const USAGE = 'Usage: npm run scoring:calibrate -- [--profile <id>] [--since <date>] [--save "<name>"]';
+
+// A problem with how the script was run, reported with the usage and no stack
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(profile|since|save)$/);
+    if (!match || argv[i + 1] === undefined) {
+      throw new UsageError(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    args[match[1]] = argv[++i];
+  }
+  return args;
+}
+
+async function findProfile(id) {
+  const builtIn = scoringProfileService.getBuiltInProfile(id);
+  if (builtIn) return builtIn;
+
+  const row = await prisma.scoringProfile.findUnique({ where: { id } });
+  return row ? { ...row, thresholds: row.thresholds || null, builtIn: false } : null;
+}
+
+async function resolveProfile(id) {
+  if (id) {
+    const profile = await findProfile(id);
+    if (!profile) throw new UsageError(`Scoring profile "${id}" not found`);
+    return profile;
+  }
+
+  const setting = await prisma.setting.findUnique({ where: { key: ACTIVE_PROFILE_SETTING } });
+  const active = setting?.value?.profileId ? await findProfile(setting.value.profileId) : null;
+  return active || scoringProfileService.getDefaultProfile();
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`.padStart(6);
+const change = (before, after) => `${percent(before)} → ${percent(after)}`;
+
+function printReport(result, profile, skipped) {
+  const { before, after } = result;
+
+  console.log(`\n📊 Calibrated "${profile.name}" on ${result.examples} labeled feedback entries (${result.rounds} search rounds)`);
+  if (skipped.unlabeled || skipped.unscored) {
+    console.log(`   Skipped ${skipped.unlabeled} thumbs-down without a corrected priority, ${skipped.unscored} signals without stored factor scores`);
+  }
+  console.log('   Measured on the same feedback the fit used\n');
+
+  console.log('Level      Labels  Precision (before → after)  Recall (before → after)');
+  PRIORITY_LEVELS.forEach(level => {
+    const was = before.metrics.levels[level];
+    const now = after.metrics.levels[level];
+    console.log(
+      `${level.padEnd(10)} ${String(was.support).padStart(6)}  ` +
+      `${change(was.precision, now.precision).padEnd(26)}  ${change(was.recall, now.recall)}`
+    );
+  });
+  console.log(`\nAccuracy   ${change(before.metrics.accuracy, after.metrics.accuracy)}`);
+  console.log(`Macro F1   ${change(before.metrics.macroF1, after.metrics.macroF1)}`);
+
+  console.log('\nPriority minimum scores');
+  THRESHOLD_LEVELS.forEach(level => {
+    console.log(`  ${level.padEnd(28)} ${String(before.thresholds[level]).padStart(6)} → ${after.thresholds[level]}`);
+  });
+
+  ['primary', 'secondary'].forEach(group => {
+    console.log(`\n${group[0].toUpperCase()}${group.slice(1)} weights`);
+    WEIGHT_GROUPS[group].forEach(factor => {
+      const was = before.weights[group][factor];
+      const now = after.weights[group][factor];
+      console.log(`  ${factor.padEnd(28)} ${was.toFixed(4)} → ${now.toFixed(4)}${was === now ? '' : ' *'}`);
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const since = args.since ? new Date(args.since) : null;
+  if (since && Number.isNaN(since.getTime())) {
+    throw new UsageError(`--since "${args.since}" is not a date`);
+  }
+
+  const profile = await resolveProfile(args.profile);
+  const feedback = await prisma.signalFeedback.findMany({
+    where: since ? { updatedAt: { gte: since } } : {},
+    include: { signal: { select: { scoreBreakdown: true } } }
+  });
+
+  const { examples, skipped } = scoreCalibratorService.buildExamples(feedback);
+  let result;
+  try {
+    result = scoreCalibratorService.calibrate(examples, profile);
+  } catch (error) {
+    if (!(error instanceof CalibrationDataError)) throw error;
+    throw new UsageError(
+      `Not enough feedback to calibrate: ${error.message}` +
+      ` (${feedback.length} feedback entries${since ? ` since ${args.since}` : ''};` +
+      ` skipped ${skipped.unlabeled} thumbs-down without a corrected priority,` +
+      ` ${skipped.unscored} signals without stored factor scores).\n` +
+      `Rate more signals or correct their priority in the dashboard${since ? ', or use an earlier --since' : ''}, then run again.`
+    );
+  }
+
+  printReport(result, profile, skipped);
+
+  if (args.save) {
+    const saved = await prisma.scoringProfile.create({
+      data: {
+        name: args.save,
+        description: `Calibrated from ${result.examples} feedback entries, starting from ${profile.name}`,
+        weights: result.after.weights,
+        thresholds: result.after.thresholds
+      }
+    });
+    console.log(`\n✅ Saved as scoring profile "${saved.name}" (${saved.id})`);
+  }
+}
+
+main()
+  .catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+    } else {
+      console.error(`❌ Calibration failed: ${error.message}`);
+    }
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -3,8 +3,11 @@
 
 require('dotenv').config();
 const express = require('express');
-const { analyzeArticleWithClaude, processArticlesBatch } = require('./claudeService');
+const { analyzeArticleWithClaude, processArticlesBatch, submitArticlesBatch, collectArticlesBatch, getParseStats } = require('./claudeService');
+const { NarrativeRequestError, writeSectionNarrative } = require('./narrativeService');
 const { webshareProxy } = require('./webshareProxy');
+const { createMockBatchRouter } = require('./mockClaudeBatchApi');
+const { requireRole, ROLES } = require('./authService');
 
 const app = express();
 const port = process.env.PORT || (process.env.NODE_ENV === 'production' ? 8080 : 3001);
@@ -26,6 +29,12 @@ app.use((req, res, next) => {
   }
 });
 
+// Offline stand-in for the Message Batches API (set ANTHROPIC_BASE_URL to use it)
+if (process.env.MOCK_CLAUDE_BATCH_API === 'true') {
+  app.use('/mock/anthropic', createMockBatchRouter());
+  console.log('🧪 Mock Claude batch API enabled at /mock/anthropic');
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -37,8 +46,17 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Structured-output parse failures per Claude model
+app.get('/api/analysis-stats', requireRole(ROLES.VIEWER), (req, res) => {
+  res.json({ 
+    success: true,
+    models: getParseStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Single article analysis endpoint
-app.post('/api/analyze-article', async (req, res) => {
+app.post('/api/analyze-article', requireRole(ROLES.ANALYST), async (req, res) => {
   try {
     const { article, existingArticles } = req.body;
     
@@ -103,7 +121,7 @@ app.post('/api/analyze-article', async (req, res) => {
 });
 
 // Batch article analysis endpoint for efficiency
-app.post('/api/analyze-articles-batch', async (req, res) => {
+app.post('/api/analyze-articles-batch', requireRole(ROLES.ANALYST), async (req, res) => {
   try {
     const { articles, existingArticles } = req.body;
     
@@ -148,10 +166,97 @@ app.post('/api/analyze-articles-batch', async (req, res) => {
   }
 });
 
+// Asynchronous batch analysis via the Message Batches API
+app.post('/api/analyze-articles-batch/async', requireRole(ROLES.ANALYST), async (req, res) => {
+  try {
+    const { articles, existingArticles } = req.body;
+    
+    if (!Array.isArray(articles) || articles.length === 0) {
+      return res.status(400).json({ 
+        error: 'Articles array is required',
+        details: 'Request body must include an "articles" array with at least one article'
+      });
+    }
+
+    const batch = await submitArticlesBatch(articles, existingArticles || []);
+
+    res.status(202).json({ 
+      success: true,
+      ...batch,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in analyze-articles-batch/async endpoint:', error);
+    
+    res.status(500).json({ 
+      success: false,
+      error: 'Batch submission failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Poll an asynchronous batch; articles are returned once it has ended
+app.get('/api/analyze-articles-batch/:batchId', requireRole(ROLES.ANALYST), async (req, res) => {
+  try {
+    const result = await collectArticlesBatch(req.params.batchId);
+
+    res.json({ 
+      success: true,
+      ...result,
+      articlesProcessed: result.articles ? result.articles.length : 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in analyze-articles-batch status endpoint:', error);
+    
+    res.status(error.message.startsWith('Unknown batch') ? 404 : 500).json({ 
+      success: false,
+      error: 'Batch status check failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Prose for one briefing section, citing the signals it was written from
+app.post('/api/briefing-narrative', requireRole(ROLES.ANALYST), async (req, res) => {
+  try {
+    const result = await writeSectionNarrative(req.body);
+
+    res.json({ 
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof NarrativeRequestError) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid narrative request',
+        details: error.message
+      });
+    }
+
+    console.error('❌ Error in briefing-narrative endpoint:', error);
+    
+    res.status(500).json({ 
+      success: false,
+      error: 'Narrative generation failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // RSS Fetch endpoint using Webshare proxy
-app.post('/api/fetch-rss', async (req, res) => {
+app.post('/api/fetch-rss', requireRole(ROLES.ANALYST), async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, etag, lastModified } = req.body;
     
     // Validation
     if (!url) {
@@ -175,15 +280,32 @@ app.post('/api/fetch-rss', async (req, res) => {
 
     console.log(`📡 Fetching RSS feed via Webshare proxy: ${url}`);
 
-    // Fetch RSS content through Webshare proxy
-    const rssContent = await webshareProxy.fetchRSS(url);
+    // Fetch RSS content through Webshare proxy, conditionally if the caller has validators
+    const result = await webshareProxy.fetchRSSConditional(url, { etag, lastModified });
+
+    if (result.notModified) {
+      console.log(`♻️ RSS feed unchanged since last fetch: ${url}`);
+
+      return res.json({
+        success: true,
+        notModified: true,
+        content: null,
+        contentLength: 0,
+        etag: result.etag,
+        lastModified: result.lastModified,
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    console.log(`✅ Successfully fetched RSS content: ${rssContent.length} characters`);
+    console.log(`✅ Successfully fetched RSS content: ${result.content.length} characters`);
 
     res.json({ 
       success: true,
-      content: rssContent,
-      contentLength: rssContent.length,
+      notModified: false,
+      content: result.content,
+      contentLength: result.content.length,
+      etag: result.etag,
+      lastModified: result.lastModified,
       timestamp: new Date().toISOString()
     });
 
@@ -219,12 +341,17 @@ app.get('/api/docs', (req, res) => {
     service: 'Ghost Brief Intelligence Analysis API',
     version: '1.0.0',
     endpoints: {
-      'GET /api/health': 'Health check and service status',
+      'GET /api/health': 'Health check and service status (public)',
       'POST /api/analyze-article': 'Analyze single article with Claude AI',
       'POST /api/analyze-articles-batch': 'Analyze multiple articles in batch',
+      'POST /api/analyze-articles-batch/async': 'Submit articles as a Claude Message Batch',
+      'GET /api/analyze-articles-batch/:batchId': 'Poll a Message Batch and collect its results',
+      'POST /api/briefing-narrative': 'Write one briefing section as cited prose within a token budget',
       'POST /api/fetch-rss': 'Fetch RSS content via Webshare proxy',
-      'GET /api/docs': 'This documentation'
+      'GET /api/analysis-stats': 'Structured-output parse failure rates per model',
+      'GET /api/docs': 'This documentation (public)'
     },
+    authentication: 'Send "Authorization: Bearer <token>" from POST /api/auth. Analysis, narrative and fetch endpoints require the analyst role; analysis-stats requires viewer.',
     schemas: {
       article: {
         required: ['title', 'url'],
@@ -234,16 +361,23 @@ app.get('/api/docs', (req, res) => {
         }
       },
       analysis: {
-        relevanceScore: 'number (0-100)',
+        summary: 'string (maps to Signal.summary)',
+        relevanceScore: 'number (0-100, maps to Signal.signalScore)',
         confidenceLevel: 'number (0-100)',
-        priority: 'string (CRITICAL|HIGH|MEDIUM|LOW)',
-        categories: 'array of strings',
+        credibility: 'number (0-100, maps to Signal.credibility)',
+        priority: 'string (CRITICAL|HIGH|MEDIUM|LOW, maps to Signal.escalationRisk)',
+        categories: 'array of strings (maps to Signal.category)',
+        regions: 'array of strings (maps to Signal.region)',
         entities: 'object with countries, organizations, technologies, weapons arrays',
         tags: 'array of strings',
         isAdvertisement: 'boolean',
         isDuplicate: 'boolean',
         duplicateOf: 'string|null',
         isSignificantUpdate: 'boolean'
+      },
+      narrativeRequest: {
+        required: ['sectionType', 'signals (id, title; optional summary, priority, categories, countries, source, publishedAt)'],
+        optional: ['title', 'patterns', 'maxTokens (100-1500, default 500)']
       }
     }
   });
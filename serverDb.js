@@ -0,0 +1,9 @@
+// Prisma client for server.js and the CommonJS services it loads; the api/
+// handlers and the engine use lib/db.js
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = global.prisma || new PrismaClient();
+if (process.env.NODE_ENV !== 'production') global.prisma = prisma;
+
+module.exports = { prisma };
@@ -1,9 +1,12 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import './styles/index.css';
 
 // New Database Services
 import { databaseService } from './services/databaseService';
+import { dictionaryService } from './services/scoring/dictionary.js';
 import { databaseMigrationService } from './services/databaseMigration';
+import { authService, hasRole } from './services/authService';
+import { PAGINATION_CONFIG, AUTH_CONFIG } from './constants/api.js';
 
 // Components
 import Header from './components/common/Header';
@@ -12,6 +15,11 @@ import Briefs from './components/briefs/Briefs';
 import Signals from './components/signals/Signals';
 import RSSManagement from './components/rss-management/RSSManagement';
 import LoadingOverlay from './components/common/LoadingOverlay';
+import Login from './components/auth/Login';
+import AuditLog from './components/admin/AuditLog';
+import BriefingTemplates from './components/templates/BriefingTemplates';
+import ScoringProfiles from './components/scoring/ScoringProfiles';
+import DictionaryManager from './components/dictionary/DictionaryManager';
 
 const App = () => {
   // Core state
@@ -22,6 +30,7 @@ const App = () => {
   // Database state
   const [signals, setSignals] = useState([]);
   const [briefs, setBriefs] = useState([]);
+  const [briefStage, setBriefStage] = useState('');
   const [rssFeeds, setRssFeeds] = useState([]);
   const [stats, setStats] = useState(null);
   const [processingStatus, setProcessingStatus] = useState(null);
@@ -33,14 +42,20 @@ const App = () => {
   // Migration state
   const [migrationStatus, setMigrationStatus] = useState(null);
 
+  // Auth state: undefined while checking the stored session, null when signed out
+  const [currentUser, setCurrentUser] = useState(undefined);
+  const [setupRequired, setSetupRequired] = useState(false);
+  const canAnalyze = hasRole(currentUser, AUTH_CONFIG.ROLES.ANALYST);
+  const isAdmin = hasRole(currentUser, AUTH_CONFIG.ROLES.ADMIN);
+
   /**
    * Load signals from database
    */
   const loadSignals = useCallback(async (filters = {}) => {
     try {
+      // Always the first page; the Signals view pages further with its own cursor
       const response = await databaseService.getSignals({
-        limit: 50,
-        offset: 0,
+        limit: PAGINATION_CONFIG.SIGNALS_PAGE_SIZE,
         ...filters
       });
       
@@ -133,11 +148,14 @@ const App = () => {
   /**
    * Load briefs from database
    */
+  // The lifecycle tab is read through a ref so loadBriefs keeps a stable identity
+  const briefStageRef = useRef('');
+
   const loadBriefs = useCallback(async () => {
     try {
       const response = await databaseService.getBriefs({
-        limit: 20,
-        offset: 0
+        limit: PAGINATION_CONFIG.BRIEFS_PAGE_SIZE,
+        status: briefStageRef.current || undefined
       });
       
       if (response.success) {
@@ -180,30 +198,33 @@ const App = () => {
       console.log('🚀 Initializing Ghost Brief with database...');
       
       // Check if migration is needed from old IndexedDB system
-      try {
-        const migrationCheck = await databaseMigrationService.checkMigrationNeeded();
-        if (migrationCheck.needed) {
-          console.log('🔄 Migration needed from IndexedDB to database');
-          setMigrationStatus({ stage: 'running', message: 'Migrating data to new database...' });
+      // (migrating writes signals and briefs, so it needs an analyst)
+      if (canAnalyze) {
+        try {
+          const migrationCheck = await databaseMigrationService.checkMigrationNeeded();
+          if (migrationCheck.needed) {
+            console.log('🔄 Migration needed from IndexedDB to database');
+            setMigrationStatus({ stage: 'running', message: 'Migrating data to new database...' });
           
-          const migrationResult = await databaseMigrationService.migrateToDatabase();
-          if (migrationResult.success) {
-            setMigrationStatus({ stage: 'success', message: 'Data migration completed successfully' });
-            console.log('✅ Migration completed:', migrationResult.summary);
-          } else {
-            setMigrationStatus({ stage: 'error', message: 'Migration had errors but continued' });
-          }
+            const migrationResult = await databaseMigrationService.migrateToDatabase();
+            if (migrationResult.success) {
+              setMigrationStatus({ stage: 'success', message: 'Data migration completed successfully' });
+              console.log('✅ Migration completed:', migrationResult.summary);
+            } else {
+              setMigrationStatus({ stage: 'error', message: 'Migration had errors but continued' });
+            }
           
-          setTimeout(() => setMigrationStatus(null), 10000);
+            setTimeout(() => setMigrationStatus(null), 10000);
+          }
+        } catch (migrationError) {
+          console.warn('⚠️ Migration check failed:', migrationError.message);
         }
-      } catch (migrationError) {
-        console.warn('⚠️ Migration check failed:', migrationError.message);
       }
       
       // Initialize default feeds if none exist
       try {
         const feedsResponse = await loadFeeds();
-        if (!feedsResponse.success || feedsResponse.feeds?.length === 0) {
+        if (isAdmin && (!feedsResponse.success || feedsResponse.feeds?.length === 0)) {
           console.log('📡 No feeds found, initializing default feeds...');
           await databaseService.initializeDefaultFeeds();
           await loadFeeds(); // Reload after initialization
@@ -212,6 +233,14 @@ const App = () => {
         console.warn('⚠️ Feed initialization failed:', error.message);
       }
       
+      // Scoring in the browser matches against the stored dictionary version
+      try {
+        const dictionary = await databaseService.getDictionary();
+        dictionaryService.setDictionary({ version: dictionary.version, terms: dictionary.terms });
+      } catch (error) {
+        console.warn('⚠️ Dictionary load failed, using the built-in terms:', error.message);
+      }
+      
       // Load all data from database
       await Promise.all([
         loadSignals(),
@@ -231,7 +260,7 @@ const App = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [loadSignals, loadBriefs, loadFeeds, loadStats]);
+  }, [loadSignals, loadBriefs, loadFeeds, loadStats, canAnalyze, isAdmin]);
 
   // Auto-refresh processing status
   useEffect(() => {
@@ -253,21 +282,46 @@ const App = () => {
     }
   }, [isProcessing, loadSignals, loadStats]);
 
-  // Initialize data on component mount
+  // Restore the stored session on mount, and drop back to the login screen
+  // whenever the session ends
   useEffect(() => {
-    initializeApplication();
-  }, [initializeApplication]);
+    authService.getCurrentUser()
+      .then(({ user, setupRequired: needsSetup }) => {
+        setSetupRequired(Boolean(needsSetup));
+        setCurrentUser(user);
+      })
+      .catch(error => {
+        console.error('❌ Session check failed:', error);
+        setCurrentUser(null);
+      });
+
+    return authService.onSignedOut(() => {
+      setCurrentUser(null);
+      setIsInitialized(false);
+    });
+  }, []);
+
+  // Initialize data once signed in
+  useEffect(() => {
+    if (currentUser) {
+      initializeApplication();
+    }
+  }, [currentUser, initializeApplication]);
+
+  const handleLogout = () => {
+    authService.logout();
+  };
 
   // Auto-refresh RSS processing
   useEffect(() => {
-    if (isInitialized) {
+    if (isInitialized && canAnalyze) {
       const interval = setInterval(() => {
         processRSSFeeds();
       }, 30 * 60 * 1000); // Every 30 minutes
 
       return () => clearInterval(interval);
     }
-  }, [isInitialized, processRSSFeeds]);
+  }, [isInitialized, canAnalyze, processRSSFeeds]);
 
   /**
    * RSS Feed Management Functions
@@ -343,16 +397,30 @@ const App = () => {
     }
   };
 
+  const handleBriefStageChange = (stage) => {
+    briefStageRef.current = stage;
+    setBriefStage(stage);
+    loadBriefs();
+  };
+
+  const handleBriefTransition = async (briefId, action, options) => {
+    await databaseService.transitionBrief(briefId, action, options);
+    await loadBriefs();
+  };
+
+  const handleRestoreBriefRevision = async (briefId, version) => {
+    await databaseService.restoreBriefRevision(briefId, version);
+    await loadBriefs();
+  };
+
   const handlePromoteSignalToBrief = async (signal) => {
     const briefData = {
       title: signal.title,
       summary: signal.summary,
-      status: 'PUBLISHED',
       classification: 'UNCLASSIFIED',
       keywords: signal.category || [],
-      version: 1,
-      datePublished: new Date(),
-      relatedSignalIds: [signal.id]
+      relatedSignalIds: [signal.id],
+      promotedFromSignalId: signal.id
     };
     
     return await handleCreateBrief(briefData);
@@ -399,6 +467,24 @@ const App = () => {
     }
   };
 
+  if (currentUser === undefined) {
+    return <LoadingOverlay status={{ stage: 'processing', message: 'Checking session...' }} />;
+  }
+
+  if (!currentUser) {
+    return (
+      <Login
+        setupRequired={setupRequired}
+        onSignedIn={(user) => {
+          setSetupRequired(false);
+          setCurrentUser(user);
+        }}
+      />
+    );
+  }
+
+  const promoteToBrief = canAnalyze ? handlePromoteSignalToBrief : undefined;
+
   return (
     <div className="min-h-screen" style={{backgroundColor: 'var(--bg-primary)'}}>
       {/* Loading overlay */}
@@ -407,10 +493,12 @@ const App = () => {
       {/* Header */}
       <Header 
         metrics={dashboardMetrics}
-        onRefresh={processRSSFeeds}
+        onRefresh={canAnalyze ? processRSSFeeds : undefined}
         isRefreshing={isLoading}
         processingStatus={processingStatus}
         migrationStatus={migrationStatus}
+        user={currentUser}
+        onLogout={handleLogout}
       />
 
       {/* Navigation */}
@@ -420,7 +508,11 @@ const App = () => {
             { id: 'dashboard', label: 'Dashboard', icon: '📊' },
             { id: 'briefs', label: 'Briefs', icon: '🧠' },
             { id: 'signals', label: 'Signals', icon: '📡' },
-            { id: 'feeds', label: 'Feed Management', icon: '⚙️' }
+            { id: 'feeds', label: 'Feed Management', icon: '⚙️' },
+            { id: 'templates', label: 'Templates', icon: '🧩' },
+            { id: 'scoring', label: 'Scoring', icon: '⚖️' },
+            { id: 'dictionary', label: 'Dictionary', icon: '📖' },
+            ...(isAdmin ? [{ id: 'audit', label: 'Audit Log', icon: '🗂️' }] : [])
           ].map(tab => (
             <button
               key={tab.id}
@@ -442,7 +534,7 @@ const App = () => {
           <Dashboard 
             metrics={dashboardMetrics}
             featuredSignals={signals.slice(0, 5)}
-            onPromoteToBrief={handlePromoteSignalToBrief}
+            onPromoteToBrief={promoteToBrief}
             stats={stats}
           />
         )}
@@ -450,8 +542,12 @@ const App = () => {
         {activeTab === 'briefs' && (
           <Briefs 
             briefs={briefs}
-            onCreateBrief={handleCreateBrief}
-            onPromoteToBrief={handlePromoteSignalToBrief}
+            stage={briefStage}
+            onStageChange={handleBriefStageChange}
+            onCreateBrief={canAnalyze ? handleCreateBrief : undefined}
+            onRestoreRevision={canAnalyze ? handleRestoreBriefRevision : undefined}
+            onTransition={canAnalyze ? handleBriefTransition : undefined}
+            onPromoteToBrief={promoteToBrief}
             signals={signals}
           />
         )}
@@ -459,9 +555,10 @@ const App = () => {
         {activeTab === 'signals' && (
           <Signals 
             signals={signals}
-            onPromoteToBrief={handlePromoteSignalToBrief}
-            onLoadMore={() => loadSignals({ offset: signals.length })}
+            onPromoteToBrief={promoteToBrief}
+            refreshKey={lastUpdate}
             stats={stats}
+            canGiveFeedback={canAnalyze}
           />
         )}
         
@@ -472,9 +569,26 @@ const App = () => {
             onUpdateFeed={handleUpdateFeed}
             onDeleteFeed={handleDeleteFeed}
             onProcessFeeds={processRSSFeeds}
+            canManage={isAdmin}
             stats={stats}
           />
         )}
+
+        {activeTab === 'templates' && (
+          <BriefingTemplates canEdit={canAnalyze} />
+        )}
+
+        {activeTab === 'scoring' && (
+          <ScoringProfiles canManage={isAdmin} />
+        )}
+
+        {activeTab === 'dictionary' && (
+          <DictionaryManager canManage={isAdmin} />
+        )}
+
+        {activeTab === 'audit' && isAdmin && (
+          <AuditLog />
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { FaHistory, FaTrash } from 'react-icons/fa';
+import { databaseService } from '../../services/databaseService';
+import { PAGINATION_CONFIG } from '../../constants/api.js';
+
+const EMPTY_FILTERS = {
+  actor: '',
+  action: '',
+  entityType: '',
+  entityId: '',
+  from: '',
+  to: ''
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditEventRow = ({ event, onFilterEntity }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const changes = Object.entries(event.diff || {});
+
+  return (
+    <div className="signal-card p-4 rounded-lg">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-mono text-gray-100">{event.action}</span>
+            <button
+              onClick={() => onFilterEntity(event)}
+              className="text-xs text-blue-400 hover:underline truncate"
+              title="Show the history of this record"
+            >
+              {event.entityType}{event.entityId ? ` ${event.entityId.slice(0, 8)}` : ''}
+            </button>
+          </div>
+          <div className="text-xs text-gray-400 mt-1">
+            {event.actorEmail || 'anonymous'}
+            {event.actorRole && ` (${event.actorRole})`}
+            {' · '}{event.method} {event.path}
+          </div>
+        </div>
+        <div className="text-xs text-gray-500 whitespace-nowrap">
+          {new Date(event.createdAt).toLocaleString()}
+        </div>
+      </div>
+
+      {(changes.length > 0 || event.metadata) && (
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="text-xs text-gray-400 hover:text-gray-200 mt-2"
+        >
+          {isExpanded ? 'Hide changes' : `Show changes (${changes.length})`}
+        </button>
+      )}
+
+      {isExpanded && (
+        <div className="mt-2 text-xs space-y-1">
+          {changes.map(([field, change]) => (
+            <div key={field} className="grid grid-cols-4 gap-2">
+              <span className="text-gray-400 font-mono">{field}</span>
+              <span className="col-span-3 break-all">
+                <span className="text-red-400 line-through">{formatValue(change.from)}</span>
+                {' → '}
+                <span className="text-green-400">{formatValue(change.to)}</span>
+              </span>
+            </div>
+          ))}
+          {event.metadata && (
+            <div className="text-gray-400 break-all">
+              Context: <span className="font-mono">{formatValue(event.metadata)}</span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Admin view of the audit log: who changed what, newest first
+ */
+const AuditLog = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [events, setEvents] = useState([]);
+  const [facets, setFacets] = useState({ actions: [], entityTypes: [] });
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Drops responses for filters that have since changed
+  const generationRef = useRef(0);
+
+  const loadEvents = useCallback(async (cursor) => {
+    const generation = cursor ? generationRef.current : ++generationRef.current;
+    setIsLoading(true);
+
+    try {
+      const response = await databaseService.getAuditEvents({
+        ...filters,
+        limit: PAGINATION_CONFIG.AUDIT_PAGE_SIZE,
+        cursor
+      });
+      if (generation !== generationRef.current) return;
+
+      setEvents(prev => (cursor ? [...prev, ...response.events] : response.events || []));
+      setTotal(response.total || 0);
+      setNextCursor(response.hasMore ? response.nextCursor : null);
+      setFacets(response.facets || { actions: [], entityTypes: [] });
+      setError(null);
+    } catch (err) {
+      if (generation !== generationRef.current) return;
+      setError(err.message);
+    } finally {
+      if (generation === generationRef.current) setIsLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadEvents(null);
+  }, [loadEvents]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const filterByEntity = (event) => {
+    setFilters(prev => ({ ...prev, entityType: event.entityType, entityId: event.entityId || '' }));
+  };
+
+  const hasActiveFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="content-section">
+      {/* Page Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-100 flex items-center space-x-3">
+          <FaHistory />
+          <span>AUDIT LOG</span>
+        </h1>
+        <p className="text-gray-400 mt-2">
+          Every change made through the API, with who made it and what changed
+        </p>
+      </div>
+
+      {/* Filter Controls */}
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-6 text-xs">
+        <label className="flex flex-col text-gray-400">
+          Actor
+          <input
+            type="text"
+            placeholder="Email or user id"
+            value={filters.actor}
+            onChange={(e) => updateFilter('actor', e.target.value)}
+            className="mt-1 p-2 rounded-md search-bar"
+          />
+        </label>
+        <label className="flex flex-col text-gray-400">
+          Action
+          <select
+            value={filters.action}
+            onChange={(e) => updateFilter('action', e.target.value)}
+            className="mt-1 p-2 rounded-md search-bar"
+          >
+            <option value="">All actions</option>
+            {facets.actions.map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-gray-400">
+          Entity
+          <select
+            value={filters.entityType}
+            onChange={(e) => updateFilter('entityType', e.target.value)}
+            className="mt-1 p-2 rounded-md search-bar"
+          >
+            <option value="">All entities</option>
+            {facets.entityTypes.map(entityType => (
+              <option key={entityType} value={entityType}>{entityType}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-gray-400">
+          Entity ID
+          <input
+            type="text"
+            value={filters.entityId}
+            onChange={(e) => updateFilter('entityId', e.target.value.trim())}
+            className="mt-1 p-2 rounded-md search-bar"
+          />
+        </label>
+        <label className="flex flex-col text-gray-400">
+          From
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="mt-1 p-2 rounded-md search-bar"
+          />
+        </label>
+        <label className="flex flex-col text-gray-400">
+          To
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="mt-1 p-2 rounded-md search-bar"
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between mb-4 text-sm text-gray-500">
+        <div>
+          {isLoading && events.length === 0 ? 'Loading...' : `Showing ${events.length} of ${total} events`}
+          {error && <span className="ml-2 text-red-400">Failed to load audit log: {error}</span>}
+        </div>
+        {hasActiveFilters && (
+          <button
+            onClick={() => setFilters(EMPTY_FILTERS)}
+            className="filter-button px-4 py-2 rounded-full text-xs flex items-center space-x-2"
+          >
+            <FaTrash />
+            <span>Clear All Filters</span>
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {events.map(event => (
+          <AuditEventRow key={event.id} event={event} onFilterEntity={filterByEntity} />
+        ))}
+      </div>
+
+      {nextCursor && (
+        <div className="text-center mt-6">
+          <button
+            onClick={() => loadEvents(nextCursor)}
+            disabled={isLoading}
+            className="filter-button px-4 py-2 rounded-full text-xs"
+          >
+            {isLoading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { FaLock } from 'react-icons/fa';
+import { authService } from '../../services/authService';
+
+/**
+ * Sign-in screen. On a fresh deployment (no accounts yet) it creates the
+ * first admin account instead.
+ */
+const Login = ({ setupRequired, onSignedIn }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const user = setupRequired
+        ? await authService.createFirstAdmin({ email, password, name })
+        : await authService.login(email, password);
+      onSignedIn(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center" style={{backgroundColor: 'var(--bg-primary)'}}>
+      <form onSubmit={handleSubmit} className="signal-card rounded-lg p-8 w-full max-w-sm space-y-4">
+        <div className="text-center">
+          <h1 className="font-orbitron text-2xl text-cyan-400 tracking-wider">GHOST BRIEF</h1>
+          <p className="text-gray-400 text-sm mt-2 flex items-center justify-center gap-2">
+            <FaLock />
+            {setupRequired ? 'Create the first admin account' : 'Sign in to continue'}
+          </p>
+        </div>
+
+        {setupRequired && (
+          <input
+            type="text"
+            placeholder="Name"
+            className="w-full p-3 rounded-md search-bar"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        )}
+        <input
+          type="email"
+          placeholder="Email"
+          autoComplete="username"
+          required
+          className="w-full p-3 rounded-md search-bar"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete={setupRequired ? 'new-password' : 'current-password'}
+          required
+          minLength={setupRequired ? 8 : undefined}
+          className="w-full p-3 rounded-md search-bar"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full px-4 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors disabled:opacity-50"
+        >
+          {isSubmitting ? 'Please wait...' : setupRequired ? 'Create Admin Account' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
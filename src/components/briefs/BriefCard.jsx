@@ -1,6 +1,15 @@
-import React from 'react';
+import React, { useState } from 'react';
+import BriefHistory from './BriefHistory.jsx';
+import BriefWorkflow from './BriefWorkflow.jsx';
+import BriefExport from './BriefExport.jsx';
+import BriefContent from './BriefContent.jsx';
+import { BRIEF_WORKFLOW } from '../../constants/api.js';
+
+const BriefCard = ({ brief, onPromoteToBrief, onRestoreRevision, onTransition, isPermanent }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const [showWorkflow, setShowWorkflow] = useState(false);
+  const [showExport, setShowExport] = useState(false);
 
-const BriefCard = ({ brief, onPromoteToBrief, isPermanent }) => {
   const formatTimeAgo = (dateString) => {
     if (!dateString) return 'Unknown';
     
@@ -55,9 +64,16 @@ const BriefCard = ({ brief, onPromoteToBrief, isPermanent }) => {
             {/* Brief Type Indicator */}
             <div className="flex items-center space-x-1">
               {isPermanent ? (
-                <span className="text-xs px-2 py-0.5 bg-green-500/20 text-green-400 border border-green-500 rounded-full" title="Permanent Brief">
-                  📌 SAVED
-                </span>
+                <>
+                  <span className="text-xs px-2 py-0.5 bg-green-500/20 text-green-400 border border-green-500 rounded-full" title="Permanent Brief">
+                    📌 SAVED
+                  </span>
+                  {BRIEF_WORKFLOW.STATUS_LABELS[brief.status] && (
+                    <span className="text-xs px-2 py-0.5 bg-gray-500/20 text-gray-300 border border-gray-500 rounded-full" title="Lifecycle stage">
+                      {BRIEF_WORKFLOW.STATUS_LABELS[brief.status].toUpperCase()}
+                    </span>
+                  )}
+                </>
               ) : (
                 <span className="text-xs px-2 py-0.5 bg-blue-500/20 text-blue-400 border border-blue-500 rounded-full" title="Auto-promoted from RSS">
                   🤖 AUTO
@@ -78,9 +94,7 @@ const BriefCard = ({ brief, onPromoteToBrief, isPermanent }) => {
       </div>
 
       {/* Content */}
-      <div className="signal-content text-sm mb-4 leading-relaxed">
-        {content}
-      </div>
+      <BriefContent content={content} citations={brief.citations} />
 
       {/* Intelligence Score (if available) */}
       {hasIntelligence && (
@@ -181,6 +195,42 @@ const BriefCard = ({ brief, onPromoteToBrief, isPermanent }) => {
             </button>
           )}
           
+          {/* Lifecycle Workflow (saved briefs only) */}
+          {isPermanent && brief.id && (
+            <button
+              onClick={() => setShowWorkflow(!showWorkflow)}
+              className="text-xs px-3 py-1.5 bg-gray-500/20 text-gray-400 border border-gray-500 rounded-md hover:bg-gray-500/30 transition-colors flex items-center space-x-1"
+              title="Review and publishing workflow"
+            >
+              <span>🗂️</span>
+              <span>{showWorkflow ? 'Hide Workflow' : 'Workflow'}</span>
+            </button>
+          )}
+
+          {/* Revision History (saved briefs only) */}
+          {isPermanent && brief.id && (
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="text-xs px-3 py-1.5 bg-gray-500/20 text-gray-400 border border-gray-500 rounded-md hover:bg-gray-500/30 transition-colors flex items-center space-x-1"
+              title="Show revision history"
+            >
+              <span>🕘</span>
+              <span>{showHistory ? 'Hide History' : 'History'}</span>
+            </button>
+          )}
+
+          {/* Export (saved briefs only) */}
+          {isPermanent && brief.id && (
+            <button
+              onClick={() => setShowExport(!showExport)}
+              className="text-xs px-3 py-1.5 bg-gray-500/20 text-gray-400 border border-gray-500 rounded-md hover:bg-gray-500/30 transition-colors flex items-center space-x-1"
+              title="Download as PDF, DOCX or HTML"
+            >
+              <span>⬇️</span>
+              <span>{showExport ? 'Hide Export' : 'Export'}</span>
+            </button>
+          )}
+
           {/* Open Source (if URL available) */}
           {brief.url && (
             <a
@@ -197,6 +247,18 @@ const BriefCard = ({ brief, onPromoteToBrief, isPermanent }) => {
         </div>
       </div>
 
+      {showWorkflow && (
+        <BriefWorkflow briefId={brief.id} onTransition={onTransition} />
+      )}
+
+      {showHistory && (
+        <BriefHistory briefId={brief.id} onRestore={onRestoreRevision} />
+      )}
+
+      {showExport && (
+        <BriefExport briefId={brief.id} />
+      )}
+
       {/* Metadata Footer */}
       <div className="pt-3 border-t border-gray-700 mt-4">
         <div className="flex items-center justify-between text-xs text-gray-500">
@@ -216,6 +278,11 @@ const BriefCard = ({ brief, onPromoteToBrief, isPermanent }) => {
               )}
             </div>
             
+            {/* Revision */}
+            {isPermanent && brief.version && (
+              <span>v{brief.version}</span>
+            )}
+
             {/* Original Source Domain */}
             {brief.source?.domain && (
               <span>
@@ -0,0 +1,74 @@
+import React, { useState, useMemo } from 'react';
+import { briefingTemplateManager } from '../../services/briefing/templateManager.js';
+
+/**
+ * Brief text with clickable footnote markers. A marker opens the cited
+ * article's excerpt, source and credibility.
+ */
+const BriefContent = ({ content, citations }) => {
+  const [activeMarker, setActiveMarker] = useState(null);
+
+  // Generated briefings carry their citations; saved markdown has them as footnotes
+  const parsed = useMemo(() => {
+    const { body, citations: footnotes } = briefingTemplateManager.parseCitations(content || '');
+    return { body, citations: citations?.length > 0 ? citations : footnotes };
+  }, [content, citations]);
+
+  const citationByMarker = new Map(parsed.citations.map(citation => [citation.marker, citation]));
+  const active = citationByMarker.get(activeMarker);
+
+  const parts = parsed.body.split(/\[\^(\d+)\]/);
+
+  return (
+    <div className="signal-content text-sm mb-4 leading-relaxed">
+      {parts.map((part, index) => {
+        // Odd entries are the captured footnote numbers
+        if (index % 2 === 0) return <React.Fragment key={index}>{part}</React.Fragment>;
+
+        const marker = Number(part);
+        if (!citationByMarker.has(marker)) return null;
+
+        return (
+          <button
+            key={index}
+            onClick={() => setActiveMarker(activeMarker === marker ? null : marker)}
+            className={`align-super text-xs px-0.5 hover:underline ${activeMarker === marker ? 'text-cyan-300' : 'text-cyan-500'}`}
+            title="Show source"
+          >
+            [{marker}]
+          </button>
+        );
+      })}
+
+      {active && (
+        <div className="mt-3 p-3 rounded-md border border-cyan-500/40 bg-cyan-500/5 text-xs space-y-1">
+          <div className="flex items-start justify-between gap-2">
+            <div className="font-semibold text-gray-200">
+              [{active.marker}]{' '}
+              {active.sourceUrl ? (
+                <a href={active.sourceUrl} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                  {active.title}
+                </a>
+              ) : (
+                active.title
+              )}
+            </div>
+            <button onClick={() => setActiveMarker(null)} className="text-gray-500 hover:text-gray-300" title="Close">
+              ✕
+            </button>
+          </div>
+          <div className="text-gray-400">
+            {active.sourceName} · Credibility: {active.credibility !== null ? `${active.credibility}%` : 'unrated'}
+          </div>
+          {active.excerpt && (
+            <blockquote className="border-l-2 border-gray-600 pl-2 italic text-gray-300">
+              {active.excerpt}
+            </blockquote>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BriefContent;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { databaseService } from '../../services/databaseService';
+import { briefingTemplateManager } from '../../services/briefing/templateManager.js';
+
+const FORMAT_LABELS = {
+  pdf: 'PDF',
+  docx: 'Word (DOCX)',
+  html: 'HTML'
+};
+
+/**
+ * Download panel of a saved brief: pick a briefing template and a file format
+ */
+const BriefExport = ({ briefId }) => {
+  const [template, setTemplate] = useState('STANDARD');
+  const [format, setFormat] = useState('pdf');
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedTemplates, setSavedTemplates] = useState([]);
+
+  // The workspace's own templates are offered next to the built-in ones
+  useEffect(() => {
+    databaseService.getBriefingTemplates()
+      .then(response => setSavedTemplates(response.templates || []))
+      .catch(() => setSavedTemplates([]));
+  }, []);
+
+  const formats = briefingTemplateManager.templates[template]?.exportFormats || ['pdf', 'docx', 'html'];
+
+  const handleDownload = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const { blob, filename } = await databaseService.exportBrief(briefId, format, template);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-3 border-t border-gray-700 text-xs space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={template}
+          onChange={(e) => setTemplate(e.target.value)}
+          className="p-2 rounded-md search-bar"
+          title="Briefing template"
+        >
+          {Object.entries(briefingTemplateManager.templates).map(([key, config]) => (
+            <option key={key} value={key}>{config.name}</option>
+          ))}
+          {savedTemplates.map(saved => (
+            <option key={saved.id} value={saved.id}>{saved.name}</option>
+          ))}
+        </select>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="p-2 rounded-md search-bar"
+          title="File format"
+        >
+          {formats.map(key => (
+            <option key={key} value={key}>{FORMAT_LABELS[key]}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleDownload}
+          disabled={isExporting}
+          className="px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors disabled:opacity-50"
+        >
+          {isExporting ? 'Exporting...' : 'Download'}
+        </button>
+      </div>
+
+      {error && <div className="text-red-400">Export failed: {error}</div>}
+    </div>
+  );
+};
+
+export default BriefExport;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { databaseService } from '../../services/databaseService';
+
+const LINE_STYLES = {
+  added: 'text-green-400 bg-green-500/10',
+  removed: 'text-red-400 bg-red-500/10 line-through',
+  equal: 'text-gray-400'
+};
+
+const LINE_PREFIX = {
+  added: '+',
+  removed: '-',
+  equal: ' '
+};
+
+/**
+ * Revision history of a saved brief: who changed what, line diffs between
+ * revisions and (for analysts) restoring an earlier revision
+ */
+const BriefHistory = ({ briefId, onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [compare, setCompare] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoringVersion, setRestoringVersion] = useState(null);
+
+  const loadRevisions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await databaseService.getBriefRevisions(briefId);
+      setRevisions(response.revisions || []);
+      setCurrentVersion(response.currentVersion);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [briefId]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  // Diff whenever the compared pair changes
+  useEffect(() => {
+    if (!compare) {
+      setDiff(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    databaseService.getBriefRevisionDiff(briefId, compare.from, compare.to)
+      .then(response => {
+        if (!cancelled) setDiff(response.diff);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [briefId, compare]);
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore revision ${version}? This is saved as a new revision.`)) return;
+
+    setRestoringVersion(version);
+    try {
+      await onRestore(briefId, version);
+      setCompare(null);
+      await loadRevisions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoringVersion(null);
+    }
+  };
+
+  if (isLoading && revisions.length === 0) {
+    return <div className="text-xs text-gray-500 mt-4">Loading history...</div>;
+  }
+
+  return (
+    <div className="mt-4 pt-3 border-t border-gray-700 text-xs">
+      {error && <div className="text-red-400 mb-2">History unavailable: {error}</div>}
+
+      {revisions.length === 0 && !error && (
+        <div className="text-gray-500">No revisions recorded yet</div>
+      )}
+
+      <div className="space-y-2">
+        {revisions.map((revision, index) => {
+          const previous = revisions[index + 1];
+          const isCompared = compare && compare.to === revision.version;
+
+          return (
+            <div key={revision.id} className="flex items-start justify-between gap-3">
+              <div>
+                <span className="font-mono text-gray-200">v{revision.version}</span>
+                {revision.version === currentVersion && (
+                  <span className="ml-2 text-green-400">current</span>
+                )}
+                <span className="ml-2 text-gray-400">
+                  {revision.authorEmail || 'system'} · {new Date(revision.createdAt).toLocaleString()}
+                </span>
+                <div className="text-gray-500">
+                  {revision.restoredFromVersion
+                    ? `Restored from v${revision.restoredFromVersion}`
+                    : revision.changedFields.length > 0
+                      ? `Changed ${revision.changedFields.join(', ')}`
+                      : previous ? 'No content changes' : 'Created'}
+                </div>
+              </div>
+
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                {previous && (
+                  <button
+                    onClick={() => setCompare(isCompared ? null : { from: previous.version, to: revision.version })}
+                    className="text-blue-400 hover:underline"
+                  >
+                    {isCompared ? 'Hide diff' : 'Diff'}
+                  </button>
+                )}
+                {onRestore && revision.version !== currentVersion && (
+                  <button
+                    onClick={() => handleRestore(revision.version)}
+                    disabled={restoringVersion !== null}
+                    className="text-yellow-400 hover:underline disabled:opacity-50"
+                  >
+                    {restoringVersion === revision.version ? 'Restoring...' : 'Restore'}
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Line diff of the compared revisions */}
+      {compare && diff && (
+        <div className="mt-3 p-3 rounded-md bg-black/20 space-y-3">
+          <div className="text-gray-400">
+            v{diff.from.version} → v{diff.to.version}
+          </div>
+          {diff.fields.filter(field => field.changed).map(field => (
+            <div key={field.field}>
+              <div className="text-gray-300 font-semibold mb-1">{field.field}</div>
+              <pre className="font-mono whitespace-pre-wrap break-words">
+                {field.lines.map((line, index) => (
+                  <div key={index} className={LINE_STYLES[line.type]}>
+                    {LINE_PREFIX[line.type]} {line.text}
+                  </div>
+                ))}
+              </pre>
+            </div>
+          ))}
+          {diff.fields.every(field => !field.changed) && (
+            <div className="text-gray-500">No differences</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BriefHistory;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { databaseService } from '../../services/databaseService';
+import { BRIEF_WORKFLOW } from '../../constants/api.js';
+
+/**
+ * Lifecycle panel of a saved brief: current stage, reviewer, the actions the
+ * signed-in user may take and the review trail with its comments
+ */
+const BriefWorkflow = ({ briefId, onTransition }) => {
+  const [workflow, setWorkflow] = useState(null);
+  const [reviewers, setReviewers] = useState([]);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [reviewerId, setReviewerId] = useState('');
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadWorkflow = useCallback(async () => {
+    try {
+      const response = await databaseService.getBriefWorkflow(briefId);
+      setWorkflow(response);
+      setReviewerId(response.reviewer?.id || '');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [briefId]);
+
+  useEffect(() => {
+    loadWorkflow();
+  }, [loadWorkflow]);
+
+  // Reviewers are only needed once someone is about to submit
+  useEffect(() => {
+    if (pendingAction !== 'submit' || reviewers.length > 0) return;
+
+    databaseService.getBriefReviewers()
+      .then(response => setReviewers(response.reviewers || []))
+      .catch(err => setError(err.message));
+  }, [pendingAction, reviewers.length]);
+
+  const startAction = (action) => {
+    setError(null);
+    setComment('');
+    setPendingAction(action);
+  };
+
+  const confirmAction = async () => {
+    if (pendingAction === 'reject' && !comment.trim()) {
+      setError('Explain what needs to change before rejecting');
+      return;
+    }
+    if (pendingAction === 'submit' && !reviewerId) {
+      setError('Choose a reviewer');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onTransition(briefId, pendingAction, { reviewerId: reviewerId || undefined, comment });
+      setPendingAction(null);
+      await loadWorkflow();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!workflow) {
+    return (
+      <div className="mt-4 pt-3 border-t border-gray-700 text-xs text-gray-500">
+        {error ? <span className="text-red-400">Workflow unavailable: {error}</span> : 'Loading workflow...'}
+      </div>
+    );
+  }
+
+  const actions = onTransition ? workflow.allowedActions : [];
+
+  return (
+    <div className="mt-4 pt-3 border-t border-gray-700 text-xs space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-gray-400">
+        <span>
+          Stage: <span className="text-gray-200">{BRIEF_WORKFLOW.STATUS_LABELS[workflow.status]}</span>
+        </span>
+        <span>
+          Reviewer: <span className="text-gray-200">{workflow.reviewer?.name || workflow.reviewer?.email || 'Unassigned'}</span>
+        </span>
+      </div>
+
+      {/* Actions */}
+      {actions.length > 0 && !pendingAction && (
+        <div className="flex flex-wrap gap-2">
+          {actions.map(action => (
+            <button
+              key={action}
+              onClick={() => startAction(action)}
+              className="px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors"
+            >
+              {BRIEF_WORKFLOW.ACTION_LABELS[action]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {pendingAction && (
+        <div className="space-y-2">
+          {pendingAction === 'submit' && (
+            <select
+              value={reviewerId}
+              onChange={(e) => setReviewerId(e.target.value)}
+              className="w-full p-2 rounded-md search-bar"
+            >
+              <option value="">Choose a reviewer...</option>
+              {reviewers.map(reviewer => (
+                <option key={reviewer.id} value={reviewer.id}>
+                  {reviewer.name ? `${reviewer.name} (${reviewer.email})` : reviewer.email}
+                </option>
+              ))}
+            </select>
+          )}
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder={pendingAction === 'reject' ? 'What needs to change? (required)' : 'Comment (optional)'}
+            rows={2}
+            className="w-full p-2 rounded-md search-bar"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={confirmAction}
+              disabled={isSubmitting}
+              className="px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving...' : BRIEF_WORKFLOW.ACTION_LABELS[pendingAction]}
+            </button>
+            <button
+              onClick={() => setPendingAction(null)}
+              disabled={isSubmitting}
+              className="px-3 py-1.5 text-gray-400 hover:text-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div className="text-red-400">{error}</div>}
+
+      {/* Review Trail */}
+      {workflow.transitions.length > 0 && (
+        <div className="space-y-1">
+          {workflow.transitions.map(transition => (
+            <div key={transition.id} className="text-gray-500">
+              <span className="text-gray-300">{BRIEF_WORKFLOW.ACTION_LABELS[transition.action]}</span>
+              {' '}by {transition.actorEmail || 'system'} · {new Date(transition.createdAt).toLocaleString()}
+              {transition.comment && (
+                <div className="ml-4 italic text-gray-400">“{transition.comment}”</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BriefWorkflow;
@@ -1,7 +1,21 @@
 import React, { useState, useMemo } from 'react';
 import BriefCard from './BriefCard.jsx';
-
-const Briefs = ({ briefs, onCreateBrief, onPromoteToBrief }) => {
+import { BRIEF_WORKFLOW } from '../../constants/api.js';
+
+const STAGE_TABS = [
+  { value: '', label: 'All' },
+  ...BRIEF_WORKFLOW.STATUSES.map(status => ({ value: status, label: BRIEF_WORKFLOW.STATUS_LABELS[status] }))
+];
+
+const Briefs = ({
+  briefs,
+  stage = '',
+  onStageChange,
+  onCreateBrief,
+  onPromoteToBrief,
+  onRestoreRevision,
+  onTransition
+}) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedTags, setSelectedTags] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('');
@@ -88,6 +102,23 @@ const Briefs = ({ briefs, onCreateBrief, onPromoteToBrief }) => {
         </p>
       </div>
 
+      {/* Lifecycle Stage Tabs (filtered on the server) */}
+      {onStageChange && (
+        <div className="flex flex-wrap gap-2 mb-6 border-b" style={{borderColor: 'var(--border-primary)'}}>
+          {STAGE_TABS.map(tab => (
+            <button
+              key={tab.value || 'all'}
+              onClick={() => onStageChange(tab.value)}
+              className={`nav-item rounded-t-md px-4 py-2 text-sm font-medium ${
+                stage === tab.value ? 'active' : ''
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Controls */}
       <div className="flex flex-col md:flex-row md:items-center md:justify-between space-y-4 md:space-y-0 mb-6">
         {/* Search Bar */}
@@ -99,14 +130,16 @@ const Briefs = ({ briefs, onCreateBrief, onPromoteToBrief }) => {
           onChange={(e) => setSearchTerm(e.target.value)}
         />
 
-        {/* Create Brief Button */}
-        <button
-          onClick={() => setShowCreateForm(true)}
-          className="flex items-center space-x-2 px-4 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors"
-        >
-          <span>➕</span>
-          <span>Create Brief</span>
-        </button>
+        {/* Create Brief Button (analysts and admins) */}
+        {onCreateBrief && (
+          <button
+            onClick={() => setShowCreateForm(true)}
+            className="flex items-center space-x-2 px-4 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors"
+          >
+            <span>➕</span>
+            <span>Create Brief</span>
+          </button>
+        )}
       </div>
 
       {/* Filter Controls */}
@@ -204,6 +237,8 @@ const Briefs = ({ briefs, onCreateBrief, onPromoteToBrief }) => {
                   key={brief.id || index}
                   brief={brief}
                   onPromoteToBrief={onPromoteToBrief}
+                  onRestoreRevision={onRestoreRevision}
+                  onTransition={onTransition}
                   isPermanent={true}
                 />
               ))}
@@ -254,7 +289,7 @@ const Briefs = ({ briefs, onCreateBrief, onPromoteToBrief }) => {
               >
                 Clear Filters
               </button>
-            ) : (
+            ) : onCreateBrief && (
               <button
                 onClick={() => setShowCreateForm(true)}
                 className="px-4 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors"
@@ -1,6 +1,6 @@
 import React from 'react';
 
-const Header = ({ metrics, onRefresh, isRefreshing, processingStatus }) => {
+const Header = ({ metrics, onRefresh, isRefreshing, processingStatus, user, onLogout }) => {
   const formatLastUpdate = (timestamp) => {
     if (!timestamp) return 'Never';
     
@@ -83,34 +83,36 @@ const Header = ({ metrics, onRefresh, isRefreshing, processingStatus }) => {
               </div>
             )}
 
-            {/* Refresh Button */}
-            <button
-              onClick={onRefresh}
-              disabled={isRefreshing}
-              className={`flex items-center space-x-2 px-3 py-1.5 rounded-md text-xs font-medium transition-all ${
-                isRefreshing 
-                  ? 'bg-gray-700 text-gray-400 cursor-not-allowed' 
-                  : 'bg-gray-800 hover:bg-gray-700 text-gray-300 hover:text-cyan-400'
-              }`}
-              title="Refresh RSS feeds"
-            >
-              <svg 
-                className={`h-4 w-4 ${isRefreshing ? 'animate-spin' : ''}`} 
-                fill="none" 
-                viewBox="0 0 24 24" 
-                stroke="currentColor"
+            {/* Refresh Button (hidden for viewers, who cannot run processing) */}
+            {onRefresh && (
+              <button
+                onClick={onRefresh}
+                disabled={isRefreshing}
+                className={`flex items-center space-x-2 px-3 py-1.5 rounded-md text-xs font-medium transition-all ${
+                  isRefreshing 
+                    ? 'bg-gray-700 text-gray-400 cursor-not-allowed' 
+                    : 'bg-gray-800 hover:bg-gray-700 text-gray-300 hover:text-cyan-400'
+                }`}
+                title="Refresh RSS feeds"
               >
-                <path 
-                  strokeLinecap="round" 
-                  strokeLinejoin="round" 
-                  strokeWidth={2} 
-                  d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" 
-                />
-              </svg>
-              <span className="hidden sm:block">
-                {isRefreshing ? 'Updating...' : 'Refresh'}
-              </span>
-            </button>
+                <svg 
+                  className={`h-4 w-4 ${isRefreshing ? 'animate-spin' : ''}`} 
+                  fill="none" 
+                  viewBox="0 0 24 24" 
+                  stroke="currentColor"
+                >
+                  <path 
+                    strokeLinecap="round" 
+                    strokeLinejoin="round" 
+                    strokeWidth={2} 
+                    d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" 
+                  />
+                </svg>
+                <span className="hidden sm:block">
+                  {isRefreshing ? 'Updating...' : 'Refresh'}
+                </span>
+              </button>
+            )}
 
             {/* Status Indicator */}
             <div className="flex items-center space-x-2">
@@ -124,6 +126,22 @@ const Header = ({ metrics, onRefresh, isRefreshing, processingStatus }) => {
                 </span>
               </div>
             </div>
+
+            {/* Signed-in User */}
+            {user && (
+              <div className="flex items-center space-x-3 text-xs">
+                <div className="flex flex-col items-end">
+                  <span className="text-gray-300">{user.name || user.email}</span>
+                  <span className="text-cyan-400 uppercase tracking-wider">{user.role}</span>
+                </div>
+                <button
+                  onClick={onLogout}
+                  className="px-3 py-1.5 rounded-md bg-gray-800 hover:bg-gray-700 text-gray-300 hover:text-cyan-400 transition-all"
+                >
+                  Sign Out
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
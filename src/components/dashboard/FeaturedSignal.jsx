@@ -99,13 +99,15 @@ const FeaturedSignal = ({ signal, onPromoteToBrief }) => {
 
         {/* Action Buttons */}
         <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
-          <button
-            onClick={handlePromoteToBrief}
-            className="text-xs px-3 py-1 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors"
-            title="Promote to Brief"
-          >
-            📋 Brief
-          </button>
+          {onPromoteToBrief && (
+            <button
+              onClick={handlePromoteToBrief}
+              className="text-xs px-3 py-1 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors"
+              title="Promote to Brief"
+            >
+              📋 Brief
+            </button>
+          )}
           
           <a
             href={signal.url}
@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { FaBook, FaEdit, FaTrash, FaPlus, FaDownload } from 'react-icons/fa';
+import { databaseService } from '../../services/databaseService';
+import { dictionaryService, DICTIONARY_TIERS } from '../../services/scoring/dictionary.js';
+
+const KIND_LABELS = {
+  keyword: 'Keywords',
+  entity: 'Entities'
+};
+
+const EMPTY_DRAFT = {
+  kind: 'keyword',
+  tier: DICTIONARY_TIERS.keyword[0],
+  term: '',
+  aliases: '',
+  variants: '',
+  weight: '',
+  prefilter: false,
+  isActive: true
+};
+
+const formatVariants = (variants) => Object.entries(variants || {})
+  .map(([language, forms]) => `${language}: ${forms.join(', ')}`)
+  .join('\n');
+
+// One "lang: form, form" per line
+const parseVariants = (text) => Object.fromEntries(text.split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const separator = line.indexOf(':');
+    const language = separator >= 0 ? line.slice(0, separator).trim() : line;
+    const forms = separator >= 0 ? line.slice(separator + 1).split(',') : [];
+    return [language, forms.map(form => form.trim()).filter(Boolean)];
+  }));
+
+const toDraft = (term) => ({
+  id: term.id,
+  kind: term.kind,
+  tier: term.tier,
+  term: term.term,
+  aliases: (term.aliases || []).join(', '),
+  variants: formatVariants(term.variants),
+  weight: term.weight ?? '',
+  prefilter: term.prefilter,
+  isActive: term.isActive
+});
+
+const fromDraft = (draft) => ({
+  id: draft.id,
+  kind: draft.kind,
+  tier: draft.tier,
+  term: draft.term,
+  aliases: draft.aliases.split(',').map(alias => alias.trim()).filter(Boolean),
+  variants: parseVariants(draft.variants),
+  weight: draft.weight === '' ? null : Number(draft.weight),
+  prefilter: draft.kind === 'keyword' && draft.prefilter,
+  isActive: draft.isActive
+});
+
+/**
+ * Keyword and entity dictionary the scorers and the pre-filter match against:
+ * browse the terms of each tier and (admins) add, edit and retire terms.
+ * Every change is a new dictionary version.
+ */
+const DictionaryManager = ({ canManage }) => {
+  const [terms, setTerms] = useState([]);
+  const [version, setVersion] = useState(null);
+  const [builtIn, setBuiltIn] = useState(true);
+  const [versions, setVersions] = useState([]);
+  const [kind, setKind] = useState('');
+  const [tier, setTier] = useState('');
+  const [search, setSearch] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadDictionary = useCallback(async () => {
+    try {
+      const response = await databaseService.getDictionary();
+      setTerms(response.terms || []);
+      setVersion(response.version);
+      setBuiltIn(response.builtIn);
+      setVersions(response.versions || []);
+      // Scoring in this browser uses the version shown here
+      dictionaryService.setDictionary({ version: response.version, terms: response.terms || [] });
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDictionary();
+  }, [loadDictionary]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    await databaseService.saveDictionaryTerm(fromDraft(draft));
+    setDraft(null);
+    await loadDictionary();
+  });
+
+  const handleDelete = (term) => {
+    if (!window.confirm(`Delete "${term.term}" from ${term.tier}? Untick Active instead to keep it for later.`)) return;
+
+    run(async () => {
+      await databaseService.deleteDictionaryTerm(term.id);
+      await loadDictionary();
+    });
+  };
+
+  const handleSeed = () => run(async () => {
+    const { added } = await databaseService.seedDictionary();
+    if (added === 0) setError('The dictionary already has every built-in term');
+    await loadDictionary();
+  });
+
+  const visibleTerms = useMemo(() => {
+    const query = search.trim().toUpperCase();
+    return terms.filter(term =>
+      (!kind || term.kind === kind) &&
+      (!tier || term.tier === tier) &&
+      (!query || [term.term, ...dictionaryService.getMatchForms(term)].some(form => form.toUpperCase().includes(query)))
+    );
+  }, [terms, kind, tier, search]);
+
+  const tierOptions = kind ? DICTIONARY_TIERS[kind] : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <FaBook className="text-cyan-400" />
+          <h2 className="text-xl font-bold">Keyword &amp; Entity Dictionary</h2>
+          {version !== null && (
+            <span className="px-2 py-0.5 rounded-full text-xs bg-cyan-500/20 text-cyan-400 border border-cyan-500">
+              {builtIn ? 'Built-in terms' : `Version ${version}`}
+            </span>
+          )}
+        </div>
+        {canManage && (
+          <div className="flex gap-2 text-sm">
+            <button
+              onClick={handleSeed}
+              disabled={isBusy}
+              className="px-3 py-1.5 text-gray-400 hover:text-cyan-400 flex items-center gap-1 disabled:opacity-50"
+              title="Copy the built-in terms the dictionary is missing into it"
+            >
+              <FaDownload /> Load built-in terms
+            </button>
+            <button
+              onClick={() => setDraft({ ...EMPTY_DRAFT, kind: kind || EMPTY_DRAFT.kind, tier: tier || (DICTIONARY_TIERS[kind] || DICTIONARY_TIERS.keyword)[0] })}
+              className="px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors flex items-center gap-1"
+            >
+              <FaPlus /> New term
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {builtIn && canManage && (
+        <div className="text-xs text-gray-500">
+          The scorers use the built-in terms until the dictionary is first changed. Load them to edit them; a new term brings them along.
+        </div>
+      )}
+
+      {/* Term editor */}
+      {draft && (
+        <div className="signal-card rounded-lg p-4 text-sm space-y-3">
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={draft.kind}
+              onChange={(e) => setDraft({ ...draft, kind: e.target.value, tier: DICTIONARY_TIERS[e.target.value][0] })}
+              disabled={Boolean(draft.id)}
+              className="p-2 rounded-md search-bar"
+            >
+              {Object.keys(DICTIONARY_TIERS).map(option => <option key={option} value={option}>{KIND_LABELS[option]}</option>)}
+            </select>
+            <select
+              value={draft.tier}
+              onChange={(e) => setDraft({ ...draft, tier: e.target.value })}
+              className="p-2 rounded-md search-bar"
+            >
+              {DICTIONARY_TIERS[draft.kind].map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+            <input
+              value={draft.term}
+              onChange={(e) => setDraft({ ...draft, term: e.target.value })}
+              placeholder="Term"
+              className="p-2 rounded-md search-bar flex-1"
+            />
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={draft.weight}
+              onChange={(e) => setDraft({ ...draft, weight: e.target.value })}
+              placeholder="Tier weight"
+              className="w-28 p-2 rounded-md search-bar text-right"
+              title={draft.kind === 'keyword' ? 'Points per match' : 'Entity significance'}
+            />
+          </div>
+          <input
+            value={draft.aliases}
+            onChange={(e) => setDraft({ ...draft, aliases: e.target.value })}
+            placeholder="Aliases, comma separated"
+            className="w-full p-2 rounded-md search-bar"
+          />
+          <textarea
+            value={draft.variants}
+            onChange={(e) => setDraft({ ...draft, variants: e.target.value })}
+            placeholder={'Language variants, one language per line, e.g.\nfr: attaque nucléaire, frappe nucléaire'}
+            rows={3}
+            className="w-full p-2 rounded-md search-bar font-mono text-xs"
+          />
+          <div className="flex flex-wrap gap-4 text-xs text-gray-300">
+            {draft.kind === 'keyword' && (
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={draft.prefilter} onChange={(e) => setDraft({ ...draft, prefilter: e.target.checked })} />
+                Lets articles past the pre-filter
+              </label>
+            )}
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={draft.isActive} onChange={(e) => setDraft({ ...draft, isActive: e.target.checked })} />
+              Active
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={isBusy || !draft.term.trim()}
+              className="px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors disabled:opacity-50"
+            >
+              {isBusy ? 'Saving...' : 'Save term'}
+            </button>
+            <button onClick={() => setDraft(null)} className="px-3 py-1.5 text-gray-400 hover:text-gray-200">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2 text-sm">
+        <select value={kind} onChange={(e) => { setKind(e.target.value); setTier(''); }} className="p-2 rounded-md search-bar">
+          <option value="">All kinds</option>
+          {Object.keys(DICTIONARY_TIERS).map(option => <option key={option} value={option}>{KIND_LABELS[option]}</option>)}
+        </select>
+        <select value={tier} onChange={(e) => setTier(e.target.value)} disabled={!kind} className="p-2 rounded-md search-bar disabled:opacity-50">
+          <option value="">All tiers</option>
+          {tierOptions.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search terms, aliases and variants"
+          className="p-2 rounded-md search-bar flex-1"
+        />
+      </div>
+
+      {/* Terms */}
+      <div className="signal-card rounded-lg p-4 text-sm overflow-x-auto">
+        <div className="text-xs text-gray-500 mb-2">{visibleTerms.length} of {terms.length} terms</div>
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-400">
+              <th className="py-1 pr-3">Term</th>
+              <th className="py-1 pr-3">Tier</th>
+              <th className="py-1 pr-3">Aliases</th>
+              <th className="py-1 pr-3">Variants</th>
+              <th className="py-1 pr-3 text-right">Weight</th>
+              <th className="py-1 pr-3">Flags</th>
+              {canManage && <th className="py-1" />}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleTerms.map(term => (
+              <tr key={term.id || `${term.kind}/${term.tier}/${term.term}`} className={`border-t border-gray-800 ${term.isActive ? '' : 'opacity-50'}`}>
+                <td className="py-1 pr-3 font-semibold text-gray-200">{term.term}</td>
+                <td className="py-1 pr-3 text-gray-400">{term.tier}</td>
+                <td className="py-1 pr-3 text-gray-400">{(term.aliases || []).join(', ')}</td>
+                <td className="py-1 pr-3 text-gray-400 whitespace-pre-line">{formatVariants(term.variants)}</td>
+                <td className="py-1 pr-3 text-right text-cyan-400">{term.weight ?? <span className="text-gray-600">tier</span>}</td>
+                <td className="py-1 pr-3 text-gray-500">
+                  {[term.prefilter && 'pre-filter', !term.isActive && 'inactive'].filter(Boolean).join(', ')}
+                </td>
+                {canManage && (
+                  <td className="py-1 text-right whitespace-nowrap">
+                    {term.id && (
+                      <>
+                        <button onClick={() => setDraft(toDraft(term))} className="text-gray-400 hover:text-cyan-400 mr-2" title="Edit">
+                          <FaEdit />
+                        </button>
+                        <button onClick={() => handleDelete(term)} disabled={isBusy} className="text-gray-400 hover:text-red-400 disabled:opacity-50" title="Delete">
+                          <FaTrash />
+                        </button>
+                      </>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Version history */}
+      {versions.length > 0 && (
+        <div className="signal-card rounded-lg p-4 text-sm space-y-2">
+          <h3 className="font-semibold">Versions</h3>
+          <ol className="space-y-1 text-xs">
+            {versions.map(entry => (
+              <li key={entry.version} className="flex items-center gap-3">
+                <span className="w-10 text-right text-cyan-400">v{entry.version}</span>
+                <span className="w-14 text-gray-300">{entry.action}</span>
+                <span className="flex-1 truncate text-gray-400">{entry.term || 'built-in terms'}</span>
+                <span className="text-gray-500">{entry.termCount} terms</span>
+                <span className="text-gray-500">{new Date(entry.createdAt).toLocaleString()}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DictionaryManager;
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 
-const FeedList = ({ feeds, onUpdateFeed, onDeleteFeed, onTestFeed }) => {
+const FeedList = ({ feeds, onUpdateFeed, onDeleteFeed, onTestFeed, canManage = true }) => {
   const [testingFeed, setTestingFeed] = useState(null);
 
   const handleToggleFeed = (feedId, isActive) => {
@@ -120,17 +120,19 @@ const FeedList = ({ feeds, onUpdateFeed, onDeleteFeed, onTestFeed }) => {
 
             {/* Controls */}
             <div className="flex flex-col space-y-2 ml-4">
-              {/* Toggle Active */}
-              <button
-                onClick={() => handleToggleFeed(feed.id, feed.isActive)}
-                className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${
-                  feed.isActive
-                    ? 'bg-green-500/20 text-green-400 border border-green-500 hover:bg-green-500/30'
-                    : 'bg-gray-500/20 text-gray-400 border border-gray-500 hover:bg-gray-500/30'
-                }`}
-              >
-                {feed.isActive ? '⏸️ Pause' : '▶️ Activate'}
-              </button>
+              {/* Toggle Active (admins only) */}
+              {canManage && (
+                <button
+                  onClick={() => handleToggleFeed(feed.id, feed.isActive)}
+                  className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${
+                    feed.isActive
+                      ? 'bg-green-500/20 text-green-400 border border-green-500 hover:bg-green-500/30'
+                      : 'bg-gray-500/20 text-gray-400 border border-gray-500 hover:bg-gray-500/30'
+                  }`}
+                >
+                  {feed.isActive ? '⏸️ Pause' : '▶️ Activate'}
+                </button>
+              )}
 
               {/* Test Feed */}
               <button
@@ -141,17 +143,19 @@ const FeedList = ({ feeds, onUpdateFeed, onDeleteFeed, onTestFeed }) => {
                 {testingFeed === feed.id ? '⏳ Testing...' : '🔍 Test'}
               </button>
 
-              {/* Delete Feed */}
-              <button
-                onClick={() => {
-                  if (window.confirm(`Delete RSS feed "${feed.name}"?`)) {
-                    onDeleteFeed(feed.id);
-                  }
-                }}
-                className="px-3 py-1 bg-red-500/20 text-red-400 border border-red-500 rounded-md hover:bg-red-500/30 transition-colors text-xs"
-              >
-                🗑️ Delete
-              </button>
+              {/* Delete Feed (admins only) */}
+              {canManage && (
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Delete RSS feed "${feed.name}"?`)) {
+                      onDeleteFeed(feed.id);
+                    }
+                  }}
+                  className="px-3 py-1 bg-red-500/20 text-red-400 border border-red-500 rounded-md hover:bg-red-500/30 transition-colors text-xs"
+                >
+                  🗑️ Delete
+                </button>
+              )}
             </div>
           </div>
 
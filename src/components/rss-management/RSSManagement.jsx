@@ -9,6 +9,7 @@ const RSSManagement = ({
   onUpdateFeed, 
   onDeleteFeed, 
   onTestFeed,
+  canManage = true,
   statistics,
   settings,
   onUpdateSettings 
@@ -127,14 +128,16 @@ const RSSManagement = ({
               ))}
             </div>
 
-            {/* Add Feed Button */}
-            <button
-              onClick={() => setShowAddModal(true)}
-              className="flex items-center space-x-2 px-4 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors"
-            >
-              <span>➕</span>
-              <span>Add RSS Feed</span>
-            </button>
+            {/* Add Feed Button (admins only) */}
+            {canManage && (
+              <button
+                onClick={() => setShowAddModal(true)}
+                className="flex items-center space-x-2 px-4 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors"
+              >
+                <span>➕</span>
+                <span>Add RSS Feed</span>
+              </button>
+            )}
           </div>
 
           {/* Feed List */}
@@ -143,6 +146,7 @@ const RSSManagement = ({
             onUpdateFeed={onUpdateFeed}
             onDeleteFeed={onDeleteFeed}
             onTestFeed={onTestFeed}
+            canManage={canManage}
           />
         </div>
       )}
@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaBalanceScale, FaArrowUp, FaArrowDown, FaTrash, FaCopy, FaEdit, FaSync } from 'react-icons/fa';
+import { databaseService } from '../../services/databaseService';
+import { WEIGHT_GROUPS, THRESHOLD_LEVELS } from '../../services/scoring/scoringProfiles.js';
+import { scoreCombinerService } from '../../services/scoring/scoreCombiner.js';
+
+const GROUP_LABELS = {
+  primary: 'Primary factors',
+  secondary: 'Secondary factors',
+  blend: 'Claude vs multi-factor score'
+};
+
+const FACTOR_LABELS = {
+  keywordRelevance: 'Keyword relevance',
+  entitySignificance: 'Entity significance',
+  sourceCredibility: 'Source credibility',
+  temporalRelevance: 'Temporal relevance',
+  geopoliticalContext: 'Geopolitical context',
+  threatAssessment: 'Threat level',
+  contentDepth: 'Content depth',
+  linguisticIndicators: 'Linguistic indicators',
+  crossReference: 'Cross-reference',
+  operationalRelevance: 'Operational relevance',
+  strategicImportance: 'Strategic importance',
+  llm: 'Claude relevance',
+  deterministic: 'Multi-factor score'
+};
+
+// Editable copy of a profile; ids are dropped for built-ins and duplicates
+const toDraft = (profile, overrides = {}) => ({
+  id: profile.builtIn ? undefined : profile.id,
+  name: profile.name,
+  description: profile.description || '',
+  weights: JSON.parse(JSON.stringify(profile.weights)),
+  thresholds: profile.thresholds ? { ...profile.thresholds } : null,
+  ...overrides
+});
+
+const RankChange = ({ change }) => {
+  if (change > 0) return <span className="text-green-400 flex items-center gap-0.5"><FaArrowUp />{change}</span>;
+  if (change < 0) return <span className="text-red-400 flex items-center gap-0.5"><FaArrowDown />{-change}</span>;
+  return <span className="text-gray-600">–</span>;
+};
+
+/**
+ * Scoring weight profiles: pick your own (your signal lists are scored and
+ * ranked with it), preview how a profile would rank the latest signals and
+ * (admins) edit profiles and re-score stored signals
+ */
+const ScoringProfiles = ({ canManage }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [selectedProfileId, setSelectedProfileId] = useState(null);
+  const [previewId, setPreviewId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [rescoreProgress, setRescoreProgress] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      const response = await databaseService.getScoringProfiles();
+      setProfiles(response.profiles || []);
+      setActiveProfileId(response.activeProfileId);
+      setSelectedProfileId(response.selectedProfileId);
+      setPreviewId(current => current || response.selectedProfileId || response.activeProfileId);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  useEffect(() => {
+    if (!previewId) return;
+    let cancelled = false;
+    setPreview(null);
+    databaseService.previewScoringProfile(previewId)
+      .then(result => { if (!cancelled) setPreview(result); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [previewId, activeProfileId]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSelect = (profileId) => run(async () => {
+    await databaseService.selectScoringProfile(profileId);
+    setSelectedProfileId(profileId);
+  });
+
+  const handleRescore = (profile) => {
+    if (!window.confirm(`Re-score every stored signal with "${profile.name}"? New signals will be scored with it too.`)) return;
+
+    run(async () => {
+      setRescoreProgress(0);
+      try {
+        await databaseService.rescoreSignals(profile.id, setRescoreProgress);
+        setActiveProfileId(profile.id);
+      } finally {
+        setRescoreProgress(null);
+      }
+    });
+  };
+
+  const handleSave = () => run(async () => {
+    const { profile } = await databaseService.saveScoringProfile(draft);
+    setDraft(null);
+    await loadProfiles();
+    setPreviewId(profile.id);
+  });
+
+  const handleDelete = (profile) => {
+    if (!window.confirm(`Delete the "${profile.name}" profile?`)) return;
+
+    run(async () => {
+      await databaseService.deleteScoringProfile(profile.id);
+      if (previewId === profile.id) setPreviewId(activeProfileId);
+      await loadProfiles();
+    });
+  };
+
+  const setWeight = (group, factor, value) => setDraft({
+    ...draft,
+    weights: { ...draft.weights, [group]: { ...draft.weights[group], [factor]: Number(value) } }
+  });
+
+  // An empty field keeps the level's default minimum
+  const setThreshold = (level, value) => {
+    const { [level]: _removed, ...rest } = draft.thresholds || {};
+    const thresholds = value === '' ? rest : { ...rest, [level]: Number(value) };
+    setDraft({ ...draft, thresholds: Object.keys(thresholds).length > 0 ? thresholds : null });
+  };
+
+  const previewName = profiles.find(profile => profile.id === previewId)?.name || 'Profile';
+  const byPreviewRank = preview ? [...preview.signals].sort((a, b) => a.previewRank - b.previewRank) : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <FaBalanceScale className="text-cyan-400" />
+        <h2 className="text-xl font-bold">Scoring Profiles</h2>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {rescoreProgress !== null && (
+        <div className="text-sm text-cyan-400">Re-scoring signals... {rescoreProgress} done</div>
+      )}
+
+      {/* Profile list */}
+      <div className="grid gap-3 md:grid-cols-3">
+        {profiles.map(profile => (
+          <div
+            key={profile.id}
+            className={`signal-card rounded-lg p-4 text-sm space-y-2 ${previewId === profile.id ? 'border border-cyan-500' : ''}`}
+          >
+            <div className="flex items-start justify-between gap-2">
+              <button onClick={() => setPreviewId(profile.id)} className="font-semibold text-left hover:underline">
+                {profile.name}
+              </button>
+              <div className="flex flex-wrap gap-1 text-xs">
+                {profile.id === activeProfileId && (
+                  <span className="px-2 py-0.5 rounded-full bg-cyan-500/20 text-cyan-400 border border-cyan-500">Stored scores</span>
+                )}
+                {profile.id === selectedProfileId && (
+                  <span className="px-2 py-0.5 rounded-full bg-green-500/20 text-green-400 border border-green-500">Yours</span>
+                )}
+              </div>
+            </div>
+            {profile.description && <p className="text-xs text-gray-400">{profile.description}</p>}
+            {profile.thresholds && (
+              <p className="text-xs text-gray-500">
+                Priority from {THRESHOLD_LEVELS.filter(level => profile.thresholds[level] !== undefined)
+                  .map(level => `${level} ${profile.thresholds[level]}`).join(' · ')}
+              </p>
+            )}
+
+            <div className="flex flex-wrap gap-2 text-xs">
+              {profile.id !== selectedProfileId && (
+                <button onClick={() => handleSelect(profile.id)} disabled={isBusy} className="text-gray-400 hover:text-cyan-400 disabled:opacity-50">
+                  Use as my profile
+                </button>
+              )}
+              {canManage && (
+                <>
+                  <button onClick={() => setDraft(toDraft(profile, profile.builtIn ? { name: `${profile.name} copy` } : {}))} className="text-gray-400 hover:text-cyan-400 flex items-center gap-1" title={profile.builtIn ? 'Duplicate' : 'Edit'}>
+                    {profile.builtIn ? <FaCopy /> : <FaEdit />}
+                  </button>
+                  {!profile.builtIn && (
+                    <button onClick={() => setDraft(toDraft(profile, { id: undefined, name: `${profile.name} copy` }))} className="text-gray-400 hover:text-cyan-400" title="Duplicate">
+                      <FaCopy />
+                    </button>
+                  )}
+                  {profile.id !== activeProfileId && (
+                    <button onClick={() => handleRescore(profile)} disabled={isBusy} className="text-gray-400 hover:text-cyan-400 flex items-center gap-1 disabled:opacity-50">
+                      <FaSync /> Re-score signals
+                    </button>
+                  )}
+                  {!profile.builtIn && profile.id !== activeProfileId && (
+                    <button onClick={() => handleDelete(profile)} disabled={isBusy} className="text-gray-400 hover:text-red-400 disabled:opacity-50" title="Delete">
+                      <FaTrash />
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Weight editor */}
+      {draft && (
+        <div className="signal-card rounded-lg p-4 text-sm space-y-4">
+          <div className="flex flex-wrap gap-2">
+            <input
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="Profile name"
+              className="p-2 rounded-md search-bar flex-1"
+            />
+            <input
+              value={draft.description}
+              onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+              placeholder="Description"
+              className="p-2 rounded-md search-bar flex-[2]"
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">Weights are relative: each group is scaled to add up to 100% when saved.</p>
+
+          <div className="grid gap-4 md:grid-cols-4">
+            {Object.entries(WEIGHT_GROUPS).map(([group, factors]) => (
+              <div key={group} className="space-y-2">
+                <div className="text-xs font-semibold text-gray-400">{GROUP_LABELS[group]}</div>
+                {factors.map(factor => (
+                  <label key={factor} className="flex items-center justify-between gap-2 text-xs">
+                    <span className="text-gray-300">{FACTOR_LABELS[factor]}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.05"
+                      value={draft.weights[group]?.[factor] ?? 0}
+                      onChange={(e) => setWeight(group, factor, e.target.value)}
+                      className="w-20 p-1 rounded-md search-bar text-right"
+                    />
+                  </label>
+                ))}
+              </div>
+            ))}
+            <div className="space-y-2">
+              <div className="text-xs font-semibold text-gray-400">Priority minimum scores</div>
+              {THRESHOLD_LEVELS.map(level => (
+                <label key={level} className="flex items-center justify-between gap-2 text-xs">
+                  <span className="text-gray-300">{level}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={draft.thresholds?.[level] ?? ''}
+                    placeholder={scoreCombinerService.priorityThresholds[level].min}
+                    onChange={(e) => setThreshold(level, e.target.value)}
+                    className="w-20 p-1 rounded-md search-bar text-right"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={isBusy || !draft.name.trim()}
+              className="px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors disabled:opacity-50"
+            >
+              {isBusy ? 'Saving...' : 'Save profile'}
+            </button>
+            <button onClick={() => setDraft(null)} className="px-3 py-1.5 text-gray-400 hover:text-gray-200">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Side-by-side ranking preview */}
+      <div className="signal-card rounded-lg p-4 text-sm space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold">Ranking preview: {previewName}</h3>
+          {preview && (
+            <span className="text-xs text-gray-500">
+              {preview.moved} of {preview.signals.length} latest signals change rank
+            </span>
+          )}
+        </div>
+
+        {!preview ? (
+          <div className="text-xs text-gray-500">Loading preview...</div>
+        ) : (
+          <div className="grid gap-4 md:grid-cols-2 text-xs">
+            <div>
+              <div className="font-semibold text-gray-400 mb-2">Current ranking</div>
+              <ol className="space-y-1">
+                {preview.signals.map(signal => (
+                  <li key={signal.id} className="flex items-center gap-2">
+                    <span className="w-6 text-right text-gray-500">{signal.currentRank}</span>
+                    <span className="w-8 text-right text-cyan-400">{Math.round(signal.currentScore)}</span>
+                    <span className="flex-1 truncate text-gray-300" title={signal.title}>{signal.title}</span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+            <div>
+              <div className="font-semibold text-gray-400 mb-2">With {previewName}</div>
+              <ol className="space-y-1">
+                {byPreviewRank.map(signal => (
+                  <li key={signal.id} className="flex items-center gap-2">
+                    <span className="w-6 text-right text-gray-500">{signal.previewRank}</span>
+                    <span className="w-8 text-right text-cyan-400">{Math.round(signal.previewScore)}</span>
+                    <span className="flex-1 truncate text-gray-300" title={signal.title}>{signal.title}</span>
+                    <span className="w-8 flex justify-end"><RankChange change={signal.rankChange} /></span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScoringProfiles;
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { databaseService } from '../../services/databaseService';
+
+/**
+ * Drill-down of a signal's score: a waterfall from Claude's weighted score
+ * through each scoring factor's contribution to the stored score
+ */
+const ScoreWaterfall = ({ signalId }) => {
+  const [explanation, setExplanation] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    databaseService.explainSignal(signalId)
+      .then(result => { if (!cancelled) setExplanation(result); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [signalId]);
+
+  if (error) {
+    return <div className="mt-3 text-xs text-red-400">Score breakdown unavailable: {error}</div>;
+  }
+  if (!explanation) {
+    return <div className="mt-3 text-xs text-gray-500">Loading score breakdown...</div>;
+  }
+
+  const { waterfall, weights, quality } = explanation;
+  // Bars are drawn on a 0-100 scale
+  const position = (value) => `${Math.min(Math.max(value, 0), 100)}%`;
+
+  return (
+    <div className="mt-3 p-3 rounded-md border border-gray-700 bg-gray-800/40 text-xs space-y-2">
+      <div className="text-gray-400">
+        {Math.round(weights.llm * 100)}% Claude ({explanation.llmScore ?? 'n/a'}) ·{' '}
+        {Math.round(weights.deterministic * 100)}% multi-factor ({explanation.deterministicScore},{' '}
+        {explanation.priority.deterministic})
+        {explanation.profile && <> · {explanation.profile.name} profile</>}
+      </div>
+
+      <div className="space-y-1">
+        {waterfall.map(step => (
+          <div key={step.key} className="flex items-center gap-2">
+            <span className="w-36 flex-shrink-0 text-gray-400">{step.label}</span>
+            <div className="relative flex-1 h-3 bg-gray-700/40 rounded">
+              <div
+                className={`absolute h-3 rounded ${step.value >= 0 ? 'bg-cyan-500/70' : 'bg-red-500/70'}`}
+                style={{
+                  left: position(Math.min(step.start, step.end)),
+                  width: position(Math.abs(step.end - step.start))
+                }}
+              />
+            </div>
+            <span className={`w-12 text-right ${step.value >= 0 ? 'text-cyan-400' : 'text-red-400'}`}>
+              {step.value > 0 ? '+' : ''}{step.value}
+            </span>
+          </div>
+        ))}
+
+        <div className="flex items-center gap-2 pt-1 border-t border-gray-700">
+          <span className="w-36 flex-shrink-0 font-semibold text-gray-300">Final score</span>
+          <div className="relative flex-1 h-3 bg-gray-700/40 rounded">
+            <div className="absolute h-3 rounded bg-gray-300/70" style={{ left: 0, width: position(explanation.score) }} />
+          </div>
+          <span className="w-12 text-right font-bold text-gray-200">{explanation.score}</span>
+        </div>
+      </div>
+
+      {quality && (
+        <div className="text-gray-500">
+          Scoring quality: {quality.level} ({quality.overall}%) · stability {quality.scoreStability}% · data {quality.dataQuality}%
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreWaterfall;
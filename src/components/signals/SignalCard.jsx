@@ -1,7 +1,16 @@
-import React from 'react';
-import { FaGlobe, FaMicroscope, FaBroadcastTower, FaClipboard, FaExternalLinkAlt, FaRobot } from 'react-icons/fa';
+import React, { useState } from 'react';
+import { FaGlobe, FaMicroscope, FaBroadcastTower, FaClipboard, FaExternalLinkAlt, FaRobot, FaThumbsUp, FaThumbsDown } from 'react-icons/fa';
+import { formatSearchHighlight } from '../../utils/formatters.js';
+import { databaseService } from '../../services/databaseService';
+import { PRIORITY_LEVELS } from '../../services/scoring/scoreCalibrator.js';
+import ScoreWaterfall from './ScoreWaterfall.jsx';
+
+const SignalCard = ({ signal, searchTerm = '', onPromoteToBrief, canGiveFeedback = false }) => {
+  const [showScoreBreakdown, setShowScoreBreakdown] = useState(false);
+  const [feedback, setFeedback] = useState(signal.myFeedback || null);
+  const [isCorrectingPriority, setIsCorrectingPriority] = useState(false);
+  const [feedbackError, setFeedbackError] = useState(null);
 
-const SignalCard = ({ signal, onPromoteToBrief }) => {
   const getScoreClass = (score) => {
     if (score < 40) return 'score-fill-low';
     if (score < 75) return 'score-fill-medium';
@@ -28,12 +37,31 @@ const SignalCard = ({ signal, onPromoteToBrief }) => {
     }
   };
 
+  // Sending the feedback the analyst already gave takes it back
+  const sendFeedback = async (next) => {
+    setFeedbackError(null);
+    setIsCorrectingPriority(false);
+    try {
+      if (feedback && feedback.rating === next.rating && feedback.correctPriority === next.correctPriority) {
+        await databaseService.removeSignalFeedback(signal.id);
+        setFeedback(null);
+      } else {
+        setFeedback(await databaseService.submitSignalFeedback(signal.id, next));
+      }
+    } catch (error) {
+      setFeedbackError(error.message);
+    }
+  };
+
   const intelligence = signal.intelligence || {};
   const relevanceScore = Math.round(intelligence.relevanceScore || 0);
   const priority = intelligence.priority || 'LOW';
   const categories = intelligence.categories || [];
   const tags = intelligence.tags || [];
   const entities = intelligence.entities || {};
+  const highlights = signal.search?.highlights;
+  // Signals scored during ingestion carry factor contributions
+  const canExplainScore = Boolean(signal.id && signal.scoreBreakdown?.deterministic?.contributions);
 
   return (
     <div className="signal-card rounded-lg p-6 group">
@@ -46,7 +74,9 @@ const SignalCard = ({ signal, onPromoteToBrief }) => {
             rel="noopener noreferrer" 
             className="hover:underline"
           >
-            {signal.title}
+            {searchTerm ? (
+              <span dangerouslySetInnerHTML={{ __html: formatSearchHighlight(highlights?.title || signal.title, searchTerm) }} />
+            ) : signal.title}
           </a>
         </h3>
         <div className="signal-meta mt-2 flex items-center gap-4 md:mt-0 flex-shrink-0">
@@ -60,9 +90,18 @@ const SignalCard = ({ signal, onPromoteToBrief }) => {
       </div>
 
       {/* Content */}
-      <p className="signal-content text-sm mb-4 leading-relaxed">
-        {signal.content || signal.summary}
-      </p>
+      {searchTerm ? (
+        <p
+          className="signal-content text-sm mb-4 leading-relaxed"
+          dangerouslySetInnerHTML={{
+            __html: formatSearchHighlight(highlights?.snippet || signal.content || signal.summary, searchTerm)
+          }}
+        />
+      ) : (
+        <p className="signal-content text-sm mb-4 leading-relaxed">
+          {signal.content || signal.summary}
+        </p>
+      )}
 
       {/* Intelligence Analysis */}
       <div className="mb-4 space-y-3">
@@ -79,6 +118,15 @@ const SignalCard = ({ signal, onPromoteToBrief }) => {
                   ({Math.round(intelligence.confidenceLevel)}% confidence)
                 </span>
               )}
+              {canExplainScore && (
+                <button
+                  onClick={() => setShowScoreBreakdown(!showScoreBreakdown)}
+                  className="text-xs text-gray-500 hover:text-cyan-400 hover:underline"
+                  title="Show how this score was reached"
+                >
+                  {showScoreBreakdown ? 'Hide breakdown' : 'Why?'}
+                </button>
+              )}
             </div>
           </div>
           <div className="w-full score-bar h-2 rounded-full overflow-hidden">
@@ -87,6 +135,7 @@ const SignalCard = ({ signal, onPromoteToBrief }) => {
               style={{ width: `${relevanceScore}%` }}
             ></div>
           </div>
+          {showScoreBreakdown && <ScoreWaterfall signalId={signal.id} />}
         </div>
 
         {/* Entity Information */}
@@ -140,14 +189,16 @@ const SignalCard = ({ signal, onPromoteToBrief }) => {
 
         {/* Action Buttons */}
         <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
-          <button
-            onClick={handlePromoteToBrief}
-            className="text-xs px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors flex items-center space-x-1"
-            title="Promote to Permanent Brief"
-          >
-            <FaClipboard />
-            <span>Brief</span>
-          </button>
+          {onPromoteToBrief && (
+            <button
+              onClick={handlePromoteToBrief}
+              className="text-xs px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors flex items-center space-x-1"
+              title="Promote to Permanent Brief"
+            >
+              <FaClipboard />
+              <span>Brief</span>
+            </button>
+          )}
           
           <a
             href={signal.url}
@@ -187,10 +238,62 @@ const SignalCard = ({ signal, onPromoteToBrief }) => {
             )}
           </div>
           
-          {/* Processing Timestamp */}
-          <span title="Article fetched at">
-            Fetched: {formatTimeAgo(signal.fetchedAt)}
-          </span>
+          <div className="flex items-center space-x-3">
+            {/* Scoring Feedback */}
+            {canGiveFeedback && signal.id && (
+              <div className="flex items-center space-x-2">
+                {feedbackError && <span className="text-red-400">{feedbackError}</span>}
+                <button
+                  onClick={() => sendFeedback({ rating: 'up', correctPriority: null })}
+                  className={feedback?.rating === 'up' ? 'text-green-400' : 'hover:text-green-400'}
+                  title="Scored and prioritized well"
+                >
+                  <FaThumbsUp />
+                </button>
+                <button
+                  onClick={() => sendFeedback({ rating: 'down', correctPriority: feedback?.correctPriority ?? null })}
+                  className={feedback?.rating === 'down' ? 'text-red-400' : 'hover:text-red-400'}
+                  title="Mis-scored"
+                >
+                  <FaThumbsDown />
+                </button>
+                {isCorrectingPriority ? (
+                  <select
+                    autoFocus
+                    value=""
+                    onChange={(e) => sendFeedback({ rating: 'down', correctPriority: e.target.value })}
+                    onBlur={() => setIsCorrectingPriority(false)}
+                    className="bg-gray-800 border border-gray-600 rounded text-xs"
+                  >
+                    <option value="" disabled>Should be...</option>
+                    {PRIORITY_LEVELS.filter(level => level !== priority).map(level => (
+                      <option key={level} value={level}>{level}</option>
+                    ))}
+                  </select>
+                ) : feedback?.correctPriority ? (
+                  <button
+                    onClick={() => sendFeedback({ rating: 'down', correctPriority: feedback.correctPriority })}
+                    className="text-yellow-400 hover:underline"
+                    title="Take back the priority correction"
+                  >
+                    Should be {feedback.correctPriority}
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => setIsCorrectingPriority(true)}
+                    className="hover:text-yellow-400 hover:underline"
+                  >
+                    Wrong priority
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* Processing Timestamp */}
+            <span title="Article fetched at">
+              Fetched: {formatTimeAgo(signal.fetchedAt)}
+            </span>
+          </div>
         </div>
       </div>
 
@@ -1,63 +1,94 @@
-import React, { useState, useMemo } from 'react';
-import { FaBroadcastTower, FaSearch, FaTrash } from 'react-icons/fa';
+import React, { useState, useMemo, useEffect } from 'react';
+import { FaBroadcastTower, FaSearch, FaTrash, FaSave } from 'react-icons/fa';
 import SignalCard from './SignalCard.jsx';
+import { useInfiniteSignals } from '../../hooks/useInfiniteSignals';
+import { databaseService } from '../../services/databaseService';
+import { SEARCH_CONFIG } from '../../constants/api.js';
 
-const Signals = ({ signals, onPromoteToBrief, settings, onUpdateSettings }) => {
+const SORT_OPTIONS = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'score:desc', label: 'Highest score' },
+  { value: 'score:asc', label: 'Lowest score' },
+  { value: 'credibility:desc', label: 'Most credible' }
+];
+
+const SOURCE_TYPES = ['RSS_FEED', 'MANUAL'];
+
+const Signals = ({ signals, onPromoteToBrief, refreshKey, settings, onUpdateSettings, canGiveFeedback }) => {
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [selectedPriority, setSelectedPriority] = useState('');
   const [selectedTags, setSelectedTags] = useState([]);
-  const [selectedCategory, setSelectedCategory] = useState('');
+  const [selectedCategories, setSelectedCategories] = useState([]);
+  const [selectedRegion, setSelectedRegion] = useState('');
+  const [selectedSourceType, setSelectedSourceType] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [minCredibility, setMinCredibility] = useState(0);
+  const [sortOption, setSortOption] = useState(SORT_OPTIONS[0].value);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [selectedSavedFilter, setSelectedSavedFilter] = useState('');
+
+  // Saved filters live in the signed-in user's workspace
+  const loadSavedFilters = async () => {
+    try {
+      const response = await databaseService.getSavedFilters('signals');
+      setSavedFilters(response.filters || []);
+    } catch (error) {
+      console.warn('⚠️ Could not load saved filters:', error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadSavedFilters();
+  }, []);
+
+  // Full-text search runs on the server, debounced while typing
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), SEARCH_CONFIG.DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // All filtering happens server-side; search results come back in rank order
+  const serverFilters = useMemo(() => {
+    const [sort, order] = sortOption.split(':');
+    return {
+      search: debouncedSearch,
+      escalationRisk: selectedPriority,
+      category: selectedCategories,
+      tag: selectedTags,
+      region: selectedRegion,
+      sourceType: selectedSourceType,
+      from: dateFrom,
+      to: dateTo,
+      minCredibility: minCredibility > 0 ? minCredibility : '',
+      sort,
+      order
+    };
+  }, [debouncedSearch, selectedPriority, selectedCategories, selectedTags, selectedRegion,
+    selectedSourceType, dateFrom, dateTo, minCredibility, sortOption]);
+
+  const {
+    signals: pagedSignals,
+    total,
+    hasMore,
+    isLoading,
+    error,
+    sentinelRef
+  } = useInfiniteSignals(serverFilters, { refreshKey });
 
-  // Derive filter options from signals data
+  // Derive filter options from the latest signals
   const filterOptions = useMemo(() => {
     const priorities = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
     const tags = [...new Set(signals.flatMap(s => s.intelligence?.tags || []))].sort();
     const categories = [...new Set(signals.flatMap(s => s.intelligence?.categories || []))].sort();
+    const regions = [...new Set(signals.flatMap(s => s.intelligence?.regions || []))].sort();
     
-    return { priorities, tags, categories };
+    return { priorities, tags, categories, regions };
   }, [signals]);
 
-  // Filter signals based on search and filters
-  const filteredSignals = useMemo(() => {
-    let filtered = signals;
-
-    // Search filter
-    if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase();
-      filtered = filtered.filter(signal =>
-        signal.title.toLowerCase().includes(searchLower) ||
-        (signal.content || signal.summary || '').toLowerCase().includes(searchLower) ||
-        (signal.intelligence?.tags || []).some(tag => 
-          tag.toLowerCase().includes(searchLower)
-        )
-      );
-    }
-
-    // Priority filter
-    if (selectedPriority) {
-      filtered = filtered.filter(signal => 
-        signal.intelligence?.priority === selectedPriority
-      );
-    }
-
-    // Category filter
-    if (selectedCategory) {
-      filtered = filtered.filter(signal =>
-        signal.intelligence?.categories?.includes(selectedCategory)
-      );
-    }
-
-    // Tags filter
-    if (selectedTags.length > 0) {
-      filtered = filtered.filter(signal =>
-        selectedTags.every(tag => 
-          signal.intelligence?.tags?.includes(tag)
-        )
-      );
-    }
-
-    return filtered;
-  }, [signals, searchTerm, selectedPriority, selectedCategory, selectedTags]);
+  const isSearchActive = Boolean(debouncedSearch);
 
   // Handle filter changes
   const handleTagClick = (tag) => {
@@ -66,14 +97,87 @@ const Signals = ({ signals, onPromoteToBrief, settings, onUpdateSettings }) => {
     );
   };
 
+  const handleCategoryClick = (category) => {
+    setSelectedCategories(prev =>
+      prev.includes(category) ? prev.filter(c => c !== category) : [...prev, category]
+    );
+  };
+
   const clearAllFilters = () => {
     setSearchTerm('');
+    setDebouncedSearch('');
     setSelectedPriority('');
-    setSelectedCategory('');
+    setSelectedCategories([]);
     setSelectedTags([]);
+    setSelectedRegion('');
+    setSelectedSourceType('');
+    setDateFrom('');
+    setDateTo('');
+    setMinCredibility(0);
   };
 
-  const hasActiveFilters = searchTerm || selectedPriority || selectedCategory || selectedTags.length > 0;
+  const applySavedFilter = (filterId) => {
+    setSelectedSavedFilter(filterId);
+    const saved = savedFilters.find(filter => filter.id === filterId);
+    if (!saved) return;
+
+    const view = saved.filters || {};
+    setSearchTerm(view.search || '');
+    setDebouncedSearch(view.search || '');
+    setSelectedPriority(view.priority || '');
+    setSelectedCategories(view.categories || []);
+    setSelectedTags(view.tags || []);
+    setSelectedRegion(view.region || '');
+    setSelectedSourceType(view.sourceType || '');
+    setDateFrom(view.from || '');
+    setDateTo(view.to || '');
+    setMinCredibility(view.minCredibility || 0);
+    setSortOption(view.sort || SORT_OPTIONS[0].value);
+  };
+
+  const saveCurrentFilters = async () => {
+    const name = window.prompt('Name for this filter:');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await databaseService.saveFilter({
+        name: name.trim(),
+        scope: 'signals',
+        filters: {
+          search: searchTerm.trim(),
+          priority: selectedPriority,
+          categories: selectedCategories,
+          tags: selectedTags,
+          region: selectedRegion,
+          sourceType: selectedSourceType,
+          from: dateFrom,
+          to: dateTo,
+          minCredibility,
+          sort: sortOption
+        }
+      });
+      await loadSavedFilters();
+      setSelectedSavedFilter(response.filter?.id || '');
+    } catch (error) {
+      window.alert(`Could not save filter: ${error.message}`);
+    }
+  };
+
+  const deleteSavedFilter = async () => {
+    const saved = savedFilters.find(filter => filter.id === selectedSavedFilter);
+    if (!saved || !window.confirm(`Delete saved filter "${saved.name}"?`)) return;
+
+    try {
+      await databaseService.deleteSavedFilter(saved.id);
+      setSelectedSavedFilter('');
+      await loadSavedFilters();
+    } catch (error) {
+      window.alert(`Could not delete filter: ${error.message}`);
+    }
+  };
+
+  const hasActiveFilters = searchTerm || selectedPriority || selectedCategories.length > 0 ||
+    selectedTags.length > 0 || selectedRegion || selectedSourceType || dateFrom || dateTo || minCredibility > 0;
 
   return (
     <div id="signals-content" className="content-section">
@@ -91,7 +195,7 @@ const Signals = ({ signals, onPromoteToBrief, settings, onUpdateSettings }) => {
       {/* Search Bar */}
       <input
         type="text"
-        placeholder="Search signals by title, content, or tags..."
+        placeholder='Search signals... ("exact phrase", prefix*, OR, -exclude)'
         className="w-full p-3 mb-4 rounded-md search-bar"
         value={searchTerm}
         onChange={(e) => setSearchTerm(e.target.value)}
@@ -131,13 +235,13 @@ const Signals = ({ signals, onPromoteToBrief, settings, onUpdateSettings }) => {
         {filterOptions.categories.length > 0 && (
           <div>
             <label className="block text-sm font-medium text-gray-400 mb-2">
-              Intelligence Category
+              Intelligence Category (click to toggle)
             </label>
             <div className="flex flex-wrap gap-2">
               <button
-                onClick={() => setSelectedCategory('')}
+                onClick={() => setSelectedCategories([])}
                 className={`filter-button px-3 py-1 rounded-full text-xs ${
-                  !selectedCategory ? 'filter-button-active' : ''
+                  selectedCategories.length === 0 ? 'filter-button-active' : ''
                 }`}
               >
                 ALL
@@ -145,9 +249,9 @@ const Signals = ({ signals, onPromoteToBrief, settings, onUpdateSettings }) => {
               {filterOptions.categories.map(category => (
                 <button
                   key={category}
-                  onClick={() => setSelectedCategory(category)}
+                  onClick={() => handleCategoryClick(category)}
                   className={`filter-button px-3 py-1 rounded-full text-xs ${
-                    selectedCategory === category ? 'filter-button-active' : ''
+                    selectedCategories.includes(category) ? 'filter-button-active' : ''
                   }`}
                 >
                   {category}
@@ -178,25 +282,133 @@ const Signals = ({ signals, onPromoteToBrief, settings, onUpdateSettings }) => {
             </div>
           </div>
         )}
+        {/* Region, Source, Date Range, Credibility and Sort */}
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-xs">
+          <label className="flex flex-col text-gray-400">
+            Region
+            <select
+              value={selectedRegion}
+              onChange={(e) => setSelectedRegion(e.target.value)}
+              className="mt-1 p-2 rounded-md search-bar"
+            >
+              <option value="">All regions</option>
+              {filterOptions.regions.map(region => (
+                <option key={region} value={region}>{region}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col text-gray-400">
+            Source
+            <select
+              value={selectedSourceType}
+              onChange={(e) => setSelectedSourceType(e.target.value)}
+              className="mt-1 p-2 rounded-md search-bar"
+            >
+              <option value="">All sources</option>
+              {SOURCE_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col text-gray-400">
+            From
+            <input
+              type="date"
+              value={dateFrom}
+              onChange={(e) => setDateFrom(e.target.value)}
+              className="mt-1 p-2 rounded-md search-bar"
+            />
+          </label>
+          <label className="flex flex-col text-gray-400">
+            To
+            <input
+              type="date"
+              value={dateTo}
+              onChange={(e) => setDateTo(e.target.value)}
+              className="mt-1 p-2 rounded-md search-bar"
+            />
+          </label>
+          <label className="flex flex-col text-gray-400">
+            Min. Credibility: <span className="text-cyan-400">{minCredibility}</span>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="5"
+              value={minCredibility}
+              onChange={(e) => setMinCredibility(parseInt(e.target.value))}
+              className="mt-3 h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+            />
+          </label>
+          <label className="flex flex-col text-gray-400">
+            Sort
+            <select
+              value={sortOption}
+              onChange={(e) => setSortOption(e.target.value)}
+              disabled={isSearchActive}
+              title={isSearchActive ? 'Search results are sorted by relevance' : undefined}
+              className="mt-1 p-2 rounded-md search-bar"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
       </div>
 
-      {/* Clear Filters */}
-      {hasActiveFilters && (
-        <div className="mb-6">
+      {/* Saved Filters and Clear Filters */}
+      <div className="mb-6 flex flex-wrap items-center gap-2 text-xs">
+        <select
+          value={selectedSavedFilter}
+          onChange={(e) => applySavedFilter(e.target.value)}
+          className="p-2 rounded-md search-bar"
+        >
+          <option value="">Saved filters...</option>
+          {savedFilters.map(filter => (
+            <option key={filter.id} value={filter.id}>{filter.name}</option>
+          ))}
+        </select>
+        {selectedSavedFilter && (
           <button
-            onClick={clearAllFilters}
-            className="filter-button px-4 py-2 rounded-full text-xs flex items-center space-x-2"
+            onClick={deleteSavedFilter}
+            className="filter-button px-3 py-2 rounded-full flex items-center space-x-2"
+            title="Delete saved filter"
           >
             <FaTrash />
-            <span>Clear All Filters</span>
           </button>
-        </div>
-      )}
+        )}
+        {hasActiveFilters && (
+          <>
+            <button
+              onClick={saveCurrentFilters}
+              className="filter-button px-4 py-2 rounded-full flex items-center space-x-2"
+            >
+              <FaSave />
+              <span>Save Filters</span>
+            </button>
+            <button
+              onClick={clearAllFilters}
+              className="filter-button px-4 py-2 rounded-full flex items-center space-x-2"
+            >
+              <FaTrash />
+              <span>Clear All Filters</span>
+            </button>
+          </>
+        )}
+      </div>
 
       {/* Results Count and Settings */}
       <div className="flex items-center justify-between mb-4">
         <div className="text-sm text-gray-500">
-          Showing {filteredSignals.length} of {signals.length} signals
+          {isLoading && pagedSignals.length === 0
+            ? 'Loading...'
+            : isSearchActive
+              ? `Showing ${pagedSignals.length} of ${total} matches for "${debouncedSearch}"`
+              : `Showing ${pagedSignals.length} of ${total} signals`}
+          {error && (
+            <span className="ml-2 text-red-400">Failed to load signals: {error}</span>
+          )}
           {settings?.relevanceThreshold && (
             <span className="ml-2">
               (relevance ≥ {settings.relevanceThreshold})
@@ -228,15 +440,17 @@ const Signals = ({ signals, onPromoteToBrief, settings, onUpdateSettings }) => {
 
       {/* Signals List */}
       <div className="space-y-4">
-        {filteredSignals.length > 0 ? (
-          filteredSignals.map((signal, index) => (
+        {pagedSignals.length > 0 ? (
+          pagedSignals.map((signal, index) => (
             <SignalCard
               key={signal.id || index}
               signal={signal}
+              searchTerm={isSearchActive ? debouncedSearch : ''}
               onPromoteToBrief={onPromoteToBrief}
+              canGiveFeedback={canGiveFeedback}
             />
           ))
-        ) : (
+        ) : !isLoading && (
           <div className="signal-card text-center p-8 rounded-lg">
             <div className="text-4xl mb-4">
               {hasActiveFilters ? <FaSearch /> : <FaBroadcastTower />}
@@ -261,14 +475,15 @@ const Signals = ({ signals, onPromoteToBrief, settings, onUpdateSettings }) => {
         )}
       </div>
 
-      {/* Load More (if needed) */}
-      {filteredSignals.length > 50 && (
-        <div className="text-center mt-8">
-          <p className="text-sm text-gray-500">
-            Showing first 50 results. Use filters to narrow down your search.
-          </p>
-        </div>
-      )}
+      {/* Infinite scroll: the next page loads as this comes into view */}
+      <div ref={sentinelRef} className="text-center mt-8">
+        {isLoading && pagedSignals.length > 0 && (
+          <p className="text-sm text-gray-500">Loading more signals...</p>
+        )}
+        {!hasMore && pagedSignals.length > 0 && (
+          <p className="text-sm text-gray-500">End of results</p>
+        )}
+      </div>
     </div>
   );
 };
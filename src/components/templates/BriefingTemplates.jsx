@@ -0,0 +1,390 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaLayerGroup, FaArrowUp, FaArrowDown, FaTrash, FaPlus, FaCopy } from 'react-icons/fa';
+import { databaseService } from '../../services/databaseService';
+import { briefingSectionGenerators, briefingTemplateManager, briefingPatternAnalyzer } from '../../services/briefing/index.js';
+import { INTELLIGENCE_CATEGORIES, PRIORITY_LEVELS } from '../../constants/intelligence.js';
+
+const CATEGORIES = Object.values(INTELLIGENCE_CATEGORIES);
+const REGIONS = Object.keys(briefingPatternAnalyzer.regionalClassification);
+const PRIORITIES = Object.values(PRIORITY_LEVELS);
+
+const newSection = (type) => ({
+  type,
+  title: '',
+  filters: { categories: [], regions: [], minPriority: '' }
+});
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  header: '',
+  classification: 'INTELLIGENCE ASSESSMENT',
+  accentColor: '#1f4e79',
+  sections: [newSection('EXECUTIVE_SUMMARY')]
+};
+
+// Editable copy of a built-in or stored template
+const toDraft = (template, overrides = {}) => ({
+  ...EMPTY_TEMPLATE,
+  ...template,
+  header: template.header || '',
+  accentColor: template.accentColor || EMPTY_TEMPLATE.accentColor,
+  sections: template.sections.map(section => (typeof section === 'string'
+    ? newSection(section)
+    : {
+        type: section.type,
+        title: section.title || '',
+        filters: {
+          categories: section.filters?.categories || [],
+          regions: section.filters?.regions || [],
+          minPriority: section.filters?.minPriority || ''
+        }
+      })),
+  ...overrides
+});
+
+const ToggleList = ({ options, selected, onChange, disabled }) => (
+  <div className="flex flex-wrap gap-1">
+    {options.map(option => {
+      const isSelected = selected.includes(option);
+      return (
+        <button
+          key={option}
+          type="button"
+          disabled={disabled}
+          onClick={() => onChange(isSelected ? selected.filter(item => item !== option) : [...selected, option])}
+          className={`px-2 py-0.5 rounded-full border ${isSelected
+            ? 'bg-cyan-500/20 text-cyan-400 border-cyan-500'
+            : 'text-gray-500 border-gray-600 hover:text-gray-300'}`}
+        >
+          {option.replace(/_/g, ' ')}
+        </button>
+      );
+    })}
+  </div>
+);
+
+/**
+ * Briefing template library: the built-in templates plus the workspace's own,
+ * which analysts compose from the registered section types
+ */
+const BriefingTemplates = ({ canEdit }) => {
+  const [templates, setTemplates] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const sectionTypes = briefingSectionGenerators.listSections();
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await databaseService.getBriefingTemplates();
+      setTemplates(response.templates || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateSection = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, ...changes } : section))
+    }));
+  };
+
+  const updateSectionFilter = (index, key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index
+        ? { ...section, filters: { ...section.filters, [key]: value } }
+        : section))
+    }));
+  };
+
+  const moveSection = (index, offset) => {
+    setDraft(prev => {
+      const sections = [...prev.sections];
+      const [moved] = sections.splice(index, 1);
+      sections.splice(index + offset, 0, moved);
+      return { ...prev, sections };
+    });
+  };
+
+  const removeSection = (index) => {
+    setDraft(prev => ({ ...prev, sections: prev.sections.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await databaseService.saveBriefingTemplate({
+        ...draft,
+        sections: draft.sections.map(section => ({
+          ...section,
+          filters: { ...section.filters, minPriority: section.filters.minPriority || null }
+        }))
+      });
+      setDraft(toDraft(response.template));
+      await loadTemplates();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete template "${template.name}"?`)) return;
+
+    try {
+      await databaseService.deleteBriefingTemplate(template.id);
+      if (draft?.id === template.id) setDraft(null);
+      await loadTemplates();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="content-section">
+      {/* Page Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-100 flex items-center space-x-3">
+          <FaLayerGroup />
+          <span>BRIEFING TEMPLATES</span>
+        </h1>
+        <p className="text-gray-400 mt-2">
+          Choose the sections of a briefing, their order and which signals each one covers
+        </p>
+      </div>
+
+      {error && <div className="text-red-400 text-sm mb-4">{error}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Template Library */}
+        <div className="space-y-4 text-sm">
+          <div>
+            <h2 className="text-xs font-semibold text-gray-400 mb-2">BUILT-IN</h2>
+            <div className="space-y-2">
+              {Object.entries(briefingTemplateManager.templates).map(([key, template]) => (
+                <div key={key} className="signal-card p-3 rounded-lg flex items-center justify-between">
+                  <div>
+                    <div className="text-gray-100">{template.name}</div>
+                    <div className="text-xs text-gray-500">{template.sections.length} sections · {template.classification}</div>
+                  </div>
+                  {canEdit && (
+                    <button
+                      onClick={() => setDraft(toDraft(template, { name: `${template.name} (copy)` }))}
+                      className="text-xs text-blue-400 hover:underline flex items-center space-x-1"
+                      title="Start a new template from this one"
+                    >
+                      <FaCopy />
+                      <span>Copy</span>
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-xs font-semibold text-gray-400">WORKSPACE</h2>
+              {canEdit && (
+                <button
+                  onClick={() => setDraft(toDraft(EMPTY_TEMPLATE))}
+                  className="text-xs text-cyan-400 hover:underline flex items-center space-x-1"
+                >
+                  <FaPlus />
+                  <span>New Template</span>
+                </button>
+              )}
+            </div>
+            {templates.length === 0 && (
+              <div className="text-xs text-gray-500">No templates saved yet</div>
+            )}
+            <div className="space-y-2">
+              {templates.map(template => (
+                <div
+                  key={template.id}
+                  className={`signal-card p-3 rounded-lg flex items-center justify-between ${draft?.id === template.id ? 'border border-cyan-500' : ''}`}
+                >
+                  <button onClick={() => setDraft(toDraft(template))} className="text-left">
+                    <div className="text-gray-100">{template.name}</div>
+                    <div className="text-xs text-gray-500">{template.sections.length} sections · {template.classification}</div>
+                  </button>
+                  {canEdit && (
+                    <button
+                      onClick={() => handleDelete(template)}
+                      className="text-xs text-red-400 hover:text-red-300"
+                      title="Delete template"
+                    >
+                      <FaTrash />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Template Editor */}
+        {draft && (
+          <div className="lg:col-span-2 signal-card p-4 rounded-lg space-y-4 text-xs">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <label className="flex flex-col text-gray-400">
+                Name
+                <input
+                  type="text"
+                  value={draft.name}
+                  disabled={!canEdit}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  className="mt-1 p-2 rounded-md search-bar"
+                />
+              </label>
+              <label className="flex flex-col text-gray-400">
+                Header
+                <input
+                  type="text"
+                  placeholder="Title line of the briefing (defaults to the name)"
+                  value={draft.header}
+                  disabled={!canEdit}
+                  onChange={(e) => updateDraft({ header: e.target.value })}
+                  className="mt-1 p-2 rounded-md search-bar"
+                />
+              </label>
+              <label className="flex flex-col text-gray-400">
+                Classification
+                <input
+                  type="text"
+                  value={draft.classification}
+                  disabled={!canEdit}
+                  onChange={(e) => updateDraft({ classification: e.target.value.toUpperCase() })}
+                  className="mt-1 p-2 rounded-md search-bar"
+                />
+              </label>
+              <label className="flex flex-col text-gray-400">
+                Accent colour
+                <input
+                  type="color"
+                  value={draft.accentColor}
+                  disabled={!canEdit}
+                  onChange={(e) => updateDraft({ accentColor: e.target.value })}
+                  className="mt-1 h-9 w-16 rounded-md search-bar"
+                />
+              </label>
+            </div>
+
+            {/* Sections in briefing order */}
+            <div className="space-y-3">
+              {draft.sections.map((section, index) => (
+                <div key={index} className="p-3 rounded-md bg-black/20 space-y-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-mono text-gray-500">{index + 1}.</span>
+                    <select
+                      value={section.type}
+                      disabled={!canEdit}
+                      onChange={(e) => updateSection(index, { type: e.target.value })}
+                      className="p-2 rounded-md search-bar"
+                    >
+                      {!sectionTypes.some(option => option.type === section.type) && (
+                        <option value={section.type}>{section.type} (not registered)</option>
+                      )}
+                      {sectionTypes.map(option => (
+                        <option key={option.type} value={option.type}>{option.title}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      placeholder="Custom title (optional)"
+                      value={section.title}
+                      disabled={!canEdit}
+                      onChange={(e) => updateSection(index, { title: e.target.value })}
+                      className="flex-1 p-2 rounded-md search-bar"
+                    />
+                    <select
+                      value={section.filters.minPriority}
+                      disabled={!canEdit}
+                      onChange={(e) => updateSectionFilter(index, 'minPriority', e.target.value)}
+                      className="p-2 rounded-md search-bar"
+                      title="Minimum signal priority"
+                    >
+                      <option value="">Any priority</option>
+                      {PRIORITIES.map(priority => (
+                        <option key={priority} value={priority}>{priority} and above</option>
+                      ))}
+                    </select>
+                    {canEdit && (
+                      <div className="flex items-center space-x-2 text-gray-400">
+                        <button onClick={() => moveSection(index, -1)} disabled={index === 0} className="disabled:opacity-30" title="Move up">
+                          <FaArrowUp />
+                        </button>
+                        <button onClick={() => moveSection(index, 1)} disabled={index === draft.sections.length - 1} className="disabled:opacity-30" title="Move down">
+                          <FaArrowDown />
+                        </button>
+                        <button onClick={() => removeSection(index)} className="text-red-400" title="Remove section">
+                          <FaTrash />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  <div className="text-gray-500">Categories (none selected = all)</div>
+                  <ToggleList
+                    options={CATEGORIES}
+                    selected={section.filters.categories}
+                    disabled={!canEdit}
+                    onChange={(value) => updateSectionFilter(index, 'categories', value)}
+                  />
+                  <div className="text-gray-500">Regions (none selected = all)</div>
+                  <ToggleList
+                    options={REGIONS}
+                    selected={section.filters.regions}
+                    disabled={!canEdit}
+                    onChange={(value) => updateSectionFilter(index, 'regions', value)}
+                  />
+                </div>
+              ))}
+            </div>
+
+            {canEdit && (
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => setDraft(prev => ({ ...prev, sections: [...prev.sections, newSection(sectionTypes[0].type)] }))}
+                  className="text-cyan-400 hover:underline flex items-center space-x-1"
+                >
+                  <FaPlus />
+                  <span>Add Section</span>
+                </button>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setDraft(null)}
+                    disabled={isSaving}
+                    className="px-3 py-1.5 text-gray-400 hover:text-gray-200"
+                  >
+                    Close
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    disabled={isSaving || !draft.name.trim() || draft.sections.length === 0}
+                    className="px-3 py-1.5 bg-cyan-500/20 text-cyan-400 border border-cyan-500 rounded-md hover:bg-cyan-500/30 transition-colors disabled:opacity-50"
+                  >
+                    {isSaving ? 'Saving...' : draft.id ? 'Save Changes' : 'Create Template'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BriefingTemplates;
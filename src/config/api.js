@@ -1,6 +1,8 @@
 // API Configuration for Ghost Brief
 // Handles environment-specific API endpoints and configuration
 
+import { AUTH_CONFIG } from '../constants/api.js';
+
 /**
  * API Configuration Service
  * Manages different API endpoints for development and production environments
@@ -104,6 +106,35 @@ class APIConfig {
     return this.environment === 'production';
   }
 
+  /**
+   * Gets the stored session token
+   * @returns {string|null} Bearer token
+   */
+  getAuthToken() {
+    return localStorage.getItem(AUTH_CONFIG.TOKEN_STORAGE_KEY);
+  }
+
+  /**
+   * Stores or clears the session token
+   * @param {string|null} token - Bearer token, or null to sign out
+   */
+  setAuthToken(token) {
+    if (token) {
+      localStorage.setItem(AUTH_CONFIG.TOKEN_STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(AUTH_CONFIG.TOKEN_STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Gets the Authorization header for the current session
+   * @returns {Object} Headers (empty when signed out)
+   */
+  getAuthHeaders() {
+    const token = this.getAuthToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
   /**
    * Gets fetch configuration with timeout and retry settings
    * @param {Object} options - Additional fetch options
@@ -112,12 +143,13 @@ class APIConfig {
   getFetchConfig(options = {}) {
     return {
       timeout: this.config.timeout,
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
+        ...this.getAuthHeaders(),
         ...options.headers
-      },
-      ...options
+      }
     };
   }
 
@@ -8,6 +8,7 @@ export const API_ENDPOINTS = {
   HEALTH: '/api/health',
   ANALYZE_ARTICLE: '/api/analyze-article',
   ANALYZE_ARTICLES_BATCH: '/api/analyze-articles-batch',
+  BRIEFING_NARRATIVE: '/api/briefing-narrative',
   DOCS: '/api/docs'
 };
 
@@ -50,7 +51,13 @@ export const RSS_CONFIG = {
   FETCH_INTERVAL_MS: 900000, // 15 minutes
   STALE_THRESHOLD_HOURS: 24,
   MAX_ARTICLES_PER_FEED: 50,
-  ERROR_THRESHOLD: 5
+  ERROR_THRESHOLD: 5,
+  HOST_POLITENESS_MS: 2000,   // Minimum gap between requests to the same host
+  RUN_TIME_BUDGET_MS: 50000,  // Stop starting new work after this, leaving room to respond
+  FETCH_TIMEOUT_MS: 30000,
+  BATCH_COLLECT_BUDGET_MS: 20000,  // Share of the run budget for collecting finished batches
+  BATCH_COLLECT_CHUNK: 25,         // Batch results stored between cursor saves
+  BATCH_CLAIM_TTL_MS: 300000       // A collection claim older than this is taken over
 };
 
 // Claude API Configuration
@@ -82,6 +89,73 @@ export const STORAGE_CONFIG = {
   }
 };
 
+// Signal Search Configuration
+export const SEARCH_CONFIG = {
+  MAX_MATCHES: 1000, // Ranked matches considered before filters and paging
+  HIGHLIGHT_START: '\u27E6', // Markers around matches in server snippets
+  HIGHLIGHT_STOP: '\u27E7',
+  SNIPPET_MAX_WORDS: 35,
+  SNIPPET_MIN_WORDS: 15,
+  SNIPPET_MAX_FRAGMENTS: 2,
+  DEBOUNCE_MS: 300
+};
+
+// Authentication Configuration
+export const AUTH_CONFIG = {
+  TOKEN_STORAGE_KEY: 'ghost_brief_auth_token',
+  // Each role can do everything the roles below it can (see authService.js)
+  ROLES: {
+    VIEWER: 'viewer',
+    ANALYST: 'analyst',
+    ADMIN: 'admin'
+  },
+  ROLE_RANK: {
+    viewer: 1,
+    analyst: 2,
+    admin: 3
+  }
+};
+
+// Brief Lifecycle (transitions are enforced in engine/briefWorkflow.ts)
+export const BRIEF_WORKFLOW = {
+  STATUSES: ['DRAFT', 'REVIEW', 'APPROVED', 'PUBLISHED', 'ARCHIVED'],
+  STATUS_LABELS: {
+    DRAFT: 'Draft',
+    REVIEW: 'In Review',
+    APPROVED: 'Approved',
+    PUBLISHED: 'Published',
+    ARCHIVED: 'Archived'
+  },
+  ACTION_LABELS: {
+    submit: 'Submit for Review',
+    approve: 'Approve',
+    reject: 'Reject',
+    publish: 'Publish',
+    archive: 'Archive',
+    reopen: 'Reopen'
+  }
+};
+
+// List Pagination Configuration (cursor-based, see engine/pagination.ts)
+export const PAGINATION_CONFIG = {
+  SIGNALS_PAGE_SIZE: 50,
+  BRIEFS_PAGE_SIZE: 20,
+  AUDIT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200,
+  SCROLL_ROOT_MARGIN: '400px', // Start loading the next page this far before the end
+  // Public sort keys and the columns they order by
+  SIGNAL_SORTS: {
+    createdAt: 'createdAt',
+    score: 'signalScore',
+    credibility: 'credibility'
+  },
+  BRIEF_SORTS: {
+    createdAt: 'createdAt',
+    datePublished: 'datePublished',
+    title: 'title'
+  }
+};
+
 // Quality Filter Configuration
 export const QUALITY_CONFIG = {
   STAGES: 7,
@@ -96,6 +170,29 @@ export const QUALITY_CONFIG = {
   }
 };
 
+// Signal Scoring Configuration
+// Stored signalScore = LLM relevance score and multi-factor score, blended with
+// the weights of a scoring profile (see src/services/scoring/scoringProfiles.js)
+export const SIGNAL_SCORING_CONFIG = {
+  LLM_WEIGHT: 0.6,
+  DETERMINISTIC_WEIGHT: 0.4,
+  BREAKDOWN_VERSION: 4, // 2 added per-factor contributions, 3 unweighted factor scores and the profile, 4 the dictionary version
+  RESCORE_BATCH_SIZE: 200,
+  RESCORE_TIME_BUDGET_MS: 45000, // Re-score requests stop here and return a cursor to continue from
+  PREVIEW_SIGNALS: 50,
+  MAX_PREVIEW_SIGNALS: 200,
+  MAX_PROFILE_RANKED_SIGNALS: 2000, // Latest signals ranked in memory when a user's own profile orders or filters by score
+  CALIBRATION_MIN_EXAMPLES: 20, // Labeled feedback needed before weights and thresholds are fitted
+  CALIBRATION_MAX_ROUNDS: 20,
+  CALIBRATION_WEIGHT_STEPS: [0.05, 0.02, 0.01]
+};
+
+// Keyword and Entity Dictionary Configuration
+export const DICTIONARY_CONFIG = {
+  REFRESH_MS: 60000, // How long a server instance uses its dictionary before checking for a newer version
+  VERSION_HISTORY: 20
+};
+
 // Briefing Configuration
 export const BRIEFING_CONFIG = {
   GENERATION_TIME: '06:00', // 6 AM daily
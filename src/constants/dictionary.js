@@ -0,0 +1,240 @@
+/**
+ * Built-in Keyword and Entity Dictionary
+ * The terms the scorers and the pre-filter match until the stored dictionary
+ * is first changed (see src/services/scoring/dictionary.js). The Dictionary
+ * screen copies them into the store to be edited.
+ */
+
+// Keyword terms by tier
+export const DEFAULT_KEYWORDS = {
+  CRITICAL: [
+    'NUCLEAR', 'WEAPON', 'ATTACK', 'CYBER', 'BREACH', 'CLASSIFIED', 'MILITARY', 'DRONE STRIKE',
+    'BIOWEAPON', 'CHEMICAL WEAPON', 'TERRORIST', 'ASSASSINATION', 'COUP', 'WAR', 'INVASION'
+  ],
+  HIGH: [
+    'SANCTIONS', 'DEPLOYMENT', 'MISSILE', 'SURVEILLANCE', 'INTELLIGENCE', 'ESPIONAGE',
+    'HYPERSONIC', 'SATELLITE', 'RADAR', 'STEALTH', 'SUBMARINE', 'AIRCRAFT CARRIER'
+  ],
+  MEDIUM: [
+    'DIPLOMATIC', 'TRADE WAR', 'ALLIANCE', 'DEFENSE', 'TECHNOLOGY TRANSFER', 'EMBARGO',
+    'TREATY', 'SUMMIT', 'NEGOTIATION', 'PARTNERSHIP', 'COOPERATION'
+  ],
+  GEOPOLITICAL: [
+    'CHINA', 'RUSSIA', 'IRAN', 'NORTH KOREA', 'TAIWAN', 'UKRAINE', 'SYRIA', 'ISRAEL',
+    'PAKISTAN', 'INDIA', 'TURKEY', 'SAUDI ARABIA', 'VENEZUELA', 'MYANMAR'
+  ],
+  TECHNOLOGY: [
+    'AI', 'ARTIFICIAL INTELLIGENCE', 'QUANTUM', 'HYPERSONIC', 'SATELLITE', 'BLOCKCHAIN',
+    'NEURAL', 'MACHINE LEARNING', 'DEEPFAKE', 'AUTONOMOUS', 'DRONE', 'ROBOT'
+  ],
+  HEALTH: [
+    'OUTBREAK', 'PANDEMIC', 'BIOWEAPON', 'VACCINE', 'VIRUS', 'EPIDEMIC', 'DISEASE',
+    'MUTATION', 'PATHOGEN', 'LABORATORY', 'BIOSAFETY', 'QUARANTINE'
+  ]
+};
+
+// Keywords that let an article through the pre-filter before Claude sees it;
+// the pre-filter matches anywhere in the text, so short or common words
+// ('AI', 'WAR') would let nearly everything through
+export const DEFAULT_PREFILTER_KEYWORDS = [
+  'NUCLEAR', 'WEAPON', 'ATTACK', 'CYBER', 'BREACH', 'CLASSIFIED', 'MILITARY', 'BIOWEAPON',
+  'SANCTIONS', 'DEPLOYMENT', 'MISSILE', 'SURVEILLANCE', 'INTELLIGENCE', 'ESPIONAGE',
+  'CHINA', 'RUSSIA', 'IRAN', 'NORTH KOREA', 'TAIWAN', 'UKRAINE', 'SYRIA',
+  'ARTIFICIAL INTELLIGENCE', 'QUANTUM', 'HYPERSONIC', 'SATELLITE', 'BLOCKCHAIN',
+  'OUTBREAK', 'PANDEMIC', 'VACCINE', 'VIRUS', 'EPIDEMIC'
+];
+
+// Entity names by type with their aliases
+export const DEFAULT_ENTITIES = {
+  countries: {
+    'UNITED STATES': ['USA', 'US', 'AMERICA', 'UNITED STATES OF AMERICA'],
+    'CHINA': ['PRC', 'PEOPLES REPUBLIC OF CHINA', 'MAINLAND CHINA'],
+    'RUSSIA': ['RUSSIAN FEDERATION', 'MOSCOW', 'KREMLIN'],
+    'IRAN': ['ISLAMIC REPUBLIC OF IRAN', 'PERSIA', 'TEHRAN'],
+    'NORTH KOREA': ['DPRK', 'DEMOCRATIC PEOPLES REPUBLIC OF KOREA', 'PYONGYANG'],
+    'SOUTH KOREA': ['ROK', 'REPUBLIC OF KOREA', 'SEOUL'],
+    'UKRAINE': ['KIEV', 'KYIV'],
+    'TAIWAN': ['ROC', 'REPUBLIC OF CHINA', 'TAIPEI'],
+    'ISRAEL': ['JEWISH STATE', 'TEL AVIV', 'JERUSALEM'],
+    'PALESTINE': ['PALESTINIAN TERRITORIES', 'GAZA', 'WEST BANK'],
+    'UNITED KINGDOM': ['UK', 'BRITAIN', 'GREAT BRITAIN', 'ENGLAND'],
+    'SAUDI ARABIA': ['KINGDOM OF SAUDI ARABIA', 'RIYADH'],
+    'TURKEY': ['TURKISH REPUBLIC', 'ANKARA'],
+    'PAKISTAN': ['ISLAMIC REPUBLIC OF PAKISTAN', 'ISLAMABAD'],
+    'INDIA': ['REPUBLIC OF INDIA', 'NEW DELHI'],
+    'JAPAN': ['NIPPON', 'TOKYO'],
+    'GERMANY': ['FEDERAL REPUBLIC OF GERMANY', 'BERLIN'],
+    'FRANCE': ['FRENCH REPUBLIC', 'PARIS'],
+    'SYRIA': ['SYRIAN ARAB REPUBLIC', 'DAMASCUS'],
+    'AFGHANISTAN': ['KABUL'],
+    'VENEZUELA': ['CARACAS'],
+    'MYANMAR': ['BURMA', 'NAYPYIDAW']
+
+  },
+
+  organizations: {
+    // Intelligence Agencies
+    'CIA': ['CENTRAL INTELLIGENCE AGENCY', 'AGENCY'],
+    'FBI': ['FEDERAL BUREAU OF INVESTIGATION'],
+    'NSA': ['NATIONAL SECURITY AGENCY'],
+    'FSB': ['FEDERAL SECURITY SERVICE'],
+    'SVR': ['FOREIGN INTELLIGENCE SERVICE'],
+    'MSS': ['MINISTRY OF STATE SECURITY'],
+    'MOSSAD': ['INSTITUTE FOR INTELLIGENCE AND SPECIAL OPERATIONS'],
+    'MI6': ['SECRET INTELLIGENCE SERVICE', 'SIS'],
+    'MI5': ['SECURITY SERVICE'],
+    'BND': ['FEDERAL INTELLIGENCE SERVICE'],
+    'DGSE': ['DIRECTORATE-GENERAL FOR EXTERNAL SECURITY'],
+    'ISI': ['INTER-SERVICES INTELLIGENCE'],
+
+    // Military Organizations
+    'NATO': ['NORTH ATLANTIC TREATY ORGANIZATION'],
+    'PENTAGON': ['DEPARTMENT OF DEFENSE', 'DOD'],
+    'PLA': ['PEOPLES LIBERATION ARMY'],
+    'IRGC': ['IRANIAN REVOLUTIONARY GUARD CORPS', 'REVOLUTIONARY GUARD'],
+    'IDF': ['ISRAEL DEFENSE FORCES'],
+    'BUNDESWEHR': ['GERMAN ARMED FORCES'],
+
+    // International Organizations
+    'UN': ['UNITED NATIONS'],
+    'IAEA': ['INTERNATIONAL ATOMIC ENERGY AGENCY'],
+    'WHO': ['WORLD HEALTH ORGANIZATION'],
+    'EU': ['EUROPEAN UNION'],
+    'ASEAN': ['ASSOCIATION OF SOUTHEAST ASIAN NATIONS'],
+    'BRICS': ['BRAZIL RUSSIA INDIA CHINA SOUTH AFRICA'],
+
+    // Terrorist/Criminal Organizations
+    'ISIS': ['ISLAMIC STATE', 'ISIL', 'DAESH'],
+    'AL-QAEDA': ['AL QAEDA', 'AQ'],
+    'TALIBAN': ['ISLAMIC EMIRATE OF AFGHANISTAN'],
+    'HEZBOLLAH': ['PARTY OF GOD'],
+    'HAMAS': ['ISLAMIC RESISTANCE MOVEMENT'],
+    'PKK': ['KURDISTAN WORKERS PARTY'],
+    'WAGNER GROUP': ['WAGNER PMC', 'WAGNER MERCENARIES'],
+
+    // Cyber Groups
+    'LAZARUS GROUP': ['HIDDEN COBRA', 'ZINC'],
+    'APT1': ['COMMENT CREW', 'PLA UNIT 61398'],
+    'APT28': ['FANCY BEAR', 'SOFACY'],
+    'APT29': ['COZY BEAR', 'THE DUKES'],
+    'SANDWORM': ['VOODOO BEAR', 'IRON VIKING']
+  },
+
+  technologies: {
+    // Nuclear Technology
+    'NUCLEAR REACTOR': ['REACTOR', 'NUCLEAR PLANT', 'POWER PLANT'],
+    'URANIUM ENRICHMENT': ['ENRICHMENT', 'CENTRIFUGE', 'ISOTOPE SEPARATION'],
+    'PLUTONIUM': ['WEAPONS-GRADE PLUTONIUM'],
+    'NUCLEAR WEAPON': ['ATOMIC WEAPON', 'NUCLEAR WARHEAD', 'NUKE'],
+
+    // Cyber Technology
+    'ARTIFICIAL INTELLIGENCE': ['AI', 'MACHINE LEARNING', 'ML', 'NEURAL NETWORK'],
+    'QUANTUM COMPUTING': ['QUANTUM COMPUTER', 'QUANTUM PROCESSOR'],
+    'BLOCKCHAIN': ['DISTRIBUTED LEDGER', 'CRYPTOCURRENCY'],
+    'DEEPFAKE': ['SYNTHETIC MEDIA', 'AI-GENERATED'],
+    'ZERO-DAY': ['0-DAY', 'ZERO DAY EXPLOIT'],
+    'MALWARE': ['VIRUS', 'TROJAN', 'WORM', 'ROOTKIT'],
+    'RANSOMWARE': ['CRYPTO-MALWARE', 'RANSOM MALWARE'],
+    'BOTNET': ['ZOMBIE NETWORK', 'BOT NETWORK'],
+
+    // Military Technology
+    'HYPERSONIC MISSILE': ['HYPERSONIC WEAPON', 'HYPERSONIC GLIDE VEHICLE'],
+    'STEALTH TECHNOLOGY': ['STEALTH', 'LOW OBSERVABLE'],
+    'SATELLITE': ['ORBITAL VEHICLE', 'SPACECRAFT'],
+    'DRONE': ['UAV', 'UNMANNED AERIAL VEHICLE', 'UAS'],
+    'RADAR': ['DETECTION SYSTEM', 'SURVEILLANCE RADAR'],
+    'SONAR': ['ACOUSTIC DETECTION', 'UNDERWATER DETECTION'],
+    'GPS': ['GLOBAL POSITIONING SYSTEM', 'NAVIGATION SATELLITE'],
+    'SURVEILLANCE': ['MONITORING', 'RECONNAISSANCE', 'INTELLIGENCE GATHERING'],
+    'FACIAL RECOGNITION': ['FACE RECOGNITION'],
+    'BIOMETRIC': ['BIOMETRICS'],
+    'ENCRYPTION': ['CRYPTOGRAPHY'],
+    'DDOS': ['DENIAL OF SERVICE', 'DENIAL-OF-SERVICE'],
+    'SCADA': ['INDUSTRIAL CONTROL SYSTEM']
+  },
+
+  weapons: {
+    // Strategic Weapons
+    'ICBM': ['INTERCONTINENTAL BALLISTIC MISSILE', 'LONG-RANGE MISSILE'],
+    'SLBM': ['SUBMARINE-LAUNCHED BALLISTIC MISSILE'],
+    'HYPERSONIC MISSILE': ['HYPERSONIC WEAPON', 'MACH 5 MISSILE'],
+    'CRUISE MISSILE': ['LAND-ATTACK MISSILE', 'TOMAHAWK'],
+    'BALLISTIC MISSILE': ['SURFACE-TO-SURFACE MISSILE'],
+
+    // Nuclear Weapons
+    'NUCLEAR WARHEAD': ['ATOMIC WARHEAD', 'NUCLEAR BOMB'],
+    'HYDROGEN BOMB': ['H-BOMB', 'THERMONUCLEAR WEAPON'],
+    'TACTICAL NUCLEAR WEAPON': ['BATTLEFIELD NUCLEAR WEAPON'],
+
+    // Biological and Chemical Weapons
+    'BIOWEAPON': ['BIOLOGICAL WEAPON'],
+    'CHEMICAL WEAPON': ['NERVE AGENT', 'SARIN', 'NOVICHOK'],
+
+    // Directed Energy and Novel Weapons
+    'LASER WEAPON': ['DIRECTED ENERGY WEAPON'],
+    'RAILGUN': ['ELECTROMAGNETIC RAILGUN'],
+
+    // Aircraft
+    'F-35': ['F-35 LIGHTNING', 'JOINT STRIKE FIGHTER'],
+    'F-22': ['F-22 RAPTOR'],
+    'SU-57': ['SUKHOI SU-57', 'PAK FA'],
+    'J-20': ['CHENGDU J-20', 'MIGHTY DRAGON'],
+    'B-21': ['B-21 RAIDER'],
+    'B-52': ['B-52 STRATOFORTRESS'],
+
+    // Naval Weapons
+    'AIRCRAFT CARRIER': ['CARRIER', 'FLATTOP'],
+    'SUBMARINE': ['SUB', 'UNDERWATER VESSEL'],
+    'DESTROYER': ['GUIDED MISSILE DESTROYER'],
+    'FRIGATE': ['WARSHIP'],
+
+    // Conventional Weapons
+    'JAVELIN': ['JAVELIN MISSILE', 'ANTI-TANK MISSILE'],
+    'PATRIOT': ['PATRIOT MISSILE', 'AIR DEFENSE SYSTEM'],
+    'HIMARS': ['HIGH MOBILITY ARTILLERY ROCKET SYSTEM'],
+    'APACHE': ['AH-64 APACHE', 'ATTACK HELICOPTER'],
+    'PREDATOR': ['MQ-1 PREDATOR', 'PREDATOR DRONE'],
+    'REAPER': ['MQ-9 REAPER', 'REAPER DRONE']
+  },
+
+  weaponSystems: {
+    // Air Defense Systems
+    'S-300': ['S-300 SYSTEM', 'SA-10'],
+    'S-400': ['S-400 TRIUMF', 'SA-21'],
+    'S-500': ['S-500 PROMETHEUS', 'SA-X-23'],
+    'IRON DOME': ['IRON DOME SYSTEM'],
+    'THAAD': ['TERMINAL HIGH ALTITUDE AREA DEFENSE'],
+    'AEGIS': ['AEGIS COMBAT SYSTEM'],
+
+    // Missile Systems
+    'ISKANDER': ['ISKANDER MISSILE SYSTEM'],
+    'DF-21': ['DONG FENG 21', 'CARRIER KILLER'],
+    'DF-26': ['DONG FENG 26', 'GUAM KILLER'],
+    'KINZHAL': ['KINZHAL MISSILE', 'DAGGER MISSILE'],
+    'ZIRCON': ['ZIRCON HYPERSONIC MISSILE'],
+    'SARMAT': ['RS-28 SARMAT', 'SATAN 2']
+  },
+
+  locations: {
+    // Military Bases
+    'PENTAGON': ['DEPARTMENT OF DEFENSE HQ'],
+    'CHEYENNE MOUNTAIN': ['NORAD HEADQUARTERS'],
+    'AREA 51': ['GROOM LAKE', 'DREAMLAND'],
+    'GUANTANAMO BAY': ['GITMO'],
+    'DIEGO GARCIA': ['BRITISH INDIAN OCEAN TERRITORY'],
+
+    // Nuclear Facilities
+    'NATANZ': ['NATANZ ENRICHMENT FACILITY'],
+    'FORDOW': ['FORDOW FUEL ENRICHMENT PLANT'],
+    'YONGBYON': ['YONGBYON NUCLEAR COMPLEX'],
+    'DIMONA': ['NEGEV NUCLEAR RESEARCH CENTER'],
+
+    // Strategic Locations
+    'STRAIT OF HORMUZ': ['HORMUZ STRAIT'],
+    'SOUTH CHINA SEA': ['SCS'],
+    'TAIWAN STRAIT': ['FORMOSA STRAIT'],
+    'SUEZ CANAL': ['SUEZ WATERWAY'],
+    'GIBRALTAR': ['STRAIT OF GIBRALTAR'],
+    'BOSPHORUS': ['BOSPHORUS STRAIT']
+  }
+};
@@ -1,35 +1,10 @@
 /**
  * Intelligence Analysis Constants
- * Centralized configuration for intelligence keyword databases, scoring, and entity recognition
+ * Centralized configuration for intelligence scoring, priorities and categories
  */
 
-// Intelligence Keywords Database for Content Analysis
-export const INTELLIGENCE_KEYWORDS = {
-  CRITICAL: [
-    'nuclear', 'weapon', 'attack', 'cyber', 'breach', 'classified', 'military', 'drone strike',
-    'bioweapon', 'chemical weapon', 'terrorist', 'assassination', 'coup', 'war', 'invasion'
-  ],
-  HIGH: [
-    'sanctions', 'deployment', 'missile', 'surveillance', 'intelligence', 'espionage',
-    'hypersonic', 'satellite', 'radar', 'stealth', 'submarine', 'aircraft carrier'
-  ],
-  MEDIUM: [
-    'diplomatic', 'trade war', 'alliance', 'defense', 'technology transfer', 'embargo',
-    'treaty', 'summit', 'negotiation', 'partnership', 'cooperation'
-  ],
-  GEOPOLITICAL: [
-    'china', 'russia', 'iran', 'north korea', 'taiwan', 'ukraine', 'syria', 'israel',
-    'pakistan', 'india', 'turkey', 'saudi arabia', 'venezuela', 'myanmar'
-  ],
-  TECHNOLOGY: [
-    'ai', 'artificial intelligence', 'quantum', 'hypersonic', 'satellite', 'blockchain',
-    'neural', 'machine learning', 'deepfake', 'autonomous', 'drone', 'robot'
-  ],
-  HEALTH: [
-    'outbreak', 'pandemic', 'bioweapon', 'vaccine', 'virus', 'epidemic', 'disease',
-    'mutation', 'pathogen', 'laboratory', 'biosafety', 'quarantine'
-  ]
-};
+// Keywords and entity names live in the dictionary store; the built-in terms
+// are in constants/dictionary.js
 
 // Intelligence Priority Levels
 export const PRIORITY_LEVELS = {
@@ -39,7 +14,7 @@ export const PRIORITY_LEVELS = {
   LOW: 'LOW'
 };
 
-// Intelligence Categories
+// Intelligence Categories (same set as the analysis schema in analysisService.js)
 export const INTELLIGENCE_CATEGORIES = {
   MILITARY: 'MILITARY',
   TECHNOLOGY: 'TECHNOLOGY',
@@ -47,34 +22,9 @@ export const INTELLIGENCE_CATEGORIES = {
   GEOPOLITICS: 'GEOPOLITICS',
   FINANCE: 'FINANCE',
   SCIENCE: 'SCIENCE',
-  HEALTH: 'HEALTH'
-};
-
-// Entity Database for Advanced Recognition
-export const ENTITY_DATABASE = {
-  countries: [
-    'CHINA', 'RUSSIA', 'IRAN', 'NORTH KOREA', 'UKRAINE', 'TAIWAN', 'SYRIA', 'ISRAEL',
-    'PAKISTAN', 'INDIA', 'TURKEY', 'SAUDI ARABIA', 'VENEZUELA', 'MYANMAR', 'AFGHANISTAN',
-    'USA', 'UNITED STATES', 'UK', 'BRITAIN', 'FRANCE', 'GERMANY', 'JAPAN', 'SOUTH KOREA',
-    'NATO', 'EU', 'EUROPEAN UNION', 'ASEAN', 'BRICS'
-  ],
-  organizations: [
-    'NATO', 'UN', 'IAEA', 'WHO', 'CIA', 'FSB', 'MSS', 'MOSSAD', 'MI6', 'BND',
-    'PENTAGON', 'KREMLIN', 'PLA', 'IRANIAN REVOLUTIONARY GUARD', 'HEZBOLLAH', 'HAMAS',
-    'ISIS', 'AL-QAEDA', 'TALIBAN', 'WAGNER GROUP', 'LAZARUS GROUP', 'APT', 'SCADA'
-  ],
-  technologies: [
-    'HYPERSONIC', 'QUANTUM', 'AI', 'ARTIFICIAL INTELLIGENCE', 'NUCLEAR', 'CYBER',
-    'SATELLITE', 'DRONE', 'UAV', 'STEALTH', 'RADAR', 'SONAR', 'GPS', 'BLOCKCHAIN',
-    'CRYPTOCURRENCY', 'DEEPFAKE', 'BIOMETRIC', 'FACIAL RECOGNITION', 'SURVEILLANCE',
-    'ENCRYPTION', 'ZERO-DAY', 'MALWARE', 'RANSOMWARE', 'BOTNET', 'DDOS'
-  ],
-  weapons: [
-    'MISSILE', 'ICBM', 'SLBM', 'HYPERSONIC MISSILE', 'CRUISE MISSILE', 'BALLISTIC MISSILE',
-    'NUCLEAR WEAPON', 'BIOWEAPON', 'CHEMICAL WEAPON', 'EMP', 'LASER WEAPON', 'RAILGUN',
-    'F-35', 'F-22', 'SU-57', 'J-20', 'B-21', 'B-52', 'AIRCRAFT CARRIER', 'SUBMARINE',
-    'DESTROYER', 'FRIGATE', 'TANK', 'APACHE', 'PREDATOR', 'REAPER', 'JAVELIN', 'PATRIOT'
-  ]
+  HEALTH: 'HEALTH',
+  NUCLEAR: 'NUCLEAR',
+  ESPIONAGE: 'ESPIONAGE'
 };
 
 // Intelligence Scoring Weights
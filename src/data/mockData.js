@@ -149,34 +149,6 @@ export const PREMIUM_RSS_FEEDS = [
   }
 ];
 
-// Intelligence Keywords for AI Processing
-export const INTELLIGENCE_KEYWORDS = {
-  CRITICAL: [
-    'nuclear', 'weapon', 'attack', 'cyber', 'breach', 'classified', 'military', 'drone strike',
-    'bioweapon', 'chemical weapon', 'terrorist', 'assassination', 'coup', 'war', 'invasion'
-  ],
-  HIGH: [
-    'sanctions', 'deployment', 'missile', 'surveillance', 'intelligence', 'espionage',
-    'hypersonic', 'satellite', 'radar', 'stealth', 'submarine', 'aircraft carrier'
-  ],
-  MEDIUM: [
-    'diplomatic', 'trade war', 'alliance', 'defense', 'technology transfer', 'embargo',
-    'treaty', 'summit', 'negotiation', 'partnership', 'cooperation'
-  ],
-  GEOPOLITICAL: [
-    'china', 'russia', 'iran', 'north korea', 'taiwan', 'ukraine', 'syria', 'israel',
-    'pakistan', 'india', 'turkey', 'saudi arabia', 'venezuela', 'myanmar'
-  ],
-  TECHNOLOGY: [
-    'ai', 'artificial intelligence', 'quantum', 'hypersonic', 'satellite', 'blockchain',
-    'neural', 'machine learning', 'deepfake', 'autonomous', 'drone', 'robot'
-  ],
-  HEALTH: [
-    'outbreak', 'pandemic', 'bioweapon', 'vaccine', 'virus', 'epidemic', 'disease',
-    'mutation', 'pathogen', 'laboratory', 'biosafety', 'quarantine'
-  ]
-};
-
 // Enhanced Briefs Data with Intelligence Scoring
 export const briefsData = [
   {
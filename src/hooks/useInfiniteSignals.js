@@ -0,0 +1,110 @@
+/**
+ * Infinite-scroll hook for the signals list
+ * Pages through /api/signals with opaque cursors and starts over whenever the
+ * filters (or refreshKey) change. Attach `sentinelRef` to an element after the
+ * list; the next page loads as it scrolls into view.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { databaseService } from '../services/databaseService';
+import { PAGINATION_CONFIG } from '../constants/api.js';
+
+const appendUnique = (existing, incoming) => {
+  const seen = new Set(existing.map(signal => signal.id));
+  return [...existing, ...incoming.filter(signal => !seen.has(signal.id))];
+};
+
+/**
+ * @param {Object} filters - Filters for databaseService.getSignals (without cursor/limit)
+ * @param {Object} options - { pageSize, refreshKey }
+ * @returns {Object} { signals, total, hasMore, isLoading, error, loadMore, reload, sentinelRef }
+ */
+export const useInfiniteSignals = (filters = {}, {
+  pageSize = PAGINATION_CONFIG.SIGNALS_PAGE_SIZE,
+  refreshKey
+} = {}) => {
+  const [signals, setSignals] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sentinel, setSentinel] = useState(null);
+
+  // Bumped on every reset so responses for stale filters are dropped
+  const generationRef = useRef(0);
+  const loadingRef = useRef(false);
+  const filterKey = JSON.stringify(filters);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const generation = cursor ? generationRef.current : ++generationRef.current;
+    loadingRef.current = true;
+    setIsLoading(true);
+
+    try {
+      const response = await databaseService.getSignals({
+        ...JSON.parse(filterKey),
+        limit: pageSize,
+        cursor
+      });
+      if (generation !== generationRef.current) return;
+
+      setSignals(prev => (cursor ? appendUnique(prev, response.signals || []) : response.signals || []));
+      setTotal(response.total || 0);
+      setNextCursor(response.hasMore ? response.nextCursor : null);
+      setError(null);
+    } catch (err) {
+      if (generation !== generationRef.current) return;
+      console.error('❌ Error loading signals page:', err);
+      setError(err.message);
+      setNextCursor(null);
+    } finally {
+      if (generation === generationRef.current) {
+        loadingRef.current = false;
+        setIsLoading(false);
+      }
+    }
+  }, [filterKey, pageSize]);
+
+  const reload = useCallback(() => fetchPage(null), [fetchPage]);
+
+  const loadMore = useCallback(() => {
+    if (!loadingRef.current && nextCursor) {
+      fetchPage(nextCursor);
+    }
+  }, [fetchPage, nextCursor]);
+
+  // Start over when the filters or refresh key change
+  useEffect(() => {
+    reload();
+  }, [reload, refreshKey]);
+
+  // Re-observe after each page so a sentinel that is still visible keeps loading
+  useEffect(() => {
+    if (!sentinel || !nextCursor || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore();
+      },
+      { rootMargin: PAGINATION_CONFIG.SCROLL_ROOT_MARGIN }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [sentinel, nextCursor, loadMore, signals.length]);
+
+  return {
+    signals,
+    total,
+    hasMore: Boolean(nextCursor),
+    isLoading,
+    error,
+    loadMore,
+    reload,
+    sentinelRef: setSentinel
+  };
+};
+
+export default useInfiniteSignals;
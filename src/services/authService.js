@@ -0,0 +1,127 @@
+// Authentication Service for Ghost Brief
+// Signs users in against /api/auth and keeps the session token for API calls
+
+import { apiConfig } from '../config/api';
+import { AUTH_CONFIG } from '../constants/api.js';
+
+/**
+ * Checks whether a user's role includes the required role
+ * @param {Object} user - Signed-in user
+ * @param {string} role - Required role (AUTH_CONFIG.ROLES)
+ * @returns {boolean} True when the user's role ranks at or above `role`
+ */
+export const hasRole = (user, role) =>
+  Boolean(user) && (AUTH_CONFIG.ROLE_RANK[user.role] || 0) >= AUTH_CONFIG.ROLE_RANK[role];
+
+export class AuthService {
+  constructor() {
+    this.baseUrl = apiConfig.get('apiBaseUrl');
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribes to sign-out events (explicit logout or an expired session)
+   * @param {Function} listener - Called with no arguments
+   * @returns {Function} Unsubscribe
+   */
+  onSignedOut(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Drops the local session after the API rejected the token
+   */
+  handleUnauthorized() {
+    if (!apiConfig.getAuthToken()) return;
+    apiConfig.setAuthToken(null);
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Gets the signed-in user
+   * @returns {Promise<Object>} { user } or { user: null, setupRequired }
+   */
+  async getCurrentUser() {
+    const response = await fetch(`${this.baseUrl}/api/auth`, {
+      headers: apiConfig.getAuthHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      apiConfig.setAuthToken(null);
+      return { user: null, setupRequired: Boolean(data.setupRequired) };
+    }
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    return { user: data.user };
+  }
+
+  /**
+   * Signs in and stores the session token
+   * @param {string} email - Account email
+   * @param {string} password - Account password
+   * @returns {Promise<Object>} Signed-in user
+   */
+  async login(email, password) {
+    const response = await fetch(`${this.baseUrl}/api/auth`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ email, password })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    apiConfig.setAuthToken(data.token);
+    return data.user;
+  }
+
+  /**
+   * Creates the first (admin) account on a fresh deployment, then signs in
+   * @param {Object} account - { email, password, name }
+   * @returns {Promise<Object>} Signed-in user
+   */
+  async createFirstAdmin({ email, password, name }) {
+    const response = await fetch(`${this.baseUrl}/api/users`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ email, password, name })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return this.login(email, password);
+  }
+
+  /**
+   * Revokes the session on the server and clears it locally
+   */
+  async logout() {
+    try {
+      await fetch(`${this.baseUrl}/api/auth`, {
+        method: 'DELETE',
+        headers: apiConfig.getAuthHeaders()
+      });
+    } catch (error) {
+      console.warn('⚠️ Logout request failed:', error.message);
+    } finally {
+      apiConfig.setAuthToken(null);
+      this.listeners.forEach(listener => listener());
+    }
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
@@ -0,0 +1,163 @@
+import { BriefingSectionGenerators } from '../sectionGenerators.js';
+
+const signal = (id, title, content, priority = 'HIGH', categories = ['TECHNOLOGY']) => ({
+  id,
+  title,
+  content,
+  intelligence: { priority, relevanceScore: 70, categories, entities: { countries: [] } }
+});
+
+// Short keywords (AI, MACH) inside other words, and no real threat terms
+const incidentalSignals = [
+  signal('s1', 'Ukraine and Taiwan officials said talks would continue', 'Leaders said blockchain pilots were discussed.'),
+  signal('s2', 'Machine tools exports against expectations', 'Maintained output; Spain said demand rose.')
+];
+
+const threatSignals = [
+  signal('t1', 'New AI targeting system fielded', 'Machine learning models guide the drones.'),
+  signal('t2', 'Hypersonic glide vehicle flies at Mach 8', 'The missile test followed troop deployments.'),
+  signal('t3', 'Ransomware breach at a grid operator', 'Attackers used a zero-day exploit.', 'CRITICAL', ['CYBERSECURITY'])
+];
+
+const patterns = { threats: { CRITICAL: 1, HIGH: 2 }, themes: { TECHNOLOGY: 3 } };
+
+let generators;
+
+beforeEach(() => {
+  generators = new BriefingSectionGenerators();
+});
+
+describe('keyword matching', () => {
+  test('ignores keywords inside other words', () => {
+    incidentalSignals.forEach(s => {
+      expect(generators.matchKeywordGroups(s, generators.technologyAreas)).toEqual([]);
+      expect(generators.matchKeywordGroups(s, generators.threatMatrix)).toEqual([]);
+    });
+  });
+
+  test('matches whole keywords and their plurals', () => {
+    expect(generators.matchKeywordGroups(threatSignals[0], generators.technologyAreas)).toEqual(['ARTIFICIAL_INTELLIGENCE']);
+    expect(generators.matchKeywordGroups(threatSignals[1], generators.technologyAreas)).toEqual(['HYPERSONIC_WEAPONS']);
+    expect(generators.matchKeywordGroups(threatSignals[1], generators.threatMatrix)).toEqual(['MILITARY']);
+    expect(generators.matchKeywordGroups(threatSignals[2], generators.threatMatrix)).toEqual(['CYBER']);
+  });
+
+  test('escapes keyword characters', () => {
+    expect(generators.mentionsKeyword('A ZERO-DAY EXPLOIT', 'ZERO-DAY')).toBe(true);
+    expect(generators.mentionsKeyword('A.I. MODELS', 'A.I')).toBe(true);
+    expect(generators.mentionsKeyword('AXI MODELS', 'A.I')).toBe(false);
+  });
+});
+
+describe('sections follow the signals', () => {
+  test('technology intelligence', async () => {
+    const incidental = await generators.generateTechnologyIntelligence(incidentalSignals);
+    const threats = await generators.generateTechnologyIntelligence(threatSignals);
+
+    expect(incidental.content.technologyAreas).toEqual({});
+    expect(Object.keys(threats.content.technologyAreas).sort()).toEqual(['ARTIFICIAL_INTELLIGENCE', 'HYPERSONIC_WEAPONS']);
+    expect(incidental.content.cyberThreats).toBe('No cyber activity reported this period');
+    expect(threats.content.cyberThreats).toMatch(/^1 cyber-related signals, 1 critical; most reported: /);
+    expect(threats.metadata.activeTechnologyAreas).not.toBe(incidental.metadata.activeTechnologyAreas);
+  });
+
+  test('threat assessment', async () => {
+    const incidental = await generators.generateThreatAssessment(incidentalSignals, patterns);
+    const threats = await generators.generateThreatAssessment(threatSignals, patterns);
+
+    expect(incidental.content.threatsByType).toEqual({});
+    expect(Object.keys(threats.content.threatsByType).sort()).toEqual(['CYBER', 'MILITARY']);
+    expect(threats.content.threatsByType.CYBER.signals.map(s => s.id)).toEqual(['t3']);
+  });
+
+  test('implication horizons', () => {
+    // Priority decides without keywords; AI and MACH set the horizon when named
+    expect(generators.getImplicationHorizon(incidentalSignals[0])).toBe('short_term');
+    expect(generators.getImplicationHorizon(threatSignals[0])).toBe('long_term');
+    expect(generators.getImplicationHorizon(threatSignals[1])).toBe('short_term');
+    expect(generators.getImplicationHorizon(threatSignals[2])).toBe('immediate');
+  });
+});
+
+describe('baseline trends', () => {
+  const ai = (id) => signal(id, 'New AI model fielded', 'Machine learning guides targeting.');
+  const quantum = (id) => signal(id, 'Quantum computing milestone', 'Qubits held for longer.');
+
+  test('detectTrends marks rising, falling and new keys against the scaled baseline', () => {
+    const current = { RISE: 6, FALL: 1, NEW: 3, FLAT: 4 };
+    const baseline = { RISE: 2, FALL: 8, GONE: 4, FLAT: 4 };
+
+    const byKey = (trends) => Object.fromEntries(trends.map(trend => [trend.key, trend.direction]));
+
+    expect(byKey(generators.detectTrends(current, baseline, 1)))
+      .toEqual({ RISE: 'RISING', FALL: 'FALLING', NEW: 'NEW', GONE: 'FALLING' });
+    // A baseline window twice as long halves the expected counts
+    expect(byKey(generators.detectTrends(current, baseline, 0.5)))
+      .toEqual({ RISE: 'RISING', FALL: 'FALLING', NEW: 'NEW', GONE: 'FALLING', FLAT: 'RISING' });
+    expect(generators.detectTrends(current, baseline, 1).find(trend => trend.key === 'RISE'))
+      .toMatchObject({ current: 6, expected: 2, change: 200 });
+  });
+
+  test('technology trends follow the current and baseline windows', () => {
+    const aiUp = { current: [ai('c1'), ai('c2'), ai('c3')], baseline: [ai('b1'), quantum('b2'), quantum('b3')], scale: 1 };
+    const aiDown = { current: [quantum('c1'), quantum('c2'), quantum('c3')], baseline: [ai('b1'), ai('b2'), ai('b3')], scale: 1 };
+
+    const up = generators.identifyTechnologyTrends(aiUp.current, aiUp);
+    const down = generators.identifyTechnologyTrends(aiDown.current, aiDown);
+
+    expect(up).toEqual([
+      'ARTIFICIAL INTELLIGENCE: rising +200% vs baseline (3 signals, 1 expected)[signal:c1][signal:c2][signal:c3]',
+      'QUANTUM TECHNOLOGY: falling -100% vs baseline (0 signals, 2 expected)'
+    ]);
+    expect(down).toEqual([
+      'QUANTUM TECHNOLOGY: new this period (3 signals, none in baseline)[signal:c1][signal:c2][signal:c3]',
+      'ARTIFICIAL INTELLIGENCE: falling -100% vs baseline (0 signals, 3 expected)'
+    ]);
+  });
+
+  test('without a baseline, technology areas are ranked by current activity', () => {
+    const windows = { current: [ai('c1'), ai('c2')], baseline: [], scale: 0 };
+
+    expect(generators.identifyTechnologyTrends(windows.current, windows))
+      .toEqual(['ARTIFICIAL INTELLIGENCE: 2 signals this period[signal:c1][signal:c2]']);
+  });
+});
+
+describe('regional stability', () => {
+  const regional = (id, priority, countries) => ({
+    ...signal(id, `Report ${id}`, '', priority, ['GEOPOLITICAL']),
+    intelligence: { priority, relevanceScore: 70, categories: ['GEOPOLITICAL'], entities: { countries } }
+  });
+  const calm = (country) => [regional(`${country}-1`, 'LOW', [country]), regional(`${country}-2`, 'LOW', [country])];
+  const tense = (country) => [regional(`${country}-1`, 'CRITICAL', [country]), regional(`${country}-2`, 'HIGH', [country])];
+
+  test('level follows the threat mix and trend the shift from the baseline', () => {
+    expect(generators.calculateStabilityIndicators(calm('CHINA'))).toMatchObject({
+      level: 'STABLE', trend: 'NO_BASELINE', threatScore: 0, stabilityIndex: 100
+    });
+    expect(generators.calculateStabilityIndicators(tense('CHINA'))).toMatchObject({
+      level: 'UNSTABLE', trend: 'NO_BASELINE', threatScore: 93
+    });
+    expect(generators.calculateStabilityIndicators(tense('CHINA'), calm('CHINA')).trend).toBe('DETERIORATING');
+    expect(generators.calculateStabilityIndicators(calm('CHINA'), tense('CHINA')).trend).toBe('IMPROVING');
+    expect(generators.calculateStabilityIndicators(tense('CHINA'), tense('CHINA')).trend).toBe('STEADY');
+  });
+
+  test('regional analysis compares each region with its own baseline', async () => {
+    const current = [...tense('CHINA'), ...calm('RUSSIA')];
+    const baseline = [...calm('CHINA'), ...tense('RUSSIA')];
+
+    const { content } = await generators.generateRegionalAnalysis(current, { trendWindows: { current, baseline, scale: 1 } });
+    const stability = (region) => content.regionalBreakdown[region].stabilityIndicators;
+
+    expect(stability('EAST_ASIA')).toMatchObject({ level: 'UNSTABLE', trend: 'DETERIORATING' });
+    expect(stability('EUROPE')).toMatchObject({ level: 'STABLE', trend: 'IMPROVING' });
+    expect(content.globalHotspots).toEqual(['EAST_ASIA']);
+
+    const { content: swapped } = await generators.generateRegionalAnalysis(baseline, { trendWindows: { current: baseline, baseline: current, scale: 1 } });
+
+    expect(swapped.regionalBreakdown.EAST_ASIA.stabilityIndicators).toMatchObject({ level: 'STABLE', trend: 'IMPROVING' });
+    expect(swapped.regionalBreakdown.EUROPE.stabilityIndicators).toMatchObject({ level: 'UNSTABLE', trend: 'DETERIORATING' });
+    expect(swapped.globalHotspots).toEqual(['EUROPE']);
+  });
+});
@@ -7,6 +7,7 @@ import { briefingPatternAnalyzer } from './patternAnalyzer.js';
 import { briefingSectionGenerators } from './sectionGenerators.js';
 import { briefingQualityAssessor } from './qualityAssessor.js';
 import { briefingTemplateManager } from './templateManager.js';
+import { briefingNarrativeWriter } from './narrativeWriter.js';
 import { formatIntelligenceDate } from '../../utils/dateHelpers.js';
 import { withErrorHandling } from '../../utils/errorHelpers.js';
 
@@ -19,6 +20,8 @@ export class DailyBriefingGenerator {
     // Briefing generation configuration
     this.config = {
       DAILY_ANALYSIS_HOURS: 24,
+      // Trends compare the analysis window with the days before it
+      BASELINE_WINDOW_DAYS: 7,
       MINIMUM_SIGNALS_FOR_BRIEFING: 3,
       MAXIMUM_SIGNALS_PER_BRIEFING: 15,
       PRIORITY_WEIGHT_MULTIPLIER: {
@@ -28,7 +31,9 @@ export class DailyBriefingGenerator {
         'LOW': 1.0
       },
       DEFAULT_TEMPLATE: 'STANDARD',
-      QUALITY_THRESHOLD: 70
+      QUALITY_THRESHOLD: 70,
+      // Lowest first, for a template section's minPriority filter
+      PRIORITY_ORDER: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']
     };
 
     // Generation statistics
@@ -43,7 +48,9 @@ export class DailyBriefingGenerator {
   /**
    * Generate complete daily intelligence briefing
    * @param {Array} signals - Array of intelligence signals
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options; `template` is a built-in
+   *   template key or a stored template from /api/briefing-templates, and
+   *   `narrative` (true or { tokenBudgets }) asks Claude to write each section
    * @returns {Object} Complete briefing with quality assessment
    */
   async generateDailyBriefing(signals, options = {}) {
@@ -73,17 +80,27 @@ export class DailyBriefingGenerator {
       console.log('🔍 Analyzing signal patterns...');
       briefingData.patterns = briefingPatternAnalyzer.analyzeSignalPatterns(preparedSignals);
 
-      // Step 3: Generate individual sections
+      // Step 3: Generate the template's sections
       console.log('📝 Generating briefing sections...');
-      await this.generateAllSections(briefingData, preparedSignals);
+      const template = briefingTemplateManager.resolveTemplate(options.template || this.config.DEFAULT_TEMPLATE);
+      await this.generateAllSections(briefingData, preparedSignals, template, this.selectTrendWindows(signals));
+
+      if (options.narrative) {
+        console.log('🖋️ Writing section narratives...');
+        briefingData.metadata.narrative = await this.addSectionNarratives(
+          briefingData,
+          preparedSignals,
+          template,
+          options.narrative === true ? {} : options.narrative
+        );
+      }
 
       // Step 4: Compile final briefing
       console.log('📋 Compiling final briefing...');
-      const templateType = options.template || this.config.DEFAULT_TEMPLATE;
       const compiledBriefing = briefingTemplateManager.compileFinalBriefing(
         briefingData,
         preparedSignals,
-        templateType
+        options.template || this.config.DEFAULT_TEMPLATE
       );
 
       // Step 5: Assess briefing quality
@@ -124,48 +141,40 @@ export class DailyBriefingGenerator {
   }
 
   /**
-   * Generate all briefing sections
+   * Generate every section of the template through the section registry
    * @param {Object} briefingData - Briefing data object to populate
    * @param {Array} signals - Prepared signals
+   * @param {Object} template - Resolved template (see briefingTemplateManager.resolveTemplate)
+   * @param {Object} trendWindows - { current, baseline, scale } from selectTrendWindows
    */
-  async generateAllSections(briefingData, signals) {
+  async generateAllSections(briefingData, signals, template, trendWindows = { current: [], baseline: [], scale: 0 }) {
     const patterns = briefingData.patterns;
 
-    // Generate sections in parallel for better performance
-    const sectionPromises = [
-      this.generateSectionSafely('EXECUTIVE_SUMMARY', 
-        briefingSectionGenerators.generateExecutiveSummary(signals, patterns)),
-      
-      this.generateSectionSafely('PRIORITY_DEVELOPMENTS', 
-        briefingSectionGenerators.generatePriorityDevelopments(signals)),
-      
-      this.generateSectionSafely('THREAT_ASSESSMENT', 
-        briefingSectionGenerators.generateThreatAssessment(signals, patterns)),
-      
-      this.generateSectionSafely('REGIONAL_ANALYSIS', 
-        briefingSectionGenerators.generateRegionalAnalysis(signals)),
-      
-      this.generateSectionSafely('TECHNOLOGY_INTELLIGENCE', 
-        briefingSectionGenerators.generateTechnologyIntelligence(signals)),
-      
-      this.generateSectionSafely('STRATEGIC_IMPLICATIONS', 
-        briefingSectionGenerators.generateStrategicImplications(signals, patterns)),
-      
-      this.generateSectionSafely('RECOMMENDATIONS', 
-        briefingSectionGenerators.generateRecommendations(signals, patterns))
-    ];
+    // Generate sections in parallel for better performance. Each section's
+    // filters apply to its trend windows too, so trends compare like with like.
+    const sectionPromises = template.sections.map(section =>
+      this.generateSectionSafely(section.key, briefingSectionGenerators.generateSection(
+        section.type,
+        this.filterSignalsForSection(signals, section.filters),
+        patterns,
+        {
+          section,
+          allSignals: signals,
+          trendWindows: {
+            current: this.filterSignalsForSection(trendWindows.current, section.filters),
+            baseline: this.filterSignalsForSection(trendWindows.baseline, section.filters),
+            scale: trendWindows.scale
+          }
+        }
+      ))
+    );
 
     // Wait for all sections to complete
     const sectionResults = await Promise.allSettled(sectionPromises);
 
     // Process results and handle any failures
-    const sectionNames = [
-      'EXECUTIVE_SUMMARY', 'PRIORITY_DEVELOPMENTS', 'THREAT_ASSESSMENT',
-      'REGIONAL_ANALYSIS', 'TECHNOLOGY_INTELLIGENCE', 'STRATEGIC_IMPLICATIONS', 'RECOMMENDATIONS'
-    ];
-
     sectionResults.forEach((result, index) => {
-      const sectionName = sectionNames[index];
+      const sectionName = template.sections[index].key;
       
       if (result.status === 'fulfilled' && result.value) {
         briefingData.sections[sectionName] = result.value;
@@ -177,6 +186,79 @@ export class DailyBriefingGenerator {
     });
   }
 
+  /**
+   * Attach a Claude-written narrative to every section. A section whose call
+   * fails keeps its template output, as do all sections when the API is down.
+   * @param {Object} briefingData - Briefing data with generated sections
+   * @param {Array} signals - Prepared signals
+   * @param {Object} template - Resolved template
+   * @param {Object} narrativeOptions - { tokenBudgets } per section type
+   * @returns {Object} Narrative summary for the briefing metadata
+   */
+  async addSectionNarratives(briefingData, signals, template, narrativeOptions) {
+    const summary = { written: [], fallback: [], outputTokens: 0 };
+
+    if (!await briefingNarrativeWriter.isAvailable()) {
+      console.warn('⚠️ Narrative API unavailable, keeping template output');
+      summary.fallback = template.sections.map(section => section.key);
+      return summary;
+    }
+
+    const results = await Promise.allSettled(template.sections.map(section =>
+      briefingNarrativeWriter.writeSection(
+        section,
+        this.filterSignalsForSection(signals, section.filters),
+        briefingData.patterns,
+        narrativeOptions
+      )
+    ));
+
+    results.forEach((result, index) => {
+      const sectionName = template.sections[index].key;
+      const sectionData = briefingData.sections[sectionName];
+
+      if (result.status === 'fulfilled' && sectionData) {
+        sectionData.narrative = result.value;
+        summary.written.push(sectionName);
+        summary.outputTokens += result.value.usage?.outputTokens || 0;
+      } else {
+        console.warn(`⚠️ No narrative for ${sectionName}, keeping template output:`, result.reason?.message);
+        summary.fallback.push(sectionName);
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Apply a template section's signal filters
+   * @param {Array} signals - Prepared signals
+   * @param {Object} filters - { categories, regions, minPriority }; empty keeps everything
+   * @returns {Array} Signals for the section
+   */
+  filterSignalsForSection(signals, filters = {}) {
+    const { categories = [], regions = [], minPriority } = filters;
+    const minRank = minPriority ? this.config.PRIORITY_ORDER.indexOf(minPriority) : -1;
+
+    return signals.filter(signal => {
+      const intelligence = signal.intelligence || {};
+
+      if (categories.length > 0 && !(intelligence.categories || []).some(category => categories.includes(category))) {
+        return false;
+      }
+
+      if (regions.length > 0) {
+        const signalRegions = (intelligence.entities?.countries || [])
+          .map(country => briefingPatternAnalyzer.getRegionForCountry(country));
+        if (!signalRegions.some(region => regions.includes(region))) {
+          return false;
+        }
+      }
+
+      return minRank < 0 || this.config.PRIORITY_ORDER.indexOf(intelligence.priority || 'LOW') >= minRank;
+    });
+  }
+
   /**
    * Generate section with error handling
    * @param {string} sectionName - Name of the section
@@ -213,7 +295,7 @@ export class DailyBriefingGenerator {
       reportingPeriod: `${new Date(now - 24*60*60*1000).toISOString().split('T')[0]} to ${now.toISOString().split('T')[0]}`,
       briefingId: `DIB-${now.toISOString().split('T')[0].replace(/-/g, '')}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
       version: '2.0',
-      templateType: options.template || this.config.DEFAULT_TEMPLATE,
+      templateType: options.template?.name || options.template || this.config.DEFAULT_TEMPLATE,
       generatedBy: 'Ghost Brief Intelligence Platform',
       ...options.metadata
     };
@@ -247,6 +329,36 @@ export class DailyBriefingGenerator {
       .slice(0, this.config.MAXIMUM_SIGNALS_PER_BRIEFING);
   }
 
+  /**
+   * Split raw signals into the analysis window (uncapped, unlike
+   * prepareSignalsForBriefing) and the baseline window before it
+   * @param {Array} signals - Raw signals array
+   * @returns {Object} { current, baseline, scale } where scale converts a
+   *   baseline count into the count expected over one analysis window
+   */
+  selectTrendWindows(signals) {
+    const analysisWindow = this.config.DAILY_ANALYSIS_HOURS * 60 * 60 * 1000;
+    const baselineWindow = this.config.BASELINE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const now = Date.now();
+
+    const current = [];
+    const baseline = [];
+    signals.forEach(signal => {
+      const age = now - new Date(signal.publishedAt || signal.fetchedAt).getTime();
+      if (age <= analysisWindow) {
+        current.push(signal);
+      } else if (age <= baselineWindow) {
+        baseline.push(signal);
+      }
+    });
+
+    return {
+      current,
+      baseline,
+      scale: analysisWindow / (baselineWindow - analysisWindow)
+    };
+  }
+
   /**
    * Calculate briefing weight for signal prioritization
    * @param {Object} signal - Signal object
@@ -424,9 +536,16 @@ ${signals.length > 0 ?
       validation.warnings.push('Most signals are older than analysis window. Briefing may lack current intelligence.');
     }
 
-    if (options.template && !briefingTemplateManager.templates[options.template]) {
-      validation.errors.push(`Unknown template type: ${options.template}`);
-      validation.isValid = false;
+    if (options.template) {
+      try {
+        const template = briefingTemplateManager.resolveTemplate(options.template);
+        template.sections
+          .filter(section => !briefingSectionGenerators.getSection(section.type))
+          .forEach(section => validation.warnings.push(`No generator registered for section type ${section.type}`));
+      } catch (error) {
+        validation.errors.push(error.message);
+        validation.isValid = false;
+      }
     }
 
     return validation;
@@ -10,4 +10,5 @@ export { dailyBriefingGenerator, DailyBriefingGenerator } from './briefingGenera
 export { briefingPatternAnalyzer, BriefingPatternAnalyzer } from './patternAnalyzer.js';
 export { briefingSectionGenerators, BriefingSectionGenerators } from './sectionGenerators.js';
 export { briefingQualityAssessor, BriefingQualityAssessor } from './qualityAssessor.js';
-export { briefingTemplateManager, BriefingTemplateManager } from './templateManager.js';
\ No newline at end of file
+export { briefingTemplateManager, BriefingTemplateManager } from './templateManager.js';
+export { briefingNarrativeWriter, BriefingNarrativeWriter } from './narrativeWriter.js';
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Briefing Narrative Writer
+ * Optional prose for briefing sections, written by Claude through the analysis
+ * API. Narratives cite signals inline as [signal:<id>].
+ */
+
+import { apiConfig } from '../../config/api.js';
+import { API_ENDPOINTS } from '../../constants/api.js';
+
+/**
+ * Briefing Narrative Writer Service
+ * Sends a section's signals and patterns to /api/briefing-narrative
+ */
+export class BriefingNarrativeWriter {
+  constructor() {
+    // Output tokens each section may use; the server caps every budget at 1500
+    this.tokenBudgets = {
+      EXECUTIVE_SUMMARY: 450,
+      PRIORITY_DEVELOPMENTS: 700,
+      THREAT_ASSESSMENT: 600,
+      REGIONAL_ANALYSIS: 600,
+      TECHNOLOGY_INTELLIGENCE: 500,
+      STRATEGIC_IMPLICATIONS: 600,
+      RECOMMENDATIONS: 400
+    };
+    this.defaultTokenBudget = 400;
+
+    // Most important signals first; the rest stay out of the prompt
+    this.maxSignalsPerSection = 15;
+    this.priorityWeights = { CRITICAL: 4, HIGH: 3, MEDIUM: 2, LOW: 1 };
+  }
+
+  /**
+   * Token budget of a section type
+   * @param {string} sectionType - Section type
+   * @param {Object} overrides - Per-type budgets from the generation options
+   * @returns {number} Output token budget
+   */
+  getTokenBudget(sectionType, overrides = {}) {
+    return overrides[sectionType] || this.tokenBudgets[sectionType] || this.defaultTokenBudget;
+  }
+
+  /**
+   * Whether the analysis API is reachable and has a Claude key
+   * @returns {Promise<boolean>} Availability
+   */
+  async isAvailable() {
+    const health = await apiConfig.healthCheck();
+    return Boolean(health.success && health.data?.claude_configured);
+  }
+
+  selectSignals(signals) {
+    return [...signals]
+      .sort((a, b) =>
+        (this.priorityWeights[b.intelligence?.priority] || 0) - (this.priorityWeights[a.intelligence?.priority] || 0) ||
+        (b.intelligence?.relevanceScore || 0) - (a.intelligence?.relevanceScore || 0)
+      )
+      .slice(0, this.maxSignalsPerSection)
+      .map(signal => ({
+        id: signal.id,
+        title: signal.title,
+        summary: signal.summary || signal.content?.substring(0, 400) || '',
+        priority: signal.intelligence?.priority,
+        categories: signal.intelligence?.categories || [],
+        countries: signal.intelligence?.entities?.countries || [],
+        source: signal.source?.feedName || signal.source?.name,
+        publishedAt: signal.publishedAt || signal.fetchedAt
+      }));
+  }
+
+  summarizePatterns(patterns = {}) {
+    const top = (counts = {}) => Object.fromEntries(Object.entries(counts).slice(0, 5));
+
+    return {
+      themes: top(patterns.themes),
+      regions: top(patterns.regions),
+      threats: patterns.threats || {}
+    };
+  }
+
+  /**
+   * Write the narrative of one section
+   * @param {Object} section - Resolved template section ({ type, header })
+   * @param {Array} signals - The section's signals
+   * @param {Object} patterns - Pattern analysis results
+   * @param {Object} options - { tokenBudgets } overrides
+   * @returns {Promise<Object>} { text, citations, truncated, usage, model }
+   */
+  async writeSection(section, signals, patterns, options = {}) {
+    const selected = this.selectSignals(signals.filter(signal => signal.id));
+    if (selected.length === 0) {
+      throw new Error('No identifiable signals to cite');
+    }
+
+    const response = await apiConfig.makeRequest(API_ENDPOINTS.BRIEFING_NARRATIVE, {
+      method: 'POST',
+      body: JSON.stringify({
+        sectionType: section.type,
+        title: section.header.replace(/^#+\s*/, ''),
+        signals: selected,
+        patterns: this.summarizePatterns(patterns),
+        maxTokens: this.getTokenBudget(section.type, options.tokenBudgets)
+      })
+    });
+
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.details || result.error || 'Narrative generation failed');
+    }
+
+    return {
+      text: result.narrative,
+      citations: result.citations,
+      truncated: result.truncated,
+      usage: result.usage,
+      model: result.model
+    };
+  }
+}
+
+// Export singleton instance
+export const briefingNarrativeWriter = new BriefingNarrativeWriter();
@@ -3,6 +3,7 @@
  * Individual generators for each section of the daily intelligence briefing
  */
 
+import { briefingPatternAnalyzer } from './patternAnalyzer.js';
 
 /**
  * Section Generation Service for Daily Briefings
@@ -67,6 +68,116 @@ export class BriefingSectionGenerators {
         timeframe: 'YEARS'
       }
     };
+
+    // Language pointing to de-escalation or cooperation (whole words only)
+    this.opportunityKeywords = ['AGREEMENT', 'TREATY', 'TALKS', 'CEASEFIRE', 'PARTNERSHIP', 'COOPERATION', 'SUMMIT', 'NEGOTIATION', 'DIALOGUE', 'ACCORD'];
+
+    this.priorityWeights = { CRITICAL: 4, HIGH: 3, MEDIUM: 2, LOW: 1 };
+
+    // Whole-word patterns of the keywords above, built on first use
+    this.keywordPatterns = new Map();
+
+    // Trend detection against the baseline window (see detectTrends)
+    this.trendConfig = {
+      MIN_SIGNALS: 2, // Fewer signals than this are never reported as a trend
+      RISE_RATIO: 1.5, // Rising: at least 1.5x the baseline rate
+      FALL_RATIO: 0.5, // Falling: at most half the baseline rate
+      STABILITY_SHIFT: 10 // Threat score points before a region is improving or deteriorating
+    };
+
+    // Section types templates can use, keyed by type
+    this.sectionRegistry = new Map();
+    this.registerBuiltInSections();
+  }
+
+  registerBuiltInSections() {
+    this.registerSection('EXECUTIVE_SUMMARY', {
+      title: 'Executive Summary',
+      generate: (signals, patterns) => this.generateExecutiveSummary(signals, patterns)
+    });
+    this.registerSection('PRIORITY_DEVELOPMENTS', {
+      title: 'Priority Intelligence Developments',
+      generate: (signals, patterns, context) => this.generatePriorityDevelopments(signals, context)
+    });
+    this.registerSection('THREAT_ASSESSMENT', {
+      title: 'Current Threat Assessment',
+      generate: (signals, patterns, context) => this.generateThreatAssessment(signals, patterns, context)
+    });
+    this.registerSection('REGIONAL_ANALYSIS', {
+      title: 'Regional Intelligence Analysis',
+      generate: (signals, patterns, context) => this.generateRegionalAnalysis(signals, context)
+    });
+    this.registerSection('TECHNOLOGY_INTELLIGENCE', {
+      title: 'Technology Intelligence Watch',
+      generate: (signals, patterns, context) => this.generateTechnologyIntelligence(signals, context)
+    });
+    this.registerSection('STRATEGIC_IMPLICATIONS', {
+      title: 'Strategic Implications Assessment',
+      generate: (signals, patterns, context) => this.generateStrategicImplications(signals, patterns, context)
+    });
+    this.registerSection('RECOMMENDATIONS', {
+      title: 'Intelligence Recommendations',
+      generate: (signals, patterns) => this.generateRecommendations(signals, patterns)
+    });
+  }
+
+  /**
+   * Register a section type that templates can include. Registering an
+   * existing type replaces it.
+   * @param {string} type - Upper-case key, e.g. 'SUPPLY_CHAIN_WATCH'
+   * @param {Object} definition - Section definition
+   * @param {string} definition.title - Display title (also the default header)
+   * @param {Function} definition.generate - (signals, patterns, context) => section data, may be async
+   * @param {Function} [definition.format] - (sectionData, formatConfig) => markdown; the generic formatter is used when omitted
+   * @param {string} [definition.description] - Shown in the template editor
+   */
+  registerSection(type, definition) {
+    if (!/^[A-Z][A-Z0-9_]{1,49}$/.test(type)) {
+      throw new Error(`Invalid section type "${type}": use upper-case letters, digits and underscores`);
+    }
+    if (!definition || typeof definition.generate !== 'function') {
+      throw new Error(`Section type ${type} needs a generate function`);
+    }
+
+    this.sectionRegistry.set(type, {
+      type,
+      title: definition.title || type.replace(/_/g, ' '),
+      description: definition.description || null,
+      generate: definition.generate,
+      format: definition.format || null
+    });
+  }
+
+  unregisterSection(type) {
+    return this.sectionRegistry.delete(type);
+  }
+
+  getSection(type) {
+    return this.sectionRegistry.get(type) || null;
+  }
+
+  /**
+   * Registered section types for the template editor
+   * @returns {Array} [{ type, title, description }]
+   */
+  listSections() {
+    return Array.from(this.sectionRegistry.values()).map(({ type, title, description }) => ({ type, title, description }));
+  }
+
+  /**
+   * Generate a section through the registry
+   * @param {string} type - Registered section type
+   * @param {Array} signals - Signals selected for this section
+   * @param {Object} patterns - Pattern analysis results
+   * @param {Object} context - { section, allSignals, trendWindows } from the template being compiled
+   * @returns {Promise<Object>} Section data
+   */
+  async generateSection(type, signals, patterns, context = {}) {
+    const definition = this.getSection(type);
+    if (!definition) {
+      throw new Error(`No section generator registered for ${type}`);
+    }
+    return definition.generate(signals, patterns, context);
   }
 
   /**
@@ -88,22 +199,28 @@ export class BriefingSectionGenerators {
       .slice(0, 5)
       .map(([country, count]) => ({ country, count }));
 
+    const themeSignals = signals.filter(s =>
+      topThemes.some(({ theme }) => s.intelligence?.categories?.includes(theme))
+    );
+
     return {
       title: 'Executive Summary',
       content: {
-        overviewStatement: this.generateOverallAssessment(signals, patterns),
+        overviewStatement: this.generateOverallAssessment(signals, patterns) +
+          this.cite(criticalSignals.length > 0 ? criticalSignals : highSignals),
         keyHighlights: [
-          `${criticalSignals.length} critical intelligence developments identified`,
-          `${Object.keys(patterns.regions).length} regions showing significant activity`,
-          `Primary focus areas: ${topThemes.map(t => t.theme).join(', ')}`
+          `${criticalSignals.length} critical intelligence developments identified${this.cite(criticalSignals)}`,
+          `${Object.keys(patterns.regions).length} regions showing significant activity${this.cite(signals.filter(s => s.intelligence?.entities?.countries?.length > 0))}`,
+          `Primary focus areas: ${topThemes.map(t => t.theme).join(', ')}${this.cite(themeSignals)}`
         ],
         criticalDevelopments: criticalSignals.slice(0, 3).map(signal => ({
           title: signal.title,
           priority: signal.intelligence?.priority,
           entities: signal.intelligence?.entities?.countries?.slice(0, 3) || [],
-          timeframe: this.calculateTimeframe(signal)
+          timeframe: this.calculateTimeframe(signal),
+          signalIds: this.signalIds([signal])
         })),
-        recommendedActions: this.generateExecutiveRecommendations(criticalSignals, patterns)
+        recommendedActions: this.generateExecutiveRecommendations(criticalSignals, patterns, signals)
       },
       metadata: {
         signalCount: signals.length,
@@ -117,9 +234,10 @@ export class BriefingSectionGenerators {
   /**
    * Generate Priority Developments section
    * @param {Array} signals - Filtered signals for analysis
+   * @param {Object} context - Generation context; trendWindows enables baseline comparison
    * @returns {Object} Priority developments section
    */
-  async generatePriorityDevelopments(signals) {
+  async generatePriorityDevelopments(signals, context = {}) {
     const prioritySignals = signals.filter(s => 
       ['CRITICAL', 'HIGH'].includes(s.intelligence?.priority)
     ).slice(0, 8);
@@ -134,7 +252,8 @@ export class BriefingSectionGenerators {
       source: {
         name: signal.source?.feedName || 'Unknown',
         credibility: signal.source?.credibilityScore || 70
-      }
+      },
+      signalIds: this.signalIds([signal])
     }));
 
     return {
@@ -142,7 +261,7 @@ export class BriefingSectionGenerators {
       content: {
         developments,
         summary: `${developments.length} priority developments requiring attention`,
-        trends: this.identifyDevelopmentTrends(developments)
+        trends: this.identifyDevelopmentTrends(prioritySignals, context.trendWindows)
       },
       metadata: {
         totalDevelopments: developments.length,
@@ -156,9 +275,10 @@ export class BriefingSectionGenerators {
    * Generate Threat Assessment section
    * @param {Array} signals - Filtered signals for analysis
    * @param {Object} patterns - Pattern analysis results
+   * @param {Object} context - Generation context; trendWindows enables baseline comparison
    * @returns {Object} Threat assessment section
    */
-  async generateThreatAssessment(signals, patterns) {
+  async generateThreatAssessment(signals, patterns, context = {}) {
     const threatSignals = signals.filter(s => 
       ['CRITICAL', 'HIGH'].includes(s.intelligence?.priority)
     );
@@ -167,10 +287,9 @@ export class BriefingSectionGenerators {
 
     // Categorize threats by type
     Object.entries(this.threatMatrix).forEach(([threatType, config]) => {
-      const relevantSignals = threatSignals.filter(signal => {
-        const content = (signal.title + ' ' + (signal.content || signal.summary || '')).toUpperCase();
-        return config.keywords.some(keyword => content.includes(keyword));
-      });
+      const relevantSignals = threatSignals.filter(signal =>
+        this.matchKeywordGroups(signal, { [threatType]: config }).length > 0
+      );
 
       if (relevantSignals.length > 0) {
         threatsByType[threatType] = {
@@ -190,7 +309,7 @@ export class BriefingSectionGenerators {
         threatsByType,
         overallThreatLevel: this.calculateOverallThreatLevel(patterns.threats),
         immediateThreats: this.identifyImmediateThreats(threatSignals),
-        emergingThreats: this.identifyEmergingThreats(signals),
+        emergingThreats: this.identifyEmergingThreats(signals, context.trendWindows),
         threatTrends: this.analyzeThreatTrends(threatsByType),
         recommendation: this.generateThreatRecommendation(threatsByType)
       },
@@ -205,9 +324,10 @@ export class BriefingSectionGenerators {
   /**
    * Generate Regional Analysis section
    * @param {Array} signals - Filtered signals for analysis
+   * @param {Object} context - Generation context; trendWindows enables baseline comparison
    * @returns {Object} Regional analysis section
    */
-  async generateRegionalAnalysis(signals) {
+  async generateRegionalAnalysis(signals, context = {}) {
     const regionalBreakdown = {};
 
     // Regional classification
@@ -219,11 +339,14 @@ export class BriefingSectionGenerators {
       'SOUTH_ASIA': ['INDIA', 'PAKISTAN', 'BANGLADESH', 'AFGHANISTAN']
     };
 
+    const inRegion = (countries) => (signal) => {
+      const signalCountries = signal.intelligence?.entities?.countries || [];
+      return countries.some(country => signalCountries.includes(country));
+    };
+
     Object.entries(regionalClassification).forEach(([region, countries]) => {
-      const regionalSignals = signals.filter(signal => {
-        const signalCountries = signal.intelligence?.entities?.countries || [];
-        return countries.some(country => signalCountries.includes(country));
-      });
+      const regionalSignals = signals.filter(inRegion(countries));
+      const baselineSignals = (context.trendWindows?.baseline || []).filter(inRegion(countries));
 
       if (regionalSignals.length > 0) {
         regionalBreakdown[region] = {
@@ -234,9 +357,10 @@ export class BriefingSectionGenerators {
           keyDevelopments: regionalSignals.slice(0, 2).map(signal => ({
             title: signal.title,
             priority: signal.intelligence?.priority,
-            entities: signal.intelligence?.entities?.countries || []
+            entities: signal.intelligence?.entities?.countries || [],
+            signalIds: this.signalIds([signal])
           })),
-          stabilityIndicators: this.calculateStabilityIndicators(regionalSignals)
+          stabilityIndicators: this.calculateStabilityIndicators(regionalSignals, baselineSignals)
         };
       }
     });
@@ -266,23 +390,22 @@ export class BriefingSectionGenerators {
   /**
    * Generate Technology Intelligence section
    * @param {Array} signals - Filtered signals for analysis
+   * @param {Object} context - Generation context; trendWindows enables baseline comparison
    * @returns {Object} Technology intelligence section
    */
-  async generateTechnologyIntelligence(signals) {
-    const techSignals = signals.filter(s => 
-      s.intelligence?.categories?.some(cat => 
-        ['TECHNOLOGY', 'CYBERSECURITY', 'SCIENCE'].includes(cat)
-      )
-    );
+  async generateTechnologyIntelligence(signals, context = {}) {
+    const techSignals = signals.filter(signal => this.isTechnologySignal(signal));
 
-    const technologyAreas = { ...this.technologyAreas };
+    // Per-call copies: the area configuration is shared between briefings
+    const technologyAreas = Object.fromEntries(
+      Object.entries(this.technologyAreas).map(([area, config]) => [area, { ...config }])
+    );
 
     // Analyze each technology area
     Object.entries(technologyAreas).forEach(([area, config]) => {
-      config.signals = techSignals.filter(signal => {
-        const content = (signal.title + ' ' + (signal.content || signal.summary || '')).toUpperCase();
-        return config.keywords.some(keyword => content.includes(keyword));
-      });
+      config.signals = techSignals.filter(signal =>
+        this.matchKeywordGroups(signal, { [area]: config }).length > 0
+      );
       config.activityLevel = this.calculateTechnologyActivityLevel(config.signals);
       config.strategicImportance = this.assessStrategicImportance(config.signals, area);
     });
@@ -302,14 +425,15 @@ export class BriefingSectionGenerators {
               developments: config.signals.slice(0, 2).map(s => ({
                 title: s.title,
                 priority: s.intelligence?.priority,
-                relevance: s.intelligence?.relevanceScore
+                relevance: s.intelligence?.relevanceScore,
+                signalIds: this.signalIds([s])
               })),
               strategicImportance: config.strategicImportance
             }])
         ),
         cyberThreats: this.analyzeCyberThreats(techSignals),
-        technologyTrends: this.identifyTechnologyTrends(techSignals),
-        emergingTechnologies: this.identifyEmergingTechnologies(techSignals),
+        technologyTrends: this.identifyTechnologyTrends(techSignals, context.trendWindows),
+        emergingTechnologies: this.identifyEmergingTechnologies(context.trendWindows),
         recommendations: this.generateTechnologyRecommendations(technologyAreas)
       },
       metadata: {
@@ -324,9 +448,10 @@ export class BriefingSectionGenerators {
    * Generate Strategic Implications section
    * @param {Array} signals - Filtered signals for analysis
    * @param {Object} patterns - Pattern analysis results
+   * @param {Object} context - Generation context; trendWindows enables baseline comparison
    * @returns {Object} Strategic implications section
    */
-  async generateStrategicImplications(signals, patterns) {
+  async generateStrategicImplications(signals, patterns, context = {}) {
     const strategicSignals = signals.filter(s => 
       s.intelligence?.relevanceScore >= 70 || 
       ['CRITICAL', 'HIGH'].includes(s.intelligence?.priority)
@@ -340,7 +465,7 @@ export class BriefingSectionGenerators {
           shortTerm: this.generateImplications(strategicSignals, 'short_term'),
           longTerm: this.generateImplications(strategicSignals, 'long_term')
         },
-        geopoliticalShifts: this.identifyGeopoliticalShifts(patterns),
+        geopoliticalShifts: this.identifyGeopoliticalShifts(patterns, context.trendWindows),
         powerDynamics: this.analyzePowerDynamics(signals),
         riskFactors: this.identifyRiskFactors(signals),
         opportunities: this.identifyOpportunities(signals),
@@ -375,7 +500,8 @@ export class BriefingSectionGenerators {
         rationale: `Critical priority signal with ${signal.intelligence?.relevanceScore}% relevance`,
         timeframe: 'Immediate (next 6 hours)',
         priority: 'CRITICAL',
-        entities: signal.intelligence?.entities?.countries?.slice(0, 3) || []
+        entities: signal.intelligence?.entities?.countries?.slice(0, 3) || [],
+        signalIds: this.signalIds([signal])
       });
     });
 
@@ -387,7 +513,8 @@ export class BriefingSectionGenerators {
         rationale: 'Multiple high-priority signals indicate elevated threat environment',
         timeframe: '24-72 hours',
         priority: 'HIGH',
-        affectedRegions: this.getAffectedRegions(highPrioritySignals)
+        affectedRegions: this.getAffectedRegions(highPrioritySignals),
+        signalIds: this.signalIds(highPrioritySignals)
       });
     }
 
@@ -402,7 +529,8 @@ export class BriefingSectionGenerators {
         rationale: `${count} signals in ${theme} category indicate sustained pattern`,
         timeframe: '1-4 weeks',
         priority: 'MEDIUM',
-        expectedOutcome: `Enhanced situational awareness in ${theme.toLowerCase()} domain`
+        expectedOutcome: `Enhanced situational awareness in ${theme.toLowerCase()} domain`,
+        signalIds: this.signalIds(signals.filter(s => s.intelligence?.categories?.includes(theme)))
       });
     });
 
@@ -440,16 +568,20 @@ export class BriefingSectionGenerators {
     }
   }
 
-  generateExecutiveRecommendations(criticalSignals, patterns) {
+  generateExecutiveRecommendations(criticalSignals, patterns, signals = []) {
     const recommendations = [];
 
     if (criticalSignals.length > 0) {
-      recommendations.push('Immediate assessment and monitoring of critical developments');
+      recommendations.push(`Immediate assessment and monitoring of critical developments${this.cite(criticalSignals)}`);
     }
 
     const topRegion = Object.entries(patterns.regions)[0];
     if (topRegion) {
-      recommendations.push(`Enhanced focus on ${topRegion[0].replace('_', ' ')} regional developments`);
+      const regionSignals = signals.filter(signal =>
+        (signal.intelligence?.entities?.countries || [])
+          .some(country => briefingPatternAnalyzer.getRegionForCountry(country) === topRegion[0])
+      );
+      recommendations.push(`Enhanced focus on ${topRegion[0].replace('_', ' ')} regional developments${this.cite(regionSignals)}`);
     }
 
     recommendations.push('Continue routine intelligence collection and analysis');
@@ -528,23 +660,173 @@ export class BriefingSectionGenerators {
       .map(([category]) => category);
   }
 
-  // Placeholder methods for complex analysis (to be implemented)
-  identifyDevelopmentTrends(developments) {
-    return ['Increasing military activity', 'Technology advancement acceleration'];
-  }
-
   calculateAveragePriority(signals) {
-    const priorityWeights = { CRITICAL: 4, HIGH: 3, MEDIUM: 2, LOW: 1 };
-    const totalWeight = signals.reduce((sum, s) => sum + (priorityWeights[s.intelligence?.priority] || 1), 0);
+    const totalWeight = signals.reduce((sum, s) => sum + (this.priorityWeights[s.intelligence?.priority] || 1), 0);
     return totalWeight / signals.length;
   }
 
+  isPrioritySignal(signal) {
+    return ['CRITICAL', 'HIGH'].includes(signal.intelligence?.priority);
+  }
+
+  isTechnologySignal(signal) {
+    return (signal.intelligence?.categories || []).some(cat =>
+      ['TECHNOLOGY', 'CYBERSECURITY', 'SCIENCE'].includes(cat)
+    );
+  }
+
+  /**
+   * Ids of the signals behind a statement, most relevant first as given
+   */
+  signalIds(signals, limit = 3) {
+    return signals.filter(signal => signal?.id).slice(0, limit).map(signal => String(signal.id));
+  }
+
+  /**
+   * Inline citation markers for a statement; compileFinalBriefing turns them
+   * into numbered footnotes
+   */
+  cite(signals, limit = 3) {
+    return this.signalIds(signals, limit).map(id => `[signal:${id}]`).join('');
+  }
+
+  // Signals among `signals` whose keyFn keys include `key`
+  signalsWithKey(signals, keyFn, key) {
+    return signals.filter(signal => (keyFn(signal) || []).includes(key));
+  }
+
+  signalText(signal) {
+    return (signal.title + ' ' + (signal.content || signal.summary || '')).toUpperCase();
+  }
+
+  /**
+   * Whether upper-cased text mentions a keyword as a whole word (or its
+   * plural), so short keywords like AI do not match inside UKRAINE or SAID
+   */
+  mentionsKeyword(text, keyword) {
+    if (!this.keywordPatterns.has(keyword)) {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      this.keywordPatterns.set(keyword, new RegExp(`\\b${escaped}S?\\b`));
+    }
+    return this.keywordPatterns.get(keyword).test(text);
+  }
+
+  /**
+   * Keys of the keyword groups (threat matrix, technology areas) a signal mentions
+   */
+  matchKeywordGroups(signal, groups) {
+    const text = this.signalText(signal);
+    return Object.entries(groups)
+      .filter(([, config]) => config.keywords.some(keyword => this.mentionsKeyword(text, keyword)))
+      .map(([key]) => key);
+  }
+
+  /**
+   * Count signals per key; keyFn returns the keys of one signal, each counted once
+   */
+  countBy(signals, keyFn) {
+    const counts = {};
+    signals.forEach(signal => {
+      new Set((keyFn(signal) || []).filter(Boolean)).forEach(key => {
+        counts[key] = (counts[key] || 0) + 1;
+      });
+    });
+    return counts;
+  }
+
+  hasBaseline(trendWindows) {
+    return Boolean(trendWindows && trendWindows.baseline.length > 0 && trendWindows.scale > 0);
+  }
+
+  /**
+   * Compare per-key counts of the current window with the baseline window.
+   * The baseline is scaled to the current window's length before comparing.
+   * @returns {Array} [{ key, current, expected, change, direction }], largest moves first
+   */
+  detectTrends(currentCounts, baselineCounts, scale) {
+    const { MIN_SIGNALS, RISE_RATIO, FALL_RATIO } = this.trendConfig;
+    const keys = new Set([...Object.keys(currentCounts), ...Object.keys(baselineCounts)]);
+
+    return [...keys]
+      .map(key => {
+        const current = currentCounts[key] || 0;
+        const expected = (baselineCounts[key] || 0) * scale;
+        let direction = null;
+
+        if (expected === 0) {
+          if (current >= MIN_SIGNALS) direction = 'NEW';
+        } else if (current >= MIN_SIGNALS && current >= expected * RISE_RATIO) {
+          direction = 'RISING';
+        } else if (expected >= MIN_SIGNALS && current <= expected * FALL_RATIO) {
+          direction = 'FALLING';
+        }
+
+        return {
+          key,
+          current,
+          expected: Math.round(expected * 10) / 10,
+          change: expected > 0 ? Math.round(((current - expected) / expected) * 100) : null,
+          direction
+        };
+      })
+      .filter(trend => trend.direction)
+      .sort((a, b) => Math.abs(b.current - b.expected) - Math.abs(a.current - a.expected));
+  }
+
+  describeTrend(trend, label) {
+    if (trend.direction === 'NEW') {
+      return `${label}: new this period (${trend.current} signals, none in baseline)`;
+    }
+    const sign = trend.change > 0 ? '+' : '';
+    return `${label}: ${trend.direction.toLowerCase()} ${sign}${trend.change}% vs baseline (${trend.current} signals, ${trend.expected} expected)`;
+  }
+
+  identifyDevelopmentTrends(signals, trendWindows) {
+    const categoriesOf = signal => signal.intelligence?.categories;
+
+    if (this.hasBaseline(trendWindows)) {
+      return this.detectTrends(
+        this.countBy(trendWindows.current, categoriesOf),
+        this.countBy(trendWindows.baseline, categoriesOf),
+        trendWindows.scale
+      )
+        .slice(0, 4)
+        .map(trend => this.describeTrend(trend, trend.key) +
+          this.cite(this.signalsWithKey(trendWindows.current, categoriesOf, trend.key)));
+    }
+
+    // Without a baseline, report where the priority developments concentrate
+    return Object.entries(this.countBy(signals, categoriesOf))
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 3)
+      .map(([category, count]) => `${category}: ${count} of ${signals.length} priority developments` +
+        this.cite(this.signalsWithKey(signals, categoriesOf, category)));
+  }
+
   identifyImmediateThreats(signals) {
     return signals.filter(s => s.intelligence?.priority === 'CRITICAL').slice(0, 3);
   }
 
-  identifyEmergingThreats(signals) {
-    return ['AI-powered cyberattacks', 'Quantum encryption vulnerabilities'];
+  identifyEmergingThreats(signals, trendWindows) {
+    const threatTypesOf = signal => this.matchKeywordGroups(signal, this.threatMatrix);
+
+    if (this.hasBaseline(trendWindows)) {
+      return this.detectTrends(
+        this.countBy(trendWindows.current, threatTypesOf),
+        this.countBy(trendWindows.baseline, threatTypesOf),
+        trendWindows.scale
+      )
+        .filter(trend => trend.direction !== 'FALLING')
+        .map(trend => this.describeTrend(trend, `${trend.key} threat activity`) +
+          this.cite(this.signalsWithKey(trendWindows.current, threatTypesOf, trend.key)));
+    }
+
+    // Without a baseline: threat types so far reported only below high priority
+    const priorityCounts = this.countBy(signals.filter(s => this.isPrioritySignal(s)), threatTypesOf);
+    return Object.entries(this.countBy(signals, threatTypesOf))
+      .filter(([threatType]) => !priorityCounts[threatType])
+      .map(([threatType, count]) => `${threatType} threat activity: ${count} lower-priority signals, none at high priority yet` +
+        this.cite(this.signalsWithKey(signals, threatTypesOf, threatType)));
   }
 
   analyzeThreatTrends(threatsByType) {
@@ -581,25 +863,328 @@ export class BriefingSectionGenerators {
     return 'STABLE';
   }
 
-  // Additional placeholder methods
-  calculateStabilityIndicators(signals) { return 'Moderate'; }
-  identifyGlobalHotspots(breakdown) { return Object.keys(breakdown).slice(0, 2); }
-  identifyCrossRegionalTrends(breakdown) { return ['Increased cooperation', 'Trade tensions']; }
-  calculateTechnologyActivityLevel(signals) { return signals.length > 5 ? 'High' : 'Moderate'; }
-  assessStrategicImportance(signals, area) { return 'High'; }
-  analyzeCyberThreats(signals) { return 'Multiple vectors identified'; }
-  identifyTechnologyTrends(signals) { return ['AI advancement', 'Quantum research']; }
-  identifyEmergingTechnologies(signals) { return ['Neural interfaces', 'Quantum sensors']; }
-  generateTechnologyRecommendations(areas) { return ['Monitor AI developments', 'Assess quantum threats']; }
-  generateImplications(signals, timeframe) { return [`${timeframe} implications identified`]; }
-  identifyGeopoliticalShifts(patterns) { return ['Power balance changes']; }
-  analyzePowerDynamics(signals) { return 'Shifting alliances observed'; }
-  identifyRiskFactors(signals) { return ['Regional instability', 'Technology gaps']; }
-  identifyOpportunities(signals) { return ['Diplomatic openings', 'Technology partnerships']; }
-  generateStrategicScenarios(signals, patterns) { return ['Best case', 'Most likely', 'Worst case']; }
-  getAffectedRegions(signals) { return ['East Asia', 'Middle East']; }
-  createPriorityMatrix(recommendations) { return 'High impact, medium effort'; }
-  assessResourceRequirements(recommendations) { return 'Standard analytical resources'; }
+  /**
+   * Threat score 0-100 of a set of signals: average priority weight,
+   * plus 10 points for every critical signal
+   */
+  calculateThreatScore(signals) {
+    if (signals.length === 0) return 0;
+
+    const averageWeight = this.calculateAveragePriority(signals);
+    const criticalCount = signals.filter(s => s.intelligence?.priority === 'CRITICAL').length;
+    const score = ((averageWeight - 1) / 3) * 100 + criticalCount * 10;
+
+    return Math.min(100, Math.round(score));
+  }
+
+  calculateStabilityIndicators(signals, baselineSignals = []) {
+    const threatScore = this.calculateThreatScore(signals);
+    const stabilityIndex = 100 - threatScore;
+
+    let trend = 'NO_BASELINE';
+    let baselineThreatScore = null;
+    if (baselineSignals.length > 0) {
+      baselineThreatScore = this.calculateThreatScore(baselineSignals);
+      const shift = threatScore - baselineThreatScore;
+      if (shift >= this.trendConfig.STABILITY_SHIFT) trend = 'DETERIORATING';
+      else if (shift <= -this.trendConfig.STABILITY_SHIFT) trend = 'IMPROVING';
+      else trend = 'STEADY';
+    }
+
+    let level = 'STABLE';
+    if (stabilityIndex < 25) level = 'UNSTABLE';
+    else if (stabilityIndex < 50) level = 'CONCERNING';
+    else if (stabilityIndex < 75) level = 'MONITORED';
+
+    return {
+      stabilityIndex,
+      level,
+      trend,
+      threatScore,
+      baselineThreatScore
+    };
+  }
+
+  identifyGlobalHotspots(breakdown) {
+    return Object.entries(breakdown)
+      .filter(([, data]) => ['UNSTABLE', 'CONCERNING'].includes(data.stabilityIndicators.level))
+      .sort(([, a], [, b]) =>
+        a.stabilityIndicators.stabilityIndex - b.stabilityIndicators.stabilityIndex || b.signalCount - a.signalCount
+      )
+      .slice(0, 3)
+      .map(([region]) => region);
+  }
+
+  identifyCrossRegionalTrends(breakdown) {
+    const regionsByTheme = {};
+    Object.entries(breakdown).forEach(([region, data]) => {
+      data.dominantThemes.forEach(theme => {
+        regionsByTheme[theme] = [...(regionsByTheme[theme] || []), region.replace(/_/g, ' ')];
+      });
+    });
+
+    const trends = Object.entries(regionsByTheme)
+      .filter(([, regions]) => regions.length >= 2)
+      .sort(([, a], [, b]) => b.length - a.length)
+      .map(([theme, regions]) => `${theme} activity across ${regions.join(', ')}`);
+
+    const deteriorating = Object.entries(breakdown)
+      .filter(([, data]) => data.stabilityIndicators.trend === 'DETERIORATING')
+      .map(([region]) => region.replace(/_/g, ' '));
+    if (deteriorating.length >= 2) {
+      trends.push(`Stability deteriorating in ${deteriorating.join(', ')}`);
+    }
+
+    return trends;
+  }
+
+  calculateTechnologyActivityLevel(signals) {
+    if (signals.length >= 5 || signals.some(s => s.intelligence?.priority === 'CRITICAL')) return 'High';
+    if (signals.length >= 3 || signals.some(s => this.isPrioritySignal(s))) return 'Elevated';
+    return signals.length > 0 ? 'Moderate' : 'None';
+  }
+
+  assessStrategicImportance(signals, area) {
+    if (signals.length === 0) return 'Low';
+
+    const avgRelevance = signals.reduce((sum, s) => sum + (s.intelligence?.relevanceScore || 50), 0) / signals.length;
+    const hasPrioritySignal = signals.some(s => this.isPrioritySignal(s));
+
+    if (this.technologyAreas[area]?.strategicImpact === 'CRITICAL' && (hasPrioritySignal || avgRelevance >= 75)) {
+      return 'Critical';
+    }
+    if (hasPrioritySignal || avgRelevance >= 60) return 'High';
+    return 'Moderate';
+  }
+
+  analyzeCyberThreats(signals) {
+    const keywords = this.threatMatrix.CYBER.keywords;
+    const cyberSignals = signals.filter(signal =>
+      signal.intelligence?.categories?.includes('CYBERSECURITY') ||
+      this.matchKeywordGroups(signal, { CYBER: this.threatMatrix.CYBER }).length > 0
+    );
+    if (cyberSignals.length === 0) return 'No cyber activity reported this period';
+
+    const criticalCount = cyberSignals.filter(s => s.intelligence?.priority === 'CRITICAL').length;
+    const vectors = Object.entries(this.countBy(cyberSignals, signal =>
+      keywords.filter(keyword => this.mentionsKeyword(this.signalText(signal), keyword))
+    ))
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 3)
+      .map(([keyword]) => keyword.toLowerCase());
+
+    let assessment = `${cyberSignals.length} cyber-related signals`;
+    if (criticalCount > 0) assessment += `, ${criticalCount} critical`;
+    if (vectors.length > 0) assessment += `; most reported: ${vectors.join(', ')}`;
+    return assessment;
+  }
+
+  identifyTechnologyTrends(signals, trendWindows) {
+    const areasOf = signal => this.matchKeywordGroups(signal, this.technologyAreas);
+    const label = area => area.replace(/_/g, ' ');
+
+    if (this.hasBaseline(trendWindows)) {
+      const current = trendWindows.current.filter(s => this.isTechnologySignal(s));
+      return this.detectTrends(
+        this.countBy(current, areasOf),
+        this.countBy(trendWindows.baseline.filter(s => this.isTechnologySignal(s)), areasOf),
+        trendWindows.scale
+      ).map(trend => this.describeTrend(trend, label(trend.key)) +
+        this.cite(this.signalsWithKey(current, areasOf, trend.key)));
+    }
+
+    // Without a baseline, rank areas by current activity
+    return Object.entries(this.countBy(signals, areasOf))
+      .sort(([, a], [, b]) => b - a)
+      .map(([area, count]) => `${label(area)}: ${count} signals this period` +
+        this.cite(this.signalsWithKey(signals, areasOf, area)));
+  }
+
+  // Technologies named in this period that were absent or rarer in the baseline
+  identifyEmergingTechnologies(trendWindows) {
+    if (!this.hasBaseline(trendWindows)) return [];
+
+    const technologiesOf = signal => signal.intelligence?.entities?.technologies;
+    return this.detectTrends(
+      this.countBy(trendWindows.current, technologiesOf),
+      this.countBy(trendWindows.baseline, technologiesOf),
+      trendWindows.scale
+    )
+      .filter(trend => trend.direction !== 'FALLING')
+      .slice(0, 5)
+      .map(trend => this.describeTrend(trend, trend.key) +
+        this.cite(this.signalsWithKey(trendWindows.current, technologiesOf, trend.key)));
+  }
+
+  generateTechnologyRecommendations(areas) {
+    const active = Object.entries(areas)
+      .filter(([, area]) => area.signals.length > 0)
+      .sort(([, a], [, b]) => b.signals.length - a.signals.length)
+      .slice(0, 3);
+
+    if (active.length === 0) return ['Maintain routine technology monitoring'];
+
+    return active.map(([name, area]) =>
+      `Monitor ${name.replace(/_/g, ' ').toLowerCase()} developments (${area.signals.length} signals, ${area.strategicImportance.toLowerCase()} importance)`
+    );
+  }
+
+  /**
+   * Horizon a signal's implications play out over: the most urgent timeframe
+   * of the threat types and technology areas it mentions, else its priority
+   */
+  getImplicationHorizon(signal) {
+    const horizons = {
+      IMMEDIATE: 'immediate', HOURS: 'immediate',
+      DAYS: 'short_term', WEEKS: 'short_term',
+      MONTHS: 'long_term', YEARS: 'long_term'
+    };
+    const matched = [
+      ...this.matchKeywordGroups(signal, this.threatMatrix).map(type => this.threatMatrix[type].timeframe),
+      ...this.matchKeywordGroups(signal, this.technologyAreas).map(area => this.technologyAreas[area].timeframe)
+    ].map(timeframe => horizons[timeframe]);
+
+    const horizon = ['immediate', 'short_term', 'long_term'].find(h => matched.includes(h));
+    if (horizon) return horizon;
+
+    const priority = signal.intelligence?.priority;
+    if (priority === 'CRITICAL') return 'immediate';
+    if (priority === 'HIGH') return 'short_term';
+    return 'long_term';
+  }
+
+  generateImplications(signals, timeframe) {
+    return signals
+      .filter(signal => this.getImplicationHorizon(signal) === timeframe)
+      .slice(0, 3)
+      .map(signal => {
+        const threatTypes = this.matchKeywordGroups(signal, this.threatMatrix);
+        const detail = [signal.intelligence?.priority, ...threatTypes].filter(Boolean).join(', ');
+        return (detail ? `${signal.title} (${detail})` : signal.title) + this.cite([signal]);
+      });
+  }
+
+  identifyGeopoliticalShifts(patterns, trendWindows) {
+    const countriesOf = signal => signal.intelligence?.entities?.countries;
+
+    if (this.hasBaseline(trendWindows)) {
+      return this.detectTrends(
+        this.countBy(trendWindows.current, countriesOf),
+        this.countBy(trendWindows.baseline, countriesOf),
+        trendWindows.scale
+      )
+        .slice(0, 4)
+        .map(trend => this.describeTrend(trend, `${trend.key} mentions`) +
+          this.cite(this.signalsWithKey(trendWindows.current, countriesOf, trend.key)));
+    }
+
+    // Without a baseline, report how concentrated regional activity is
+    const regions = Object.entries(patterns.regions || {});
+    const total = regions.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return [];
+
+    return regions
+      .slice(0, 2)
+      .map(([region, count]) => `${region.replace(/_/g, ' ')}: ${Math.round((count / total) * 100)}% of regional activity`);
+  }
+
+  analyzePowerDynamics(signals) {
+    const pairCounts = this.countBy(signals, signal => {
+      const countries = [...new Set(signal.intelligence?.entities?.countries || [])].sort();
+      return countries.flatMap((a, i) => countries.slice(i + 1).map(b => `${a} – ${b}`));
+    });
+
+    const recurring = Object.entries(pairCounts)
+      .filter(([, count]) => count >= 2)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 3);
+
+    if (recurring.length === 0) return 'No recurring country pairings this period';
+    return `Recurring pairings: ${recurring.map(([pair, count]) => `${pair} (${count} signals)`).join('; ')}`;
+  }
+
+  identifyRiskFactors(signals) {
+    const severityRank = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
+    const threatTypesOf = signal => this.matchKeywordGroups(signal, this.threatMatrix);
+    const risks = Object.entries(this.countBy(signals, threatTypesOf))
+      .sort(([a, countA], [b, countB]) =>
+        severityRank[this.threatMatrix[a].severity] - severityRank[this.threatMatrix[b].severity] || countB - countA
+      )
+      .map(([threatType, count]) => `${threatType} (${this.threatMatrix[threatType].severity.toLowerCase()} severity): ${count} signals` +
+        this.cite(this.signalsWithKey(signals, threatTypesOf, threatType)));
+
+    const lowCredibility = signals.filter(s => (s.source?.credibilityScore ?? 70) < 50);
+    if (lowCredibility.length >= 2) {
+      risks.push(`${lowCredibility.length} signals from low-credibility sources${this.cite(lowCredibility)}`);
+    }
+
+    return risks;
+  }
+
+  identifyOpportunities(signals) {
+    return signals
+      .map(signal => ({
+        signal,
+        keywords: this.opportunityKeywords.filter(keyword =>
+          this.mentionsKeyword(this.signalText(signal), keyword)
+        )
+      }))
+      .filter(({ keywords }) => keywords.length > 0)
+      .slice(0, 3)
+      .map(({ signal, keywords }) => `${signal.title} (${keywords.join(', ').toLowerCase()})${this.cite([signal])}`);
+  }
+
+  generateStrategicScenarios(signals, patterns) {
+    const scenarios = [];
+
+    const [topTheme] = Object.keys(patterns.themes || {});
+    if (topTheme) {
+      const threatLevel = this.calculateOverallThreatLevel(patterns.threats || {});
+      scenarios.push(`Most likely: ${topTheme.toLowerCase()} developments continue at ${threatLevel.toLowerCase()} threat level`);
+    }
+
+    const [topThreat] = Object.entries(this.countBy(signals, signal => this.matchKeywordGroups(signal, this.threatMatrix)))
+      .sort(([, a], [, b]) => b - a);
+    if (topThreat) {
+      scenarios.push(`Escalation: ${topThreat[0].toLowerCase()} activity intensifies beyond the ${topThreat[1]} signals reported`);
+    }
+
+    const [opportunity] = this.identifyOpportunities(signals);
+    if (opportunity) {
+      scenarios.push(`De-escalation: ${opportunity}`);
+    }
+
+    return scenarios;
+  }
+
+  getAffectedRegions(signals) {
+    const regionCounts = this.countBy(signals, signal =>
+      (signal.intelligence?.entities?.countries || []).map(country => briefingPatternAnalyzer.getRegionForCountry(country))
+    );
+
+    return Object.entries(regionCounts)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 3)
+      .map(([region]) => region.replace(/_/g, ' '));
+  }
+
+  createPriorityMatrix(recommendations) {
+    const matrix = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
+    [...recommendations.immediate, ...recommendations.shortTerm, ...recommendations.strategic]
+      .forEach(recommendation => {
+        matrix[recommendation.priority] = (matrix[recommendation.priority] || 0) + 1;
+      });
+    return matrix;
+  }
+
+  assessResourceRequirements(recommendations) {
+    const immediate = recommendations.immediate.length;
+    const shortTerm = recommendations.shortTerm.length;
+
+    if (immediate >= 3) return `Surge analytical support: ${immediate} critical items need attention within 6 hours`;
+    if (immediate + shortTerm > 0) return `Dedicated analyst coverage for ${immediate + shortTerm} priority items`;
+    return 'Standard analytical resources';
+  }
 }
 
 // Export singleton instance
@@ -5,6 +5,12 @@
 
 import { formatIntelligenceDate } from '../../utils/dateHelpers.js';
 import { formatPriority } from '../../utils/formatters.js';
+import { briefingSectionGenerators } from './sectionGenerators.js';
+
+// Section generators and narratives cite signals inline as [signal:<id>]
+const CITATION_MARKER = /\[signal:([^\]\s]+)\]/g;
+const CITATION_EXCERPT_LENGTH = 280;
+const SOURCES_HEADER = '## SOURCES';
 
 /**
  * Template Management Service for Daily Briefings
@@ -18,24 +24,32 @@ export class BriefingTemplateManager {
         name: 'Standard Daily Intelligence Briefing',
         sections: ['EXECUTIVE_SUMMARY', 'PRIORITY_DEVELOPMENTS', 'THREAT_ASSESSMENT', 'REGIONAL_ANALYSIS', 'TECHNOLOGY_INTELLIGENCE', 'STRATEGIC_IMPLICATIONS', 'RECOMMENDATIONS'],
         format: 'markdown',
+        exportFormats: ['html', 'pdf', 'docx'],
+        accentColor: '#1f4e79',
         classification: 'INTELLIGENCE ASSESSMENT'
       },
       EXECUTIVE: {
         name: 'Executive Intelligence Summary',
         sections: ['EXECUTIVE_SUMMARY', 'PRIORITY_DEVELOPMENTS', 'THREAT_ASSESSMENT', 'RECOMMENDATIONS'],
         format: 'markdown',
+        exportFormats: ['html', 'pdf', 'docx'],
+        accentColor: '#3b3b6d',
         classification: 'EXECUTIVE BRIEFING'
       },
       TACTICAL: {
         name: 'Tactical Intelligence Brief',
         sections: ['THREAT_ASSESSMENT', 'REGIONAL_ANALYSIS', 'PRIORITY_DEVELOPMENTS', 'RECOMMENDATIONS'],
         format: 'markdown',
+        exportFormats: ['html', 'pdf', 'docx'],
+        accentColor: '#4b5320',
         classification: 'TACTICAL BRIEFING'
       },
       MINIMAL: {
         name: 'Minimal Intelligence Update',
         sections: ['EXECUTIVE_SUMMARY', 'PRIORITY_DEVELOPMENTS'],
         format: 'markdown',
+        exportFormats: ['html', 'pdf', 'docx'],
+        accentColor: '#444444',
         classification: 'INTELLIGENCE UPDATE'
       }
     };
@@ -80,22 +94,104 @@ export class BriefingTemplateManager {
     };
   }
 
+  /**
+   * Normalize a built-in template key or a user-defined template (as stored
+   * by /api/briefing-templates) into the shape the compiler works with
+   * @param {string|Object} template - Built-in template key or stored template
+   * @returns {Object} Template with sections as [{ key, type, header, filters }]
+   */
+  resolveTemplate(template = 'STANDARD') {
+    if (typeof template === 'string') {
+      const builtIn = this.templates[template];
+      if (!builtIn) {
+        throw new Error(`Unknown template type: ${template}`);
+      }
+
+      return {
+        ...builtIn,
+        key: template,
+        header: null,
+        sections: builtIn.sections.map(type => ({
+          key: type,
+          type,
+          header: this.getSectionHeader(type),
+          filters: {}
+        }))
+      };
+    }
+
+    if (!template || !Array.isArray(template.sections)) {
+      throw new Error('Invalid briefing template');
+    }
+
+    // The same section type may appear more than once with different filters
+    const typeCounts = {};
+    return {
+      key: template.id || template.name,
+      name: template.name,
+      header: template.header || null,
+      classification: template.classification,
+      accentColor: template.accentColor || this.templates.STANDARD.accentColor,
+      format: 'markdown',
+      exportFormats: ['html', 'pdf', 'docx'],
+      sections: template.sections.map(section => {
+        typeCounts[section.type] = (typeCounts[section.type] || 0) + 1;
+        return {
+          key: typeCounts[section.type] > 1 ? `${section.type}_${typeCounts[section.type]}` : section.type,
+          type: section.type,
+          header: section.title ? `## ${section.title.toUpperCase()}` : this.getSectionHeader(section.type),
+          filters: section.filters || {}
+        };
+      })
+    };
+  }
+
+  /**
+   * Default markdown header of a section type
+   * @param {string} type - Section type
+   * @returns {string} Header line
+   */
+  getSectionHeader(type) {
+    if (this.sectionFormats[type]) {
+      return this.sectionFormats[type].header;
+    }
+    const registered = briefingSectionGenerators.getSection(type);
+    return `## ${(registered?.title || type.replace(/_/g, ' ')).toUpperCase()}`;
+  }
+
+  /**
+   * Template settings for the HTML/PDF/DOCX exporter (engine/briefExport.ts)
+   * @param {string|Object} templateType - Built-in template key or stored template
+   * @returns {Object} { key, name, classification, sections, sectionHeaders, accentColor }
+   */
+  getExportTemplate(templateType = 'STANDARD') {
+    const template = this.resolveTemplate(templateType);
+
+    return {
+      key: typeof templateType === 'string'
+        ? templateType
+        : template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom',
+      name: template.name,
+      classification: template.classification,
+      sections: template.sections.map(section => section.key),
+      sectionHeaders: Object.fromEntries(template.sections.map(section => [section.key, section.header])),
+      accentColor: template.accentColor
+    };
+  }
+
   /**
    * Compile final briefing from sections and metadata
    * @param {Object} briefingData - Complete briefing data
    * @param {Array} signals - Source signals used
-   * @param {string} templateType - Template type to use
+   * @param {string|Object} templateType - Built-in template key or stored template
    * @returns {Object} Compiled briefing
    */
   compileFinalBriefing(briefingData, signals, templateType = 'STANDARD') {
-    const template = this.templates[templateType];
-    if (!template) {
-      throw new Error(`Unknown template type: ${templateType}`);
-    }
+    const template = this.resolveTemplate(templateType);
 
     const compiledBriefing = {
       id: briefingData.metadata.briefingId,
-      title: this.generateBriefingTitle(briefingData.metadata, templateType),
+      title: this.generateBriefingTitle(briefingData.metadata, template),
       metadata: this.enhanceMetadata(briefingData.metadata, template),
       content: '',
       sections: {},
@@ -107,15 +203,15 @@ export class BriefingTemplateManager {
     compiledBriefing.content += this.generateBriefingHeader(compiledBriefing.metadata, template);
 
     // Compile each section according to template
-    template.sections.forEach(sectionName => {
-      if (briefingData.sections[sectionName]) {
+    template.sections.forEach(section => {
+      if (briefingData.sections[section.key]) {
         const formattedSection = this.formatSection(
-          sectionName,
-          briefingData.sections[sectionName],
-          this.sectionFormats[sectionName]
+          section.type,
+          briefingData.sections[section.key],
+          { ...this.sectionFormats[section.type], header: section.header }
         );
         
-        compiledBriefing.sections[sectionName] = briefingData.sections[sectionName];
+        compiledBriefing.sections[section.key] = briefingData.sections[section.key];
         compiledBriefing.content += formattedSection;
       }
     });
@@ -123,20 +219,118 @@ export class BriefingTemplateManager {
     // Add briefing footer
     compiledBriefing.content += this.generateBriefingFooter(compiledBriefing.metadata, signals);
 
+    // Number the sections' [signal:<id>] markers as footnotes back to the source articles
+    const { content, citations } = this.resolveCitations(compiledBriefing.content, signals);
+    compiledBriefing.content = content + this.formatSourcesSection(citations);
+    compiledBriefing.citations = citations;
+
     // Calculate final statistics
     compiledBriefing.statistics = this.calculateBriefingStatistics(compiledBriefing, signals);
 
     return compiledBriefing;
   }
 
+  // Inline citation markers for the signal ids of a formatted item
+  citeIds(signalIds = []) {
+    return signalIds.filter(Boolean).map(id => `[signal:${id}]`).join('');
+  }
+
+  /**
+   * Replace [signal:<id>] markers with markdown footnotes numbered by first use.
+   * Markers for signals that are not in the briefing are dropped.
+   * @param {string} content - Compiled markdown
+   * @param {Array} signals - Signals the briefing was compiled from
+   * @returns {Object} { content, citations: [{ marker, signalId, title, sourceUrl, sourceName, credibility, excerpt }] }
+   */
+  resolveCitations(content, signals) {
+    const signalById = new Map(signals.filter(signal => signal.id).map(signal => [String(signal.id), signal]));
+    const markerById = new Map();
+    const citations = [];
+
+    const resolved = content.replace(CITATION_MARKER, (marker, signalId) => {
+      const signal = signalById.get(signalId);
+      if (!signal) return '';
+
+      if (!markerById.has(signalId)) {
+        markerById.set(signalId, citations.length + 1);
+        citations.push(this.createCitation(citations.length + 1, signal));
+      }
+      return `[^${markerById.get(signalId)}]`;
+    });
+
+    // A statement citing the same signal twice keeps one marker
+    return { content: resolved.replace(/(\[\^\d+\])\1+/g, '$1'), citations };
+  }
+
+  createCitation(marker, signal) {
+    const excerpt = (signal.summary || signal.content || '').replace(/\s+/g, ' ').trim();
+    const credibility = signal.source?.credibilityScore ?? signal.credibility;
+
+    return {
+      marker,
+      signalId: String(signal.id),
+      title: signal.title,
+      sourceUrl: signal.url || signal.sourceUrl || signal.link || null,
+      sourceName: signal.source?.feedName || signal.source?.name || 'Unknown source',
+      credibility: typeof credibility === 'number' ? Math.round(credibility) : null,
+      excerpt: excerpt.length > CITATION_EXCERPT_LENGTH
+        ? `${excerpt.substring(0, CITATION_EXCERPT_LENGTH).trim()}…`
+        : excerpt
+    };
+  }
+
+  /**
+   * Footnote definitions, one per line:
+   * [^1]: [Title](url) — Source (credibility 80%, signal <id>): "excerpt"
+   */
+  formatSourcesSection(citations) {
+    if (citations.length === 0) return '';
+
+    const lines = citations.map(citation => {
+      const title = citation.title.replace(/[[\]]/g, '');
+      const link = citation.sourceUrl ? `[${title}](${citation.sourceUrl})` : title;
+      const credibility = citation.credibility !== null ? `${citation.credibility}%` : 'unrated';
+      const excerpt = citation.excerpt ? `: "${citation.excerpt.replace(/"/g, "'")}"` : '';
+      return `[^${citation.marker}]: ${link} — ${citation.sourceName} (credibility ${credibility}, signal ${citation.signalId})${excerpt}`;
+    });
+
+    return `\n${SOURCES_HEADER}\n\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Split compiled content into the body and its footnotes, for views and
+   * exports of briefings saved as plain markdown
+   * @param {string} content - Compiled markdown
+   * @returns {Object} { body, citations } in the shape of resolveCitations
+   */
+  parseCitations(content = '') {
+    const start = content.indexOf(`\n${SOURCES_HEADER}\n`);
+    if (start < 0) return { body: content, citations: [] };
+
+    const definition = /^\[\^(\d+)\]:\s*(?:\[(.*?)\]\((\S*)\)|(.*?))\s+—\s+(.*?)\s+\(credibility (\d+%|unrated), signal ([^)\s]+)\)(?::\s*"(.*)")?\s*$/;
+    const citations = content.substring(start).split('\n')
+      .map(line => line.match(definition))
+      .filter(Boolean)
+      .map(([, marker, linkedTitle, sourceUrl, plainTitle, sourceName, credibility, signalId, excerpt]) => ({
+        marker: Number(marker),
+        signalId,
+        title: linkedTitle ?? plainTitle,
+        sourceUrl: sourceUrl || null,
+        sourceName,
+        credibility: credibility === 'unrated' ? null : parseInt(credibility, 10),
+        excerpt: excerpt || ''
+      }));
+
+    return { body: content.substring(0, start), citations };
+  }
+
   /**
    * Generate briefing title based on metadata and template
    * @param {Object} metadata - Briefing metadata
-   * @param {string} templateType - Template type
+   * @param {Object} template - Resolved template (see resolveTemplate)
    * @returns {string} Generated title
    */
-  generateBriefingTitle(metadata, templateType) {
-    const template = this.templates[templateType];
+  generateBriefingTitle(metadata, template) {
     const date = new Date(metadata.generatedAt);
     const dateStr = date.toLocaleDateString('en-US', { 
       year: 'numeric', 
@@ -144,7 +338,7 @@ export class BriefingTemplateManager {
       day: 'numeric' 
     });
 
-    return `${template.name} - ${dateStr}`;
+    return `${template.header || template.name} - ${dateStr}`;
   }
 
   /**
@@ -174,7 +368,7 @@ export class BriefingTemplateManager {
   generateBriefingHeader(metadata, template) {
     const date = formatIntelligenceDate(metadata.generatedAt);
     
-    return `# ${metadata.title || 'Daily Intelligence Briefing'}
+    return `# ${template.header || metadata.title || 'Daily Intelligence Briefing'}
 
 **Classification:** ${metadata.classification}  
 **Date:** ${date}  
@@ -197,6 +391,11 @@ export class BriefingTemplateManager {
   formatSection(sectionName, sectionData, formatConfig) {
     let formattedContent = `\n${formatConfig.header}\n\n`;
 
+    // A Claude-written narrative replaces the template output
+    if (sectionData.narrative?.text) {
+      return `${formattedContent}${sectionData.narrative.text}\n\n---\n`;
+    }
+
     switch (sectionName) {
       case 'EXECUTIVE_SUMMARY':
         formattedContent += this.formatExecutiveSummary(sectionData, formatConfig);
@@ -219,8 +418,13 @@ export class BriefingTemplateManager {
       case 'RECOMMENDATIONS':
         formattedContent += this.formatRecommendations(sectionData, formatConfig);
         break;
-      default:
-        formattedContent += this.formatGenericSection(sectionData, formatConfig);
+      default: {
+        // Section types added through the registry may bring their own formatter
+        const registered = briefingSectionGenerators.getSection(sectionName);
+        formattedContent += registered?.format
+          ? registered.format(sectionData, formatConfig)
+          : this.formatGenericSection(sectionData, formatConfig);
+      }
     }
 
     formattedContent += '\n---\n';
@@ -248,7 +452,7 @@ export class BriefingTemplateManager {
     if (content.criticalDevelopments && content.criticalDevelopments.length > 0) {
       formatted += '**Critical Developments:**\n';
       content.criticalDevelopments.forEach((dev, index) => {
-        formatted += `${index + 1}. **${dev.title}** (${formatPriority(dev.priority).text})\n`;
+        formatted += `${index + 1}. **${dev.title}** (${formatPriority(dev.priority).text})${this.citeIds(dev.signalIds)}\n`;
         if (dev.entities && dev.entities.length > 0) {
           formatted += `   - Entities: ${dev.entities.join(', ')}\n`;
         }
@@ -285,7 +489,7 @@ export class BriefingTemplateManager {
       content.developments.forEach((dev, index) => {
         const priority = formatPriority(dev.priority);
         formatted += `### ${index + 1}. ${dev.title} ${priority.icon}\n\n`;
-        formatted += `**Summary:** ${dev.summary}\n\n`;
+        formatted += `**Summary:** ${dev.summary}${this.citeIds(dev.signalIds)}\n\n`;
         formatted += `**Priority:** ${priority.text}`;
         
         if (formatConfig.showRelevanceScores && dev.relevanceScore) {
@@ -349,7 +553,7 @@ export class BriefingTemplateManager {
         if (threat.signals && threat.signals.length > 0) {
           formatted += '**Key Indicators:**\n';
           threat.signals.forEach(signal => {
-            formatted += `- ${signal.title}\n`;
+            formatted += `- ${signal.title}${this.citeIds([signal.id])}\n`;
           });
           formatted += '\n';
         }
@@ -359,7 +563,7 @@ export class BriefingTemplateManager {
     if (content.immediateThreats && content.immediateThreats.length > 0) {
       formatted += '**Immediate Threats:**\n';
       content.immediateThreats.forEach(threat => {
-        formatted += `- **${threat.title}** (${formatPriority(threat.intelligence?.priority).text})\n`;
+        formatted += `- **${threat.title}** (${formatPriority(threat.intelligence?.priority).text})${this.citeIds([threat.id])}\n`;
       });
       formatted += '\n';
     }
@@ -397,6 +601,12 @@ export class BriefingTemplateManager {
         formatted += `#### ${regionName}\n`;
         formatted += `- **Activity Level:** ${data.signalCount} signals\n`;
         formatted += `- **Threat Level:** ${data.threatLevel}\n`;
+
+        if (formatConfig.includeStabilityIndicators && data.stabilityIndicators) {
+          const stability = data.stabilityIndicators;
+          const trend = stability.trend === 'NO_BASELINE' ? '' : `, ${stability.trend.toLowerCase()} vs baseline`;
+          formatted += `- **Stability:** ${stability.level} (index ${stability.stabilityIndex}/100${trend})\n`;
+        }
         
         if (data.primaryCountries && data.primaryCountries.length > 0) {
           formatted += `- **Primary Countries:** ${data.primaryCountries.join(', ')}\n`;
@@ -409,7 +619,7 @@ export class BriefingTemplateManager {
         if (data.keyDevelopments && data.keyDevelopments.length > 0) {
           formatted += '- **Key Developments:**\n';
           data.keyDevelopments.forEach(dev => {
-            formatted += `  - ${dev.title}\n`;
+            formatted += `  - ${dev.title}${this.citeIds(dev.signalIds)}\n`;
           });
         }
         
@@ -425,6 +635,14 @@ export class BriefingTemplateManager {
       formatted += '\n';
     }
 
+    if (content.crossRegionalTrends && content.crossRegionalTrends.length > 0) {
+      formatted += '**Cross-Regional Trends:**\n';
+      content.crossRegionalTrends.forEach(trend => {
+        formatted += `- ${trend}\n`;
+      });
+      formatted += '\n';
+    }
+
     return formatted;
   }
 
@@ -451,7 +669,7 @@ export class BriefingTemplateManager {
         if (area.developments && area.developments.length > 0) {
           formatted += '- **Key Developments:**\n';
           area.developments.forEach(dev => {
-            formatted += `  - ${dev.title} (${formatPriority(dev.priority).text})\n`;
+            formatted += `  - ${dev.title} (${formatPriority(dev.priority).text})${this.citeIds(dev.signalIds)}\n`;
           });
         }
         
@@ -561,7 +779,7 @@ export class BriefingTemplateManager {
       formatted += '### Immediate Actions (0-6 hours)\n';
       content.immediate.forEach((rec, index) => {
         formatted += `${index + 1}. **${rec.action}**\n`;
-        formatted += `   - Rationale: ${rec.rationale}\n`;
+        formatted += `   - Rationale: ${rec.rationale}${this.citeIds(rec.signalIds)}\n`;
         formatted += `   - Priority: ${formatPriority(rec.priority).text}\n`;
         if (rec.entities && rec.entities.length > 0) {
           formatted += `   - Focus: ${rec.entities.join(', ')}\n`;
@@ -574,7 +792,7 @@ export class BriefingTemplateManager {
       formatted += '### Short-term Actions (24-72 hours)\n';
       content.shortTerm.forEach((rec, index) => {
         formatted += `${index + 1}. **${rec.action}**\n`;
-        formatted += `   - Rationale: ${rec.rationale}\n`;
+        formatted += `   - Rationale: ${rec.rationale}${this.citeIds(rec.signalIds)}\n`;
         formatted += `   - Timeframe: ${rec.timeframe}\n`;
         formatted += `   - Priority: ${formatPriority(rec.priority).text}\n`;
         if (rec.affectedRegions && rec.affectedRegions.length > 0) {
@@ -588,7 +806,7 @@ export class BriefingTemplateManager {
       formatted += '### Strategic Actions (1-4 weeks)\n';
       content.strategic.forEach((rec, index) => {
         formatted += `${index + 1}. **${rec.action}**\n`;
-        formatted += `   - Rationale: ${rec.rationale}\n`;
+        formatted += `   - Rationale: ${rec.rationale}${this.citeIds(rec.signalIds)}\n`;
         formatted += `   - Timeframe: ${rec.timeframe}\n`;
         formatted += `   - Priority: ${formatPriority(rec.priority).text}\n`;
         if (rec.expectedOutcome) {
@@ -3,6 +3,7 @@
 
 import { storageService } from './storageService';
 import { databaseService } from './databaseService';
+import { PRIORITY_LEVELS } from '../constants/intelligence.js';
 
 export class DatabaseMigrationService {
   constructor() {
@@ -82,10 +83,19 @@ export class DatabaseMigrationService {
               sourceUrl: article.url || article.link || `migrated-${Date.now()}-${Math.random()}`,
               sourceType: 'RSS_FEED_MIGRATED',
               escalationRisk: this.mapPriorityToEscalation(article.intelligence?.priority),
-              credibility: article.source?.credibilityScore || 50,
+              credibility: article.intelligence?.credibility ?? article.source?.credibilityScore ?? 50,
               signalScore: article.intelligence?.relevanceScore || 30,
               category: this.mapCategoriesToDatabase(article.intelligence?.categories),
-              region: this.extractRegions(article.intelligence?.entities?.countries)
+              region: this.extractRegions(article.intelligence?.regions?.length
+                ? article.intelligence.regions
+                : article.intelligence?.entities?.countries),
+              tags: article.intelligence?.tags || [],
+              confidenceLevel: article.intelligence?.confidenceLevel,
+              isAdvertisement: article.intelligence?.isAdvertisement,
+              isDuplicate: article.intelligence?.isDuplicate,
+              duplicateOf: article.intelligence?.duplicateOf,
+              isSignificantUpdate: article.intelligence?.isSignificantUpdate,
+              entities: article.intelligence?.entities
             };
 
             await databaseService.createSignal(signalData);
@@ -160,14 +170,10 @@ export class DatabaseMigrationService {
     }
   }
 
+  // The canonical analysis priority uses the same levels as Signal.escalationRisk;
+  // this only normalizes articles stored before the analysis schema was unified
   mapPriorityToEscalation(priority) {
-    switch(priority?.toUpperCase()) {
-      case 'CRITICAL': return 'CRITICAL';
-      case 'HIGH': return 'HIGH';
-      case 'MEDIUM': return 'MEDIUM';
-      case 'LOW': return 'LOW';
-      default: return 'LOW';
-    }
+    return PRIORITY_LEVELS[priority?.toUpperCase()] || PRIORITY_LEVELS.LOW;
   }
 
   mapCategoriesToDatabase(categories) {
@@ -180,7 +186,9 @@ export class DatabaseMigrationService {
       'GEOPOLITICS': 'GEOPOLITICS',
       'FINANCE': 'FINANCE',
       'HEALTH': 'HEALTH',
-      'SCIENCE': 'SCIENCE'
+      'SCIENCE': 'SCIENCE',
+      'NUCLEAR': 'NUCLEAR',
+      'ESPIONAGE': 'ESPIONAGE'
     };
 
     const mapped = categories.map(cat => categoryMap[cat?.toUpperCase()] || 'GENERAL');
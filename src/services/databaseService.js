@@ -2,26 +2,70 @@
 // Handles API communication with the new Prisma-based backend
 
 import { apiConfig } from '../config/api';
+import { authService } from './authService';
+
+// Query parameters accepted by the list endpoints. Array values are sent
+// comma-separated; empty values and 'all' are left out.
+const SIGNAL_FILTER_KEYS = [
+  'limit', 'cursor', 'sort', 'order', 'search',
+  'category', 'escalationRisk', 'region', 'sourceType', 'tag', 'entity', 'entityType',
+  'from', 'to', 'minScore', 'maxScore', 'minCredibility', 'maxCredibility'
+];
+
+const BRIEF_FILTER_KEYS = [
+  'limit', 'cursor', 'sort', 'order', 'status', 'classification', 'keyword', 'from', 'to'
+];
+
+const AUDIT_FILTER_KEYS = [
+  'limit', 'cursor', 'actor', 'action', 'entityType', 'entityId', 'from', 'to'
+];
+
+const toQueryParams = (filters, keys) => {
+  const params = new URLSearchParams();
+
+  keys.forEach(key => {
+    const value = Array.isArray(filters[key]) ? filters[key].join(',') : filters[key];
+    if (value !== undefined && value !== null && value !== '' && value !== 'all') {
+      params.append(key, value);
+    }
+  });
+
+  return params;
+};
 
 export class DatabaseService {
   constructor() {
     this.baseUrl = apiConfig.get('apiBaseUrl');
   }
 
+  /**
+   * fetch() against the API with the session token attached. A 401 ends the
+   * local session so the app returns to the login screen.
+   */
+  async request(path, options = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers: {
+        ...apiConfig.getAuthHeaders(),
+        ...options.headers
+      }
+    });
+
+    if (response.status === 401) {
+      authService.handleUnauthorized();
+    }
+
+    return response;
+  }
+
   /**
    * Signals Management
    */
   async getSignals(filters = {}) {
     try {
-      const params = new URLSearchParams();
-      
-      if (filters.limit) params.append('limit', filters.limit);
-      if (filters.offset) params.append('offset', filters.offset);
-      if (filters.category && filters.category !== 'all') params.append('category', filters.category);
-      if (filters.escalationRisk && filters.escalationRisk !== 'all') params.append('escalationRisk', filters.escalationRisk);
-      if (filters.minScore) params.append('minScore', filters.minScore);
+      const params = toQueryParams(filters, SIGNAL_FILTER_KEYS);
 
-      const response = await fetch(`${this.baseUrl}/api/signals?${params}`);
+      const response = await this.request(`/api/signals?${params}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -36,7 +80,7 @@ export class DatabaseService {
 
   async createSignal(signalData) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/signals`, {
+      const response = await this.request(`/api/signals`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -55,17 +99,75 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * How a signal's stored score was reached, as factor contributions and a waterfall
+   */
+  async explainSignal(signalId) {
+    try {
+      const response = await this.request(`/api/signals/${signalId}/explain`);
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data.explanation;
+    } catch (error) {
+      console.error('Error explaining signal score:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the signed-in analyst's verdict on a signal's scoring
+   * @param {Object} feedback - { rating: 'up' | 'down' | null, correctPriority: level | null }
+   */
+  async submitSignalFeedback(signalId, feedback) {
+    try {
+      const response = await this.request(`/api/signals/${signalId}/feedback`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(feedback)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data.feedback;
+    } catch (error) {
+      console.error('Error submitting signal feedback:', error);
+      throw error;
+    }
+  }
+
+  async removeSignalFeedback(signalId) {
+    try {
+      const response = await this.request(`/api/signals/${signalId}/feedback`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error removing signal feedback:', error);
+      throw error;
+    }
+  }
+
   /**
    * Briefs Management
    */
   async getBriefs(filters = {}) {
     try {
-      const params = new URLSearchParams();
-      
-      if (filters.limit) params.append('limit', filters.limit);
-      if (filters.offset) params.append('offset', filters.offset);
+      const params = toQueryParams(filters, BRIEF_FILTER_KEYS);
 
-      const response = await fetch(`${this.baseUrl}/api/briefs?${params}`);
+      const response = await this.request(`/api/briefs?${params}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -80,7 +182,7 @@ export class DatabaseService {
 
   async createBrief(briefData) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/briefs`, {
+      const response = await this.request(`/api/briefs`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -101,7 +203,7 @@ export class DatabaseService {
 
   async updateBrief(briefData) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/briefs`, {
+      const response = await this.request(`/api/briefs`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
@@ -122,7 +224,7 @@ export class DatabaseService {
 
   async deleteBrief(briefId) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/briefs?id=${briefId}`, {
+      const response = await this.request(`/api/briefs?id=${briefId}`, {
         method: 'DELETE'
       });
 
@@ -137,12 +239,150 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Brief Revisions
+   */
+  async getBriefRevisions(briefId) {
+    try {
+      const response = await this.request(`/api/brief-revisions?briefId=${briefId}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching brief revisions:', error);
+      throw error;
+    }
+  }
+
+  async getBriefRevisionDiff(briefId, fromVersion, toVersion) {
+    try {
+      const params = new URLSearchParams({ briefId, from: fromVersion, to: toVersion });
+      const response = await this.request(`/api/brief-revisions?${params}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching brief revision diff:', error);
+      throw error;
+    }
+  }
+
+  async restoreBriefRevision(briefId, version) {
+    try {
+      const response = await this.request(`/api/brief-revisions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ briefId, version })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error restoring brief revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Brief Lifecycle
+   */
+  async getBriefWorkflow(briefId) {
+    try {
+      const response = await this.request(`/api/brief-workflow?briefId=${briefId}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching brief workflow:', error);
+      throw error;
+    }
+  }
+
+  async getBriefReviewers() {
+    try {
+      const response = await this.request(`/api/brief-workflow`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching reviewers:', error);
+      throw error;
+    }
+  }
+
+  async transitionBrief(briefId, action, { reviewerId, comment } = {}) {
+    try {
+      const response = await this.request(`/api/brief-workflow`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ briefId, action, reviewerId, comment })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      // Rejected transitions explain why (wrong status, missing comment, ...)
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error changing brief status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Downloads a brief rendered as html, pdf or docx
+   * @returns {Promise<{blob: Blob, filename: string}>}
+   */
+  async exportBrief(briefId, format = 'pdf', template = 'STANDARD') {
+    try {
+      const params = new URLSearchParams({ format, template });
+      const response = await this.request(`/api/briefs/${briefId}/export?${params}`);
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+
+      return {
+        blob: await response.blob(),
+        filename: match ? match[1] : `brief.${format}`
+      };
+    } catch (error) {
+      console.error('Error exporting brief:', error);
+      throw error;
+    }
+  }
+
   /**
    * RSS Feeds Management
    */
   async getFeeds() {
     try {
-      const response = await fetch(`${this.baseUrl}/api/feeds`);
+      const response = await this.request(`/api/feeds`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -157,7 +397,7 @@ export class DatabaseService {
 
   async initializeDefaultFeeds() {
     try {
-      const response = await fetch(`${this.baseUrl}/api/feeds`, {
+      const response = await this.request(`/api/feeds`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -178,7 +418,7 @@ export class DatabaseService {
 
   async createFeed(feedData) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/feeds`, {
+      const response = await this.request(`/api/feeds`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -199,7 +439,7 @@ export class DatabaseService {
 
   async updateFeed(feedData) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/feeds`, {
+      const response = await this.request(`/api/feeds`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
@@ -220,7 +460,7 @@ export class DatabaseService {
 
   async deleteFeed(feedId) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/feeds?id=${feedId}`, {
+      const response = await this.request(`/api/feeds?id=${feedId}`, {
         method: 'DELETE'
       });
 
@@ -242,7 +482,7 @@ export class DatabaseService {
     try {
       console.log('🚀 Triggering RSS processing...');
       
-      const response = await fetch(`${this.baseUrl}/api/process-rss`, {
+      const response = await this.request(`/api/process-rss`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -263,12 +503,362 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Saved Filters (stored in the signed-in user's workspace)
+   */
+  async getSavedFilters(scope) {
+    try {
+      const params = new URLSearchParams();
+      if (scope) params.append('scope', scope);
+
+      const response = await this.request(`/api/saved-filters?${params}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching saved filters:', error);
+      throw error;
+    }
+  }
+
+  async saveFilter(filterData) {
+    try {
+      const response = await this.request('/api/saved-filters', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(filterData)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error saving filter:', error);
+      throw error;
+    }
+  }
+
+  async deleteSavedFilter(filterId) {
+    try {
+      const response = await this.request(`/api/saved-filters?id=${filterId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error deleting saved filter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Briefing Templates (user-defined; built-ins live in briefingTemplateManager)
+   */
+  async getBriefingTemplates() {
+    try {
+      const response = await this.request('/api/briefing-templates');
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching briefing templates:', error);
+      throw error;
+    }
+  }
+
+  async saveBriefingTemplate(template) {
+    try {
+      const response = await this.request('/api/briefing-templates', {
+        method: template.id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(template)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      // Validation failures and name clashes explain themselves
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error saving briefing template:', error);
+      throw error;
+    }
+  }
+
+  async deleteBriefingTemplate(templateId) {
+    try {
+      const response = await this.request(`/api/briefing-templates?id=${templateId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error deleting briefing template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scoring Profiles (built-ins live in src/services/scoring/scoringProfiles.js)
+   */
+  async getScoringProfiles() {
+    try {
+      const response = await this.request('/api/scoring-profiles');
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching scoring profiles:', error);
+      throw error;
+    }
+  }
+
+  async previewScoringProfile(profileId, limit) {
+    try {
+      const params = new URLSearchParams({ preview: profileId || '' });
+      if (limit) params.set('limit', limit);
+
+      const response = await this.request(`/api/scoring-profiles?${params}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error previewing scoring profile:', error);
+      throw error;
+    }
+  }
+
+  async selectScoringProfile(profileId) {
+    try {
+      const response = await this.request('/api/scoring-profiles', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ profileId })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error selecting scoring profile:', error);
+      throw error;
+    }
+  }
+
+  async saveScoringProfile(profile) {
+    try {
+      const response = await this.request('/api/scoring-profiles', {
+        method: profile.id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(profile)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      // Validation failures and name clashes explain themselves
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error saving scoring profile:', error);
+      throw error;
+    }
+  }
+
+  async deleteScoringProfile(profileId) {
+    try {
+      const response = await this.request(`/api/scoring-profiles?id=${profileId}`, {
+        method: 'DELETE'
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error deleting scoring profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-scores stored signals under a profile; resolves once every signal is done
+   * @param {Function} onProgress - Called with the running count of re-scored signals
+   */
+  async rescoreSignals(profileId, onProgress) {
+    try {
+      let cursor = null;
+      let processed = 0;
+
+      do {
+        const response = await this.request('/api/signal-rescore', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ profileId, cursor })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        processed += data.processed;
+        cursor = data.nextCursor;
+        if (onProgress) onProgress(processed);
+      } while (cursor);
+
+      return { processed };
+    } catch (error) {
+      console.error('Error re-scoring signals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keyword and Entity Dictionary (built-ins live in src/constants/dictionary.js)
+   */
+  async getDictionary() {
+    try {
+      const response = await this.request('/api/dictionary');
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching dictionary:', error);
+      throw error;
+    }
+  }
+
+  async saveDictionaryTerm(term) {
+    try {
+      const response = await this.request('/api/dictionary', {
+        method: term.id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(term)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      // Validation failures and duplicate terms explain themselves
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error saving dictionary term:', error);
+      throw error;
+    }
+  }
+
+  async deleteDictionaryTerm(termId) {
+    try {
+      const response = await this.request(`/api/dictionary?id=${termId}`, {
+        method: 'DELETE'
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error deleting dictionary term:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copies the built-in terms the store is missing into it
+   */
+  async seedDictionary() {
+    try {
+      const response = await this.request('/api/dictionary?seed=true', {
+        method: 'POST'
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error seeding dictionary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Audit Log (admins only)
+   */
+  async getAuditEvents(filters = {}) {
+    try {
+      const params = toQueryParams(filters, AUDIT_FILTER_KEYS);
+
+      const response = await this.request(`/api/audit-events?${params}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching audit events:', error);
+      throw error;
+    }
+  }
+
   /**
    * Statistics
    */
   async getStats() {
     try {
-      const response = await fetch(`${this.baseUrl}/api/stats`);
+      const response = await this.request(`/api/stats`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -130,16 +130,15 @@ export class MultiFactorScoringService {
    * @param {Object} article - Article with processed content
    * @param {Object} entityAnalysis - Entity extraction results
    * @param {Array} existingArticles - Context articles
-   * @param {Object} options - Scoring options
+   * @param {Object} options - Scoring options ({ weights, thresholds } of a scoring profile)
    * @returns {Object} Comprehensive scoring analysis
    */
   calculateMultiFactorScore(article, entityAnalysis, existingArticles = [], options = {}) {
     console.log(`🎯 Calculating multi-factor intelligence score for: ${article.title.substring(0, 50)}...`);
 
     // Step 1: Enhanced keyword scoring using modular service
-    const keywordAnalysis = keywordScorerService.calculateEnhancedKeywordScore(
-      (article.title + ' ' + (article.content || article.summary || '')).toUpperCase()
-    );
+    const keywordRelevance = keywordScorerService.calculateKeywordRelevance(article, options);
+    const keywordAnalysis = { score: keywordRelevance.finalScore, details: keywordRelevance.keywordDetails };
 
     // Step 2: Entity significance analysis using modular service
     const entitySignificance = entityScorerService.calculateEntitySignificance(entityAnalysis);
@@ -172,7 +171,8 @@ export class MultiFactorScoringService {
     // Step 9: Geopolitical context scoring (legacy compatibility)
     const geopoliticalScore = this.calculateGeopoliticalScore(entityAnalysis);
 
-    // Step 10: Combine all factors using modular service
+    // Step 10: Combine all factors using modular service (options.weights and thresholds: a scoring profile's)
+    const weights = options.weights || {};
     const finalScore = scoreCombinerService.combineFactorsWithWeights({
       primary: primaryScores,
       secondary: secondaryScores,
@@ -181,7 +181,7 @@ export class MultiFactorScoringService {
       temporal: temporalFactors,
       source: sourceAssessment,
       geopolitical: geopoliticalScore
-    });
+    }, weights, options.thresholds);
 
     // Extract values for legacy compatibility
     const confidenceLevel = finalScore.confidence;
@@ -231,8 +231,8 @@ export class MultiFactorScoringService {
           threat: 'threatAssessorService',
           combiner: 'scoreCombinerService'
         },
-        primaryWeights: this.primaryWeights,
-        secondaryWeights: this.secondaryWeights,
+        primaryWeights: weights.primary || this.primaryWeights,
+        secondaryWeights: weights.secondary || this.secondaryWeights,
         calculatedAt: new Date().toISOString()
       }
     };
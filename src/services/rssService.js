@@ -18,6 +18,7 @@ export class RSSService {
     this.isProcessing = false;
     this.errorCount = {};
     this.lastFetched = {};
+    this.feedValidators = {}; // ETag / Last-Modified per feed URL
     
     // Request queue management
     this.maxConcurrentRequests = 2;
@@ -54,6 +55,22 @@ export class RSSService {
       // Fetch RSS content
       const rssContent = await this.fetchRSSContent(feedConfig.url);
       
+      if (rssContent === null) {
+        console.log(`♻️ Feed ${feedId} not modified since last fetch`);
+        this.updateFeedMetadata(feedId, true);
+        
+        return {
+          success: true,
+          feedId,
+          notModified: true,
+          articlesProcessed: 0,
+          newArticles: 0,
+          intelligenceArticles: 0,
+          articles: [],
+          error: null
+        };
+      }
+      
       // Parse RSS to articles
       const rawArticles = await this.parseRSSContent(rssContent, feedConfig);
       console.log(`📰 Parsed ${rawArticles.length} raw articles from RSS`);
@@ -118,16 +135,16 @@ export class RSSService {
   /**
    * Fetches RSS content from URL through backend proxy
    * @param {string} url - RSS feed URL
-   * @returns {Promise<string>} RSS content
+   * @returns {Promise<string|null>} RSS content, or null when the feed is unchanged
    */
   async fetchRSSContent(url) {
     console.log(`🌐 Fetching RSS content from: ${url}`);
     
     try {
-      // Call backend RSS proxy endpoint
+      // Call backend RSS proxy endpoint, passing validators from the last fetch
       const response = await apiConfig.makeRequest('/api/fetch-rss', {
         method: 'POST',
-        body: JSON.stringify({ url })
+        body: JSON.stringify({ url, ...this.feedValidators[url] })
       });
 
       console.log(`📡 Backend response status: ${response.status}`);
@@ -138,6 +155,15 @@ export class RSSService {
         throw new Error(data.error || 'Failed to fetch RSS content');
       }
 
+      if (data.notModified) {
+        return null;
+      }
+
+      this.feedValidators[url] = {
+        etag: data.etag || null,
+        lastModified: data.lastModified || null
+      };
+
       const content = data.content;
       console.log(`📄 Content length: ${content.length} characters`);
       
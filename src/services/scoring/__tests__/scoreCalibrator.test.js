@@ -0,0 +1,107 @@
+import { ScoreCalibratorService, CalibrationDataError } from '../scoreCalibrator.js';
+import { WEIGHT_GROUPS, THRESHOLD_LEVELS } from '../scoringProfiles.js';
+
+// Stored factor scores where the threat assessment alone decides the
+// analyst's priority and the other factors say nothing
+const factorScores = (threat) => ({
+  primary: { keywords: 40, entities: 40, source: 70, temporal: 50, geopolitical: 30, threat },
+  secondary: { contentDepth: 50, linguisticIndicators: 50, crossReference: 50, operationalRelevance: 30, strategicImportance: 30 }
+});
+
+const labelFor = (threat) => {
+  if (threat >= 80) return 'CRITICAL';
+  if (threat >= 60) return 'HIGH';
+  if (threat >= 35) return 'MEDIUM';
+  return 'LOW';
+};
+
+const feedbackFor = (threat, overrides = {}) => ({
+  rating: 'down',
+  shownPriority: 'MEDIUM',
+  correctPriority: labelFor(threat),
+  signal: { scoreBreakdown: { deterministic: { factorScores: factorScores(threat), contextMultiplier: 1.0 } } },
+  ...overrides
+});
+
+const threats = Array.from({ length: 40 }, (_, index) => 5 + index * 2.4);
+
+let calibrator;
+
+beforeEach(() => {
+  calibrator = new ScoreCalibratorService();
+});
+
+describe('labelFeedback', () => {
+  test('prefers the corrected priority, then a confirmed shown one', () => {
+    expect(calibrator.labelFeedback({ rating: 'down', shownPriority: 'HIGH', correctPriority: 'LOW' })).toBe('LOW');
+    expect(calibrator.labelFeedback({ rating: 'up', shownPriority: 'HIGH', correctPriority: null })).toBe('HIGH');
+    expect(calibrator.labelFeedback({ rating: 'down', shownPriority: 'HIGH', correctPriority: null })).toBeNull();
+    expect(calibrator.labelFeedback({ rating: 'up', shownPriority: 'URGENT', correctPriority: null })).toBeNull();
+  });
+});
+
+describe('buildExamples', () => {
+  test('skips feedback without a label or stored factor scores', () => {
+    const { examples, skipped } = calibrator.buildExamples([
+      feedbackFor(90),
+      feedbackFor(20, { correctPriority: null }),
+      feedbackFor(50, { signal: { scoreBreakdown: null } }),
+      feedbackFor(70, { signal: { scoreBreakdown: { deterministic: { factorScores: factorScores(70) } } } })
+    ]);
+
+    expect(examples).toHaveLength(2);
+    expect(examples[0]).toEqual({ factorScores: factorScores(90), contextMultiplier: 1.0, label: 'CRITICAL' });
+    expect(examples[1].contextMultiplier).toBe(1.0);
+    expect(skipped).toEqual({ unlabeled: 1, unscored: 1 });
+  });
+});
+
+describe('evaluate', () => {
+  test('reports per-level precision and recall and the macro F1 of labeled levels', () => {
+    const metrics = calibrator.evaluate(['HIGH', 'HIGH', 'LOW', 'LOW'], ['HIGH', 'LOW', 'LOW', 'LOW']);
+
+    expect(metrics.accuracy).toBe(0.75);
+    expect(metrics.levels.HIGH).toMatchObject({ support: 2, predicted: 1, precision: 1, recall: 0.5 });
+    expect(metrics.levels.LOW).toMatchObject({ support: 2, predicted: 3, recall: 1 });
+    expect(metrics.levels.LOW.precision).toBeCloseTo(2 / 3);
+    expect(metrics.macroF1).toBeCloseTo((2 / 3 + 0.8) / 2);
+  });
+});
+
+describe('calibrate', () => {
+  test('refuses fewer labeled examples than the minimum', () => {
+    const { examples } = calibrator.buildExamples(threats.slice(0, calibrator.minExamples - 1).map(threat => feedbackFor(threat)));
+
+    expect(() => calibrator.calibrate(examples)).toThrow(CalibrationDataError);
+    expect(() => calibrator.calibrate(examples)).toThrow(
+      `Calibration needs at least ${calibrator.minExamples} labeled examples, found ${calibrator.minExamples - 1}`
+    );
+  });
+
+  test('fits weights and thresholds that classify the feedback better', () => {
+    const { examples } = calibrator.buildExamples(threats.map(threat => feedbackFor(threat)));
+    const result = calibrator.calibrate(examples);
+
+    expect(result.examples).toBe(threats.length);
+    expect(result.after.metrics.macroF1).toBeGreaterThan(result.before.metrics.macroF1);
+    expect(result.after.metrics.accuracy).toBeGreaterThan(result.before.metrics.accuracy);
+    expect(result.after.metrics.macroF1).toBe(1);
+
+    // Still a valid profile: each group sums to 1, minimums in priority order
+    ['primary', 'secondary'].forEach(group => {
+      const total = WEIGHT_GROUPS[group].reduce((sum, factor) => sum + result.after.weights[group][factor], 0);
+      expect(total).toBeCloseTo(1);
+    });
+    const minimums = THRESHOLD_LEVELS.map(level => result.after.thresholds[level]);
+    expect(minimums).toEqual([...minimums].sort((a, b) => b - a));
+  });
+
+  test('does not make a profile that already fits the feedback worse', () => {
+    const { examples } = calibrator.buildExamples(threats.map(threat => feedbackFor(threat)));
+    const fitted = calibrator.calibrate(examples);
+    const again = calibrator.calibrate(examples, { weights: fitted.after.weights, thresholds: fitted.after.thresholds });
+
+    expect(again.after.metrics.macroF1).toBeGreaterThanOrEqual(again.before.metrics.macroF1);
+    expect(again.before.metrics.macroF1).toBeCloseTo(fitted.after.metrics.macroF1);
+  });
+});
@@ -0,0 +1,197 @@
+// Keyword and Entity Dictionary Module for Ghost Brief
+// The one set of keyword tiers and entity names the keyword scorer, the
+// entity extraction and scoring, and the pre-filter match against. The
+// built-in terms apply until a stored dictionary version is loaded (on the
+// server by engine/dictionary.ts, in the browser from /api/dictionary).
+
+import { DEFAULT_KEYWORDS, DEFAULT_PREFILTER_KEYWORDS, DEFAULT_ENTITIES } from '../../constants/dictionary.js';
+
+// Tiers of each kind of term: keyword tiers, entity types
+export const DICTIONARY_TIERS = {
+  keyword: ['CRITICAL', 'HIGH', 'MEDIUM', 'GEOPOLITICAL', 'TECHNOLOGY', 'HEALTH'],
+  entity: ['countries', 'organizations', 'technologies', 'weapons', 'weaponSystems', 'locations']
+};
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i;
+
+const cleanList = (values) => [...new Set(
+  (values || []).map(value => String(value).trim().toUpperCase()).filter(Boolean)
+)];
+
+/**
+ * Dictionary Service
+ * Holds the loaded dictionary version and serves its terms to the scorers
+ */
+export class DictionaryService {
+  constructor() {
+    this.setDictionary(this.getBuiltInDictionary());
+  }
+
+  /**
+   * The built-in terms in the shape of stored ones
+   * @returns {Array} Terms without ids
+   */
+  getBuiltInTerms() {
+    const prefilter = new Set(DEFAULT_PREFILTER_KEYWORDS);
+    const keywords = Object.entries(DEFAULT_KEYWORDS).flatMap(([tier, terms]) => terms.map(term => ({
+      kind: 'keyword',
+      tier,
+      term,
+      aliases: [],
+      variants: null,
+      weight: null,
+      prefilter: prefilter.has(term),
+      isActive: true
+    })));
+    const entities = Object.entries(DEFAULT_ENTITIES).flatMap(([tier, names]) =>
+      Object.entries(names).map(([term, aliases]) => ({
+        kind: 'entity',
+        tier,
+        term,
+        aliases,
+        variants: null,
+        weight: null,
+        prefilter: false,
+        isActive: true
+      }))
+    );
+
+    return [...keywords, ...entities];
+  }
+
+  getBuiltInDictionary() {
+    return { version: 0, terms: this.getBuiltInTerms() };
+  }
+
+  /**
+   * Replace the loaded dictionary; scorers pick it up by its version
+   * @param {Object} dictionary - { version, terms }; inactive terms are ignored
+   */
+  setDictionary({ version, terms }) {
+    this.version = version;
+    this.terms = terms.filter(term => term.isActive !== false);
+  }
+
+  /**
+   * Aliases followed by every language variant of a term
+   */
+  getMatchForms(term) {
+    return [...(term.aliases || []), ...Object.values(term.variants || {}).flat()];
+  }
+
+  /**
+   * Keyword terms of a tier with the forms to match them by
+   * @param {string} tier - Keyword tier
+   * @returns {Array} [{ keyword, forms, weight }]; weight is null for the tier's
+   */
+  getKeywordTerms(tier) {
+    return this.terms
+      .filter(term => term.kind === 'keyword' && term.tier === tier)
+      .map(term => ({ keyword: term.term, forms: [term.term, ...this.getMatchForms(term)], weight: term.weight ?? null }));
+  }
+
+  /**
+   * Entity names by type with their aliases and variants, the shape of the
+   * entity extraction's databases
+   * @returns {Object} { [type]: { [name]: aliases } }
+   */
+  getEntityDatabases() {
+    const databases = Object.fromEntries(DICTIONARY_TIERS.entity.map(type => [type, {}]));
+    this.terms
+      .filter(term => term.kind === 'entity')
+      .forEach(term => {
+        databases[term.tier][term.term] = this.getMatchForms(term);
+      });
+    return databases;
+  }
+
+  /**
+   * Significance an entity's dictionary entry sets, or null
+   */
+  getEntityWeight(type, name) {
+    const term = this.terms.find(entry => entry.kind === 'entity' && entry.tier === type && entry.term === name);
+    return typeof term?.weight === 'number' ? term.weight : null;
+  }
+
+  getPrefilterForms(terms) {
+    return [...new Set(terms
+      .filter(term => term.kind === 'keyword' && term.prefilter)
+      .flatMap(term => [term.term, ...this.getMatchForms(term)])
+      .map(form => form.toLowerCase()))];
+  }
+
+  /**
+   * Lower-case forms of the keywords marked for the pre-filter; the built-in
+   * ones when the loaded dictionary marks none, since an empty list would
+   * drop every short article
+   */
+  getPrefilterKeywords() {
+    const keywords = this.getPrefilterForms(this.terms);
+    return keywords.length > 0 ? keywords : this.getPrefilterForms(this.getBuiltInTerms());
+  }
+
+  /**
+   * Problems with a term sent by the management screen
+   * @param {Object} input - { kind, tier, term, aliases, variants, weight, prefilter, isActive }
+   * @returns {Array} Error messages
+   */
+  validateTerm(input) {
+    if (!input || typeof input !== 'object') return ['term must be an object'];
+
+    const { kind, tier, term, aliases, variants, weight } = input;
+    const errors = [];
+
+    if (!DICTIONARY_TIERS[kind]) {
+      errors.push(`kind must be one of ${Object.keys(DICTIONARY_TIERS).join(', ')}`);
+    } else if (!DICTIONARY_TIERS[kind].includes(tier)) {
+      errors.push(`tier must be one of ${DICTIONARY_TIERS[kind].join(', ')} for ${kind} terms`);
+    }
+    if (typeof term !== 'string' || !term.trim()) {
+      errors.push('term is required');
+    }
+    if (aliases !== undefined && aliases !== null && !Array.isArray(aliases)) {
+      errors.push('aliases must be a list');
+    }
+    if (variants !== undefined && variants !== null) {
+      if (typeof variants !== 'object' || Array.isArray(variants)) {
+        errors.push('variants must map language codes to lists of terms');
+      } else {
+        Object.entries(variants).forEach(([language, forms]) => {
+          if (!LANGUAGE_CODE.test(language)) errors.push(`"${language}" is not a language code`);
+          if (!Array.isArray(forms)) errors.push(`variants.${language} must be a list`);
+        });
+      }
+    }
+    if (weight !== undefined && weight !== null &&
+        (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0 || weight > 100)) {
+      errors.push('weight must be a number above 0 and up to 100, or empty for the tier weight');
+    }
+
+    return errors;
+  }
+
+  /**
+   * A validated term with upper-case forms, duplicate and empty forms
+   * dropped and language codes lower-cased
+   */
+  normalizeTerm(input) {
+    const variants = Object.fromEntries(Object.entries(input.variants || {})
+      .map(([language, forms]) => [language.toLowerCase(), cleanList(forms)])
+      .filter(([, forms]) => forms.length > 0));
+    const term = input.term.trim().toUpperCase();
+
+    return {
+      kind: input.kind,
+      tier: input.tier,
+      term,
+      aliases: cleanList(input.aliases).filter(alias => alias !== term),
+      variants: Object.keys(variants).length > 0 ? variants : null,
+      weight: typeof input.weight === 'number' ? input.weight : null,
+      prefilter: input.kind === 'keyword' && input.prefilter === true,
+      isActive: input.isActive !== false
+    };
+  }
+}
+
+// Export singleton instance
+export const dictionaryService = new DictionaryService();
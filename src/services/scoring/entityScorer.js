@@ -1,6 +1,8 @@
 // Entity Significance Scoring Module for Ghost Brief
 // Specialized entity analysis and scoring for intelligence assessment
 
+import { dictionaryService } from './dictionary.js';
+
 /**
  * Entity Significance Scorer
  * Analyzes and scores the importance of detected entities in intelligence context
@@ -184,12 +186,29 @@ export class EntityScorerService {
    * @returns {Object} Classification result
    */
   classifyCountry(country) {
-    for (const [type, data] of Object.entries(this.countryClassifications)) {
-      if (data.entities.includes(country)) {
-        return { type, score: data.score };
+    return this.classifyEntity('countries', country, this.countryClassifications);
+  }
+
+  /**
+   * Classify an entity by the significance its dictionary entry sets, else
+   * by the classification lists
+   * @param {string} type - Entity type (countries, organizations, ...)
+   * @param {string} name - Entity name
+   * @param {Object} classifications - Classification lists of the type
+   * @returns {Object} Classification result
+   */
+  classifyEntity(type, name, classifications) {
+    const weight = dictionaryService.getEntityWeight(type, name);
+    if (weight !== null) {
+      return { type: 'DICTIONARY', score: weight };
+    }
+
+    for (const [classification, data] of Object.entries(classifications)) {
+      if (data.entities.includes(name)) {
+        return { type: classification, score: data.score };
       }
     }
-    return { type: 'STANDARD', score: this.countryClassifications.STANDARD.score };
+    return { type: 'STANDARD', score: classifications.STANDARD.score };
   }
 
   /**
@@ -236,12 +255,7 @@ export class EntityScorerService {
    * @returns {Object} Classification result
    */
   classifyOrganization(organization) {
-    for (const [type, data] of Object.entries(this.organizationClassifications)) {
-      if (data.entities.includes(organization)) {
-        return { type, score: data.score };
-      }
-    }
-    return { type: 'STANDARD', score: this.organizationClassifications.STANDARD.score };
+    return this.classifyEntity('organizations', organization, this.organizationClassifications);
   }
 
   /**
@@ -271,12 +285,7 @@ export class EntityScorerService {
    * @returns {Object} Classification result
    */
   classifyTechnology(technology) {
-    for (const [type, data] of Object.entries(this.technologyClassifications)) {
-      if (data.entities.includes(technology)) {
-        return { type, score: data.score };
-      }
-    }
-    return { type: 'STANDARD', score: this.technologyClassifications.STANDARD.score };
+    return this.classifyEntity('technologies', technology, this.technologyClassifications);
   }
 
   /**
@@ -306,12 +315,7 @@ export class EntityScorerService {
    * @returns {Object} Classification result
    */
   classifyWeapon(weapon) {
-    for (const [type, data] of Object.entries(this.weaponClassifications)) {
-      if (data.entities.includes(weapon)) {
-        return { type, score: data.score };
-      }
-    }
-    return { type: 'STANDARD', score: this.weaponClassifications.STANDARD.score };
+    return this.classifyEntity('weapons', weapon, this.weaponClassifications);
   }
 
   /**
@@ -27,6 +27,18 @@ export { threatAssessorService } from './threatAssessor.js';
 // Final score combination and classification
 export { scoreCombinerService } from './scoreCombiner.js';
 
+// Server-side scoring of ingested signals
+export { ingestionScorerService } from './ingestionScorer.js';
+
+// Named weight profiles
+export { scoringProfileService, SCORING_PROFILES, DEFAULT_SCORING_PROFILE } from './scoringProfiles.js';
+
+// Fitting weights and priority thresholds to analyst feedback
+export { scoreCalibratorService, PRIORITY_LEVELS } from './scoreCalibrator.js';
+
+// Keyword and entity dictionary the scorers match against
+export { dictionaryService, DICTIONARY_TIERS } from './dictionary.js';
+
 // Convenience exports for common operations
 export const scoringServices = {
   keyword: keywordScorerService,
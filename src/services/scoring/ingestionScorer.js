@@ -0,0 +1,245 @@
+// Ingestion Scoring Module for Ghost Brief
+// Runs the multi-factor scoring stack on the server while feeds are ingested
+// and blends its score with Claude's relevance score
+
+import { multiFactorScoringService } from '../multiFactorScoringService.js';
+import { advancedEntityExtractionService } from '../advancedEntityExtraction.js';
+import { scoreCombinerService } from './scoreCombiner.js';
+import { scoringProfileService } from './scoringProfiles.js';
+import { dictionaryService } from './dictionary.js';
+import { SIGNAL_SCORING_CONFIG } from '../../constants/api.js';
+
+/**
+ * Ingestion Scorer Service
+ * Scores analyzed signals from their feed articles before they are stored
+ */
+export class IngestionScorerService {
+  constructor() {
+    this.version = SIGNAL_SCORING_CONFIG.BREAKDOWN_VERSION;
+  }
+
+  /**
+   * Article in the shape the client-side scorers expect
+   * @param {Object} article - Feed item (link, pubDate, source.name)
+   * @param {Object} signal - Analyzed signal of the article
+   * @returns {Object} Scoring article
+   */
+  toScoringArticle(article = {}, signal) {
+    const url = article.url || article.link || signal.sourceUrl;
+
+    return {
+      title: signal.title || article.title || '',
+      content: signal.content || article.content || '',
+      summary: signal.summary,
+      url,
+      publishedAt: article.publishedAt || article.pubDate || null,
+      fetchedAt: new Date().toISOString(),
+      source: {
+        feedName: article.source?.feedName || article.source?.name || '',
+        domain: this.getDomain(url),
+        credibilityScore: article.source?.credibilityScore
+      }
+    };
+  }
+
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  preprocessContent(article) {
+    const title = article.title.toUpperCase();
+    const content = (article.content || article.summary || '').toUpperCase();
+    const combined = `${title} ${content}`;
+
+    return {
+      title,
+      content,
+      combined,
+      wordCount: combined.split(/\s+/).length,
+      sentences: combined.split(/[.!?]+/).filter(s => s.trim().length > 0)
+    };
+  }
+
+  /**
+   * Entity analysis of the article; Claude's entities fill lists the
+   * extractor found nothing for
+   */
+  extractEntities(article, signal) {
+    const extracted = advancedEntityExtractionService.extractAdvancedEntities(this.preprocessContent(article), article);
+    const claude = signal.entities || {};
+
+    ['countries', 'organizations', 'technologies', 'weapons'].forEach(type => {
+      if ((extracted[type] || []).length === 0 && (claude[type] || []).length > 0) {
+        extracted[type] = claude[type];
+      }
+    });
+
+    return extracted;
+  }
+
+  /**
+   * Blend of the deterministic and the LLM score; either one alone is used
+   * when the other is missing
+   * @param {Object} blend - { llm, deterministic } weights of the scoring profile
+   */
+  combineScores(llmScore, deterministicScore, blend) {
+    if (typeof llmScore !== 'number') return deterministicScore;
+    if (typeof deterministicScore !== 'number') return llmScore;
+
+    return Math.round(llmScore * blend.llm + deterministicScore * blend.deterministic);
+  }
+
+  roundFactorScores(scores) {
+    return Object.fromEntries(Object.entries(scores).map(([factor, value]) => [factor, Math.round(value * 100) / 100]));
+  }
+
+  /**
+   * Score one analyzed signal
+   * @param {Object} signal - Analyzed signal (signalScore is Claude's relevance score)
+   * @param {Object} article - The feed article it was analyzed from
+   * @param {Object} profile - Scoring profile ({ id, name, weights, thresholds }); the default profile when omitted
+   * @returns {Object} Signal with the blended signalScore, llmScore, deterministicScore and scoreBreakdown
+   */
+  scoreSignal(signal, article, profile = scoringProfileService.getDefaultProfile()) {
+    const llmScore = typeof signal.signalScore === 'number' ? signal.signalScore : null;
+
+    try {
+      const scoringArticle = this.toScoringArticle(article, signal);
+      const analysis = multiFactorScoringService.calculateMultiFactorScore(
+        scoringArticle,
+        this.extractEntities(scoringArticle, signal),
+        [],
+        { weights: profile.weights, thresholds: profile.thresholds }
+      );
+      const combined = analysis.detailedAnalysis.modularAnalysis.finalScoreDetails;
+      const quality = combined.factorDetails.quality;
+      const signalScore = this.combineScores(llmScore, analysis.overallScore, profile.weights.blend);
+
+      return {
+        ...signal,
+        signalScore,
+        llmScore,
+        deterministicScore: analysis.overallScore,
+        scoreBreakdown: {
+          version: this.version,
+          score: signalScore,
+          profile: { id: profile.id, name: profile.name },
+          // Keyword and entity dictionary the factor scores were computed with
+          dictionaryVersion: dictionaryService.version,
+          weights: profile.weights.blend,
+          llm: {
+            score: llmScore,
+            priority: signal.escalationRisk || null,
+            confidence: signal.confidenceLevel ?? null
+          },
+          deterministic: {
+            score: analysis.overallScore,
+            priority: analysis.priority,
+            confidence: analysis.confidenceLevel,
+            factors: analysis.factorBreakdown,
+            factorWeights: analysis.scoringMetadata.primaryWeights,
+            contributions: combined.contributions,
+            factorScores: {
+              primary: this.roundFactorScores(combined.factorScores.primary),
+              secondary: this.roundFactorScores(combined.factorScores.secondary)
+            },
+            contextMultiplier: combined.breakdown.contextMultiplier,
+            quality: {
+              overall: Math.round(quality.overallQuality),
+              level: quality.qualityLevel,
+              scoreStability: Math.round(quality.scoreStability),
+              factorCompleteness: Math.round(quality.factorCompleteness),
+              dataQuality: Math.round(quality.dataQuality)
+            }
+          },
+          algorithm: analysis.scoringMetadata.algorithm,
+          scoredAt: analysis.scoringMetadata.calculatedAt
+        }
+      };
+    } catch (error) {
+      // The signal keeps Claude's score rather than being dropped
+      console.warn(`⚠️ Multi-factor scoring failed for ${signal.title}: ${error.message}`);
+      return { ...signal, llmScore, deterministicScore: null, scoreBreakdown: null };
+    }
+  }
+
+  /**
+   * Score analyzed signals, pairing each with its article by URL
+   * @param {Array} signals - Analyzed signals
+   * @param {Array} articles - Feed articles the signals were analyzed from
+   * @param {Object} profile - Scoring profile; the default profile when omitted
+   * @returns {Array} Scored signals
+   */
+  scoreSignals(signals, articles = [], profile) {
+    const byUrl = new Map(articles.map(article => [article.url || article.link, article]));
+    return signals.map(signal => this.scoreSignal(signal, byUrl.get(signal.sourceUrl), profile));
+  }
+
+  /**
+   * Score of a stored signal under another profile, without asking Claude
+   * again. Stored factor scores are recombined under the profile's weights;
+   * signals stored before factor scores were kept are scored again from
+   * their stored text.
+   * @param {Object} signal - Signal row
+   * @param {Object} profile - Scoring profile ({ id, name, weights, thresholds })
+   * @returns {Object} { signalScore, llmScore, deterministicScore, scoreBreakdown }
+   */
+  rescoreStoredSignal(signal, profile) {
+    const breakdown = signal.scoreBreakdown;
+    // Before ingestion scoring, signalScore was Claude's score alone
+    const llmScore = typeof signal.llmScore === 'number'
+      ? signal.llmScore
+      : (!breakdown && typeof signal.signalScore === 'number' ? signal.signalScore : null);
+
+    const stored = breakdown?.deterministic;
+    if (!stored?.factorScores) {
+      const scored = this.scoreSignal(
+        { ...signal, signalScore: llmScore, entities: undefined },
+        { publishedAt: signal.createdAt },
+        profile
+      );
+      return {
+        signalScore: scored.signalScore,
+        llmScore,
+        deterministicScore: scored.deterministicScore,
+        scoreBreakdown: scored.scoreBreakdown
+      };
+    }
+
+    const recombined = scoreCombinerService.recombineFactorScores(
+      stored.factorScores,
+      stored.contextMultiplier,
+      profile.weights,
+      profile.thresholds
+    );
+    const deterministicScore = Math.round(recombined.overall);
+    const signalScore = this.combineScores(llmScore, deterministicScore, profile.weights.blend);
+
+    return {
+      signalScore,
+      llmScore,
+      deterministicScore,
+      scoreBreakdown: {
+        ...breakdown,
+        score: signalScore,
+        profile: { id: profile.id, name: profile.name },
+        weights: profile.weights.blend,
+        deterministic: {
+          ...stored,
+          score: deterministicScore,
+          priority: recombined.priority,
+          factorWeights: profile.weights.primary,
+          contributions: recombined.contributions
+        },
+        rescoredAt: new Date().toISOString()
+      }
+    };
+  }
+}
+
+// Export singleton instance
+export const ingestionScorerService = new IngestionScorerService();
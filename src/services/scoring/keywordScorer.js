@@ -3,7 +3,7 @@
  * Analyzes keyword relevance and context for intelligence scoring
  */
 
-import { INTELLIGENCE_KEYWORDS } from '../../constants/intelligence.js';
+import { dictionaryService } from './dictionary.js';
 
 /**
  * Keyword Intelligence Scoring Service
@@ -11,45 +11,41 @@ import { INTELLIGENCE_KEYWORDS } from '../../constants/intelligence.js';
  */
 export class KeywordScorer {
   constructor() {
-    // Enhanced keyword scoring with context-aware weights
-    this.keywordTiers = {
+    // Enhanced keyword scoring with context-aware weights; each tier's terms
+    // come from the keyword dictionary (see syncDictionary)
+    this.tierSettings = {
       CRITICAL: {
         weight: 5.0,
-        keywords: INTELLIGENCE_KEYWORDS.CRITICAL,
         contextMultiplier: 1.5,
         proximityBonus: 2.0
       },
       HIGH: {
         weight: 3.0,
-        keywords: INTELLIGENCE_KEYWORDS.HIGH,
         contextMultiplier: 1.3,
         proximityBonus: 1.5
       },
       MEDIUM: {
         weight: 1.8,
-        keywords: INTELLIGENCE_KEYWORDS.MEDIUM,
         contextMultiplier: 1.1,
         proximityBonus: 1.2
       },
       GEOPOLITICAL: {
         weight: 2.5,
-        keywords: INTELLIGENCE_KEYWORDS.GEOPOLITICAL,
         contextMultiplier: 1.4,
         proximityBonus: 1.3
       },
       TECHNOLOGY: {
         weight: 2.2,
-        keywords: INTELLIGENCE_KEYWORDS.TECHNOLOGY,
         contextMultiplier: 1.2,
         proximityBonus: 1.1
       },
       HEALTH: {
         weight: 1.9,
-        keywords: INTELLIGENCE_KEYWORDS.HEALTH,
         contextMultiplier: 1.1,
         proximityBonus: 1.0
       }
     };
+    this.syncDictionary();
 
     // Context-enhancing keywords that amplify other keywords when present
     this.contextEnhancers = {
@@ -86,6 +82,45 @@ export class KeywordScorer {
     ];
   }
 
+  /**
+   * Rebuild the keyword tiers when a newer dictionary version was loaded
+   */
+  syncDictionary() {
+    if (this.dictionaryVersion === dictionaryService.version) return;
+
+    this.keywordTiers = Object.fromEntries(Object.entries(this.tierSettings).map(([tier, settings]) => {
+      const terms = dictionaryService.getKeywordTerms(tier).map(term => {
+        const forms = [...new Set(term.forms.map(form => this.normalizeText(form.toUpperCase())).filter(Boolean))];
+        return { ...term, forms, patterns: forms.map(form => this.buildKeywordPattern(form)) };
+      });
+      return [tier, { ...settings, keywords: terms.map(term => term.keyword), terms }];
+    }));
+    this.dictionaryVersion = dictionaryService.version;
+  }
+
+  /**
+   * Whole-word pattern for a keyword form; forms are normalized like the
+   * content so accented and hyphenated language variants match
+   * @param {string} form - Normalized keyword, alias or variant
+   * @returns {RegExp} Pattern
+   */
+  buildKeywordPattern(form) {
+    const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+  }
+
+  /**
+   * Punctuation to spaces and whitespace collapsed, keeping letters of any script
+   * @param {string} text - Upper-case text
+   * @returns {string} Normalized text
+   */
+  normalizeText(text) {
+    return text
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')  // Remove punctuation
+      .replace(/\s+/g, ' ')                // Normalize whitespace
+      .trim();
+  }
+
   /**
    * Calculate keyword relevance score for article content
    * @param {Object} article - Article object with title and content
@@ -93,6 +128,7 @@ export class KeywordScorer {
    * @returns {Object} Keyword scoring results
    */
   calculateKeywordRelevance(article, options = {}) {
+    this.syncDictionary();
     const content = this.prepareContentForAnalysis(article);
     const keywordAnalysis = this.analyzeKeywordPresence(content);
     const contextAnalysis = this.analyzeContextualFactors(content, keywordAnalysis);
@@ -122,10 +158,7 @@ export class KeywordScorer {
     const combinedContent = `${title} ${title} ${content}`.toUpperCase();
     
     // Clean and normalize text
-    return combinedContent
-      .replace(/[^\w\s]/g, ' ')  // Remove punctuation
-      .replace(/\s+/g, ' ')      // Normalize whitespace
-      .trim();
+    return this.normalizeText(combinedContent);
   }
 
   /**
@@ -146,20 +179,22 @@ export class KeywordScorer {
       analysis.foundKeywords[tier] = [];
       analysis.tierScores[tier] = 0;
 
-      config.keywords.forEach(keyword => {
-        const keywordRegex = new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-        const matches = content.match(keywordRegex) || [];
-        
-        if (matches.length > 0) {
+      config.terms.forEach(term => {
+        const count = term.patterns.reduce((sum, pattern) => sum + (content.match(pattern) || []).length, 0);
+        // A term's own weight replaces its tier's
+        const weight = term.weight ?? config.weight;
+
+        if (count > 0) {
           analysis.foundKeywords[tier].push({
-            keyword,
-            count: matches.length,
-            weight: config.weight,
-            score: matches.length * config.weight
+            keyword: term.keyword,
+            forms: term.forms,
+            count,
+            weight,
+            score: count * weight
           });
           
-          analysis.tierScores[tier] += matches.length * config.weight;
-          analysis.totalMatches += matches.length;
+          analysis.tierScores[tier] += count * weight;
+          analysis.totalMatches += count;
         }
       });
 
@@ -371,8 +406,9 @@ export class KeywordScorer {
 
     Object.entries(keywordAnalysis.foundKeywords).forEach(([tier, keywords]) => {
       keywords.forEach(keywordData => {
+        const forms = keywordData.forms || [keywordData.keyword];
         words.forEach((word, index) => {
-          if (word === keywordData.keyword.toUpperCase()) {
+          if (forms.includes(word)) {
             positions.push({
               keyword: keywordData.keyword,
               tier,
@@ -0,0 +1,245 @@
+// Score Calibration Module for Ghost Brief
+// Fits the score combiner's factor weights and the priority thresholds to
+// analyst feedback, by coordinate search over stored factor scores
+
+import { scoreCombinerService } from './scoreCombiner.js';
+import { scoringProfileService, WEIGHT_GROUPS, THRESHOLD_LEVELS } from './scoringProfiles.js';
+import { SIGNAL_SCORING_CONFIG } from '../../constants/api.js';
+
+export const PRIORITY_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// Combiner weight groups the calibration fits; the Claude blend does not
+// affect the multi-factor priority
+const FITTED_GROUPS = ['primary', 'secondary'];
+
+export class CalibrationDataError extends Error {
+  constructor(found, needed) {
+    super(`Calibration needs at least ${needed} labeled examples, found ${found}`);
+    this.name = 'CalibrationDataError';
+    this.found = found;
+    this.needed = needed;
+  }
+}
+
+/**
+ * Score Calibrator Service
+ * Measures and fits multi-factor priorities against labeled feedback
+ */
+export class ScoreCalibratorService {
+  constructor() {
+    this.minExamples = SIGNAL_SCORING_CONFIG.CALIBRATION_MIN_EXAMPLES;
+    this.maxRounds = SIGNAL_SCORING_CONFIG.CALIBRATION_MAX_ROUNDS;
+    this.weightSteps = SIGNAL_SCORING_CONFIG.CALIBRATION_WEIGHT_STEPS;
+  }
+
+  /**
+   * The priority a piece of feedback says is right: the analyst's correction,
+   * or the shown priority when it was confirmed with a thumbs-up. A bare
+   * thumbs-down says the shown priority was wrong but not what is right.
+   * @param {Object} feedback - SignalFeedback row
+   * @returns {string|null} Priority level
+   */
+  labelFeedback(feedback) {
+    if (PRIORITY_LEVELS.includes(feedback.correctPriority)) return feedback.correctPriority;
+    if (feedback.rating === 'up' && PRIORITY_LEVELS.includes(feedback.shownPriority)) return feedback.shownPriority;
+    return null;
+  }
+
+  /**
+   * Calibration examples from feedback rows with their signal's score
+   * breakdown; feedback without a label or stored factor scores is skipped
+   * @param {Array} feedback - SignalFeedback rows including signal.scoreBreakdown
+   * @returns {Object} { examples: [{ factorScores, contextMultiplier, label }], skipped: { unlabeled, unscored } }
+   */
+  buildExamples(feedback) {
+    const examples = [];
+    const skipped = { unlabeled: 0, unscored: 0 };
+
+    feedback.forEach(entry => {
+      const label = this.labelFeedback(entry);
+      const stored = entry.signal?.scoreBreakdown?.deterministic;
+      if (!label) {
+        skipped.unlabeled++;
+      } else if (!stored?.factorScores) {
+        skipped.unscored++;
+      } else {
+        examples.push({ factorScores: stored.factorScores, contextMultiplier: stored.contextMultiplier ?? 1.0, label });
+      }
+    });
+
+    return { examples, skipped };
+  }
+
+  /**
+   * Multi-factor score of each example under the given weights
+   */
+  scoreExamples(examples, weights) {
+    return examples.map(example =>
+      scoreCombinerService.recombineFactorScores(example.factorScores, example.contextMultiplier, weights).overall
+    );
+  }
+
+  classify(scores, minimums) {
+    const thresholds = scoreCombinerService.resolvePriorityThresholds(minimums);
+    return scores.map(score => scoreCombinerService.getScoreBasedPriority(score, thresholds));
+  }
+
+  /**
+   * Precision and recall per priority level, overall accuracy and the
+   * macro-averaged F1 of the levels that occur in the labels
+   * @param {Array} labels - Expected priorities
+   * @param {Array} predictions - Predicted priorities, in the same order
+   * @returns {Object} { accuracy, macroF1, levels: { [level]: { support, predicted, precision, recall, f1 } } }
+   */
+  evaluate(labels, predictions) {
+    const levels = Object.fromEntries(PRIORITY_LEVELS.map(level => {
+      let truePositives = 0;
+      let support = 0;
+      let predicted = 0;
+      labels.forEach((label, index) => {
+        if (label === level) support++;
+        if (predictions[index] === level) predicted++;
+        if (label === level && predictions[index] === level) truePositives++;
+      });
+
+      const precision = predicted > 0 ? truePositives / predicted : 0;
+      const recall = support > 0 ? truePositives / support : 0;
+      const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+      return [level, { support, predicted, precision, recall, f1 }];
+    }));
+
+    const labeledLevels = Object.values(levels).filter(level => level.support > 0);
+    const correct = labels.filter((label, index) => label === predictions[index]).length;
+
+    return {
+      accuracy: labels.length > 0 ? correct / labels.length : 0,
+      macroF1: labeledLevels.length > 0
+        ? labeledLevels.reduce((sum, level) => sum + level.f1, 0) / labeledLevels.length
+        : 0,
+      levels
+    };
+  }
+
+  objective(scores, labels, minimums) {
+    return this.evaluate(labels, this.classify(scores, minimums)).macroF1;
+  }
+
+  /**
+   * Best priority minimums for fixed scores: each level's minimum is moved in
+   * whole points between its neighbours' until no move improves macro F1
+   * @returns {Object} { CRITICAL, HIGH, MEDIUM } minimum scores
+   */
+  fitThresholds(scores, labels, minimums) {
+    const fitted = { ...minimums };
+    let best = this.objective(scores, labels, fitted);
+
+    for (let round = 0; round < this.maxRounds; round++) {
+      let improved = false;
+
+      for (const [index, level] of THRESHOLD_LEVELS.entries()) {
+        const upper = index === 0 ? 101 : fitted[THRESHOLD_LEVELS[index - 1]];
+        const lower = index === THRESHOLD_LEVELS.length - 1 ? 0 : fitted[THRESHOLD_LEVELS[index + 1]];
+
+        for (let min = lower + 1; min < upper; min++) {
+          const value = this.objective(scores, labels, { ...fitted, [level]: min });
+          if (value > best) {
+            best = value;
+            fitted[level] = min;
+            improved = true;
+          }
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    return fitted;
+  }
+
+  /**
+   * Weights with one factor moved by a step and its group scaled back to 1;
+   * null when the move would take the factor below 0
+   */
+  adjustWeight(weights, group, factor, delta) {
+    const value = weights[group][factor] + delta;
+    if (value < 0) return null;
+
+    return scoringProfileService.normalizeWeights({
+      ...weights,
+      [group]: { ...weights[group], [factor]: value }
+    });
+  }
+
+  /**
+   * Fit weights and thresholds to labeled examples. Thresholds are fitted
+   * first, then each combiner weight is nudged up and down in shrinking steps
+   * while that improves macro F1, refitting the thresholds after every pass.
+   * @param {Array} examples - From buildExamples
+   * @param {Object} profile - Profile the search starts from ({ weights, thresholds })
+   * @returns {Object} { examples, rounds, before, after } where before/after are { weights, thresholds, metrics }
+   * @throws {CalibrationDataError} With fewer examples than CALIBRATION_MIN_EXAMPLES
+   */
+  calibrate(examples, profile = scoringProfileService.getDefaultProfile()) {
+    if (examples.length < this.minExamples) {
+      throw new CalibrationDataError(examples.length, this.minExamples);
+    }
+
+    const labels = examples.map(example => example.label);
+    const startWeights = scoringProfileService.normalizeWeights(profile.weights);
+    const resolved = scoreCombinerService.resolvePriorityThresholds(profile.thresholds);
+    const startThresholds = Object.fromEntries(THRESHOLD_LEVELS.map(level => [level, resolved[level].min]));
+
+    const startScores = this.scoreExamples(examples, startWeights);
+    let weights = startWeights;
+    let thresholds = this.fitThresholds(startScores, labels, startThresholds);
+    let best = this.objective(startScores, labels, thresholds);
+    let rounds = 0;
+
+    for (const step of this.weightSteps) {
+      for (let round = 0; round < this.maxRounds; round++) {
+        let improved = false;
+        rounds++;
+
+        for (const group of FITTED_GROUPS) {
+          for (const factor of WEIGHT_GROUPS[group]) {
+            for (const delta of [step, -step]) {
+              const candidate = this.adjustWeight(weights, group, factor, delta);
+              if (!candidate) continue;
+
+              const value = this.objective(this.scoreExamples(examples, candidate), labels, thresholds);
+              if (value > best) {
+                best = value;
+                weights = candidate;
+                improved = true;
+              }
+            }
+          }
+        }
+
+        const scores = this.scoreExamples(examples, weights);
+        const refitted = this.fitThresholds(scores, labels, thresholds);
+        const refittedValue = this.objective(scores, labels, refitted);
+        if (refittedValue > best) {
+          best = refittedValue;
+          thresholds = refitted;
+          improved = true;
+        }
+
+        if (!improved) break;
+      }
+    }
+
+    const measure = (fittedWeights, minimums) =>
+      this.evaluate(labels, this.classify(this.scoreExamples(examples, fittedWeights), minimums));
+
+    return {
+      examples: examples.length,
+      rounds,
+      before: { weights: startWeights, thresholds: startThresholds, metrics: measure(startWeights, startThresholds) },
+      after: { weights, thresholds, metrics: measure(weights, thresholds) }
+    };
+  }
+}
+
+// Export singleton instance
+export const scoreCalibratorService = new ScoreCalibratorService();
@@ -60,9 +60,11 @@ export class ScoreCombinerService {
   /**
    * Combine all scoring factors into final intelligence assessment
    * @param {Object} factors - All scoring factors from different modules
+   * @param {Object} weights - Optional { primary, secondary } factor weights (a scoring profile's)
+   * @param {Object} priorityMinimums - Optional { CRITICAL, HIGH, MEDIUM } minimum scores (a scoring profile's)
    * @returns {Object} Final combined score and assessment
    */
-  combineFactorsWithWeights(factors) {
+  combineFactorsWithWeights(factors, weights = {}, priorityMinimums = null) {
     console.log('🔄 Combining multi-factor intelligence scores...');
 
     // Validate input factors
@@ -72,10 +74,10 @@ export class ScoreCombinerService {
     }
 
     // Calculate primary factor score
-    const primaryScore = this.calculatePrimaryScore(factors);
+    const primaryScore = this.calculatePrimaryScore(factors, weights.primary);
     
     // Calculate secondary factor score
-    const secondaryScore = this.calculateSecondaryScore(factors);
+    const secondaryScore = this.calculateSecondaryScore(factors, weights.secondary);
     
     // Combine primary and secondary scores
     const combinedScore = this.calculateCombinedScore(primaryScore, secondaryScore);
@@ -87,11 +89,20 @@ export class ScoreCombinerService {
     const confidence = this.calculateConfidenceLevel(factors, contextAdjustedScore);
     
     // Determine priority classification
-    const priority = this.classifyPriority(contextAdjustedScore.overall, factors.threat, factors.geopolitical, confidence);
+    const priority = this.classifyPriority(
+      contextAdjustedScore.overall,
+      factors.threat,
+      factors.geopolitical,
+      confidence,
+      this.resolvePriorityThresholds(priorityMinimums)
+    );
     
     // Generate quality metrics
     const qualityMetrics = this.generateQualityMetrics(factors, contextAdjustedScore, confidence);
 
+    // Points each factor added to the final score
+    const contributions = this.calculateFactorContributions(primaryScore, secondaryScore, contextAdjustedScore);
+
     const finalAssessment = {
       overall: Math.min(Math.max(contextAdjustedScore.overall, 0), 100),
       primary: primaryScore.composite,
@@ -106,6 +117,12 @@ export class ScoreCombinerService {
         contextMultiplier: factors.context?.combinedAdjustment || 1.0,
         finalScore: contextAdjustedScore.overall
       },
+      contributions,
+      // Factor scores before weighting, enough to recombine under other weights
+      factorScores: {
+        primary: primaryScore.rawScores,
+        secondary: secondaryScore.rawScores
+      },
       factorDetails: {
         primary: primaryScore.details,
         secondary: secondaryScore.details,
@@ -157,9 +174,10 @@ export class ScoreCombinerService {
   /**
    * Calculate primary factor composite score
    * @param {Object} factors - All factors
+   * @param {Object} weights - Primary factor weights
    * @returns {Object} Primary score analysis
    */
-  calculatePrimaryScore(factors) {
+  calculatePrimaryScore(factors, weights = this.primaryWeights) {
     const { primary, source, temporal, geopolitical, threat } = factors;
     
     const scores = {
@@ -172,22 +190,22 @@ export class ScoreCombinerService {
     };
 
     const weightedScore = 
-      (scores.keywords * this.primaryWeights.keywordRelevance) +
-      (scores.entities * this.primaryWeights.entitySignificance) +
-      (scores.source * this.primaryWeights.sourceCredibility) +
-      (scores.temporal * this.primaryWeights.temporalRelevance) +
-      (scores.geopolitical * this.primaryWeights.geopoliticalContext) +
-      (scores.threat * this.primaryWeights.threatAssessment);
+      (scores.keywords * weights.keywordRelevance) +
+      (scores.entities * weights.entitySignificance) +
+      (scores.source * weights.sourceCredibility) +
+      (scores.temporal * weights.temporalRelevance) +
+      (scores.geopolitical * weights.geopoliticalContext) +
+      (scores.threat * weights.threatAssessment);
 
     return {
       composite: Math.min(weightedScore, 100),
       details: {
-        keywordContribution: scores.keywords * this.primaryWeights.keywordRelevance,
-        entityContribution: scores.entities * this.primaryWeights.entitySignificance,
-        sourceContribution: scores.source * this.primaryWeights.sourceCredibility,
-        temporalContribution: scores.temporal * this.primaryWeights.temporalRelevance,
-        geopoliticalContribution: scores.geopolitical * this.primaryWeights.geopoliticalContext,
-        threatContribution: scores.threat * this.primaryWeights.threatAssessment
+        keywordContribution: scores.keywords * weights.keywordRelevance,
+        entityContribution: scores.entities * weights.entitySignificance,
+        sourceContribution: scores.source * weights.sourceCredibility,
+        temporalContribution: scores.temporal * weights.temporalRelevance,
+        geopoliticalContribution: scores.geopolitical * weights.geopoliticalContext,
+        threatContribution: scores.threat * weights.threatAssessment
       },
       rawScores: scores
     };
@@ -196,9 +214,10 @@ export class ScoreCombinerService {
   /**
    * Calculate secondary factor composite score
    * @param {Object} factors - All factors
+   * @param {Object} weights - Secondary factor weights
    * @returns {Object} Secondary score analysis
    */
-  calculateSecondaryScore(factors) {
+  calculateSecondaryScore(factors, weights = this.secondaryWeights) {
     const { secondary } = factors;
     
     const scores = {
@@ -210,20 +229,20 @@ export class ScoreCombinerService {
     };
 
     const weightedScore = 
-      (scores.contentDepth * this.secondaryWeights.contentDepth) +
-      (scores.linguisticIndicators * this.secondaryWeights.linguisticIndicators) +
-      (scores.crossReference * this.secondaryWeights.crossReference) +
-      (scores.operationalRelevance * this.secondaryWeights.operationalRelevance) +
-      (scores.strategicImportance * this.secondaryWeights.strategicImportance);
+      (scores.contentDepth * weights.contentDepth) +
+      (scores.linguisticIndicators * weights.linguisticIndicators) +
+      (scores.crossReference * weights.crossReference) +
+      (scores.operationalRelevance * weights.operationalRelevance) +
+      (scores.strategicImportance * weights.strategicImportance);
 
     return {
       composite: Math.min(weightedScore, 100),
       details: {
-        contentDepthContribution: scores.contentDepth * this.secondaryWeights.contentDepth,
-        linguisticContribution: scores.linguisticIndicators * this.secondaryWeights.linguisticIndicators,
-        crossReferenceContribution: scores.crossReference * this.secondaryWeights.crossReference,
-        operationalContribution: scores.operationalRelevance * this.secondaryWeights.operationalRelevance,
-        strategicContribution: scores.strategicImportance * this.secondaryWeights.strategicImportance
+        contentDepthContribution: scores.contentDepth * weights.contentDepth,
+        linguisticContribution: scores.linguisticIndicators * weights.linguisticIndicators,
+        crossReferenceContribution: scores.crossReference * weights.crossReference,
+        operationalContribution: scores.operationalRelevance * weights.operationalRelevance,
+        strategicContribution: scores.strategicImportance * weights.strategicImportance
       },
       rawScores: scores
     };
@@ -267,6 +286,77 @@ export class ScoreCombinerService {
     };
   }
 
+  /**
+   * Recombine stored factor scores (see factorScores) under other weights,
+   * without re-running the factor scorers
+   * @param {Object} factorScores - { primary, secondary } unweighted factor scores
+   * @param {number} contextMultiplier - Context adjustment the factors were scored with
+   * @param {Object} weights - { primary, secondary } factor weights
+   * @param {Object} priorityMinimums - Optional { CRITICAL, HIGH, MEDIUM } minimum scores
+   * @returns {Object} { overall, priority, contributions }
+   */
+  recombineFactorScores(factorScores, contextMultiplier = 1.0, weights = {}, priorityMinimums = null) {
+    const { primary, secondary } = factorScores;
+    const factors = {
+      primary: { keywords: primary.keywords, entities: primary.entities },
+      secondary,
+      source: { score: primary.source },
+      temporal: { score: primary.temporal },
+      geopolitical: { score: primary.geopolitical },
+      threat: { score: primary.threat },
+      context: { combinedAdjustment: contextMultiplier }
+    };
+
+    const primaryScore = this.calculatePrimaryScore(factors, weights.primary);
+    const secondaryScore = this.calculateSecondaryScore(factors, weights.secondary);
+    const contextAdjustedScore = this.applyContextAdjustments(
+      this.calculateCombinedScore(primaryScore, secondaryScore),
+      factors
+    );
+
+    return {
+      overall: contextAdjustedScore.overall,
+      priority: this.getScoreBasedPriority(contextAdjustedScore.overall, this.resolvePriorityThresholds(priorityMinimums)),
+      contributions: this.calculateFactorContributions(primaryScore, secondaryScore, contextAdjustedScore)
+    };
+  }
+
+  /**
+   * Split the final score into the points each factor contributed. Primary
+   * and secondary contributions are scaled by their share of the combined
+   * score (and by any cap on a composite); the context adjustment is the
+   * difference it made, so the contributions add up to the final score.
+   * @param {Object} primaryScore - Primary score analysis
+   * @param {Object} secondaryScore - Secondary score analysis
+   * @param {Object} contextAdjustedScore - Context-adjusted score
+   * @returns {Object} Contributions in score points
+   */
+  calculateFactorContributions(primaryScore, secondaryScore, contextAdjustedScore) {
+    const sum = (details) => Object.values(details).reduce((total, value) => total + value, 0);
+    const share = (score, weight) => {
+      const raw = sum(score.details);
+      return raw > 0 ? weight * (score.composite / raw) : 0;
+    };
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const primary = primaryScore.details;
+    const secondary = secondaryScore.details;
+    const primaryShare = share(primaryScore, this.contextWeights.primary);
+    const secondaryShare = share(secondaryScore, this.contextWeights.secondary);
+
+    return {
+      keyword: round(primary.keywordContribution * primaryShare),
+      entity: round(primary.entityContribution * primaryShare),
+      source: round(primary.sourceContribution * primaryShare),
+      temporal: round(primary.temporalContribution * primaryShare),
+      geopolitical: round(primary.geopoliticalContribution * primaryShare),
+      threat: round(primary.threatContribution * primaryShare),
+      crossReference: round(secondary.crossReferenceContribution * secondaryShare),
+      otherSecondary: round((sum(secondary) - secondary.crossReferenceContribution) * secondaryShare),
+      context: round(contextAdjustedScore.overall - contextAdjustedScore.beforeAdjustment)
+    };
+  }
+
   /**
    * Calculate confidence level based on score consistency and reliability
    * @param {Object} factors - All scoring factors
@@ -317,18 +407,19 @@ export class ScoreCombinerService {
    * @param {Object} threatAssessment - Threat assessment results
    * @param {Object} geopoliticalScore - Geopolitical score results
    * @param {number} confidence - Confidence level
+   * @param {Object} thresholds - Priority thresholds; the default ones when omitted
    * @returns {Object} Priority classification
    */
-  classifyPriority(overallScore, threatAssessment, geopoliticalScore, confidence) {
+  classifyPriority(overallScore, threatAssessment, geopoliticalScore, confidence, thresholds = this.priorityThresholds) {
     let priority = 'LOW';
-    let priorityConfidence = this.priorityThresholds.LOW.confidence;
+    let priorityConfidence = thresholds.LOW.confidence;
     let reasoning = [];
 
     // Primary classification based on overall score
-    for (const [level, thresholds] of Object.entries(this.priorityThresholds)) {
-      if (overallScore >= thresholds.min) {
+    for (const [level, levelThresholds] of Object.entries(thresholds)) {
+      if (overallScore >= levelThresholds.min) {
         priority = level;
-        priorityConfidence = thresholds.confidence;
+        priorityConfidence = levelThresholds.confidence;
         reasoning.push(`Score: ${Math.round(overallScore)}`);
         break;
       }
@@ -362,7 +453,7 @@ export class ScoreCombinerService {
       confidence: priorityConfidence,
       reasoning: reasoning.join(', '),
       factors: {
-        scoreBasedPriority: this.getScoreBasedPriority(overallScore),
+        scoreBasedPriority: this.getScoreBasedPriority(overallScore, thresholds),
         threatElevation: threatAssessment?.level || 'NONE',
         geopoliticalInfluence: geopoliticalRelationships,
         confidenceAdjustment
@@ -373,15 +464,31 @@ export class ScoreCombinerService {
   /**
    * Get priority based purely on score
    * @param {number} score - Intelligence score
+   * @param {Object} thresholds - Priority thresholds; the default ones when omitted
    * @returns {string} Score-based priority
    */
-  getScoreBasedPriority(score) {
-    if (score >= this.priorityThresholds.CRITICAL.min) return 'CRITICAL';
-    if (score >= this.priorityThresholds.HIGH.min) return 'HIGH';
-    if (score >= this.priorityThresholds.MEDIUM.min) return 'MEDIUM';
+  getScoreBasedPriority(score, thresholds = this.priorityThresholds) {
+    if (score >= thresholds.CRITICAL.min) return 'CRITICAL';
+    if (score >= thresholds.HIGH.min) return 'HIGH';
+    if (score >= thresholds.MEDIUM.min) return 'MEDIUM';
     return 'LOW';
   }
 
+  /**
+   * Priority thresholds with other minimum scores (a scoring profile's or
+   * calibrated ones); levels without a minimum keep the default
+   * @param {Object} minimums - { CRITICAL, HIGH, MEDIUM } minimum scores
+   * @returns {Object} Thresholds in the shape of priorityThresholds
+   */
+  resolvePriorityThresholds(minimums) {
+    if (!minimums) return this.priorityThresholds;
+
+    return Object.fromEntries(Object.entries(this.priorityThresholds).map(([level, thresholds]) => [
+      level,
+      typeof minimums[level] === 'number' ? { ...thresholds, min: minimums[level] } : thresholds
+    ]));
+  }
+
   /**
    * Generate quality metrics for the scoring process
    * @param {Object} factors - All factors
@@ -0,0 +1,209 @@
+// Scoring Profile Module for Ghost Brief
+// Named sets of factor weights, so desks can rank signals their own way:
+// a cyber desk leans on keywords and threat indicators, a military desk on
+// entities and geopolitical context
+
+import { scoreCombinerService } from './scoreCombiner.js';
+import { SIGNAL_SCORING_CONFIG } from '../../constants/api.js';
+
+export const DEFAULT_SCORING_PROFILE = 'BALANCED';
+
+// Weight groups and their factors; every group is normalized to sum to 1
+export const WEIGHT_GROUPS = {
+  primary: [
+    'keywordRelevance', 'entitySignificance', 'sourceCredibility',
+    'temporalRelevance', 'geopoliticalContext', 'threatAssessment'
+  ],
+  secondary: [
+    'contentDepth', 'linguisticIndicators', 'crossReference',
+    'operationalRelevance', 'strategicImportance'
+  ],
+  // Stored score = Claude's relevance score and the multi-factor score, blended
+  blend: ['llm', 'deterministic']
+};
+
+// Priority levels a profile can set the minimum score of; LOW starts at 0
+export const THRESHOLD_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM'];
+
+// Built-in profiles; stored ones are ScoringProfile rows
+export const SCORING_PROFILES = {
+  BALANCED: {
+    name: 'Balanced',
+    description: 'General-purpose ranking with the default scoring weights',
+    weights: {
+      primary: { ...scoreCombinerService.primaryWeights },
+      secondary: { ...scoreCombinerService.secondaryWeights },
+      blend: { llm: SIGNAL_SCORING_CONFIG.LLM_WEIGHT, deterministic: SIGNAL_SCORING_CONFIG.DETERMINISTIC_WEIGHT }
+    }
+  },
+  CYBER: {
+    name: 'Cyber Desk',
+    description: 'Keyword and threat indicators, fresh and operational reporting first',
+    weights: {
+      primary: {
+        keywordRelevance: 0.35,
+        entitySignificance: 0.10,
+        sourceCredibility: 0.15,
+        temporalRelevance: 0.15,
+        geopoliticalContext: 0.05,
+        threatAssessment: 0.20
+      },
+      secondary: {
+        contentDepth: 0.15,
+        linguisticIndicators: 0.15,
+        crossReference: 0.20,
+        operationalRelevance: 0.35,
+        strategicImportance: 0.15
+      },
+      blend: { llm: 0.5, deterministic: 0.5 }
+    }
+  },
+  MILITARY: {
+    name: 'Military Desk',
+    description: 'Actors, weapons and geopolitical context, strategic significance first',
+    weights: {
+      primary: {
+        keywordRelevance: 0.20,
+        entitySignificance: 0.30,
+        sourceCredibility: 0.15,
+        temporalRelevance: 0.05,
+        geopoliticalContext: 0.15,
+        threatAssessment: 0.15
+      },
+      secondary: {
+        contentDepth: 0.10,
+        linguisticIndicators: 0.10,
+        crossReference: 0.25,
+        operationalRelevance: 0.25,
+        strategicImportance: 0.30
+      },
+      blend: { llm: 0.6, deterministic: 0.4 }
+    }
+  }
+};
+
+/**
+ * Scoring Profile Service
+ * Resolves and checks the weights of built-in and stored profiles
+ */
+export class ScoringProfileService {
+  constructor() {
+    this.profiles = SCORING_PROFILES;
+    this.groups = WEIGHT_GROUPS;
+  }
+
+  /**
+   * Built-in profiles in the shape stored profiles are returned in
+   * @returns {Array} [{ id, name, description, weights, thresholds, builtIn }]
+   */
+  listBuiltInProfiles() {
+    return Object.entries(this.profiles).map(([id, profile]) => ({
+      id,
+      thresholds: null,
+      ...profile,
+      builtIn: true
+    }));
+  }
+
+  getBuiltInProfile(id) {
+    return this.listBuiltInProfiles().find(profile => profile.id === id) || null;
+  }
+
+  getDefaultProfile() {
+    return this.getBuiltInProfile(DEFAULT_SCORING_PROFILE);
+  }
+
+  /**
+   * Problems with a weights object; missing groups and factors are allowed
+   * (they take the default profile's weights)
+   * @param {Object} weights - { primary, secondary, blend }
+   * @returns {Array} Error messages
+   */
+  validateWeights(weights) {
+    if (!weights || typeof weights !== 'object') return ['weights must be an object'];
+
+    const errors = [];
+    Object.entries(weights).forEach(([group, values]) => {
+      if (!this.groups[group]) {
+        errors.push(`Unknown weight group "${group}"; expected ${Object.keys(this.groups).join(', ')}`);
+        return;
+      }
+      Object.entries(values || {}).forEach(([factor, value]) => {
+        if (!this.groups[group].includes(factor)) {
+          errors.push(`Unknown ${group} factor "${factor}"`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          errors.push(`${group}.${factor} must be a number of at least 0`);
+        }
+      });
+    });
+
+    if (errors.length === 0) {
+      Object.entries(this.normalizeWeights(weights, false)).forEach(([group, values]) => {
+        if (Object.values(values).every(value => value === 0)) {
+          errors.push(`At least one ${group} weight must be above 0`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Problems with a profile's priority thresholds; null keeps the defaults
+   * and missing levels keep their default minimum
+   * @param {Object} thresholds - { CRITICAL, HIGH, MEDIUM } minimum scores
+   * @returns {Array} Error messages
+   */
+  validateThresholds(thresholds) {
+    if (thresholds === null || thresholds === undefined) return [];
+    if (typeof thresholds !== 'object') return ['thresholds must be an object'];
+
+    const errors = [];
+    Object.entries(thresholds).forEach(([level, value]) => {
+      if (!THRESHOLD_LEVELS.includes(level)) {
+        errors.push(`Unknown priority level "${level}"; expected ${THRESHOLD_LEVELS.join(', ')}`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+        errors.push(`thresholds.${level} must be a number from 0 to 100`);
+      }
+    });
+
+    if (errors.length === 0) {
+      const resolved = scoreCombinerService.resolvePriorityThresholds(thresholds);
+      THRESHOLD_LEVELS.slice(1).forEach((level, index) => {
+        const higher = THRESHOLD_LEVELS[index];
+        if (resolved[level].min >= resolved[higher].min) {
+          errors.push(`The ${level} minimum must be below the ${higher} minimum`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Complete weights with every group summing to 1
+   * @param {Object} weights - Validated, possibly partial weights
+   * @param {boolean} scale - Scale each group to sum to 1
+   * @returns {Object} { primary, secondary, blend }
+   */
+  normalizeWeights(weights = {}, scale = true) {
+    const defaults = this.profiles[DEFAULT_SCORING_PROFILE].weights;
+
+    return Object.fromEntries(Object.entries(this.groups).map(([group, factors]) => {
+      const values = Object.fromEntries(factors.map(factor => [
+        factor,
+        typeof weights[group]?.[factor] === 'number' ? weights[group][factor] : defaults[group][factor]
+      ]));
+      const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+      if (!scale || total === 0) return [group, values];
+
+      return [group, Object.fromEntries(Object.entries(values).map(([factor, value]) => [
+        factor,
+        Math.round((value / total) * 10000) / 10000
+      ]))];
+    }));
+  }
+}
+
+// Export singleton instance
+export const scoringProfileService = new ScoringProfileService();
@@ -3,6 +3,8 @@
  * Centralized text formatting, data transformation, and display utilities
  */
 
+import { SEARCH_CONFIG } from '../constants/api.js';
+
 /**
  * Format intelligence score as percentage with color coding
  * @param {number} score - Score from 0-100
@@ -235,19 +237,42 @@ export const formatDisplayUrl = (url, maxLength = 50) => {
   }
 };
 
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Format text for search highlighting
+ * Text from the search endpoint already carries match markers, which become
+ * <mark> tags; plain text is highlighted by matching the search term.
+ * The text is HTML-escaped, so the result is safe to render as HTML.
  * @param {string} text - Text to format
  * @param {string} searchTerm - Term to highlight
  * @returns {string} Text with highlighted search terms
  */
 export const formatSearchHighlight = (text, searchTerm) => {
-  if (!text || !searchTerm || typeof text !== 'string') {
+  if (!text || typeof text !== 'string') {
     return text || '';
   }
 
-  const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-  return text.replace(regex, '<mark>$1</mark>');
+  const { HIGHLIGHT_START, HIGHLIGHT_STOP } = SEARCH_CONFIG;
+  const escaped = escapeHtml(text);
+
+  if (text.includes(HIGHLIGHT_START)) {
+    return escaped
+      .split(HIGHLIGHT_START).join('<mark>')
+      .split(HIGHLIGHT_STOP).join('</mark>');
+  }
+
+  if (!searchTerm) {
+    return escaped;
+  }
+
+  const regex = new RegExp(`(${escapeHtml(searchTerm).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+  return escaped.replace(regex, '<mark>$1</mark>');
 };
 
 /**
@@ -1,9 +1,10 @@
 // Enhanced Intelligence Analyzer for Ghost Brief
 // Professional-grade AI analysis engine with multi-factor scoring
 
-import { INTELLIGENCE_KEYWORDS, AD_DETECTION_PATTERNS, DUPLICATE_DETECTION } from '../data/mockData';
+import { AD_DETECTION_PATTERNS, DUPLICATE_DETECTION } from '../data/mockData';
 import { multiFactorScoringService } from '../services/multiFactorScoringService';
 import { advancedEntityExtractionService } from '../services/advancedEntityExtraction';
+import { dictionaryService, DICTIONARY_TIERS } from '../services/scoring/dictionary';
 
 /**
  * Enhanced Intelligence Analysis Engine
@@ -11,37 +12,9 @@ import { advancedEntityExtractionService } from '../services/advancedEntityExtra
  */
 export class IntelligenceAnalyzer {
   constructor() {
-    this.keywordDatabase = INTELLIGENCE_KEYWORDS;
     this.adPatterns = AD_DETECTION_PATTERNS;
     this.duplicateConfig = DUPLICATE_DETECTION;
     
-    // Enhanced geopolitical entities database
-    this.entityDatabase = {
-      countries: [
-        'CHINA', 'RUSSIA', 'IRAN', 'NORTH KOREA', 'UKRAINE', 'TAIWAN', 'SYRIA', 'ISRAEL',
-        'PAKISTAN', 'INDIA', 'TURKEY', 'SAUDI ARABIA', 'VENEZUELA', 'MYANMAR', 'AFGHANISTAN',
-        'USA', 'UNITED STATES', 'UK', 'BRITAIN', 'FRANCE', 'GERMANY', 'JAPAN', 'SOUTH KOREA',
-        'NATO', 'EU', 'EUROPEAN UNION', 'ASEAN', 'BRICS'
-      ],
-      organizations: [
-        'NATO', 'UN', 'IAEA', 'WHO', 'CIA', 'FSB', 'MSS', 'MOSSAD', 'MI6', 'BND',
-        'PENTAGON', 'KREMLIN', 'PLA', 'IRANIAN REVOLUTIONARY GUARD', 'HEZBOLLAH', 'HAMAS',
-        'ISIS', 'AL-QAEDA', 'TALIBAN', 'WAGNER GROUP', 'LAZARUS GROUP', 'APT', 'SCADA'
-      ],
-      technologies: [
-        'HYPERSONIC', 'QUANTUM', 'AI', 'ARTIFICIAL INTELLIGENCE', 'NUCLEAR', 'CYBER',
-        'SATELLITE', 'DRONE', 'UAV', 'STEALTH', 'RADAR', 'SONAR', 'GPS', 'BLOCKCHAIN',
-        'CRYPTOCURRENCY', 'DEEPFAKE', 'BIOMETRIC', 'FACIAL RECOGNITION', 'SURVEILLANCE',
-        'ENCRYPTION', 'ZERO-DAY', 'MALWARE', 'RANSOMWARE', 'BOTNET', 'DDOS'
-      ],
-      weapons: [
-        'MISSILE', 'ICBM', 'SLBM', 'HYPERSONIC MISSILE', 'CRUISE MISSILE', 'BALLISTIC MISSILE',
-        'NUCLEAR WEAPON', 'BIOWEAPON', 'CHEMICAL WEAPON', 'EMP', 'LASER WEAPON', 'RAILGUN',
-        'F-35', 'F-22', 'SU-57', 'J-20', 'B-21', 'B-52', 'AIRCRAFT CARRIER', 'SUBMARINE',
-        'DESTROYER', 'FRIGATE', 'TANK', 'APACHE', 'PREDATOR', 'REAPER', 'JAVELIN', 'PATRIOT'
-      ]
-    };
-
     // Intelligence priority scoring weights
     this.scoringWeights = {
       keywordRelevance: 0.35,
@@ -62,6 +35,29 @@ export class IntelligenceAnalyzer {
     };
   }
 
+  /**
+   * Keywords, aliases and variants by tier from the keyword dictionary
+   * @returns {Object} { [tier]: [keyword forms] }
+   */
+  getKeywordDatabase() {
+    return Object.fromEntries(DICTIONARY_TIERS.keyword.map(tier => [
+      tier,
+      dictionaryService.getKeywordTerms(tier).flatMap(term => term.forms)
+    ]));
+  }
+
+  /**
+   * Entity names by the types this analyzer reports, from the entity dictionary
+   * @returns {Object} { countries, organizations, technologies, weapons }
+   */
+  getEntityDatabase() {
+    const databases = dictionaryService.getEntityDatabases();
+    return Object.fromEntries(['countries', 'organizations', 'technologies', 'weapons'].map(type => [
+      type,
+      Object.keys(databases[type])
+    ]));
+  }
+
   /**
    * Comprehensive intelligence analysis of article content
    * @param {Object} article - Article object to analyze
@@ -210,13 +206,14 @@ export class IntelligenceAnalyzer {
     const matchedKeywords = [];
 
     // Enhanced keyword matching with context weighting
-    Object.entries(this.keywordDatabase).forEach(([category, keywords]) => {
+    Object.entries(this.getKeywordDatabase()).forEach(([category, keywords]) => {
       const categoryScore = this.keywordScores[category] || 20;
       
       keywords.forEach(keyword => {
-        const keywordUpper = keyword.toUpperCase();
-        const titleMatches = (processedContent.title.match(new RegExp(keywordUpper, 'g')) || []).length;
-        const contentMatches = (processedContent.content.match(new RegExp(keywordUpper, 'g')) || []).length;
+        // Dictionary terms are entered in the UI, so match them literally
+        const keywordRegex = new RegExp(keyword.toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+        const titleMatches = (processedContent.title.match(keywordRegex) || []).length;
+        const contentMatches = (processedContent.content.match(keywordRegex) || []).length;
         
         if (titleMatches > 0 || contentMatches > 0) {
           // Title matches are weighted more heavily
@@ -276,9 +273,9 @@ export class IntelligenceAnalyzer {
     let totalMatches = 0;
 
     // Extract entities with frequency counting
-    Object.entries(this.entityDatabase).forEach(([entityType, entityList]) => {
+    Object.entries(this.getEntityDatabase()).forEach(([entityType, entityList]) => {
       entityList.forEach(entity => {
-        const matches = (processedContent.combined.match(new RegExp(entity, 'g')) || []).length;
+        const matches = (processedContent.combined.match(new RegExp(entity.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
         if (matches > 0) {
           entities[entityType].push({
             name: entity,
@@ -63,7 +63,8 @@ class WebshareProxy {
       console.log(`🌐 Fetching through Webshare proxy: ${url}`);
       const response = await fetch(url, fetchOptions);
       
-      if (!response.ok) {
+      // 304 is a valid answer to a conditional request
+      if (!response.ok && response.status !== 304) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
       
@@ -82,6 +83,17 @@ class WebshareProxy {
    * @returns {Promise<string>} RSS content as text
    */
   async fetchRSS(rssUrl) {
+    const result = await this.fetchRSSConditional(rssUrl);
+    return result.content;
+  }
+
+  /**
+   * Fetches RSS content, skipping the download when the feed is unchanged
+   * @param {string} rssUrl - RSS feed URL
+   * @param {Object} validators - etag / lastModified from the previous fetch
+   * @returns {Promise<Object>} notModified flag, content (null when not modified) and new validators
+   */
+  async fetchRSSConditional(rssUrl, validators = {}) {
     try {
       // Validate URL
       const url = new URL(rssUrl);
@@ -89,14 +101,29 @@ class WebshareProxy {
         throw new Error('Invalid URL protocol. Only HTTP/HTTPS supported.');
       }
 
+      const headers = {
+        'Accept': 'application/rss+xml, application/atom+xml, application/rdf+xml, application/feed+json, application/xml, text/xml, */*'
+      };
+      if (validators.etag) headers['If-None-Match'] = validators.etag;
+      if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
       // Fetch through proxy
       const response = await this.fetch(rssUrl, {
         method: 'GET',
-        headers: {
-          'Accept': 'application/rss+xml, application/xml, text/xml, */*'
-        }
+        headers
       });
 
+      if (response.status === 304) {
+        console.log(`♻️ RSS feed not modified: ${rssUrl}`);
+        return {
+          notModified: true,
+          content: null,
+          etag: validators.etag || null,
+          lastModified: validators.lastModified || null,
+          bytes: 0
+        };
+      }
+
       // Get content
       const content = await response.text();
       
@@ -104,12 +131,20 @@ class WebshareProxy {
         throw new Error('Empty RSS content received');
       }
 
-      // Basic XML validation
-      if (!content.includes('<rss') && !content.includes('<feed')) {
+      // Basic format validation (RSS 2.0, Atom, RSS 1.0/RDF or JSON Feed)
+      const isXmlFeed = content.includes('<rss') || content.includes('<feed') || content.includes('<rdf:RDF');
+      const isJsonFeed = content.trim().startsWith('{') && content.includes('jsonfeed.org');
+      if (!isXmlFeed && !isJsonFeed) {
         throw new Error('Invalid RSS/Atom feed format');
       }
 
-      return content;
+      return {
+        notModified: false,
+        content,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        bytes: Buffer.byteLength(content)
+      };
       
     } catch (error) {
       console.error(`❌ RSS fetch failed: ${error.message}`);